@@ -12,21 +12,42 @@ const authRoutes = require('./src/routes/auth');
 const healthRoutes = require('./src/routes/health');
 const dashboardRoutes = require('./src/routes/dashboard');
 const mqttRoutes = require('./src/routes/mqtt');
+const apiKeyRoutes = require('./src/routes/apiKeys');
+const organizationRoutes = require('./src/routes/organizations');
+const folderRoutes = require('./src/routes/folders');
 const mqttService = require('./src/services/mqttService');
 
 // Import middleware
 const errorHandler = require('./src/middleware/errorHandler');
 const notFound = require('./src/middleware/notFound');
+const { authenticate } = require('./src/middleware/auth');
 const logger = require('./src/utils/logger');
 
 // Import config
 const { verifyEmailConfig } = require('./src/config/email');
 const wsService = require('./src/services/wsService');
+const { getShareFrameAncestors } = require('./src/services/shareService');
+const maintenanceService = require('./src/services/maintenanceService');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 const server = http.createServer(app);
 
+// Shared dashboards may be framed by the origins their owner allowed;
+// everything else may only be framed by this site
+const SHARED_PATH = /^\/api\/dashboard\/shared\/([^/]+)/;
+const sharedFrameAncestors = (req) => {
+  const match = SHARED_PATH.exec(req.path);
+  if (!match) return [];
+  try {
+    return getShareFrameAncestors(decodeURIComponent(match[1]));
+  } catch (error) {
+    // Malformed %-escape: no share can match, and the router answers 400
+    return [];
+  }
+};
+const frameAncestorsFor = (req) => ["'self'", ...sharedFrameAncestors(req)].join(' ');
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -35,17 +56,28 @@ app.use(helmet({
       styleSrc: ["'self'", "'unsafe-inline'"],
       scriptSrc: ["'self'"],
       imgSrc: ["'self'", "data:", "https:"],
+      frameAncestors: [(req) => frameAncestorsFor(req)],
     },
   },
 }));
 
+// X-Frame-Options cannot list origins, so leave framing of shares to frame-ancestors
+app.use((req, res, next) => {
+  if (sharedFrameAncestors(req).length) {
+    res.removeHeader('X-Frame-Options');
+  }
+  next();
+});
+
 // CORS configuration
 const corsOptions = {
   origin: process.env.FRONTEND_URL || 'http://localhost:5174',
   credentials: true,
   optionsSuccessStatus: 200,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Share-Token', 'X-Embed-Token', 'If-Match'],
+  // Browsers only let clients read ETag (the dashboard version) when it is exposed
+  exposedHeaders: ['ETag']
 };
 app.use(cors(corsOptions));
 
@@ -55,7 +87,7 @@ app.use(compression());
 // Rate limiting
 const generalLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
+  max: parseInt(process.env.GENERAL_RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
   message: {
     success: false,
     error: 'Too many requests from this IP, please try again later.',
@@ -76,6 +108,8 @@ app.use(morgan('combined', {
 // Body parsing middleware
 app.use(express.json({ 
   limit: '10mb',
+  // JSON Patch bodies (PATCH /api/dashboard/:id) use their own media type
+  type: ['application/json', 'application/json-patch+json'],
   verify: (req, res, buf) => {
     req.rawBody = buf;
   }
@@ -94,11 +128,17 @@ app.use((req, res, next) => {
   next();
 });
 
+// Authentication: populates req.user from a Bearer access token
+app.use(authenticate);
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/health', healthRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/mqtt', mqttRoutes);
+app.use('/api/keys', apiKeyRoutes);
+app.use('/api/orgs', organizationRoutes);
+app.use('/api/folders', folderRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -124,17 +164,116 @@ app.get('/api/docs', (req, res) => {
     version: '1.0.0',
     endpoints: {
       auth: {
+        'POST /api/auth/signup': 'Create an account',
+        'POST /api/auth/login': 'Log in with email and password',
+        'POST /api/auth/verify-email': 'Verify email address with token',
+        'POST /api/auth/resend-verification': 'Resend verification email (authenticated)',
+        'POST /api/auth/refresh': 'Exchange a refresh token for new tokens',
+        'POST /api/auth/logout': 'Revoke the current session',
+        'GET /api/auth/me': 'Current user profile',
+        'GET /api/auth/sessions': 'List active sessions',
+        'DELETE /api/auth/sessions': 'Revoke all sessions (?keepCurrent=true keeps this one)',
+        'DELETE /api/auth/sessions/:sessionId': 'Revoke a session',
+        'POST /api/auth/change-password': 'Change password (authenticated)',
+        'GET /api/auth/2fa': 'Two-factor authentication status',
+        'POST /api/auth/2fa/setup': 'Start TOTP enrollment',
+        'POST /api/auth/2fa/enable': 'Confirm TOTP enrollment',
+        'POST /api/auth/2fa/recovery-codes': 'Regenerate recovery codes',
+        'POST /api/auth/2fa/disable': 'Disable two-factor authentication',
         'POST /api/auth/request-reset': 'Request password reset',
         'POST /api/auth/reset-password': 'Reset password with token',
         'GET /api/auth/validate-reset-token': 'Validate reset token',
         'GET /api/auth/health': 'Auth service health check'
       },
+      keys: {
+        'GET /api/keys': 'List API keys',
+        'POST /api/keys': 'Create a scoped API key (shown once)',
+        'DELETE /api/keys/:keyId': 'Revoke an API key'
+      },
+      dashboard: {
+        'POST /api/dashboard/save': 'Save a dashboard',
+        'PUT /api/dashboard/update/:id': 'Update a dashboard (If-Match or version required)',
+        'PATCH /api/dashboard/:id': 'Partially update a dashboard with a JSON Patch (RFC 6902)',
+        'POST /api/dashboard/:id/widgets': 'Add a widget',
+        'PATCH /api/dashboard/:id/widgets/:widgetId': 'Change a widget type, title, data or config',
+        'PUT /api/dashboard/:id/widgets/:widgetId/position': 'Move or resize a widget',
+        'DELETE /api/dashboard/:id/widgets/:widgetId': 'Delete a widget',
+        'POST /api/dashboard/publish': 'Publish a dashboard (If-Match or version required)',
+        'POST /api/dashboard/:id/unpublish': 'Unpublish a dashboard (share link stops working)',
+        'GET /api/dashboard/:id/share': 'Get share link settings and view count',
+        'PUT /api/dashboard/:id/share': 'Set share mode (live/snapshot), expiry and view limit',
+        'POST /api/dashboard/:id/share/embed': 'Issue a signed, expiring embed URL (optional widget subset)',
+        'POST /api/dashboard/:id/share/embed/revoke': 'Revoke all embed URLs',
+        'GET /api/dashboard/:id/share/analytics': 'Share access analytics (?days=30)',
+        'POST /api/dashboard/:id/share/republish': 'Update a snapshot share to the current dashboard',
+        'POST /api/dashboard/:id/share/rotate-link': 'Replace the share link',
+        'POST /api/dashboard/:id/share/rotate-password': 'Replace the share password',
+        'POST /api/dashboard/shared/:shareableId/access': 'Exchange a share password for a viewer token',
+        'GET /api/dashboard/shared/:shareableId': 'Get a shared dashboard (viewer token or password if protected)',
+        'GET /api/dashboard/user/:userId': 'List dashboards I can access (?q=, published, tag, widgetType, topic, folderId, recursive, favorite, orgId, includeFolders, sort, order, limit, cursor)',
+        'GET /api/dashboard/:id': 'Get a dashboard (ETag carries its version)',
+        'GET /api/dashboard/:id/revisions': 'List revisions (newest first)',
+        'GET /api/dashboard/:id/revisions/diff': 'Compare two revisions by widget (?from=&to=)',
+        'GET /api/dashboard/:id/revisions/:revisionId': 'Get a revision with its widgets and layout',
+        'POST /api/dashboard/:id/revisions/:revisionId/restore': 'Restore a revision as a new revision',
+        'POST /api/dashboard/:id/clone': 'Copy a dashboard (new ID and topic ID, not shared)',
+        'POST /api/dashboard/:id/template': 'Save a dashboard as a personal or organization template',
+        'GET /api/dashboard/templates': 'List built-in, personal and organization templates',
+        'GET /api/dashboard/templates/:templateId': 'Get a template',
+        'POST /api/dashboard/templates/:templateId/instantiate': 'Create a dashboard from a template',
+        'DELETE /api/dashboard/templates/:templateId': 'Delete a template',
+        'GET /api/dashboard/:id/export': 'Export a dashboard as a portable bundle',
+        'GET /api/dashboard/export': 'Export all readable dashboards (?orgId=, ?ids=) as one bundle',
+        'POST /api/dashboard/import': 'Import the dashboards of a bundle (IDs and topic IDs are remapped)',
+        'PUT /api/dashboard/:id/folder': 'Move a dashboard into a folder (folderId: null to take it out)',
+        'PUT /api/dashboard/:id/tags': 'Replace a dashboard\'s tags',
+        'GET /api/dashboard/tags': 'List tags on my dashboards with counts',
+        'PUT /api/dashboard/:id/favorite': 'Star a dashboard',
+        'DELETE /api/dashboard/:id/favorite': 'Remove the star from a dashboard',
+        'DELETE /api/dashboard/:id': 'Delete a dashboard (owner, If-Match or ?version required)',
+        'POST /api/dashboard/:id/invites': 'Invite a user by email with view or edit access (owner)',
+        'DELETE /api/dashboard/:id/invites/:inviteId': 'Revoke a pending invite (owner)',
+        'GET /api/dashboard/:id/collaborators': 'List collaborators and pending invites (owner)',
+        'PUT /api/dashboard/:id/collaborators/:userId': 'Change a collaborator access level (owner)',
+        'DELETE /api/dashboard/:id/collaborators/:userId': 'Remove a collaborator or leave',
+        'GET /api/dashboard/invites': 'List invites addressed to me',
+        'POST /api/dashboard/invites/:inviteId/accept': 'Accept an invite (verified email)',
+        'POST /api/dashboard/invites/:inviteId/decline': 'Decline an invite'
+      },
+      orgs: {
+        'GET /api/orgs': 'List my organizations',
+        'POST /api/orgs': 'Create an organization',
+        'GET /api/orgs/:orgId': 'Get an organization with members',
+        'DELETE /api/orgs/:orgId': 'Delete an organization (owner)',
+        'POST /api/orgs/:orgId/members': 'Add a member by email (owner)',
+        'PUT /api/orgs/:orgId/members/:userId': 'Change a member role (owner)',
+        'DELETE /api/orgs/:orgId/members/:userId': 'Remove a member or leave'
+      },
+      folders: {
+        'GET /api/folders': 'Folder tree with dashboard counts (?orgId=)',
+        'POST /api/folders': 'Create a personal, organization or nested folder',
+        'GET /api/folders/:folderId': 'Get a folder with its path and collaborators',
+        'PUT /api/folders/:folderId': 'Rename or move a folder',
+        'DELETE /api/folders/:folderId': 'Delete an empty folder',
+        'PUT /api/folders/:folderId/collaborators': 'Give a user view or edit access to a folder and its contents',
+        'DELETE /api/folders/:folderId/collaborators/:userId': 'Remove folder access or leave'
+      },
       health: {
         'GET /api/health': 'General health check',
         'GET /api/health/detailed': 'Detailed system health'
       }
     },
     examples: {
+      signup: {
+        method: 'POST',
+        url: '/api/auth/signup',
+        body: { email: 'user@example.com', password: 'password_here', name: 'Jane' }
+      },
+      login: {
+        method: 'POST',
+        url: '/api/auth/login',
+        body: { email: 'user@example.com', password: 'password_here' }
+      },
       requestReset: {
         method: 'POST',
         url: '/api/auth/request-reset',
@@ -175,6 +314,9 @@ const startServer = async () => {
     // Init WebSocket server on same HTTP server
     wsService.init(server);
 
+    // Periodically prune expired tokens, stale sessions and orphaned shares
+    maintenanceService.start();
+
     server.listen(PORT, () => {
       logger.info(`🚀 IoT Dashboard Backend Server running on port ${PORT}`);
       logger.info(`📧 Email service: ${emailReady ? 'Ready' : 'Not configured'}`);
@@ -183,20 +325,61 @@ const startServer = async () => {
       logger.info(`\n📋 Available endpoints:`);
       logger.info(`   GET  / - API information`);
       logger.info(`   GET  /api/docs - API documentation`);
+      logger.info(`   POST /api/auth/signup - Create account`);
+      logger.info(`   POST /api/auth/login - Log in`);
+      logger.info(`   POST /api/auth/verify-email - Verify email address`);
+      logger.info(`   POST /api/auth/resend-verification - Resend verification email`);
+      logger.info(`   POST /api/auth/refresh - Refresh access token`);
+      logger.info(`   POST /api/auth/logout - Log out`);
+      logger.info(`   GET  /api/auth/me - Current user`);
+      logger.info(`   GET  /api/auth/sessions - List active sessions`);
+      logger.info(`   DELETE /api/auth/sessions/:id - Revoke a session`);
+      logger.info(`   POST /api/auth/change-password - Change password`);
+      logger.info(`   POST /api/auth/2fa/setup - Start 2FA enrollment`);
+      logger.info(`   POST /api/auth/2fa/enable - Confirm 2FA enrollment`);
+      logger.info(`   POST /api/auth/2fa/disable - Disable 2FA`);
       logger.info(`   POST /api/auth/request-reset - Request password reset`);
       logger.info(`   POST /api/auth/reset-password - Reset password with token`);                                                                              
       logger.info(`   GET  /api/auth/validate-reset-token - Validate reset token`);                                                                             
       logger.info(`   POST /api/dashboard/save - Save dashboard`);
       logger.info(`   PUT  /api/dashboard/update/:id - Update dashboard`);
+      logger.info(`   PATCH /api/dashboard/:id - Patch dashboard (JSON Patch)`);
+      logger.info(`   POST /api/dashboard/:id/widgets - Add widget`);
       logger.info(`   POST /api/dashboard/publish - Publish dashboard`);
+      logger.info(`   POST /api/dashboard/:id/unpublish - Unpublish dashboard`);
+      logger.info(`   POST /api/dashboard/:id/share/embed - Issue embed URL`);
+      logger.info(`   GET  /api/dashboard/:id/share/analytics - Share access analytics`);
+      logger.info(`   POST /api/dashboard/:id/share/republish - Republish changes`);
+      logger.info(`   POST /api/dashboard/:id/share/rotate-link - Rotate share link`);
+      logger.info(`   POST /api/dashboard/:id/share/rotate-password - Rotate share password`);
+      logger.info(`   POST /api/dashboard/shared/:id/access - Get viewer token for shared dashboard`);
       logger.info(`   GET  /api/dashboard/shared/:id - Get shared dashboard`);
       logger.info(`   GET  /api/dashboard/user/:userId - Get user dashboards`);
+      logger.info(`   GET  /api/dashboard/:id/revisions - List revisions`);
+      logger.info(`   POST /api/dashboard/:id/revisions/:revisionId/restore - Restore revision`);
+      logger.info(`   POST /api/dashboard/:id/clone - Clone dashboard`);
+      logger.info(`   GET  /api/dashboard/templates - List templates`);
+      logger.info(`   POST /api/dashboard/templates/:templateId/instantiate - Create dashboard from template`);
+      logger.info(`   GET  /api/dashboard/export - Export dashboards as a bundle`);
+      logger.info(`   POST /api/dashboard/import - Import a dashboard bundle`);
       logger.info(`   DELETE /api/dashboard/:id - Delete dashboard`);
+      logger.info(`   POST /api/dashboard/:id/invites - Invite a collaborator`);
+      logger.info(`   GET  /api/dashboard/invites - List my invites`);
+      logger.info(`   POST /api/dashboard/invites/:inviteId/accept - Accept invite`);
       logger.info(`   GET  /api/health - Health check`);
       logger.info(`   GET  /api/mqtt/health - MQTT health`);
       logger.info(`   GET  /api/mqtt/topics - MQTT known topics`);
       logger.info(`   GET  /api/mqtt/latest?topic=... - Latest message for topic`);
       logger.info(`   POST /api/mqtt/publish - Publish message to topic`);
+      logger.info(`   GET  /api/orgs - List organizations`);
+      logger.info(`   POST /api/orgs - Create organization`);
+      logger.info(`   POST /api/orgs/:orgId/members - Add organization member`);
+      logger.info(`   GET  /api/folders - Folder tree`);
+      logger.info(`   POST /api/folders - Create folder`);
+      logger.info(`   PUT  /api/dashboard/:id/folder - Move dashboard to folder`);
+      logger.info(`   GET  /api/keys - List API keys`);
+      logger.info(`   POST /api/keys - Create API key`);
+      logger.info(`   DELETE /api/keys/:keyId - Revoke API key`);
     });
   } catch (error) {
     logger.error('Failed to start server:', error);
@@ -207,11 +390,13 @@ const startServer = async () => {
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
+  maintenanceService.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received. Shutting down gracefully...');
+  maintenanceService.stop();
   process.exit(0);
 });
 
@@ -229,8 +414,10 @@ process.on('unhandledRejection', (reason, promise) => {
   process.exit(1);
 });
 
-// Start the server
-startServer();
+// Start the server when run directly; tests require the app without listening
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
 
@@ -0,0 +1,6 @@
+module.exports = {
+  testEnvironment: 'node',
+  roots: ['<rootDir>/tests'],
+  setupFiles: ['<rootDir>/tests/setup.js'],
+  testMatch: ['**/*.test.js']
+};
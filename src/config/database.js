@@ -5,16 +5,52 @@
 
 // In-memory storage maps
 const storage = {
-  // User authentication and password reset tokens
+  // User accounts keyed by user ID
+  users: new Map(),
+
+  // Lookup index: normalized email -> user ID
+  usersByEmail: new Map(),
+
+  // Password reset tokens keyed by token hash
   resetTokens: new Map(),
+
+  // Email verification tokens keyed by token hash
+  verificationTokens: new Map(),
   
+  // Device/script API keys keyed by key ID (secret stored hashed)
+  apiKeys: new Map(),
+
+  // Organizations with their members and roles
+  organizations: new Map(),
+
   // Dashboard storage
   dashboards: new Map(),
   
+  // Bounded revision history keyed by dashboard ID ({ nextId, revisions })
+  dashboardRevisions: new Map(),
+
+  // Personal and organization dashboard templates keyed by template ID
+  dashboardTemplates: new Map(),
+
+  // Personal and organization dashboard folders keyed by folder ID
+  dashboardFolders: new Map(),
+
+  // Favorite dashboard IDs keyed by user ID (Set of dashboard IDs)
+  dashboardFavorites: new Map(),
+
+  // Pending per-user dashboard invites keyed by invite ID
+  dashboardInvites: new Map(),
+
   // Shared dashboard storage
   sharedDashboards: new Map(),
+
+  // Share access analytics keyed by dashboard ID (daily aggregates + recent events)
+  shareAnalytics: new Map(),
   
-  // User sessions (for future use)
+  // Failed attempt counters for lockout ("login:<email>", "share:<shareableId>", "share:<shareableId>:ip:<ip>")
+  loginAttempts: new Map(),
+
+  // Login sessions keyed by session ID (refresh token hash, IP, user agent)
   sessions: new Map(),
   
   // Device data (for future use)
@@ -33,11 +69,7 @@ const getStorage = () => {
  * Clear all storage (useful for testing)
  */
 const clearStorage = () => {
-  storage.resetTokens.clear();
-  storage.dashboards.clear();
-  storage.sharedDashboards.clear();
-  storage.sessions.clear();
-  storage.devices.clear();
+  Object.values(storage).forEach(map => map.clear());
 };
 
 /**
@@ -45,14 +77,13 @@ const clearStorage = () => {
  * @returns {Object} Storage statistics
  */
 const getStorageStats = () => {
-  return {
-    resetTokens: storage.resetTokens.size,
-    dashboards: storage.dashboards.size,
-    sharedDashboards: storage.sharedDashboards.size,
-    sessions: storage.sessions.size,
-    devices: storage.devices.size,
-    total: storage.resetTokens.size + storage.dashboards.size + storage.sharedDashboards.size + storage.sessions.size + storage.devices.size
-  };
+  const stats = {};
+  let total = 0;
+  Object.entries(storage).forEach(([name, map]) => {
+    stats[name] = map.size;
+    total += map.size;
+  });
+  return { ...stats, total };
 };
 
 module.exports = {
@@ -76,15 +76,24 @@ const verifyEmailConfig = async () => {
   }
 };
 
-// Generate HTML email template
-const generateResetEmailHTML = (resetLink, email) => {
+// Escape user-supplied text (names, titles) before placing it in email HTML
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Generate HTML email from the shared layout
+// paragraphs/closing are trusted HTML snippets; notice is shown in the warning box
+const generateEmailHTML = ({ title, heading, paragraphs = [], actionText, actionLink, notice, closing = [] }) => {
   return `
     <!DOCTYPE html>
     <html>
     <head>
       <meta charset="utf-8">
       <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <title>Password Reset - IoT Dashboard</title>
+      <title>${title} - IoT Dashboard</title>
       <style>
         body {
           font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
@@ -121,7 +130,7 @@ const generateResetEmailHTML = (resetLink, email) => {
         .content {
           margin-bottom: 30px;
         }
-        .reset-button {
+        .action-button {
           display: inline-block;
           background-color: #dc2626;
           color: white;
@@ -133,7 +142,7 @@ const generateResetEmailHTML = (resetLink, email) => {
           margin: 20px 0;
           transition: background-color 0.3s;
         }
-        .reset-button:hover {
+        .action-button:hover {
           background-color: #b91c1c;
         }
         .footer {
@@ -168,28 +177,26 @@ const generateResetEmailHTML = (resetLink, email) => {
       <div class="container">
         <div class="header">
           <div class="logo">🔧 IoT Dashboard</div>
-          <h1 class="title">Password Reset Request</h1>
+          <h1 class="title">${heading}</h1>
         </div>
         
         <div class="content">
           <p>Hello,</p>
           
-          <p>We received a request to reset your password for your IoT Dashboard account associated with <strong>${email}</strong>.</p>
-          
-          <p>If you made this request, click the button below to reset your password:</p>
+          ${paragraphs.map(p => `<p>${p}</p>`).join('\n          ')}
           
           <div style="text-align: center;">
-            <a href="${resetLink}" class="reset-button">Reset My Password</a>
+            <a href="${actionLink}" class="action-button">${actionText}</a>
           </div>
-          
+          ${notice ? `
           <div class="warning">
-            <strong>⚠️ Important:</strong> This link will expire in 24 hours for security reasons.
+            <strong>⚠️ Important:</strong> ${notice}
           </div>
-          
+          ` : ''}
           <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
-          <div class="link-fallback">${resetLink}</div>
+          <div class="link-fallback">${actionLink}</div>
           
-          <p>If you didn't request a password reset, please ignore this email. Your password will remain unchanged.</p>
+          ${closing.map(p => `<p>${p}</p>`).join('\n          ')}
         </div>
         
         <div class="footer">
@@ -202,22 +209,23 @@ const generateResetEmailHTML = (resetLink, email) => {
   `;
 };
 
-// Generate plain text email template
-const generateResetEmailText = (resetLink, email) => {
+// Generate plain text email from the shared layout
+const generateEmailText = ({ heading, paragraphs = [], actionLink, notice, closing = [] }) => {
+  // Drop markup; there is no button in plain text, only the link
+  const strip = (html) => html
+    .replace(/<[^>]+>/g, '')
+    .replace('the button below', 'the link below')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
   return `
-Password Reset Request - IoT Dashboard
+${heading} - IoT Dashboard
 
 Hello,
 
-We received a request to reset your password for your IoT Dashboard account associated with ${email}.
-
-If you made this request, click the link below to reset your password:
+${paragraphs.map(strip).join('\n\n')}
 
-${resetLink}
-
-IMPORTANT: This link will expire in 24 hours for security reasons.
-
-If you didn't request a password reset, please ignore this email. Your password will remain unchanged.
+${actionLink}
+${notice ? `\nIMPORTANT: ${notice}\n` : ''}
+${closing.map(strip).join('\n\n')}
 
 This email was sent from IoT Dashboard. If you have any questions, please contact our support team.
 
@@ -225,25 +233,78 @@ This email was sent from IoT Dashboard. If you have any questions, please contac
   `;
 };
 
-// Send password reset email
-const sendPasswordResetEmail = async (email, resetLink) => {
+// Password reset email content
+const resetEmailContent = (resetLink, email, expiresIn) => ({
+  title: 'Password Reset',
+  heading: 'Password Reset Request',
+  paragraphs: [
+    `We received a request to reset your password for your IoT Dashboard account associated with <strong>${email}</strong>.`,
+    'If you made this request, click the button below to reset your password:'
+  ],
+  actionText: 'Reset My Password',
+  actionLink: resetLink,
+  notice: `This link will expire in ${expiresIn} for security reasons.`,
+  closing: ["If you didn't request a password reset, please ignore this email. Your password will remain unchanged."]
+});
+
+// Email verification content
+const verificationEmailContent = (verificationLink, email) => ({
+  title: 'Verify Your Email',
+  heading: 'Verify Your Email Address',
+  paragraphs: [
+    `Thanks for signing up for IoT Dashboard with <strong>${email}</strong>.`,
+    'Please confirm your email address by clicking the button below:'
+  ],
+  actionText: 'Verify My Email',
+  actionLink: verificationLink,
+  notice: 'This link will expire in 24 hours. You can request a new one from your account settings.',
+  closing: ["If you didn't create an account, please ignore this email."]
+});
+
+// Dashboard invitation content
+const dashboardInviteEmailContent = (inviteLink, { dashboardName, inviterName, access, expiresIn }) => ({
+  title: 'Dashboard Invitation',
+  heading: "You've Been Invited to a Dashboard",
+  paragraphs: [
+    `<strong>${escapeHtml(inviterName)}</strong> invited you to ${access === 'edit' ? 'edit' : 'view'} the dashboard <strong>${escapeHtml(dashboardName)}</strong> on IoT Dashboard.`,
+    'Log in with this email address and click the button below to accept or decline:'
+  ],
+  actionText: 'View Invitation',
+  actionLink: inviteLink,
+  notice: `This invitation will expire in ${expiresIn}.`,
+  closing: ["If you weren't expecting this invitation, you can ignore this email."]
+});
+
+// Generate HTML email template
+const generateResetEmailHTML = (resetLink, email, expiresIn = '1 hour') => generateEmailHTML(resetEmailContent(resetLink, email, expiresIn));
+
+// Generate plain text email template
+const generateResetEmailText = (resetLink, email, expiresIn = '1 hour') => generateEmailText(resetEmailContent(resetLink, email, expiresIn));
+
+// Generate verification email templates
+const generateVerificationEmailHTML = (verificationLink, email) => generateEmailHTML(verificationEmailContent(verificationLink, email));
+const generateVerificationEmailText = (verificationLink, email) => generateEmailText(verificationEmailContent(verificationLink, email));
+
+// Send an email through the active transporter
+// `description` names the email in logs and messages, e.g. "password reset email"
+const sendEmail = async ({ to, subject, text, html, description = 'email' }) => {
   const active = await getActiveTransporter();
   if (!active) {
-    logger.warn('⚠️ Email transporter not available. Cannot send password reset email.');
+    logger.warn(`⚠️ Email transporter not available. Cannot send ${description}.`);
     return { success: false, error: 'Email service not configured' };
   }
 
   try {
     const mailOptions = {
       from: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'IoT Dashboard <no-reply@example.com>',
-      to: email,
-      subject: 'Password Reset Request - IoT Dashboard',
-      text: generateResetEmailText(resetLink, email),
-      html: generateResetEmailHTML(resetLink, email),
+      to,
+      subject,
+      text,
+      html,
     };
 
     const result = await active.sendMail(mailOptions);
-    logger.info('✅ Password reset email sent successfully:', result.messageId);
+    logger.info(`✅ ${description.charAt(0).toUpperCase()}${description.slice(1)} sent successfully:`, result.messageId);
 
     // Log preview URL for Ethereal
     const previewUrl = nodemailer.getTestMessageUrl(result);
@@ -254,21 +315,63 @@ const sendPasswordResetEmail = async (email, resetLink) => {
     return {
       success: true,
       messageId: result.messageId,
-      message: 'Password reset email sent successfully',
+      message: `${description.charAt(0).toUpperCase()}${description.slice(1)} sent successfully`,
       ...(previewUrl ? { previewUrl } : {}),
     };
   } catch (error) {
-    logger.error('❌ Failed to send password reset email:', error);
+    logger.error(`❌ Failed to send ${description}:`, error);
     return { success: false, error: error.message };
   }
 };
 
+// Send password reset email
+// expiresIn is the human-readable token lifetime shown in the email, e.g. "1 hour"
+const sendPasswordResetEmail = async (email, resetLink, expiresIn) => {
+  return sendEmail({
+    to: email,
+    subject: 'Password Reset Request - IoT Dashboard',
+    text: generateResetEmailText(resetLink, email, expiresIn),
+    html: generateResetEmailHTML(resetLink, email, expiresIn),
+    description: 'password reset email'
+  });
+};
+
+// Send email address verification email
+const sendVerificationEmail = async (email, verificationLink) => {
+  return sendEmail({
+    to: email,
+    subject: 'Verify Your Email - IoT Dashboard',
+    text: generateVerificationEmailText(verificationLink, email),
+    html: generateVerificationEmailHTML(verificationLink, email),
+    description: 'verification email'
+  });
+};
+
+// Send dashboard invitation email
+// details: { dashboardName, inviterName, access, expiresIn }
+const sendDashboardInviteEmail = async (email, inviteLink, details) => {
+  const content = dashboardInviteEmailContent(inviteLink, details);
+  return sendEmail({
+    to: email,
+    subject: `${details.inviterName} shared "${details.dashboardName}" with you - IoT Dashboard`,
+    text: generateEmailText(content),
+    html: generateEmailHTML(content),
+    description: 'dashboard invitation email'
+  });
+};
+
 module.exports = {
   transporter,
   getActiveTransporter,
   verifyEmailConfig,
+  sendEmail,
+  generateEmailHTML,
+  generateEmailText,
   generateResetEmailHTML,
   generateResetEmailText,
-  sendPasswordResetEmail
+  generateVerificationEmailHTML,
+  generateVerificationEmailText,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendDashboardInviteEmail
 };
-
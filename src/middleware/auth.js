@@ -0,0 +1,129 @@
+const { verifyAccessToken, getActiveSession } = require('../services/sessionService');
+const { findUserById, toPublicUser } = require('../services/userService');
+const { authenticateApiKey } = require('../services/apiKeyService');
+const logger = require('../utils/logger');
+
+/**
+ * Populates req.user and req.apiKey from an "ApiKey <key>" header
+ */
+const authenticateWithApiKey = (req, res, next, rawKey) => {
+  const apiKey = authenticateApiKey(rawKey, req.ip);
+  const owner = apiKey ? findUserById(apiKey.userId) : null;
+  if (!owner) {
+    logger.warn('Rejected API key:', { ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or revoked API key'
+    });
+  }
+
+  req.user = toPublicUser(owner);
+  req.apiKey = apiKey;
+  next();
+};
+
+/**
+ * Populates req.user and req.session from a Bearer access token, or
+ * req.user and req.apiKey from an ApiKey header.
+ * Requests without credentials pass through untouched; use requireAuth on
+ * routes that need a logged-in user.
+ */
+const authenticate = (req, res, next) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (/^ApiKey$/i.test(scheme) && token) {
+    return authenticateWithApiKey(req, res, next, token);
+  }
+
+  if (!/^Bearer$/i.test(scheme) || !token) {
+    return next();
+  }
+
+  let payload;
+  try {
+    payload = verifyAccessToken(token);
+  } catch (error) {
+    const expired = error.name === 'TokenExpiredError';
+    logger.warn('Rejected access token:', { reason: error.message, ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      error: expired ? 'Token expired' : 'Invalid token'
+    });
+  }
+
+  const session = getActiveSession(payload.sid);
+  const user = session && session.userId === payload.sub ? findUserById(payload.sub) : null;
+  if (!user) {
+    logger.warn('Access token for revoked session:', { sessionId: payload.sid, userId: payload.sub });
+    return res.status(401).json({
+      success: false,
+      error: 'Session expired or revoked'
+    });
+  }
+
+  session.lastSeenAt = new Date().toISOString();
+
+  req.user = toPublicUser(user);
+  req.session = session;
+  next();
+};
+
+/**
+ * Rejects the request with 401 unless a user is logged in with a session.
+ * API keys are for machine access and do not satisfy this check.
+ */
+const requireAuth = (req, res, next) => {
+  if (!req.user || req.apiKey) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+  next();
+};
+
+/**
+ * Allows logged-in users, or API keys that carry the given scope
+ * @param {string} scope - Required API key scope, e.g. 'mqtt:publish'
+ */
+const requireScope = scope => (req, res, next) => {
+  if (req.apiKey) {
+    if (!req.apiKey.scopes.includes(scope)) {
+      logger.warn('API key missing scope:', { keyId: req.apiKey.id, scope, path: req.originalUrl });
+      return res.status(403).json({
+        success: false,
+        error: `API key does not have the ${scope} scope`
+      });
+    }
+    return next();
+  }
+
+  if (req.user) return next();
+
+  return res.status(401).json({
+    success: false,
+    error: 'Authentication required'
+  });
+};
+
+/**
+ * Rejects the request with 403 unless the logged-in user has verified their email
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user?.emailVerified) {
+    logger.warn('Blocked action for unverified email:', { userId: req.user?.id, path: req.originalUrl });
+    return res.status(403).json({
+      success: false,
+      error: 'Please verify your email address first'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  authenticate,
+  requireAuth,
+  requireScope,
+  requireVerifiedEmail
+};
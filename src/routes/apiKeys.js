@@ -0,0 +1,123 @@
+const express = require('express');
+const Joi = require('joi');
+const { getStorage } = require('../config/database');
+const { requireAuth } = require('../middleware/auth');
+const { canAccessDashboard } = require('../services/authorizationService');
+const {
+  API_KEY_SCOPES,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  toPublicApiKey
+} = require('../services/apiKeyService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Get in-memory storage
+const storage = getStorage();
+
+// Managing keys always needs a real user session
+router.use(requireAuth);
+
+// Validation schemas
+const createApiKeySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required().messages({
+    'any.required': 'Key name is required'
+  }),
+  scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).required().messages({
+    'any.required': 'At least one scope is required',
+    'any.only': `Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`
+  }),
+  dashboardId: Joi.string().optional()
+});
+
+// List my API keys
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      scopes: API_KEY_SCOPES,
+      apiKeys: listApiKeys(req.user.id).map(toPublicApiKey)
+    });
+  } catch (error) {
+    logger.error('List API keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while listing API keys'
+    });
+  }
+});
+
+// Mint a new API key (the raw key is returned once)
+router.post('/', (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = createApiKeySchema.validate(req.body);
+    if (error) {
+      logger.warn('Validation error:', error.details[0].message);
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    if (value.dashboardId) {
+      const dashboard = storage.dashboards.get(value.dashboardId);
+      if (!dashboard || !canAccessDashboard(dashboard, req.user.id, 'update')) {
+        logger.warn('API key requested for inaccessible dashboard:', { dashboardId: value.dashboardId, userId: req.user.id });
+        return res.status(404).json({
+          success: false,
+          error: 'Dashboard not found'
+        });
+      }
+    }
+
+    const { apiKey, key } = createApiKey(req.user, value);
+
+    logger.info('API key created:', { keyId: apiKey.id, userId: req.user.id, scopes: apiKey.scopes, dashboardId: apiKey.dashboardId });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now; it will not be shown again.',
+      key,
+      apiKey: toPublicApiKey(apiKey)
+    });
+  } catch (error) {
+    logger.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while creating the API key'
+    });
+  }
+});
+
+// Revoke an API key
+router.delete('/:keyId', (req, res) => {
+  try {
+    const apiKey = revokeApiKey(req.user.id, req.params.keyId);
+    if (!apiKey) {
+      logger.warn('API key not found for revocation:', { keyId: req.params.keyId, userId: req.user.id });
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    logger.info('API key revoked:', { keyId: apiKey.id, userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      apiKey: toPublicApiKey(apiKey)
+    });
+  } catch (error) {
+    logger.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while revoking the API key'
+    });
+  }
+});
+
+module.exports = router;
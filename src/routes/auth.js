@@ -1,9 +1,53 @@
 const express = require('express');
-const crypto = require('crypto');
 const rateLimit = require('express-rate-limit');
 const Joi = require('joi');
-const { sendPasswordResetEmail } = require('../config/email');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../config/email');
 const { getStorage } = require('../config/database');
+const {
+  normalizeEmail,
+  findUserById,
+  findUserByEmail,
+  createUser,
+  authenticateUser,
+  updateUserPassword,
+  toPublicUser
+} = require('../services/userService');
+const {
+  createSession,
+  findSessionByRefreshToken,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  listUserSessions,
+  toPublicSession
+} = require('../services/sessionService');
+const { revokeUserApiKeys } = require('../services/apiKeyService');
+const {
+  isTwoFactorEnabled,
+  beginEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  getTwoFactorStatus
+} = require('../services/twoFactorService');
+const {
+  createVerificationToken,
+  buildVerificationLink,
+  consumeVerificationToken
+} = require('../services/verificationService');
+const {
+  getResetTokenLifetime,
+  createResetToken,
+  findResetToken
+} = require('../services/resetTokenService');
+const {
+  checkLockout,
+  recordFailure,
+  recordSuccess,
+  sendLockedResponse
+} = require('../services/lockoutService');
+const { requireAuth } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -24,7 +68,109 @@ const resetPasswordLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Rate limiting for verification email resends
+const verificationEmailLimiter = rateLimit({
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.VERIFICATION_RATE_LIMIT_MAX_REQUESTS) || 3, // 3 requests per window
+  message: {
+    success: false,
+    error: 'Too many verification email requests. Please try again later.',
+    retryAfter: Math.ceil((parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000) / 1000)
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Rate limiting for signup and login attempts
+const authLimiter = rateLimit({
+  windowMs: parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS) || 10, // 10 attempts per window
+  message: {
+    success: false,
+    error: 'Too many authentication attempts. Please try again later.',
+    retryAfter: Math.ceil((parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000) / 1000)
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Validation schemas
+const passwordRule = Joi.string().min(8).max(128).messages({
+  'string.min': 'Password must be at least 8 characters long',
+  'string.max': 'Password must be at most 128 characters long'
+});
+
+const signupSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Please provide a valid email address',
+    'any.required': 'Email is required'
+  }),
+  password: passwordRule.required().messages({
+    'any.required': 'Password is required'
+  }),
+  name: Joi.string().trim().max(100).optional()
+});
+
+const loginSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Please provide a valid email address',
+    'any.required': 'Email is required'
+  }),
+  password: Joi.string().required().messages({
+    'any.required': 'Password is required'
+  }),
+  totpCode: Joi.string().optional(),
+  recoveryCode: Joi.string().optional()
+}).oxor('totpCode', 'recoveryCode');
+
+const twoFactorSetupSchema = Joi.object({
+  password: Joi.string().required().messages({
+    'any.required': 'Password is required'
+  })
+});
+
+const twoFactorCodeSchema = Joi.object({
+  totpCode: Joi.string().required().messages({
+    'any.required': 'Authenticator code is required'
+  })
+});
+
+const twoFactorDisableSchema = Joi.object({
+  password: Joi.string().required().messages({
+    'any.required': 'Password is required'
+  }),
+  totpCode: Joi.string().optional(),
+  recoveryCode: Joi.string().optional()
+}).xor('totpCode', 'recoveryCode').messages({
+  'object.missing': 'An authenticator code or recovery code is required',
+  'object.xor': 'Provide either an authenticator code or a recovery code, not both'
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required().messages({
+    'any.required': 'Verification token is required'
+  })
+});
+
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().required().messages({
+    'any.required': 'Refresh token is required'
+  })
+});
+
+const logoutSchema = Joi.object({
+  refreshToken: Joi.string().optional()
+});
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required().messages({
+    'any.required': 'Current password is required'
+  }),
+  newPassword: passwordRule.required().messages({
+    'any.required': 'New password is required'
+  })
+});
+
 const requestResetSchema = Joi.object({
   email: Joi.string().email().required().messages({
     'string.email': 'Please provide a valid email address',
@@ -40,12 +186,621 @@ const resetPasswordSchema = Joi.object({
     'string.email': 'Please provide a valid email address',
     'any.required': 'Email is required'
   }),
-  newPassword: Joi.string().min(6).required().messages({
-    'string.min': 'Password must be at least 6 characters long',
+  newPassword: passwordRule.required().messages({
     'any.required': 'New password is required'
   })
 });
 
+// Create account
+router.post('/signup', authLimiter, async (req, res) => {
+  try {
+    logger.info('Signup request received:', { email: req.body.email, ip: req.ip });
+
+    // Validate request body
+    const { error, value } = signupSchema.validate(req.body);
+    if (error) {
+      logger.warn('Validation error:', error.details[0].message);
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    if (findUserByEmail(value.email)) {
+      logger.warn('Signup rejected - email already registered:', { email: normalizeEmail(value.email) });
+      return res.status(409).json({
+        success: false,
+        error: 'An account with this email already exists'
+      });
+    }
+
+    const user = await createUser(value);
+
+    logger.info('User account created:', { userId: user.id, email: user.email });
+
+    // A failed send does not fail signup; the user can ask for a resend
+    const verificationToken = createVerificationToken(user);
+    const emailResult = await sendVerificationEmail(user.email, buildVerificationLink(verificationToken));
+    if (!emailResult.success) {
+      logger.error('Failed to send verification email:', { userId: user.id, error: emailResult.error });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: emailResult.success
+        ? 'Account created successfully. Please check your inbox to verify your email address.'
+        : 'Account created successfully, but the verification email could not be sent. Please request a new one.',
+      user: toPublicUser(user),
+      verificationEmailSent: emailResult.success
+    });
+  } catch (error) {
+    logger.error('Signup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred. Please try again later.'
+    });
+  }
+});
+
+// Log in with email and password
+router.post('/login', authLimiter, async (req, res) => {
+  try {
+    logger.info('Login attempt:', { email: req.body.email, ip: req.ip });
+
+    // Validate request body
+    const { error, value } = loginSchema.validate(req.body);
+    if (error) {
+      logger.warn('Validation error:', error.details[0].message);
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    // Lock per account, not just per IP, so distributed guessing is throttled too
+    const lockoutKey = `login:${normalizeEmail(value.email)}`;
+    const lockout = checkLockout(lockoutKey);
+    if (lockout.locked) {
+      logger.warn('Login blocked - account temporarily locked:', { email: normalizeEmail(value.email), ip: req.ip });
+      return sendLockedResponse(res, lockout.retryAfterSeconds, 'Too many failed login attempts. Please try again later.');
+    }
+
+    const user = await authenticateUser(value.email, value.password);
+    if (!user) {
+      logger.warn('Login failed - invalid credentials:', { email: normalizeEmail(value.email), ip: req.ip });
+      recordFailure(lockoutKey, { ip: req.ip });
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      });
+    }
+
+    if (isTwoFactorEnabled(user)) {
+      if (!value.totpCode && !value.recoveryCode) {
+        logger.info('Login requires two-factor code:', { userId: user.id });
+        return res.status(401).json({
+          success: false,
+          error: 'Two-factor authentication code required',
+          twoFactorRequired: true
+        });
+      }
+
+      const method = verifySecondFactor(user, value);
+      if (!method) {
+        logger.warn('Login failed - invalid two-factor code:', { userId: user.id, ip: req.ip });
+        recordFailure(lockoutKey, { ip: req.ip });
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid two-factor authentication code',
+          twoFactorRequired: true
+        });
+      }
+
+      if (method === 'recovery') {
+        logger.warn('Login used a recovery code:', { userId: user.id, remaining: user.twoFactor.recoveryCodeHashes.length });
+      }
+    }
+
+    recordSuccess(lockoutKey);
+
+    const { session, tokens } = createSession(user, { ip: req.ip, userAgent: req.get('User-Agent') });
+
+    logger.info('Login successful:', { userId: user.id, sessionId: session.id });
+
+    res.json({
+      success: true,
+      message: 'Logged in successfully',
+      user: toPublicUser(user),
+      ...tokens
+    });
+  } catch (error) {
+    logger.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred. Please try again later.'
+    });
+  }
+});
+
+// Verify email address with the token from the verification email
+router.post('/verify-email', async (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = verifyEmailSchema.validate(req.body);
+    if (error) {
+      logger.warn('Validation error:', error.details[0].message);
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const result = consumeVerificationToken(value.token, findUserById);
+    if (result.error) {
+      logger.warn('Email verification failed:', { reason: result.error, ip: req.ip });
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    logger.info('Email verified:', { userId: result.user.id });
+
+    res.json({
+      success: true,
+      message: 'Email address verified successfully',
+      user: toPublicUser(result.user)
+    });
+  } catch (error) {
+    logger.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred. Please try again later.'
+    });
+  }
+});
+
+// Send a fresh verification email to the logged-in user
+router.post('/resend-verification', verificationEmailLimiter, requireAuth, async (req, res) => {
+  try {
+    const user = findUserById(req.user.id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email address is already verified'
+      });
+    }
+
+    const verificationToken = createVerificationToken(user);
+    const emailResult = await sendVerificationEmail(user.email, buildVerificationLink(verificationToken));
+
+    if (!emailResult.success) {
+      logger.error('Failed to resend verification email:', { userId: user.id, error: emailResult.error });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to send verification email. Please try again later.'
+      });
+    }
+
+    logger.info('Verification email resent:', { userId: user.id, messageId: emailResult.messageId });
+
+    res.json({
+      success: true,
+      message: 'Verification email sent. Please check your inbox.'
+    });
+  } catch (error) {
+    logger.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred. Please try again later.'
+    });
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', authLimiter, async (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = refreshTokenSchema.validate(req.body);
+    if (error) {
+      logger.warn('Validation error:', error.details[0].message);
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const result = rotateSession(value.refreshToken, findUserById, { ip: req.ip, userAgent: req.get('User-Agent') });
+    if (result.error) {
+      logger.warn('Token refresh failed:', { reason: result.error, ip: req.ip });
+      return res.status(401).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    logger.info('Session refreshed:', { userId: result.user.id, sessionId: result.session.id });
+
+    res.json({
+      success: true,
+      user: toPublicUser(result.user),
+      ...result.tokens
+    });
+  } catch (error) {
+    logger.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred. Please try again later.'
+    });
+  }
+});
+
+// Log out: revoke the current session (by access token or refresh token)
+router.post('/logout', async (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = logoutSchema.validate(req.body || {});
+    if (error) {
+      logger.warn('Validation error:', error.details[0].message);
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    let sessionId = req.session?.id;
+    if (!sessionId && value.refreshToken) {
+      sessionId = findSessionByRefreshToken(value.refreshToken)?.id;
+    }
+
+    if (!sessionId) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    revokeSession(sessionId);
+
+    logger.info('User logged out:', { userId: req.user?.id, sessionId });
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred. Please try again later.'
+    });
+  }
+});
+
+// Current user profile
+router.get('/me', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    user: req.user
+  });
+});
+
+// List my active sessions (devices/browsers currently logged in)
+router.get('/sessions', requireAuth, (req, res) => {
+  try {
+    const sessions = listUserSessions(req.user.id).map(session => toPublicSession(session, req.session.id));
+
+    res.json({
+      success: true,
+      sessions
+    });
+  } catch (error) {
+    logger.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Revoke all of my sessions (pass ?keepCurrent=true to stay logged in here)
+router.delete('/sessions', requireAuth, (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+    const revoked = revokeUserSessions(req.user.id, keepCurrent ? { exceptSessionId: req.session.id } : {});
+
+    logger.info('Sessions revoked:', { userId: req.user.id, count: revoked.length, keepCurrent });
+
+    res.json({
+      success: true,
+      message: 'Sessions revoked successfully',
+      revoked: revoked.length
+    });
+  } catch (error) {
+    logger.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Revoke one of my sessions
+router.delete('/sessions/:sessionId', requireAuth, (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = storage.sessions.get(sessionId);
+
+    // Report other users' sessions as missing rather than forbidden
+    if (!session || session.userId !== req.user.id) {
+      logger.warn('Session not found for revocation:', { sessionId, userId: req.user.id });
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    revokeSession(sessionId);
+
+    logger.info('Session revoked:', { userId: req.user.id, sessionId });
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred'
+    });
+  }
+});
+
+// Two-factor authentication status
+router.get('/2fa', requireAuth, (req, res) => {
+  const user = findUserById(req.user.id);
+  res.json({
+    success: true,
+    twoFactor: getTwoFactorStatus(user)
+  });
+});
+
+// Start TOTP enrollment: returns the secret and otpauth URI for the authenticator app
+router.post('/2fa/setup', authLimiter, requireAuth, async (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = twoFactorSetupSchema.validate(req.body);
+    if (error) {
+      logger.warn('Validation error:', error.details[0].message);
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const user = await authenticateUser(req.user.email, value.password);
+    if (!user) {
+      logger.warn('2FA setup failed - invalid password:', { userId: req.user.id });
+      return res.status(401).json({
+        success: false,
+        error: 'Password is incorrect'
+      });
+    }
+
+    if (isTwoFactorEnabled(user)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUri } = beginEnrollment(user);
+
+    logger.info('2FA enrollment started:', { userId: user.id });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri
+    });
+  } catch (error) {
+    logger.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred. Please try again later.'
+    });
+  }
+});
+
+// Confirm TOTP enrollment with a code from the app; returns one-time recovery codes
+router.post('/2fa/enable', authLimiter, requireAuth, (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = twoFactorCodeSchema.validate(req.body);
+    if (error) {
+      logger.warn('Validation error:', error.details[0].message);
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const user = findUserById(req.user.id);
+    if (isTwoFactorEnabled(user)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const recoveryCodes = completeEnrollment(user, value.totpCode);
+    if (!recoveryCodes) {
+      logger.warn('2FA enable failed - invalid code or no pending enrollment:', { userId: user.id });
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authenticator code'
+      });
+    }
+
+    logger.info('2FA enabled:', { userId: user.id });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      recoveryCodes
+    });
+  } catch (error) {
+    logger.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred. Please try again later.'
+    });
+  }
+});
+
+// Replace recovery codes (requires a current TOTP code)
+router.post('/2fa/recovery-codes', authLimiter, requireAuth, (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = twoFactorCodeSchema.validate(req.body);
+    if (error) {
+      logger.warn('Validation error:', error.details[0].message);
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const user = findUserById(req.user.id);
+    if (!isTwoFactorEnabled(user) || !verifySecondFactor(user, { totpCode: value.totpCode })) {
+      logger.warn('Recovery code regeneration failed:', { userId: user.id });
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid authenticator code'
+      });
+    }
+
+    const recoveryCodes = regenerateRecoveryCodes(user);
+
+    logger.info('2FA recovery codes regenerated:', { userId: user.id });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      recoveryCodes
+    });
+  } catch (error) {
+    logger.error('Recovery code regeneration error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred. Please try again later.'
+    });
+  }
+});
+
+// Disable 2FA: requires the password and a fresh second factor
+router.post('/2fa/disable', authLimiter, requireAuth, async (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = twoFactorDisableSchema.validate(req.body);
+    if (error) {
+      logger.warn('Validation error:', error.details[0].message);
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const user = await authenticateUser(req.user.email, value.password);
+    if (!user) {
+      logger.warn('2FA disable failed - invalid password:', { userId: req.user.id });
+      return res.status(401).json({
+        success: false,
+        error: 'Password is incorrect'
+      });
+    }
+
+    if (!isTwoFactorEnabled(user)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!verifySecondFactor(user, value)) {
+      logger.warn('2FA disable failed - invalid second factor:', { userId: user.id });
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid two-factor authentication code'
+      });
+    }
+
+    disableTwoFactor(user);
+
+    logger.info('2FA disabled:', { userId: user.id });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    logger.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred. Please try again later.'
+    });
+  }
+});
+
+// Change password for a logged-in user
+router.post('/change-password', authLimiter, requireAuth, async (req, res) => {
+  try {
+    logger.info('Change password request received:', { userId: req.user.id, ip: req.ip });
+
+    // Validate request body
+    const { error, value } = changePasswordSchema.validate(req.body);
+    if (error) {
+      logger.warn('Validation error:', error.details[0].message);
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const user = await authenticateUser(req.user.email, value.currentPassword);
+    if (!user) {
+      logger.warn('Change password failed - invalid credentials:', { userId: req.user.id });
+      return res.status(401).json({
+        success: false,
+        error: 'Current password is incorrect'
+      });
+    }
+
+    await updateUserPassword(user, value.newPassword);
+
+    // Sign out every other device; the current session stays valid
+    const revoked = revokeUserSessions(user.id, { exceptSessionId: req.session.id });
+    // Keys minted under the old password go too
+    const revokedKeys = revokeUserApiKeys(user.id);
+
+    logger.info('Password changed successfully:', { userId: user.id, revokedSessions: revoked.length, revokedApiKeys: revokedKeys.length });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    logger.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred. Please try again later.'
+    });
+  }
+});
+
 // Request password reset
 router.post('/request-reset', resetPasswordLimiter, async (req, res) => {
   try {
@@ -64,30 +819,30 @@ router.post('/request-reset', resetPasswordLimiter, async (req, res) => {
     const { email } = value;
     const normalizedEmail = email.toLowerCase();
 
-    // Check if user exists (in production, check against your user database)
-    // For demo purposes, we'll accept any email
-    logger.info(`Processing password reset for: ${normalizedEmail}`);
+    // Respond identically for unknown emails so the endpoint cannot be
+    // used to discover which addresses have accounts
+    const user = findUserByEmail(normalizedEmail);
+    if (!user) {
+      logger.warn('Password reset requested for unknown email:', { email: normalizedEmail });
+      return res.json({
+        success: true,
+        message: 'Password reset email sent successfully. Please check your inbox.',
+        email: normalizedEmail
+      });
+    }
 
-    // Generate secure reset token
-    const resetToken = crypto.randomBytes(32).toString('hex');
-    const resetExpiry = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+    logger.info(`Processing password reset for: ${normalizedEmail}`);
 
-    // Store reset token
-    storage.resetTokens.set(resetToken, {
-      email: normalizedEmail,
-      expiry: resetExpiry,
-      used: false,
-      createdAt: new Date().toISOString(),
-      ip: req.ip
-    });
+    // Generate secure reset token (only its hash is stored; older tokens are invalidated)
+    const { token: resetToken, tokenHash, expiry } = createResetToken(normalizedEmail, req.ip);
 
     // Generate reset link
     const resetLink = `${process.env.FRONTEND_URL || 'http://localhost:5174'}/reset-password?token=${resetToken}&email=${encodeURIComponent(normalizedEmail)}`;
 
-    logger.info('Generated reset link:', { token: resetToken, email: normalizedEmail });
+    logger.info('Generated reset token:', { email: normalizedEmail, expiresAt: expiry.toISOString() });
 
     // Send email
-    const emailResult = await sendPasswordResetEmail(normalizedEmail, resetLink);
+    const emailResult = await sendPasswordResetEmail(normalizedEmail, resetLink, getResetTokenLifetime());
 
     if (emailResult.success) {
       logger.info('Password reset email sent successfully:', { email: normalizedEmail, messageId: emailResult.messageId });
@@ -98,7 +853,7 @@ router.post('/request-reset', resetPasswordLimiter, async (req, res) => {
       });
     } else {
       // Clean up token if email failed
-      storage.resetTokens.delete(resetToken);
+      storage.resetTokens.delete(tokenHash);
       logger.error('Failed to send email:', emailResult.error);
       res.status(500).json({
         success: false,
@@ -133,19 +888,20 @@ router.post('/reset-password', async (req, res) => {
     const normalizedEmail = email.toLowerCase();
 
     // Check if token exists and is valid
-    const tokenData = storage.resetTokens.get(token);
-    if (!tokenData) {
-      logger.warn('Invalid token used:', { token, email: normalizedEmail });
+    const match = findResetToken(token);
+    if (!match) {
+      logger.warn('Invalid token used:', { email: normalizedEmail });
       return res.status(400).json({
         success: false,
         error: 'Invalid or expired reset token'
       });
     }
+    const { tokenHash, tokenData } = match;
 
     // Check if token is expired
     if (new Date() > tokenData.expiry) {
-      storage.resetTokens.delete(token);
-      logger.warn('Expired token used:', { token, email: normalizedEmail });
+      storage.resetTokens.delete(tokenHash);
+      logger.warn('Expired token used:', { email: normalizedEmail });
       return res.status(400).json({
         success: false,
         error: 'Reset token has expired. Please request a new one.'
@@ -154,7 +910,7 @@ router.post('/reset-password', async (req, res) => {
 
     // Check if token is already used
     if (tokenData.used) {
-      logger.warn('Already used token:', { token, email: normalizedEmail });
+      logger.warn('Already used token:', { email: normalizedEmail });
       return res.status(400).json({
         success: false,
         error: 'Reset token has already been used. Please request a new one.'
@@ -163,7 +919,16 @@ router.post('/reset-password', async (req, res) => {
 
     // Check if email matches
     if (tokenData.email !== normalizedEmail) {
-      logger.warn('Email mismatch:', { token, expectedEmail: tokenData.email, providedEmail: normalizedEmail });
+      logger.warn('Email mismatch:', { expectedEmail: tokenData.email, providedEmail: normalizedEmail });
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid email for this reset token'
+      });
+    }
+
+    const user = findUserByEmail(normalizedEmail);
+    if (!user) {
+      logger.warn('Password reset for missing account:', { email: normalizedEmail });
       return res.status(400).json({
         success: false,
         error: 'Invalid email for this reset token'
@@ -173,9 +938,15 @@ router.post('/reset-password', async (req, res) => {
     // Mark token as used
     tokenData.used = true;
     tokenData.usedAt = new Date().toISOString();
-    storage.resetTokens.set(token, tokenData);
+    storage.resetTokens.set(tokenHash, tokenData);
+
+    await updateUserPassword(user, newPassword);
+
+    // A reset implies the old password may be compromised: sign out everywhere
+    // and revoke the API keys
+    revokeUserSessions(user.id);
+    revokeUserApiKeys(user.id);
 
-    // In production, update the user's password in your database
     logger.info(`Password reset successful for: ${normalizedEmail}`);
 
     res.json({
@@ -203,20 +974,21 @@ router.get('/validate-reset-token', async (req, res) => {
       });
     }
 
-    const normalizedEmail = email.toLowerCase();
-    const tokenData = storage.resetTokens.get(token);
+    const normalizedEmail = String(email).toLowerCase();
+    const match = findResetToken(token);
 
-    if (!tokenData) {
-      logger.warn('Token validation failed - token not found:', { token, email: normalizedEmail });
+    if (!match) {
+      logger.warn('Token validation failed - token not found:', { email: normalizedEmail });
       return res.status(400).json({
         success: false,
         error: 'Invalid reset token'
       });
     }
+    const { tokenHash, tokenData } = match;
 
     if (new Date() > tokenData.expiry) {
-      storage.resetTokens.delete(token);
-      logger.warn('Token validation failed - expired:', { token, email: normalizedEmail });
+      storage.resetTokens.delete(tokenHash);
+      logger.warn('Token validation failed - expired:', { email: normalizedEmail });
       return res.status(400).json({
         success: false,
         error: 'Reset token has expired'
@@ -224,7 +996,7 @@ router.get('/validate-reset-token', async (req, res) => {
     }
 
     if (tokenData.used) {
-      logger.warn('Token validation failed - already used:', { token, email: normalizedEmail });
+      logger.warn('Token validation failed - already used:', { email: normalizedEmail });
       return res.status(400).json({
         success: false,
         error: 'Reset token has already been used'
@@ -232,14 +1004,14 @@ router.get('/validate-reset-token', async (req, res) => {
     }
 
     if (tokenData.email !== normalizedEmail) {
-      logger.warn('Token validation failed - email mismatch:', { token, expectedEmail: tokenData.email, providedEmail: normalizedEmail });
+      logger.warn('Token validation failed - email mismatch:', { expectedEmail: tokenData.email, providedEmail: normalizedEmail });
       return res.status(400).json({
         success: false,
         error: 'Invalid email for this reset token'
       });
     }
 
-    logger.info('Token validation successful:', { token, email: normalizedEmail });
+    logger.info('Token validation successful:', { email: normalizedEmail });
     res.json({
       success: true,
       message: 'Reset token is valid'
@@ -261,7 +1033,9 @@ router.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     memory: process.memoryUsage(),
-    activeTokens: storage.resetTokens.size
+    activeTokens: storage.resetTokens.size,
+    registeredUsers: storage.users.size,
+    activeSessions: storage.sessions.size
   });
 });
 
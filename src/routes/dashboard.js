@@ -2,7 +2,100 @@ const express = require('express');
 const Joi = require('joi');
 const { getStorage } = require('../config/database');
 const logger = require('../utils/logger');
+const wsService = require('../services/wsService');
+const collabService = require('../services/collabService');
+const { requireAuth, requireVerifiedEmail } = require('../middleware/auth');
+const { checkLockout, recordFailure, recordSuccess, sendLockedResponse } = require('../services/lockoutService');
+const { getDashboardRole, canAccessDashboard, canAccessFolder } = require('../services/authorizationService');
+const { getMemberRole } = require('../services/organizationService');
+const { findUserById, findUserByEmail, normalizeEmail } = require('../services/userService');
+const {
+  INVITE_ACCESS_LEVELS,
+  getInviteLifetime,
+  getCollaborator,
+  createInvite,
+  getInvite,
+  listInvitesForEmail,
+  listDashboardInvites,
+  acceptInvite,
+  deleteInvite,
+  setCollaboratorAccess,
+  removeCollaborator,
+  toPublicInvite,
+  toPublicCollaborator
+} = require('../services/dashboardInviteService');
+const { sendDashboardInviteEmail } = require('../config/email');
+const { recordShareAccess, getShareAnalytics } = require('../services/shareAnalyticsService');
+const {
+  listRevisions,
+  getRevision,
+  matchesRevision,
+  diffRevisions,
+  toPublicRevision
+} = require('../services/dashboardRevisionService');
+const {
+  EDITABLE_FIELDS,
+  widgetSchema,
+  getDashboardVersion,
+  getDashboardETag,
+  checkDashboardVersion,
+  commitDashboard,
+  deleteDashboard,
+  getEditableContent,
+  validateEditableContent,
+  applyWidgetOperation
+} = require('../services/dashboardService');
+const dashboardIndex = require('../services/dashboardIndexService');
+const { getFolder, isSameScope, buildFolderTree } = require('../services/folderService');
+const { isFavorite, addFavorite, removeFavorite } = require('../services/favoriteService');
+const { validatePatch, applyPatch } = require('../utils/jsonPatch');
+const {
+  SHARE_MODES,
+  generateShareableId,
+  generateSharePassword,
+  hashSharePassword,
+  isPasswordProtected,
+  verifySharePassword,
+  issueViewerToken,
+  verifyViewerToken,
+  getViewerTokenFromRequest,
+  buildShareableLink,
+  buildShareContent,
+  hashShareContent,
+  isShareOutdated,
+  getShareUnavailableReason,
+  issueEmbedToken,
+  verifyEmbedToken,
+  getEmbedTokenFromRequest,
+  buildEmbedUrl,
+  applyWidgetSubset,
+  toShareSummary,
+  toPublicShare
+} = require('../services/shareService');
+const {
+  TEMPLATE_SCOPES,
+  TOPIC_PLACEHOLDER,
+  ORG_TEMPLATE_ROLES,
+  createTemplate,
+  getTemplate,
+  canUseTemplate,
+  canDeleteTemplate,
+  listTemplatesForUser,
+  instantiateTemplate,
+  deleteTemplate,
+  toPublicTemplate
+} = require('../services/templateService');
+const {
+  BUNDLE_FORMAT,
+  SUPPORTED_FORMAT_VERSIONS,
+  MAX_BUNDLE_DASHBOARDS,
+  collectTopics,
+  buildBundle,
+  prepareImport
+} = require('../services/bundleService');
 const { generateTopicId, validateTopicId, getTopicIdStats } = require('../utils/topicIdGenerator');
+const { replaceTopicIds } = require('../utils/mapStrings');
+const { parseDuration } = require('../utils/duration');
 
 const router = express.Router();
 
@@ -10,401 +103,2591 @@ const router = express.Router();
 const storage = getStorage();
 
 // Validation schemas
+const dashboardVersionSchema = Joi.number().integer().min(1).optional().messages({
+  'number.base': 'version must be a dashboard version number',
+  'number.integer': 'version must be a dashboard version number',
+  'number.min': 'version must be a dashboard version number'
+});
+
 const saveDashboardSchema = Joi.object({
   id: Joi.string().optional(),
   name: Joi.string().required().messages({
     'any.required': 'Dashboard name is required'
   }),
-  widgets: Joi.array().items(
-    Joi.object({
-      id: Joi.string().required(),
-      type: Joi.string().required(),
-      title: Joi.string().optional(),
-      x: Joi.number().required(),
-      y: Joi.number().required(),
-      w: Joi.number().required(),
-      h: Joi.number().required(),
-      data: Joi.object().optional(),
-      config: Joi.object().optional()
-    })
-  ).required(),
+  widgets: Joi.array().items(widgetSchema).required(),
   layout: Joi.object().optional(),
   deviceCount: Joi.number().optional(),
-  stats: Joi.object().optional()
+  stats: Joi.object().optional(),
+  // Organization that owns the dashboard; null moves it back to personal
+  orgId: Joi.string().allow(null).optional(),
+  // Note stored with the revision this change creates
+  revisionMessage: Joi.string().trim().max(200).allow('').optional(),
+  // Version the change is based on (alternative to If-Match)
+  version: dashboardVersionSchema
+});
+
+// Roles that may create or move dashboards into an organization
+const ORG_WRITE_ROLES = ['owner', 'editor'];
+
+const inviteSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Please provide a valid email address',
+    'any.required': 'Email is required'
+  }),
+  access: Joi.string().valid(...INVITE_ACCESS_LEVELS).default('view').messages({
+    'any.only': `Access must be one of: ${INVITE_ACCESS_LEVELS.join(', ')}`
+  })
+});
+
+const collaboratorAccessSchema = Joi.object({
+  access: Joi.string().valid(...INVITE_ACCESS_LEVELS).required().messages({
+    'any.only': `Access must be one of: ${INVITE_ACCESS_LEVELS.join(', ')}`,
+    'any.required': 'Access is required'
+  })
+});
+
+// Sites allowed to iframe a share; each entry is reduced to its origin
+const allowedOriginsSchema = Joi.array().items(
+  Joi.string().uri({ scheme: ['http', 'https'] }).custom(value => new URL(value).origin)
+).max(20).unique().messages({
+  'string.uri': 'Allowed origins must be http(s) URLs, e.g. https://portal.example.com',
+  'string.uriCustomScheme': 'Allowed origins must be http(s) URLs, e.g. https://portal.example.com'
 });
 
 const publishDashboardSchema = Joi.object({
   id: Joi.string().required(),
-  topicId: Joi.string().optional(), // Allow topicId from frontend
   name: Joi.string().required(),
-  widgets: Joi.array().required(),
+  widgets: Joi.array().items(widgetSchema).required(),
   layout: Joi.object().optional(),
   // Accept "layouts" from frontend and normalize later
   layouts: Joi.object().optional(),
   deviceCount: Joi.number().optional(),
   stats: Joi.object().optional(),
   isPublished: Joi.boolean().optional(),
+  version: dashboardVersionSchema,
+  // New shares are password protected unless published as public; republishing
+  // keeps the share's current setting unless the flag is sent
+  passwordProtected: Joi.boolean().optional(),
+  // Optional share limits; null removes a limit
+  expiresAt: Joi.date().iso().greater('now').allow(null).optional(),
+  maxViews: Joi.number().integer().min(1).allow(null).optional(),
+  // "snapshot" freezes the published content, "live" always shows the current dashboard
+  mode: Joi.string().valid(...SHARE_MODES).optional().messages({
+    'any.only': `Mode must be one of: ${SHARE_MODES.join(', ')}`
+  }),
+  allowedOrigins: allowedOriginsSchema.optional(),
+  // Topic ID, link and password are always generated server-side; these are
+  // accepted (and ignored) so clients can send back a previously published dashboard
+  topicId: Joi.string().optional(),
   shareableLink: Joi.string().optional(),
   sharePassword: Joi.string().optional(),
   shareableId: Joi.string().optional()
 });
 
+const shareSettingsSchema = Joi.object({
+  expiresAt: Joi.date().iso().greater('now').allow(null).optional(),
+  maxViews: Joi.number().integer().min(1).allow(null).optional(),
+  // Start counting views from zero again
+  resetViewCount: Joi.boolean().optional(),
+  mode: Joi.string().valid(...SHARE_MODES).optional().messages({
+    'any.only': `Mode must be one of: ${SHARE_MODES.join(', ')}`
+  }),
+  allowedOrigins: allowedOriginsSchema.optional()
+}).min(1);
+
+const embedTokenSchema = Joi.object({
+  // Limit the embed to these widgets; omit for the whole dashboard
+  widgetIds: Joi.array().items(Joi.string()).min(1).unique().optional(),
+  // Token lifetime such as "2h" or "7d"
+  expiresIn: Joi.string().pattern(/^\d+(ms|s|m|h|d)?$/).optional().messages({
+    'string.pattern.base': 'expiresIn must be a duration such as "2h" or "7d"'
+  })
+});
+
+const shareAnalyticsQuerySchema = Joi.object({
+  days: Joi.number().integer().min(1).max(365).default(30),
+  recent: Joi.number().integer().min(0).max(500).default(50)
+});
+
+const revisionDiffQuerySchema = Joi.object({
+  from: Joi.number().integer().min(1).required().messages({
+    'any.required': 'from revision is required'
+  }),
+  // Defaults to the newest revision
+  to: Joi.number().integer().min(1).optional()
+}).messages({
+  'number.base': 'from and to must be revision numbers',
+  'number.integer': 'from and to must be revision numbers',
+  'number.min': 'from and to must be revision numbers'
+});
+
+const restoreRevisionSchema = Joi.object({
+  message: Joi.string().trim().max(200).allow('').optional(),
+  version: dashboardVersionSchema
+});
+
+// Check the version a change is based on (If-Match header or "version"), or send 428/409
+const checkVersion = (req, res, dashboard, { version, required = true } = {}) => {
+  const failure = checkDashboardVersion(dashboard, { ifMatch: req.get('If-Match'), version, required });
+  if (!failure) return true;
+
+  logger.warn('Dashboard version precondition failed:', { dashboardId: dashboard.id, userId: req.user.id, status: failure.status, currentVersion: getDashboardVersion(dashboard), ifMatch: req.get('If-Match'), version });
+  res.status(failure.status).set('ETag', getDashboardETag(dashboard)).json({
+    success: false,
+    error: failure.error,
+    currentVersion: getDashboardVersion(dashboard),
+    updatedAt: dashboard.updatedAt,
+    updatedBy: dashboard.updatedBy || dashboard.userId
+  });
+  return false;
+};
+
+// Single-widget edits; "version" may replace the If-Match header
+const addWidgetSchema = widgetSchema.keys({
+  version: dashboardVersionSchema
+});
+
+const updateWidgetSchema = Joi.object({
+  type: Joi.string().optional(),
+  title: Joi.string().optional(),
+  data: Joi.object().optional(),
+  config: Joi.object().optional(),
+  version: dashboardVersionSchema
+}).or('type', 'title', 'data', 'config').messages({
+  'object.missing': 'Provide at least one of type, title, data or config'
+});
+
+const moveWidgetSchema = Joi.object({
+  x: Joi.number().optional(),
+  y: Joi.number().optional(),
+  w: Joi.number().min(1).optional(),
+  h: Joi.number().min(1).optional(),
+  // Also move the widget in this layout breakpoint (e.g. "lg")
+  breakpoint: Joi.string().optional(),
+  version: dashboardVersionSchema
+}).or('x', 'y', 'w', 'h').messages({
+  'object.missing': 'Provide at least one of x, y, w or h'
+});
+
+const cloneDashboardSchema = Joi.object({
+  // Defaults to "Copy of <name>"
+  name: Joi.string().trim().max(200).optional(),
+  // Organization for the copy; personal when omitted
+  orgId: Joi.string().allow(null).optional()
+});
+
+const createTemplateSchema = Joi.object({
+  name: Joi.string().trim().max(200).required().messages({
+    'any.required': 'Template name is required'
+  }),
+  description: Joi.string().trim().max(500).allow('').optional(),
+  // "org" shares the template with the dashboard's organization
+  scope: Joi.string().valid(...TEMPLATE_SCOPES).default('personal').messages({
+    'any.only': `Scope must be one of: ${TEMPLATE_SCOPES.join(', ')}`
+  })
+});
+
+const templateListQuerySchema = Joi.object({
+  scope: Joi.string().valid('builtin', ...TEMPLATE_SCOPES).optional().messages({
+    'any.only': `Scope must be one of: builtin, ${TEMPLATE_SCOPES.join(', ')}`
+  })
+});
+
+const instantiateTemplateSchema = Joi.object({
+  // Defaults to the template name
+  name: Joi.string().trim().max(200).optional(),
+  orgId: Joi.string().allow(null).optional(),
+  // Values for the template's {{placeholders}}
+  placeholders: Joi.object().pattern(/^[A-Za-z][\w-]*$/, Joi.alternatives(Joi.string(), Joi.number())).default({})
+});
+
+const dashboardListQuerySchema = Joi.object({
+  orgId: Joi.string().optional(),
+  // Words to find in dashboard names and widget titles
+  q: Joi.string().trim().max(200).allow('').optional(),
+  published: Joi.boolean().optional(),
+  tag: Joi.string().trim().max(50).optional(),
+  widgetType: Joi.string().optional(),
+  topic: Joi.string().optional(),
+  // Folder ID, or "none" for dashboards not in a folder
+  folderId: Joi.string().optional(),
+  // With folderId, include dashboards in its subfolders
+  recursive: Joi.boolean().default(false),
+  favorite: Joi.boolean().optional(),
+  // Add the folder tree with dashboard counts
+  includeFolders: Joi.boolean().default(false),
+  sort: Joi.string().valid(...dashboardIndex.SORT_FIELDS).default('updated').messages({
+    'any.only': `Sort must be one of: ${dashboardIndex.SORT_FIELDS.join(', ')}`
+  }),
+  order: Joi.string().valid(...dashboardIndex.SORT_ORDERS).optional().messages({
+    'any.only': 'Order must be asc or desc'
+  }),
+  limit: Joi.number().integer().min(1).max(dashboardIndex.MAX_PAGE_SIZE).optional().messages({
+    'number.max': `Limit cannot be more than ${dashboardIndex.MAX_PAGE_SIZE}`
+  }),
+  cursor: Joi.string().optional()
+});
+
+const tagsSchema = Joi.object({
+  tags: Joi.array()
+    .items(Joi.string().trim().min(1).max(50))
+    .max(20)
+    .unique((a, b) => a.toLowerCase() === b.toLowerCase())
+    .required()
+    .messages({
+      'array.max': 'A dashboard can have at most 20 tags',
+      'array.unique': 'Tags must be unique',
+      'string.max': 'Tags can be at most 50 characters long',
+      'any.required': 'tags is required'
+    }),
+  version: dashboardVersionSchema
+});
+
+const moveDashboardSchema = Joi.object({
+  // null takes the dashboard out of its folder
+  folderId: Joi.string().allow(null).required().messages({
+    'any.required': 'folderId is required (null for no folder)'
+  }),
+  version: dashboardVersionSchema
+});
+
+const exportQuerySchema = Joi.object({
+  orgId: Joi.string().optional(),
+  // Comma-separated dashboard IDs; all readable dashboards when omitted
+  ids: Joi.string().pattern(/^[^,]+(,[^,]+)*$/).optional().messages({
+    'string.pattern.base': 'ids must be a comma-separated list of dashboard IDs'
+  })
+});
+
+// IDs in a bundle must look like generated ones, so they can only match whole topic segments
+const bundleTopicIdSchema = Joi.string()
+  .custom((value, helpers) => (validateTopicId(value) ? value : helpers.error('any.invalid')))
+  .messages({ 'any.invalid': '{{#label}} must be a 15-digit topic ID' });
+
+const bundleDashboardSchema = Joi.object({
+  id: bundleTopicIdSchema.required(),
+  topicId: bundleTopicIdSchema.allow(null).optional(),
+  name: Joi.string().trim().max(200).required().messages({
+    'any.required': 'Every dashboard in the bundle needs a name'
+  }),
+  widgets: Joi.array().items(widgetSchema).required(),
+  layout: Joi.object().optional(),
+  deviceCount: Joi.number().optional(),
+  stats: Joi.object().optional(),
+  tags: Joi.array().items(Joi.string().trim().min(1).max(50)).max(20).optional(),
+  // Informational; recomputed after import
+  topics: Joi.array().items(Joi.string()).optional()
+});
+
+const importBundleSchema = Joi.object({
+  bundle: Joi.object({
+    format: Joi.string().valid(BUNDLE_FORMAT).required().messages({
+      'any.only': `Bundle format must be "${BUNDLE_FORMAT}"`,
+      'any.required': 'Bundle format is required'
+    }),
+    formatVersion: Joi.number().integer().valid(...SUPPORTED_FORMAT_VERSIONS).required().messages({
+      'any.only': `Unsupported bundle format version (supported: ${SUPPORTED_FORMAT_VERSIONS.join(', ')})`,
+      'any.required': 'Bundle formatVersion is required'
+    }),
+    exportedAt: Joi.string().isoDate().optional(),
+    dashboards: Joi.array().items(bundleDashboardSchema).min(1).max(MAX_BUNDLE_DASHBOARDS).required().messages({
+      'array.min': 'Bundle contains no dashboards',
+      'array.max': `A bundle can contain at most ${MAX_BUNDLE_DASHBOARDS} dashboards`
+    })
+  }).required(),
+  // Organization to import into; personal when omitted
+  orgId: Joi.string().allow(null).optional(),
+  // Keep the bundle's IDs and topic IDs where no dashboard here uses them yet
+  keepIds: Joi.boolean().default(false)
+});
+
+const shareAccessSchema = Joi.object({
+  password: Joi.string().required().messages({
+    'any.required': 'Password is required'
+  })
+});
+
 // Save dashboard
-router.post('/save', async (req, res) => {
+router.post('/save', requireAuth, async (req, res) => {
   try {
     logger.info('Dashboard save request received:', { 
-      userId: req.user?.id || 'anonymous',
+      userId: req.user.id,
+      dashboardName: req.body.name,
+      widgetCount: req.body.widgets?.length || 0
+    });
+
+    // Validate request body
+    const { error, value } = saveDashboardSchema.validate(req.body);
+    if (error) {
+      logger.warn('Validation error:', error.details[0].message);
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { revisionMessage, version, ...dashboardData } = value;
+    const userId = req.user.id;
+    
+    // Generate unique 15-digit topic ID if not provided
+    if (!dashboardData.id) {
+      dashboardData.id = generateTopicId();
+      logger.info('Generated new topic ID:', { topicId: dashboardData.id });
+    } else {
+      // Validate existing ID format
+      if (!validateTopicId(dashboardData.id)) {
+        logger.warn('Invalid topic ID format provided, generating new one:', { providedId: dashboardData.id });
+        dashboardData.id = generateTopicId();
+        logger.info('Generated replacement topic ID:', { topicId: dashboardData.id });
+      }
+    }
+
+    // Saving under an existing ID overwrites it, so the caller needs update rights
+    const existingDashboard = storage.dashboards.get(dashboardData.id);
+    if (existingDashboard && !canAccessDashboard(existingDashboard, userId, 'update')) {
+      logger.warn('Unauthorized dashboard overwrite attempt:', { dashboardId: dashboardData.id, userId });
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized to update this dashboard'
+      });
+    }
+
+    // Overwriting is checked against the client's version when it sends one
+    if (existingDashboard && !checkVersion(req, res, existingDashboard, { version, required: false })) return;
+
+    // An overwrite that leaves out orgId stays where it is; moving it is an
+    // ownership change and needs the same rights as on /update/:id
+    const orgChanged = Boolean(existingDashboard) && dashboardData.orgId !== undefined &&
+      (dashboardData.orgId || null) !== (existingDashboard.orgId || null);
+    if (orgChanged) {
+      const canMove = canAccessDashboard(existingDashboard, userId, 'manage') &&
+        (!dashboardData.orgId || ORG_WRITE_ROLES.includes(getMemberRole(dashboardData.orgId, userId)));
+      if (!canMove) {
+        logger.warn('Unauthorized dashboard organization change:', { dashboardId: dashboardData.id, userId, fromOrgId: existingDashboard.orgId, toOrgId: dashboardData.orgId });
+        return res.status(403).json({
+          success: false,
+          error: 'Unauthorized to move this dashboard'
+        });
+      }
+    }
+    const orgId = existingDashboard && !orgChanged ? existingDashboard.orgId || null : dashboardData.orgId || null;
+
+    if (!existingDashboard && orgId && !ORG_WRITE_ROLES.includes(getMemberRole(orgId, userId))) {
+      logger.warn('Unauthorized organization dashboard save attempt:', { orgId, userId });
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized to create dashboards in this organization'
+      });
+    }
+
+    // Overwriting replaces the content but keeps the rest of the record, as on
+    // /update/:id: creator, collaborators, folder, tags, creation date and share
+    const now = new Date().toISOString();
+    const dashboard = existingDashboard
+      ? {
+        ...existingDashboard,
+        ...dashboardData,
+        orgId,
+        // Moving a dashboard out of an org makes the mover its personal owner
+        userId: orgChanged && !orgId ? userId : existingDashboard.userId,
+        // Folders belong to one organization (or owner), so the dashboard leaves its folder
+        folderId: orgChanged ? null : existingDashboard.folderId || null,
+        updatedBy: userId,
+        updatedAt: now
+      }
+      : {
+        ...dashboardData,
+        orgId,
+        userId,
+        collaborators: [],
+        createdAt: now,
+        updatedAt: now,
+        isPublished: false
+      };
+
+    // Store dashboard
+    commitDashboard(dashboard, { userId, action: 'save', message: revisionMessage });
+
+    logger.info('Dashboard saved successfully:', { 
+      dashboardId: dashboard.id,
+      userId: userId,
+      widgetCount: dashboard.widgets.length
+    });
+
+    res.set('ETag', getDashboardETag(dashboard)).json({
+      success: true,
+      message: 'Dashboard saved successfully',
+      dashboard: {
+        id: dashboard.id,
+        name: dashboard.name,
+        version: dashboard.version,
+        widgetCount: dashboard.widgets.length,
+        createdAt: dashboard.createdAt,
+        updatedAt: dashboard.updatedAt
+      }
+    });
+
+  } catch (error) {
+    logger.error('Dashboard save error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while saving the dashboard'
+    });
+  }
+});
+
+// Update dashboard
+router.put('/update/:id', requireAuth, async (req, res) => {
+  try {
+    const dashboardId = req.params.id;
+    const userId = req.user.id;
+
+    logger.info('Dashboard update request received:', { 
+      dashboardId,
+      userId,
       dashboardName: req.body.name,
       widgetCount: req.body.widgets?.length || 0
     });
 
-    // Validate request body
-    const { error, value } = saveDashboardSchema.validate(req.body);
+    // Validate request body
+    const { error, value } = saveDashboardSchema.validate(req.body);
+    if (error) {
+      logger.warn('Validation error:', error.details[0].message);
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    // Check if dashboard exists
+    const existingDashboard = storage.dashboards.get(dashboardId);
+    if (!existingDashboard) {
+      logger.warn('Dashboard not found for update:', { dashboardId, userId });
+      return res.status(404).json({
+        success: false,
+        error: 'Dashboard not found'
+      });
+    }
+
+    // Check permissions
+    if (!canAccessDashboard(existingDashboard, userId, 'update')) {
+      logger.warn('Unauthorized dashboard update attempt:', { dashboardId, userId, role: getDashboardRole(existingDashboard, userId) });
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized to update this dashboard'
+      });
+    }
+
+    if (!checkVersion(req, res, existingDashboard, { version: value.version })) return;
+
+    // Moving between organizations is an ownership change
+    const orgChanged = value.orgId !== undefined && (value.orgId || null) !== (existingDashboard.orgId || null);
+    if (orgChanged) {
+      const canMove = canAccessDashboard(existingDashboard, userId, 'manage') &&
+        (!value.orgId || ORG_WRITE_ROLES.includes(getMemberRole(value.orgId, userId)));
+      if (!canMove) {
+        logger.warn('Unauthorized dashboard organization change:', { dashboardId, userId, fromOrgId: existingDashboard.orgId, toOrgId: value.orgId });
+        return res.status(403).json({
+          success: false,
+          error: 'Unauthorized to move this dashboard'
+        });
+      }
+    }
+
+    // Update dashboard
+    const { revisionMessage, version, ...changes } = value;
+    const updatedDashboard = {
+      ...existingDashboard,
+      ...changes,
+      id: dashboardId, // Ensure ID doesn't change
+      orgId: value.orgId !== undefined ? value.orgId || null : existingDashboard.orgId || null,
+      // Moving a dashboard out of an org makes the mover its personal owner
+      userId: orgChanged && !value.orgId ? userId : existingDashboard.userId,
+      // Folders belong to one organization (or owner), so the dashboard leaves its folder
+      folderId: orgChanged ? null : existingDashboard.folderId || null,
+      updatedBy: userId,
+      updatedAt: new Date().toISOString()
+    };
+
+    commitDashboard(updatedDashboard, { userId, action: 'update', message: revisionMessage });
+
+    logger.info('Dashboard updated successfully:', { 
+      dashboardId,
+      userId,
+      widgetCount: updatedDashboard.widgets.length
+    });
+
+    res.set('ETag', getDashboardETag(updatedDashboard)).json({
+      success: true,
+      message: 'Dashboard updated successfully',
+      dashboard: {
+        id: updatedDashboard.id,
+        name: updatedDashboard.name,
+        version: updatedDashboard.version,
+        widgetCount: updatedDashboard.widgets.length,
+        createdAt: updatedDashboard.createdAt,
+        updatedAt: updatedDashboard.updatedAt
+      }
+    });
+
+  } catch (error) {
+    logger.error('Dashboard update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while updating the dashboard'
+    });
+  }
+});
+
+// Load a dashboard the caller may edit and check the version the edit is based on, or send the error response
+const loadEditableDashboard = (req, res, version, { required = true } = {}) => {
+  const dashboard = storage.dashboards.get(req.params.id);
+  if (!dashboard) {
+    res.status(404).json({
+      success: false,
+      error: 'Dashboard not found'
+    });
+    return null;
+  }
+
+  if (!canAccessDashboard(dashboard, req.user.id, 'update')) {
+    logger.warn('Unauthorized dashboard edit attempt:', { dashboardId: dashboard.id, userId: req.user.id, path: req.path });
+    res.status(403).json({
+      success: false,
+      error: 'Unauthorized to update this dashboard'
+    });
+    return null;
+  }
+
+  return checkVersion(req, res, dashboard, { version, required }) ? dashboard : null;
+};
+
+// Validate edited content like a full save and store it as the next version, or send 400
+const commitEditedContent = (req, res, dashboard, content) => {
+  const error = validateEditableContent(content);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error
+    });
+    return null;
+  }
+
+  const editedDashboard = {
+    ...dashboard,
+    ...content,
+    updatedBy: req.user.id,
+    updatedAt: new Date().toISOString()
+  };
+  // Fields removed by a patch must not survive from the stored dashboard
+  EDITABLE_FIELDS.forEach((field) => {
+    if (content[field] === undefined) delete editedDashboard[field];
+  });
+
+  commitDashboard(editedDashboard, { userId: req.user.id, action: 'update' });
+  res.set('ETag', getDashboardETag(editedDashboard));
+  return editedDashboard;
+};
+
+const toEditedSummary = dashboard => ({
+  id: dashboard.id,
+  name: dashboard.name,
+  version: dashboard.version,
+  widgetCount: dashboard.widgets.length,
+  updatedAt: dashboard.updatedAt
+});
+
+// Partially update a dashboard with a JSON Patch (RFC 6902) over name, widgets, layout, deviceCount and stats
+router.patch('/:id', requireAuth, (req, res) => {
+  try {
+    const patchError = validatePatch(req.body);
+    if (patchError) {
+      return res.status(400).json({
+        success: false,
+        error: patchError
+      });
+    }
+
+    const dashboard = loadEditableDashboard(req, res, req.query.version);
+    if (!dashboard) return;
+
+    const { document, error } = applyPatch(getEditableContent(dashboard), req.body);
+    if (error) {
+      // RFC 5789: a patch that cannot be applied is a conflict with the current state
+      return res.status(409).json({
+        success: false,
+        error
+      });
+    }
+
+    const unknownFields = document && typeof document === 'object' && !Array.isArray(document)
+      ? Object.keys(document).filter(field => !EDITABLE_FIELDS.includes(field))
+      : null;
+    if (!unknownFields || unknownFields.length) {
+      return res.status(400).json({
+        success: false,
+        error: `Only ${EDITABLE_FIELDS.join(', ')} can be changed with a patch`
+      });
+    }
+
+    const patchedDashboard = commitEditedContent(req, res, dashboard, document);
+    if (!patchedDashboard) return;
+
+    logger.info('Dashboard patched:', { dashboardId: dashboard.id, userId: req.user.id, operations: req.body.length, version: patchedDashboard.version });
+
+    res.json({
+      success: true,
+      message: 'Dashboard updated successfully',
+      dashboard: toEditedSummary(patchedDashboard)
+    });
+
+  } catch (error) {
+    logger.error('Dashboard patch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while updating the dashboard'
+    });
+  }
+});
+
+// Apply a single-widget operation (see applyWidgetOperation) and send the response
+const editWidget = (req, res, schema, buildOperation, successMessage) => {
+  try {
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { version, ...fields } = value;
+    const dashboard = loadEditableDashboard(req, res, version ?? req.query.version);
+    if (!dashboard) return;
+
+    const operation = buildOperation(fields);
+    const result = applyWidgetOperation(getEditableContent(dashboard), operation);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    const editedDashboard = commitEditedContent(req, res, dashboard, result.content);
+    if (!editedDashboard) return;
+
+    logger.info('Dashboard widget edited:', { dashboardId: dashboard.id, userId: req.user.id, operation: operation.type, widgetId: result.widget.id, version: editedDashboard.version });
+
+    res.json({
+      success: true,
+      message: successMessage,
+      widget: result.widget,
+      dashboard: toEditedSummary(editedDashboard)
+    });
+
+  } catch (error) {
+    logger.error('Dashboard widget edit error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while updating the widget'
+    });
+  }
+};
+
+// Add a widget
+router.post('/:id/widgets', requireAuth, (req, res) => {
+  editWidget(req, res, addWidgetSchema, widget => ({ type: 'add', widget }), 'Widget added successfully');
+});
+
+// Change a widget's type, title, data or config
+router.patch('/:id/widgets/:widgetId', requireAuth, (req, res) => {
+  editWidget(req, res, updateWidgetSchema, changes => ({ type: 'update', widgetId: req.params.widgetId, changes }), 'Widget updated successfully');
+});
+
+// Move and/or resize a widget
+router.put('/:id/widgets/:widgetId/position', requireAuth, (req, res) => {
+  editWidget(req, res, moveWidgetSchema, ({ breakpoint, ...changes }) => ({ type: 'move', widgetId: req.params.widgetId, changes, breakpoint }), 'Widget moved successfully');
+});
+
+// Delete a widget (and its layout entries)
+router.delete('/:id/widgets/:widgetId', requireAuth, (req, res) => {
+  editWidget(req, res, Joi.object({ version: dashboardVersionSchema }), () => ({ type: 'delete', widgetId: req.params.widgetId }), 'Widget deleted successfully');
+});
+
+// Move a dashboard into a folder of its organization (or its owner's personal folders), or out of one
+router.put('/:id/folder', requireAuth, (req, res) => {
+  try {
+    const { error, value } = moveDashboardSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    // Filing and tagging do not change content, so the version is only checked when sent
+    const dashboard = loadEditableDashboard(req, res, value.version, { required: false });
+    if (!dashboard) return;
+
+    const folder = value.folderId ? getFolder(value.folderId) : null;
+    if (value.folderId && (!folder || !canAccessFolder(folder, req.user.id, 'read'))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Folder not found'
+      });
+    }
+    if (folder && !canAccessFolder(folder, req.user.id, 'update')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized to add dashboards to this folder'
+      });
+    }
+    if (folder && !isSameScope(folder, dashboard)) {
+      return res.status(400).json({
+        success: false,
+        error: dashboard.orgId
+          ? 'The folder belongs to a different organization than the dashboard'
+          : 'Personal dashboards can only be filed in their owner\'s personal folders'
+      });
+    }
+
+    const movedDashboard = {
+      ...dashboard,
+      folderId: folder ? folder.id : null,
+      updatedBy: req.user.id,
+      updatedAt: new Date().toISOString()
+    };
+    commitDashboard(movedDashboard, { userId: req.user.id, action: 'move' });
+
+    logger.info('Dashboard moved to folder:', { dashboardId: dashboard.id, fromFolderId: dashboard.folderId || null, toFolderId: movedDashboard.folderId, userId: req.user.id });
+
+    res.set('ETag', getDashboardETag(movedDashboard)).json({
+      success: true,
+      message: folder ? `Dashboard moved to "${folder.name}"` : 'Dashboard removed from its folder',
+      folderId: movedDashboard.folderId,
+      version: movedDashboard.version
+    });
+
+  } catch (error) {
+    logger.error('Move dashboard error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while moving the dashboard'
+    });
+  }
+});
+
+// Replace a dashboard's tags
+router.put('/:id/tags', requireAuth, (req, res) => {
+  try {
+    const { error, value } = tagsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const dashboard = loadEditableDashboard(req, res, value.version, { required: false });
+    if (!dashboard) return;
+
+    const taggedDashboard = {
+      ...dashboard,
+      tags: value.tags,
+      updatedBy: req.user.id,
+      updatedAt: new Date().toISOString()
+    };
+    commitDashboard(taggedDashboard, { userId: req.user.id, action: 'tag' });
+
+    logger.info('Dashboard tags changed:', { dashboardId: dashboard.id, tagCount: value.tags.length, userId: req.user.id });
+
+    res.set('ETag', getDashboardETag(taggedDashboard)).json({
+      success: true,
+      tags: taggedDashboard.tags,
+      version: taggedDashboard.version
+    });
+
+  } catch (error) {
+    logger.error('Dashboard tags error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while updating the tags'
+    });
+  }
+});
+
+// Resolve a dashboard the caller can read, or send 403/404
+const loadReadableDashboard = (req, res) => {
+  const dashboard = storage.dashboards.get(req.params.id);
+  if (!dashboard || !canAccessDashboard(dashboard, req.user.id, 'read')) {
+    res.status(dashboard ? 403 : 404).json({
+      success: false,
+      error: dashboard ? 'Unauthorized to access this dashboard' : 'Dashboard not found'
+    });
+    return null;
+  }
+  return dashboard;
+};
+
+// Star a dashboard (favorites are per user)
+router.put('/:id/favorite', requireAuth, (req, res) => {
+  try {
+    const dashboard = loadReadableDashboard(req, res);
+    if (!dashboard) return;
+
+    addFavorite(req.user.id, dashboard.id);
+
+    res.json({
+      success: true,
+      favorite: true
+    });
+
+  } catch (error) {
+    logger.error('Add favorite error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while starring the dashboard'
+    });
+  }
+});
+
+// Remove the star from a dashboard
+router.delete('/:id/favorite', requireAuth, (req, res) => {
+  try {
+    // Stars on dashboards the user can no longer open can still be removed
+    if (!removeFavorite(req.user.id, req.params.id) && !storage.dashboards.has(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dashboard not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      favorite: false
+    });
+
+  } catch (error) {
+    logger.error('Remove favorite error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while removing the star'
+    });
+  }
+});
+
+// Publish dashboard
+router.post('/publish', requireAuth, requireVerifiedEmail, async (req, res) => {
+  try {
+    logger.info('Dashboard publish request received:', { 
+      userId: req.user.id,
+      dashboardId: req.body.id,
+      dashboardName: req.body.name
+    });
+
+    // Validate request body
+  const { error, value } = publishDashboardSchema.validate(req.body);
+    if (error) {
+      logger.warn('Validation error:', error.details[0].message);
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+  // Normalize layouts -> layout for backend consistency
+  const dashboardData = {
+    ...value,
+    layout: value.layout || value.layouts || {},
+  };
+    delete dashboardData.topicId;
+    const userId = req.user.id;
+
+    // Published content follows the same rules as a save
+    const contentError = validateEditableContent(getEditableContent(dashboardData));
+    if (contentError) {
+      logger.warn('Validation error:', contentError);
+      return res.status(400).json({
+        success: false,
+        error: contentError
+      });
+    }
+
+    // Check if dashboard exists
+    const existingDashboard = storage.dashboards.get(dashboardData.id);
+    if (!existingDashboard) {
+      logger.warn('Dashboard not found for publishing:', { dashboardId: dashboardData.id, userId });
+      return res.status(404).json({
+        success: false,
+        error: 'Dashboard not found'
+      });
+    }
+
+    // Check permissions
+    if (!canAccessDashboard(existingDashboard, userId, 'publish')) {
+      logger.warn('Unauthorized dashboard publish attempt:', { dashboardId: dashboardData.id, userId, role: getDashboardRole(existingDashboard, userId) });
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized to publish this dashboard'
+      });
+    }
+
+    if (!checkVersion(req, res, existingDashboard, { version: dashboardData.version })) return;
+    delete dashboardData.version;
+
+    // Republishing replaces the existing share in place: same link, same password
+    const previousShare = existingDashboard.shareableId ? storage.sharedDashboards.get(existingDashboard.shareableId) : null;
+    const shareableId = previousShare ? previousShare.panelId : generateShareableId();
+    const shareableLink = buildShareableLink(shareableId);
+
+    const passwordProtected = dashboardData.passwordProtected !== undefined
+      ? dashboardData.passwordProtected
+      : previousShare ? isPasswordProtected(previousShare) : true;
+
+    // Keep the current password unless protection is being switched on
+    let sharePassword = null;
+    let sharePasswordHash = null;
+    if (passwordProtected) {
+      if (previousShare && isPasswordProtected(previousShare)) {
+        sharePasswordHash = previousShare.sharePasswordHash;
+      } else {
+        sharePassword = generateSharePassword();
+        sharePasswordHash = await hashSharePassword(sharePassword);
+      }
+    }
+
+    // Keep the dashboard's topicId for MQTT communication, or generate one on first publish
+    const topicId = existingDashboard.topicId || generateTopicId();
+    
+    // Update dashboard with publish data (the plain password is only returned once, below)
+    const shareLimits = {
+      expiresAt: dashboardData.expiresAt !== undefined ? dashboardData.expiresAt : previousShare?.expiresAt || null,
+      maxViews: dashboardData.maxViews !== undefined ? dashboardData.maxViews : previousShare?.maxViews || null
+    };
+    delete dashboardData.sharePassword;
+    delete dashboardData.passwordProtected;
+    const shareMode = dashboardData.mode || previousShare?.mode || 'snapshot';
+    const allowedOrigins = dashboardData.allowedOrigins || previousShare?.allowedOrigins || [];
+    delete dashboardData.expiresAt;
+    delete dashboardData.maxViews;
+    delete dashboardData.mode;
+    delete dashboardData.allowedOrigins;
+    const publishedDashboard = {
+      ...existingDashboard,
+      ...dashboardData,
+      topicId: topicId, // CRITICAL: Ensure topicId is set for MQTT
+      isPublished: true,
+      publishedAt: new Date().toISOString(),
+      shareableLink: shareableLink,
+      passwordProtected: Boolean(sharePasswordHash),
+      shareableId: shareableId,
+      updatedAt: new Date().toISOString()
+    };
+    delete publishedDashboard.sharePassword;
+
+    // Store published dashboard
+    commitDashboard(publishedDashboard, { userId, action: 'publish' });
+
+    // Store shared dashboard data for public access
+    // topicId is part of the content. CRITICAL: viewers need it for MQTT communication
+    const shareContent = buildShareContent(publishedDashboard);
+    const sharedDashboardData = {
+      panelId: shareableId,
+      ...shareContent,
+      mode: shareMode,
+      contentHash: hashShareContent(shareContent),
+      sharePasswordHash: sharePasswordHash,
+      // A new password invalidates viewer tokens issued for the old one
+      passwordVersion: (previousShare?.passwordVersion || 0) + (sharePassword || !previousShare ? 1 : 0),
+      expiresAt: shareLimits.expiresAt ? new Date(shareLimits.expiresAt).toISOString() : null,
+      maxViews: shareLimits.maxViews,
+      viewCount: previousShare?.viewCount || 0,
+      allowedOrigins,
+      embedVersion: previousShare?.embedVersion || 1,
+      publishedAt: publishedDashboard.publishedAt,
+      isShared: true,
+      originalDashboardId: dashboardData.id
+    };
+
+    storage.sharedDashboards.set(shareableId, sharedDashboardData);
+
+    logger.info('Dashboard published successfully:', { 
+      dashboardId: dashboardData.id,
+      topicId: topicId,
+      shareableId: shareableId,
+      userId: userId,
+      republished: Boolean(previousShare),
+      widgetCount: publishedDashboard.widgets.length
+    });
+
+    res.set('ETag', getDashboardETag(publishedDashboard)).json({
+      success: true,
+      message: previousShare ? 'Dashboard republished successfully' : 'Dashboard published successfully',
+      dashboard: {
+        id: publishedDashboard.id,
+        topicId: topicId, // CRITICAL: Return topicId to frontend
+        name: publishedDashboard.name,
+        version: publishedDashboard.version,
+        isPublished: true,
+        publishedAt: publishedDashboard.publishedAt,
+        shareableLink: shareableLink,
+        passwordProtected: Boolean(sharePasswordHash),
+        // Only set when a new password was generated; shown once, only a hash is stored
+        sharePassword: sharePassword,
+        shareableId: shareableId,
+        share: toShareSummary(sharedDashboardData, publishedDashboard)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Dashboard publish error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while publishing the dashboard'
+    });
+  }
+});
+
+// Load a published dashboard the caller may publish, or send the error response
+const loadPublishedDashboard = (req, res) => {
+  const dashboardId = req.params.id;
+  const dashboard = storage.dashboards.get(dashboardId);
+  if (!dashboard) {
+    res.status(404).json({
+      success: false,
+      error: 'Dashboard not found'
+    });
+    return {};
+  }
+
+  if (!canAccessDashboard(dashboard, req.user.id, 'publish')) {
+    logger.warn('Unauthorized share management attempt:', { dashboardId, userId: req.user.id, path: req.path });
+    res.status(403).json({
+      success: false,
+      error: 'Unauthorized to manage sharing for this dashboard'
+    });
+    return {};
+  }
+
+  const sharedDashboard = dashboard.shareableId ? storage.sharedDashboards.get(dashboard.shareableId) : null;
+  if (!dashboard.isPublished || !sharedDashboard) {
+    res.status(409).json({
+      success: false,
+      error: 'Dashboard is not published'
+    });
+    return {};
+  }
+
+  return { dashboard, sharedDashboard };
+};
+
+// Replace a share's content with the dashboard as it is now
+const refreshShareContent = (sharedDashboard, dashboard) => {
+  const content = buildShareContent(dashboard);
+  Object.assign(sharedDashboard, content, {
+    contentHash: hashShareContent(content),
+    publishedAt: new Date().toISOString()
+  });
+};
+
+// Unpublish dashboard (the share link stops working immediately)
+router.post('/:id/unpublish', requireAuth, (req, res) => {
+  try {
+    const { dashboard, sharedDashboard } = loadPublishedDashboard(req, res);
+    if (!dashboard) return;
+
+    storage.sharedDashboards.delete(sharedDashboard.panelId);
+    wsService.disconnectShare(sharedDashboard.panelId);
+
+    const unpublishedDashboard = {
+      ...dashboard,
+      isPublished: false,
+      passwordProtected: false,
+      updatedAt: new Date().toISOString()
+    };
+    delete unpublishedDashboard.shareableId;
+    delete unpublishedDashboard.shareableLink;
+    delete unpublishedDashboard.publishedAt;
+    commitDashboard(unpublishedDashboard, { userId: req.user.id, action: 'unpublish' });
+
+    logger.info('Dashboard unpublished:', { dashboardId: dashboard.id, shareableId: sharedDashboard.panelId, userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Dashboard unpublished successfully'
+    });
+
+  } catch (error) {
+    logger.error('Dashboard unpublish error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while unpublishing the dashboard'
+    });
+  }
+});
+
+// Get share settings (link, limits, view count)
+router.get('/:id/share', requireAuth, (req, res) => {
+  const { dashboard, sharedDashboard } = loadPublishedDashboard(req, res);
+  if (!dashboard) return;
+
+  res.json({
+    success: true,
+    share: toShareSummary(sharedDashboard, dashboard)
+  });
+});
+
+// Change share expiry and view limit
+router.put('/:id/share', requireAuth, (req, res) => {
+  try {
+    const { error, value } = shareSettingsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { dashboard, sharedDashboard } = loadPublishedDashboard(req, res);
+    if (!dashboard) return;
+
+    if (value.expiresAt !== undefined) {
+      sharedDashboard.expiresAt = value.expiresAt ? value.expiresAt.toISOString() : null;
+    }
+    if (value.maxViews !== undefined) {
+      sharedDashboard.maxViews = value.maxViews;
+    }
+    if (value.resetViewCount) {
+      sharedDashboard.viewCount = 0;
+    }
+    if (value.allowedOrigins !== undefined) {
+      sharedDashboard.allowedOrigins = value.allowedOrigins;
+    }
+    if (value.mode && value.mode !== (sharedDashboard.mode || 'snapshot')) {
+      // Switching to snapshot freezes what the live share shows right now
+      if (value.mode === 'snapshot') refreshShareContent(sharedDashboard, dashboard);
+      sharedDashboard.mode = value.mode;
+    }
+
+    logger.info('Share settings updated:', { dashboardId: dashboard.id, shareableId: sharedDashboard.panelId, userId: req.user.id });
+
+    res.json({
+      success: true,
+      share: toShareSummary(sharedDashboard, dashboard)
+    });
+
+  } catch (error) {
+    logger.error('Share settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while updating share settings'
+    });
+  }
+});
+
+// Republish changes: update a snapshot share to the current dashboard
+router.post('/:id/share/republish', requireAuth, requireVerifiedEmail, (req, res) => {
+  try {
+    const { dashboard, sharedDashboard } = loadPublishedDashboard(req, res);
+    if (!dashboard) return;
+
+    const wasOutdated = isShareOutdated(sharedDashboard, dashboard);
+    refreshShareContent(sharedDashboard, dashboard);
+    commitDashboard({
+      ...dashboard,
+      publishedAt: sharedDashboard.publishedAt
+    }, { userId: req.user.id, action: 'republish' });
+
+    logger.info('Share content republished:', { dashboardId: dashboard.id, shareableId: sharedDashboard.panelId, userId: req.user.id, wasOutdated });
+
+    res.json({
+      success: true,
+      message: wasOutdated ? 'Changes republished successfully' : 'Shared dashboard was already up to date',
+      share: toShareSummary(sharedDashboard, dashboard)
+    });
+
+  } catch (error) {
+    logger.error('Share republish error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while republishing the dashboard'
+    });
+  }
+});
+
+// Issue a signed embed URL (no password needed while the token is valid)
+router.post('/:id/share/embed', requireAuth, (req, res) => {
+  try {
+    const { error, value } = embedTokenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { dashboard, sharedDashboard } = loadPublishedDashboard(req, res);
+    if (!dashboard) return;
+
+    // Widgets must exist in what viewers of this share actually see
+    if (value.widgetIds) {
+      const sharedWidgets = sharedDashboard.mode === 'live' ? dashboard.widgets : sharedDashboard.widgets;
+      const knownIds = new Set((sharedWidgets || []).map(widget => widget.id));
+      const unknownIds = value.widgetIds.filter(widgetId => !knownIds.has(widgetId));
+      if (unknownIds.length) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown widget IDs: ${unknownIds.join(', ')}`
+        });
+      }
+    }
+
+    const { embedToken, expiresAt } = issueEmbedToken(sharedDashboard, {
+      widgetIds: value.widgetIds,
+      expiresInMs: value.expiresIn ? parseDuration(value.expiresIn) : undefined
+    });
+
+    logger.info('Embed token issued:', { dashboardId: dashboard.id, shareableId: sharedDashboard.panelId, userId: req.user.id, widgetCount: value.widgetIds?.length, expiresAt });
+
+    res.status(201).json({
+      success: true,
+      embedToken,
+      embedUrl: buildEmbedUrl(sharedDashboard.panelId, embedToken),
+      expiresAt,
+      widgetIds: value.widgetIds || null,
+      allowedOrigins: sharedDashboard.allowedOrigins || []
+    });
+
+  } catch (error) {
+    logger.error('Embed token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while creating the embed link'
+    });
+  }
+});
+
+// Revoke every embed token issued for the share
+router.post('/:id/share/embed/revoke', requireAuth, (req, res) => {
+  try {
+    const { dashboard, sharedDashboard } = loadPublishedDashboard(req, res);
+    if (!dashboard) return;
+
+    sharedDashboard.embedVersion = (sharedDashboard.embedVersion || 1) + 1;
+    wsService.disconnectShare(sharedDashboard.panelId);
+
+    logger.info('Embed tokens revoked:', { dashboardId: dashboard.id, shareableId: sharedDashboard.panelId, userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'All embed links for this dashboard have been revoked'
+    });
+
+  } catch (error) {
+    logger.error('Embed revoke error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while revoking embed links'
+    });
+  }
+});
+
+// Share access analytics (kept after unpublishing, until the dashboard is deleted)
+router.get('/:id/share/analytics', requireAuth, (req, res) => {
+  try {
+    const { error, value } = shareAnalyticsQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const dashboard = storage.dashboards.get(req.params.id);
+    if (!dashboard) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dashboard not found'
+      });
+    }
+
+    if (!canAccessDashboard(dashboard, req.user.id, 'publish')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized to view analytics for this dashboard'
+      });
+    }
+
+    res.json({
+      success: true,
+      analytics: getShareAnalytics(dashboard.id, value)
+    });
+
+  } catch (error) {
+    logger.error('Share analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while loading share analytics'
+    });
+  }
+});
+
+// Rotate share link: the old link stops working, password and limits are kept
+router.post('/:id/share/rotate-link', requireAuth, (req, res) => {
+  try {
+    const { dashboard, sharedDashboard } = loadPublishedDashboard(req, res);
+    if (!dashboard) return;
+
+    const previousShareableId = sharedDashboard.panelId;
+    const shareableId = generateShareableId();
+    const shareableLink = buildShareableLink(shareableId);
+
+    storage.sharedDashboards.delete(previousShareableId);
+    storage.sharedDashboards.set(shareableId, { ...sharedDashboard, panelId: shareableId });
+    wsService.disconnectShare(previousShareableId);
+    commitDashboard({
+      ...dashboard,
+      shareableId,
+      shareableLink,
+      updatedAt: new Date().toISOString()
+    }, { userId: req.user.id, action: 'rotate-link' });
+
+    logger.info('Share link rotated:', { dashboardId: dashboard.id, previousShareableId, shareableId, userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Share link rotated. The previous link no longer works.',
+      share: toShareSummary(storage.sharedDashboards.get(shareableId), dashboard)
+    });
+
+  } catch (error) {
+    logger.error('Share link rotation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while rotating the share link'
+    });
+  }
+});
+
+// Rotate share password: viewer tokens issued for the old password stop working
+router.post('/:id/share/rotate-password', requireAuth, async (req, res) => {
+  try {
+    const { dashboard, sharedDashboard } = loadPublishedDashboard(req, res);
+    if (!dashboard) return;
+
+    const sharePassword = generateSharePassword();
+    sharedDashboard.sharePasswordHash = await hashSharePassword(sharePassword);
+    sharedDashboard.passwordVersion = (sharedDashboard.passwordVersion || 1) + 1;
+    wsService.disconnectShare(sharedDashboard.panelId);
+
+    commitDashboard({
+      ...dashboard,
+      passwordProtected: true,
+      updatedAt: new Date().toISOString()
+    }, { userId: req.user.id, action: 'rotate-password' });
+
+    logger.info('Share password rotated:', { dashboardId: dashboard.id, shareableId: sharedDashboard.panelId, userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Share password rotated. Viewers need the new password.',
+      // Shown once; only a hash is stored
+      sharePassword,
+      share: toShareSummary(sharedDashboard, dashboard)
+    });
+
+  } catch (error) {
+    logger.error('Share password rotation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while rotating the share password'
+    });
+  }
+});
+
+// Record an access attempt for the owner's share analytics
+const recordAccess = (req, sharedDashboard, outcome, reason) => {
+  recordShareAccess(sharedDashboard, { outcome, reason, ip: req.ip, userAgent: req.get('User-Agent') });
+};
+
+// Load a shared dashboard and apply the per-share lockout, or send the error response
+const loadSharedDashboard = (req, res) => {
+  const shareableId = req.params.shareableId;
+  const sharedDashboard = storage.sharedDashboards.get(shareableId);
+  if (!sharedDashboard) {
+    logger.warn('Shared dashboard not found:', { shareableId });
+    res.status(404).json({
+      success: false,
+      error: 'Shared dashboard not found'
+    });
+    return {};
+  }
+
+  const unavailable = getShareUnavailableReason(sharedDashboard);
+  if (unavailable) {
+    logger.warn('Shared dashboard no longer available:', { shareableId, reason: unavailable.reason });
+    recordAccess(req, sharedDashboard, 'denied', unavailable.reason);
+    res.status(410).json({
+      success: false,
+      error: unavailable.error
+    });
+    return {};
+  }
+
+  return { sharedDashboard };
+};
+
+// Share passwords are short, so failed attempts are counted per share as well as per IP.
+// Only password attempts are limited: viewer and embed tokens keep working during a lockout.
+const getShareLockoutKeys = (req, sharedDashboard) => [
+  `share:${sharedDashboard.panelId}`,
+  `share:${sharedDashboard.panelId}:ip:${req.ip}`
+];
+
+// Check a share password; records the attempt for lockout
+const checkSharePassword = async (req, res, sharedDashboard, password) => {
+  const lockoutKeys = getShareLockoutKeys(req, sharedDashboard);
+  const lockout = lockoutKeys.map(checkLockout).find(state => state.locked);
+  if (lockout) {
+    logger.warn('Shared dashboard password blocked - too many failed attempts:', { shareableId: sharedDashboard.panelId, ip: req.ip });
+    recordAccess(req, sharedDashboard, 'denied', 'locked');
+    sendLockedResponse(res, lockout.retryAfterSeconds, 'Too many failed password attempts. Please try again later.');
+    return false;
+  }
+
+  if (!(await verifySharePassword(sharedDashboard, password))) {
+    logger.warn('Invalid password for shared dashboard:', { shareableId: sharedDashboard.panelId });
+    lockoutKeys.forEach(key => recordFailure(key, { ip: req.ip }));
+    recordAccess(req, sharedDashboard, 'denied', 'invalid_password');
+    res.status(401).json({
+      success: false,
+      error: 'Invalid access password',
+      passwordRequired: true
+    });
+    return false;
+  }
+  lockoutKeys.forEach(recordSuccess);
+  return true;
+};
+
+// Exchange a share password for a short-lived viewer token
+router.post('/shared/:shareableId/access', async (req, res) => {
+  try {
+    const { error, value } = shareAccessSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const { sharedDashboard } = loadSharedDashboard(req, res);
+    if (!sharedDashboard) return;
+
+    if (!isPasswordProtected(sharedDashboard)) {
+      return res.status(400).json({
+        success: false,
+        error: 'This shared dashboard does not require a password'
+      });
+    }
+
+    if (!(await checkSharePassword(req, res, sharedDashboard, value.password))) return;
+
+    logger.info('Shared dashboard viewer token issued:', { shareableId: sharedDashboard.panelId });
+    recordAccess(req, sharedDashboard, 'unlock');
+
+    res.json({
+      success: true,
+      ...issueViewerToken(sharedDashboard)
+    });
+
+  } catch (error) {
+    logger.error('Shared dashboard access error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while accessing the shared dashboard'
+    });
+  }
+});
+
+// Get shared dashboard
+// Protected shares need a viewer token (X-Share-Token header or ?token=) or ?password=
+router.get('/shared/:shareableId', async (req, res) => {
+  try {
+    const shareableId = req.params.shareableId;
+    const { password } = req.query;
+
+    logger.info('Shared dashboard access request:', { shareableId });
+
+    const { sharedDashboard } = loadSharedDashboard(req, res);
+    if (!sharedDashboard) return;
+
+    // A valid embed token stands in for the password
+    const embedToken = getEmbedTokenFromRequest(req);
+    const embed = embedToken ? verifyEmbedToken(sharedDashboard, embedToken) : null;
+    if (embedToken && !embed) {
+      logger.warn('Invalid embed token for shared dashboard:', { shareableId });
+      recordAccess(req, sharedDashboard, 'denied', 'invalid_embed_token');
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired embed link'
+      });
+    }
+
+    let viewerToken = null;
+    if (!embed && isPasswordProtected(sharedDashboard) && !verifyViewerToken(sharedDashboard, getViewerTokenFromRequest(req))) {
+      if (!password) {
+        recordAccess(req, sharedDashboard, 'denied', 'password_required');
+        return res.status(401).json({
+          success: false,
+          error: 'This shared dashboard is password protected',
+          passwordRequired: true
+        });
+      }
+      if (!(await checkSharePassword(req, res, sharedDashboard, password))) return;
+      viewerToken = issueViewerToken(sharedDashboard);
+    }
+
+    sharedDashboard.viewCount = (sharedDashboard.viewCount || 0) + 1;
+    recordAccess(req, sharedDashboard, 'view', embed ? 'embed' : undefined);
+
+    logger.info('Shared dashboard accessed successfully:', { shareableId, viewCount: sharedDashboard.viewCount });
+
+    let publicShare = toPublicShare(sharedDashboard, storage.dashboards.get(sharedDashboard.originalDashboardId));
+    if (embed && embed.widgetIds) publicShare = applyWidgetSubset(publicShare, embed.widgetIds);
+
+    res.json({
+      success: true,
+      dashboard: publicShare,
+      ...(viewerToken || {})
+    });
+
+  } catch (error) {
+    logger.error('Shared dashboard access error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while accessing the shared dashboard'
+    });
+  }
+});
+
+// Share mode and whether viewers see an older version, for dashboard listings
+const shareStatus = (dashboard) => {
+  const sharedDashboard = dashboard.isPublished && dashboard.shareableId ? storage.sharedDashboards.get(dashboard.shareableId) : null;
+  if (!sharedDashboard) return { shareMode: null, shareOutdated: false };
+  return {
+    shareMode: sharedDashboard.mode || 'snapshot',
+    shareOutdated: isShareOutdated(sharedDashboard, dashboard)
+  };
+};
+
+// Get user dashboards
+router.get('/user/:userId', requireAuth, async (req, res) => {
+  try {
+    const userId = req.params.userId;
+    const requestingUserId = req.user.id;
+
+    logger.info('User dashboards request:', { userId, requestingUserId });
+
+    // Check authorization
+    if (userId !== requestingUserId) {
+      logger.warn('Unauthorized dashboard list request:', { userId, requestingUserId });
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized to access these dashboards'
+      });
+    }
+
+    const { error, value } = dashboardListQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    // Every dashboard the user can read: personal ones, those of their organizations and
+    // those shared with them (?orgId= narrows the list to one organization)
+    const { includeFolders, ...filters } = value;
+    const result = dashboardIndex.list(userId, { ...filters, includeFolderCounts: includeFolders });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    const userDashboards = result.items.map(({ dashboard, role }) => ({
+      id: dashboard.id,
+      name: dashboard.name,
+      version: getDashboardVersion(dashboard),
+      orgId: dashboard.orgId || null,
+      role,
+      // True when the caller's access comes from an invite
+      sharedWithMe: Boolean(getCollaborator(dashboard, userId)),
+      folderId: dashboard.folderId || null,
+      tags: dashboard.tags || [],
+      favorite: isFavorite(userId, dashboard.id),
+      widgetCount: dashboard.widgets.length,
+      isPublished: dashboard.isPublished,
+      ...shareStatus(dashboard),
+      createdAt: dashboard.createdAt,
+      updatedAt: dashboard.updatedAt,
+      publishedAt: dashboard.publishedAt
+    }));
+
+    logger.info('User dashboards retrieved successfully:', { userId, count: userDashboards.length, total: result.total });
+
+    res.json({
+      success: true,
+      dashboards: userDashboards,
+      total: result.total,
+      // Pass as ?cursor= for the next page; null on the last page
+      nextCursor: result.nextCursor,
+      // Counts match the other filters; unfiledCount is for dashboards outside any folder
+      ...(includeFolders ? {
+        folders: buildFolderTree(userId, { orgId: value.orgId, counts: result.folderCounts }),
+        unfiledCount: result.folderCounts.get(null) || 0
+      } : {})
+    });
+
+  } catch (error) {
+    logger.error('User dashboards error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while retrieving dashboards'
+    });
+  }
+});
+
+// Invite a user by email to view or edit a dashboard (sends an email, so the inviter must be verified)
+router.post('/:id/invites', requireAuth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const dashboardId = req.params.id;
+    const userId = req.user.id;
+
+    const { error, value } = inviteSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const dashboard = storage.dashboards.get(dashboardId);
+    if (!dashboard) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dashboard not found'
+      });
+    }
+
+    if (!canAccessDashboard(dashboard, userId, 'manage')) {
+      logger.warn('Unauthorized dashboard invite attempt:', { dashboardId, userId });
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized to share this dashboard'
+      });
+    }
+
+    const email = normalizeEmail(value.email);
+    const invitee = findUserByEmail(email);
+    if (invitee && getDashboardRole(dashboard, invitee.id) === 'owner') {
+      return res.status(400).json({
+        success: false,
+        error: 'This user already owns the dashboard'
+      });
+    }
+    if (invitee && getCollaborator(dashboard, invitee.id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'This user already has access. Change their access level instead.'
+      });
+    }
+
+    const invite = createInvite(dashboard, req.user, { email, access: value.access });
+    const inviteLink = `${process.env.FRONTEND_URL || 'http://localhost:5174'}/invites/${invite.id}`;
+
+    const emailResult = await sendDashboardInviteEmail(email, inviteLink, {
+      dashboardName: dashboard.name,
+      inviterName: req.user.name || req.user.email,
+      access: invite.access,
+      expiresIn: getInviteLifetime()
+    });
+    if (!emailResult.success) {
+      logger.error('Failed to send dashboard invite email:', { dashboardId, inviteId: invite.id, error: emailResult.error });
+    }
+
+    logger.info('Dashboard invite created:', { dashboardId, userId, inviteId: invite.id, access: invite.access });
+
+    res.status(201).json({
+      success: true,
+      message: emailResult.success ? 'Invitation sent' : 'Invitation created, but the email could not be sent',
+      invite: toPublicInvite(invite, findUserById),
+      emailSent: emailResult.success
+    });
+
+  } catch (error) {
+    logger.error('Dashboard invite error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while sending the invitation'
+    });
+  }
+});
+
+// List collaborators and pending invites of a dashboard
+router.get('/:id/collaborators', requireAuth, (req, res) => {
+  try {
+    const dashboard = storage.dashboards.get(req.params.id);
+    if (!dashboard) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dashboard not found'
+      });
+    }
+
+    if (!canAccessDashboard(dashboard, req.user.id, 'manage')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized to manage sharing for this dashboard'
+      });
+    }
+
+    res.json({
+      success: true,
+      collaborators: (dashboard.collaborators || []).map(c => toPublicCollaborator(c, findUserById)),
+      invites: listDashboardInvites(dashboard.id).map(invite => toPublicInvite(invite, findUserById))
+    });
+
+  } catch (error) {
+    logger.error('List collaborators error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while listing collaborators'
+    });
+  }
+});
+
+// Change a collaborator's access level
+router.put('/:id/collaborators/:userId', requireAuth, (req, res) => {
+  try {
+    const { id: dashboardId, userId: collaboratorId } = req.params;
+
+    const { error, value } = collaboratorAccessSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const dashboard = storage.dashboards.get(dashboardId);
+    if (!dashboard) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dashboard not found'
+      });
+    }
+
+    if (!canAccessDashboard(dashboard, req.user.id, 'manage')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized to manage sharing for this dashboard'
+      });
+    }
+
+    if (!getCollaborator(dashboard, collaboratorId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Collaborator not found'
+      });
+    }
+
+    const { collaborator } = setCollaboratorAccess(dashboard, collaboratorId, value.access);
+    dashboardIndex.reindex(dashboard);
+    collabService.evictUnauthorized(dashboardId);
+
+    logger.info('Dashboard collaborator access changed:', { dashboardId, collaboratorId, access: value.access, changedBy: req.user.id });
+
+    res.json({
+      success: true,
+      collaborator: toPublicCollaborator(collaborator, findUserById)
+    });
+
+  } catch (error) {
+    logger.error('Update collaborator error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while updating the collaborator'
+    });
+  }
+});
+
+// Remove a collaborator (collaborators may remove themselves to leave)
+router.delete('/:id/collaborators/:userId', requireAuth, (req, res) => {
+  try {
+    const { id: dashboardId, userId: collaboratorId } = req.params;
+
+    const dashboard = storage.dashboards.get(dashboardId);
+    if (!dashboard) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dashboard not found'
+      });
+    }
+
+    const leaving = collaboratorId === req.user.id;
+    if (!leaving && !canAccessDashboard(dashboard, req.user.id, 'manage')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized to manage sharing for this dashboard'
+      });
+    }
+
+    if (!removeCollaborator(dashboard, collaboratorId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Collaborator not found'
+      });
+    }
+    dashboardIndex.reindex(dashboard);
+    collabService.evictUnauthorized(dashboardId);
+
+    logger.info('Dashboard collaborator removed:', { dashboardId, collaboratorId, removedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: leaving ? 'You no longer have access to this dashboard' : 'Collaborator removed'
+    });
+
+  } catch (error) {
+    logger.error('Remove collaborator error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while removing the collaborator'
+    });
+  }
+});
+
+// Revoke a pending invite
+router.delete('/:id/invites/:inviteId', requireAuth, (req, res) => {
+  try {
+    const { id: dashboardId, inviteId } = req.params;
+
+    const dashboard = storage.dashboards.get(dashboardId);
+    if (!dashboard) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dashboard not found'
+      });
+    }
+
+    if (!canAccessDashboard(dashboard, req.user.id, 'manage')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized to manage sharing for this dashboard'
+      });
+    }
+
+    const invite = getInvite(inviteId);
+    if (!invite || invite.dashboardId !== dashboardId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invite not found'
+      });
+    }
+
+    deleteInvite(inviteId);
+    logger.info('Dashboard invite revoked:', { dashboardId, inviteId, revokedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Invite revoked'
+    });
+
+  } catch (error) {
+    logger.error('Revoke invite error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while revoking the invite'
+    });
+  }
+});
+
+// Resolve an invite addressed to the caller, or send 404.
+// Invites for other emails also get 404 so invite IDs cannot be probed.
+const loadOwnInvite = (req, res) => {
+  const invite = getInvite(req.params.inviteId);
+  if (!invite || invite.email !== normalizeEmail(req.user.email)) {
+    res.status(404).json({
+      success: false,
+      error: 'Invite not found or expired'
+    });
+    return null;
+  }
+  return invite;
+};
+
+// List my pending invites
+router.get('/invites', requireAuth, (req, res) => {
+  try {
+    const invites = listInvitesForEmail(req.user.email)
+      .map(invite => toPublicInvite(invite, findUserById));
+
+    res.json({
+      success: true,
+      invites
+    });
+
+  } catch (error) {
+    logger.error('List invites error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while listing invites'
+    });
+  }
+});
+
+// Accept an invite (the invited email must be verified)
+router.post('/invites/:inviteId/accept', requireAuth, requireVerifiedEmail, (req, res) => {
+  try {
+    const invite = loadOwnInvite(req, res);
+    if (!invite) return;
+
+    const { dashboard, collaborator, error } = acceptInvite(invite, req.user);
+    if (error) {
+      return res.status(404).json({
+        success: false,
+        error
+      });
+    }
+    dashboardIndex.reindex(dashboard);
+
+    logger.info('Dashboard invite accepted:', { dashboardId: dashboard.id, userId: req.user.id, access: collaborator.access });
+
+    res.json({
+      success: true,
+      message: 'Invitation accepted',
+      dashboard: {
+        id: dashboard.id,
+        name: dashboard.name,
+        role: getDashboardRole(dashboard, req.user.id)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Accept invite error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while accepting the invitation'
+    });
+  }
+});
+
+// Decline an invite
+router.post('/invites/:inviteId/decline', requireAuth, (req, res) => {
+  try {
+    const invite = loadOwnInvite(req, res);
+    if (!invite) return;
+
+    deleteInvite(invite.id);
+    logger.info('Dashboard invite declined:', { dashboardId: invite.dashboardId, userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Invitation declined'
+    });
+
+  } catch (error) {
+    logger.error('Decline invite error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while declining the invitation'
+    });
+  }
+});
+
+// Load a dashboard for its revision history, or send the error response
+const loadRevisionDashboard = (req, res, action) => {
+  const dashboard = storage.dashboards.get(req.params.id);
+  if (!dashboard) {
+    res.status(404).json({
+      success: false,
+      error: 'Dashboard not found'
+    });
+    return null;
+  }
+
+  if (!canAccessDashboard(dashboard, req.user.id, action)) {
+    logger.warn('Unauthorized dashboard revision access:', { dashboardId: dashboard.id, userId: req.user.id, action });
+    res.status(403).json({
+      success: false,
+      error: action === 'read' ? 'Unauthorized to access this dashboard' : 'Unauthorized to update this dashboard'
+    });
+    return null;
+  }
+
+  return dashboard;
+};
+
+const sendRevisionNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Revision not found'
+});
+
+// List revisions, newest first
+router.get('/:id/revisions', requireAuth, (req, res) => {
+  try {
+    const dashboard = loadRevisionDashboard(req, res, 'read');
+    if (!dashboard) return;
+
+    res.json({
+      success: true,
+      revisions: listRevisions(dashboard.id).map(revision => toPublicRevision(revision, findUserById))
+    });
+
+  } catch (error) {
+    logger.error('List revisions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while listing revisions'
+    });
+  }
+});
+
+// Compare two revisions widget by widget (?from=<revision>&to=<revision>, "to" defaults to the newest)
+router.get('/:id/revisions/diff', requireAuth, (req, res) => {
+  try {
+    const { error, value } = revisionDiffQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const dashboard = loadRevisionDashboard(req, res, 'read');
+    if (!dashboard) return;
+
+    const from = getRevision(dashboard.id, value.from);
+    const to = value.to ? getRevision(dashboard.id, value.to) : listRevisions(dashboard.id)[0];
+    if (!from || !to) return sendRevisionNotFound(res);
+
+    res.json({
+      success: true,
+      diff: diffRevisions(from, to)
+    });
+
+  } catch (error) {
+    logger.error('Revision diff error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while comparing revisions'
+    });
+  }
+});
+
+// Get one revision with its widgets and layout
+router.get('/:id/revisions/:revisionId', requireAuth, (req, res) => {
+  try {
+    const dashboard = loadRevisionDashboard(req, res, 'read');
+    if (!dashboard) return;
+
+    const revision = getRevision(dashboard.id, req.params.revisionId);
+    if (!revision) return sendRevisionNotFound(res);
+
+    res.json({
+      success: true,
+      revision: toPublicRevision(revision, findUserById, { includeContent: true })
+    });
+
+  } catch (error) {
+    logger.error('Get revision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while retrieving the revision'
+    });
+  }
+});
+
+// Restore a revision; the restored content becomes a new revision, history is kept
+router.post('/:id/revisions/:revisionId/restore', requireAuth, (req, res) => {
+  try {
+    const { error, value } = restoreRevisionSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const dashboard = loadRevisionDashboard(req, res, 'update');
+    if (!dashboard) return;
+
+    const revision = getRevision(dashboard.id, req.params.revisionId);
+    if (!revision) return sendRevisionNotFound(res);
+
+    if (!checkVersion(req, res, dashboard, { version: value.version, required: false })) return;
+
+    if (matchesRevision(dashboard, revision)) {
+      return res.set('ETag', getDashboardETag(dashboard)).json({
+        success: true,
+        message: `Dashboard already matches revision ${revision.id}`,
+        version: getDashboardVersion(dashboard),
+        revision: null
+      });
+    }
+
+    const restoredDashboard = {
+      ...dashboard,
+      name: revision.name,
+      widgets: JSON.parse(JSON.stringify(revision.widgets)),
+      layout: JSON.parse(JSON.stringify(revision.layout)),
+      updatedBy: req.user.id,
+      updatedAt: new Date().toISOString()
+    };
+
+    const { revision: newRevision } = commitDashboard(restoredDashboard, {
+      userId: req.user.id,
+      action: 'restore',
+      message: value.message || `Restored revision ${revision.id}`,
+      restoredFrom: revision.id
+    });
+
+    logger.info('Dashboard revision restored:', { dashboardId: dashboard.id, revisionId: revision.id, newRevisionId: newRevision?.id, userId: req.user.id });
+
+    res.set('ETag', getDashboardETag(restoredDashboard)).json({
+      success: true,
+      message: `Revision ${revision.id} restored`,
+      version: restoredDashboard.version,
+      revision: toPublicRevision(newRevision, findUserById)
+    });
+
+  } catch (error) {
+    logger.error('Restore revision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while restoring the revision'
+    });
+  }
+});
+
+// Create a new personal or organization dashboard from copied content ({ id, topicId, widgets, ... }), or send 403.
+// New dashboards get a fresh ID and topic ID and start unpublished and unshared.
+const createDashboardFrom = (req, res, { name, orgId, content, message }) => {
+  const userId = req.user.id;
+  if (orgId && !ORG_WRITE_ROLES.includes(getMemberRole(orgId, userId))) {
+    logger.warn('Unauthorized organization dashboard create attempt:', { orgId, userId, path: req.path });
+    res.status(403).json({
+      success: false,
+      error: 'Unauthorized to create dashboards in this organization'
+    });
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  const dashboard = {
+    ...content,
+    name,
+    orgId: orgId || null,
+    userId,
+    collaborators: [],
+    createdAt: now,
+    updatedAt: now,
+    isPublished: false
+  };
+  commitDashboard(dashboard, { userId, action: 'save', message });
+  res.set('ETag', getDashboardETag(dashboard));
+  return dashboard;
+};
+
+const toCreatedSummary = dashboard => ({
+  id: dashboard.id,
+  topicId: dashboard.topicId,
+  name: dashboard.name,
+  orgId: dashboard.orgId,
+  version: dashboard.version,
+  widgetCount: dashboard.widgets.length,
+  createdAt: dashboard.createdAt
+});
+
+// Clone a dashboard (share settings, collaborators and history are not copied)
+router.post('/:id/clone', requireAuth, (req, res) => {
+  try {
+    const { error, value } = cloneDashboardSchema.validate(req.body || {});
     if (error) {
-      logger.warn('Validation error:', error.details[0].message);
       return res.status(400).json({
         success: false,
         error: error.details[0].message
       });
     }
 
-    const dashboardData = value;
-    const userId = req.user?.id || 'anonymous';
-    
-    // Generate unique 15-digit topic ID if not provided
-    if (!dashboardData.id) {
-      dashboardData.id = generateTopicId();
-      logger.info('Generated new topic ID:', { topicId: dashboardData.id });
-    } else {
-      // Validate existing ID format
-      if (!validateTopicId(dashboardData.id)) {
-        logger.warn('Invalid topic ID format provided, generating new one:', { providedId: dashboardData.id });
-        dashboardData.id = generateTopicId();
-        logger.info('Generated replacement topic ID:', { topicId: dashboardData.id });
-      }
+    const source = storage.dashboards.get(req.params.id);
+    if (!source || !canAccessDashboard(source, req.user.id, 'read')) {
+      return res.status(source ? 403 : 404).json({
+        success: false,
+        error: source ? 'Unauthorized to access this dashboard' : 'Dashboard not found'
+      });
     }
 
-    // Add metadata
-    const dashboard = {
-      ...dashboardData,
-      userId: userId,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      isPublished: false
-    };
-
-    // Store dashboard
-    storage.dashboards.set(dashboard.id, dashboard);
-
-    logger.info('Dashboard saved successfully:', { 
-      dashboardId: dashboard.id,
-      userId: userId,
-      widgetCount: dashboard.widgets.length
+    const id = generateTopicId();
+    const topicId = generateTopicId();
+    // Widgets that reference the source's topic now point at the copy's
+    const content = replaceTopicIds(getEditableContent(source), [source.topicId, source.id], topicId);
+
+    const dashboard = createDashboardFrom(req, res, {
+      name: value.name || `Copy of ${source.name}`,
+      orgId: value.orgId !== undefined ? value.orgId : null,
+      content: { ...content, id, topicId },
+      message: `Cloned from "${source.name}"`
     });
+    if (!dashboard) return;
 
-    res.json({
+    logger.info('Dashboard cloned:', { sourceId: source.id, dashboardId: dashboard.id, userId: req.user.id });
+
+    res.status(201).json({
       success: true,
-      message: 'Dashboard saved successfully',
-      dashboard: {
-        id: dashboard.id,
-        name: dashboard.name,
-        widgetCount: dashboard.widgets.length,
-        createdAt: dashboard.createdAt,
-        updatedAt: dashboard.updatedAt
-      }
+      message: 'Dashboard cloned successfully',
+      dashboard: toCreatedSummary(dashboard)
     });
 
   } catch (error) {
-    logger.error('Dashboard save error:', error);
+    logger.error('Dashboard clone error:', error);
     res.status(500).json({
       success: false,
-      error: 'An unexpected error occurred while saving the dashboard'
+      error: 'An unexpected error occurred while cloning the dashboard'
     });
   }
 });
 
-// Update dashboard
-router.put('/update/:id', async (req, res) => {
+// Save a dashboard as a personal or organization template
+router.post('/:id/template', requireAuth, (req, res) => {
   try {
-    const dashboardId = req.params.id;
-    const userId = req.user?.id || 'anonymous';
-
-    logger.info('Dashboard update request received:', { 
-      dashboardId,
-      userId,
-      dashboardName: req.body.name,
-      widgetCount: req.body.widgets?.length || 0
-    });
-
-    // Validate request body
-    const { error, value } = saveDashboardSchema.validate(req.body);
+    const { error, value } = createTemplateSchema.validate(req.body);
     if (error) {
-      logger.warn('Validation error:', error.details[0].message);
       return res.status(400).json({
         success: false,
         error: error.details[0].message
       });
     }
 
-    // Check if dashboard exists
-    const existingDashboard = storage.dashboards.get(dashboardId);
-    if (!existingDashboard) {
-      logger.warn('Dashboard not found for update:', { dashboardId, userId });
-      return res.status(404).json({
+    const dashboard = storage.dashboards.get(req.params.id);
+    if (!dashboard || !canAccessDashboard(dashboard, req.user.id, 'read')) {
+      return res.status(dashboard ? 403 : 404).json({
         success: false,
-        error: 'Dashboard not found'
+        error: dashboard ? 'Unauthorized to access this dashboard' : 'Dashboard not found'
       });
     }
 
-    // Check ownership (in production, implement proper authorization)
-    if (existingDashboard.userId !== userId) {
-      logger.warn('Unauthorized dashboard update attempt:', { dashboardId, userId, ownerId: existingDashboard.userId });
+    if (value.scope === 'org' && (!dashboard.orgId || !ORG_TEMPLATE_ROLES.includes(getMemberRole(dashboard.orgId, req.user.id)))) {
       return res.status(403).json({
         success: false,
-        error: 'Unauthorized to update this dashboard'
+        error: dashboard.orgId
+          ? 'Unauthorized to add templates to this organization'
+          : 'Only organization dashboards can be saved as organization templates'
       });
     }
 
-    // Update dashboard
-    const updatedDashboard = {
-      ...existingDashboard,
-      ...value,
-      id: dashboardId, // Ensure ID doesn't change
-      userId: userId,
-      updatedAt: new Date().toISOString()
-    };
+    const template = createTemplate(dashboard, req.user, value);
 
-    storage.dashboards.set(dashboardId, updatedDashboard);
+    logger.info('Dashboard template created:', { templateId: template.id, dashboardId: dashboard.id, scope: template.scope, userId: req.user.id });
 
-    logger.info('Dashboard updated successfully:', { 
-      dashboardId,
-      userId,
-      widgetCount: updatedDashboard.widgets.length
+    res.status(201).json({
+      success: true,
+      message: 'Template saved successfully',
+      template: toPublicTemplate(template)
+    });
+
+  } catch (error) {
+    logger.error('Create template error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while saving the template'
     });
+  }
+});
+
+// List built-in, personal and organization templates (?scope=builtin|personal|org)
+router.get('/templates', requireAuth, (req, res) => {
+  try {
+    const { error, value } = templateListQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Dashboard updated successfully',
-      dashboard: {
-        id: updatedDashboard.id,
-        name: updatedDashboard.name,
-        widgetCount: updatedDashboard.widgets.length,
-        createdAt: updatedDashboard.createdAt,
-        updatedAt: updatedDashboard.updatedAt
-      }
+      templates: listTemplatesForUser(req.user.id, value).map(template => toPublicTemplate(template))
     });
 
   } catch (error) {
-    logger.error('Dashboard update error:', error);
+    logger.error('List templates error:', error);
     res.status(500).json({
       success: false,
-      error: 'An unexpected error occurred while updating the dashboard'
+      error: 'An unexpected error occurred while listing templates'
     });
   }
 });
 
-// Publish dashboard
-router.post('/publish', async (req, res) => {
+// Resolve a template the caller can use, or send 404
+const loadTemplate = (req, res) => {
+  const template = getTemplate(req.params.templateId);
+  if (!template || !canUseTemplate(template, req.user.id)) {
+    res.status(404).json({
+      success: false,
+      error: 'Template not found'
+    });
+    return null;
+  }
+  return template;
+};
+
+// Get a template with its widgets and layout
+router.get('/templates/:templateId', requireAuth, (req, res) => {
   try {
-    logger.info('Dashboard publish request received:', { 
-      userId: req.user?.id || 'anonymous',
-      dashboardId: req.body.id,
-      dashboardName: req.body.name
+    const template = loadTemplate(req, res);
+    if (!template) return;
+
+    res.json({
+      success: true,
+      template: toPublicTemplate(template, { includeContent: true })
     });
 
-    // Validate request body
-  const { error, value } = publishDashboardSchema.validate(req.body);
+  } catch (error) {
+    logger.error('Get template error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while retrieving the template'
+    });
+  }
+});
+
+// Create a dashboard from a template; {{topicId}} defaults to the new dashboard's topic ID
+router.post('/templates/:templateId/instantiate', requireAuth, (req, res) => {
+  try {
+    const { error, value } = instantiateTemplateSchema.validate(req.body || {});
     if (error) {
-      logger.warn('Validation error:', error.details[0].message);
       return res.status(400).json({
         success: false,
         error: error.details[0].message
       });
     }
 
-  // Normalize layouts -> layout for backend consistency
-  const dashboardData = {
-    ...value,
-    layout: value.layout || value.layouts || {},
-  };
-    const userId = req.user?.id || 'anonymous';
+    const template = loadTemplate(req, res);
+    if (!template) return;
 
-    // Check if dashboard exists
-    const existingDashboard = storage.dashboards.get(dashboardData.id);
-    if (!existingDashboard) {
-      logger.warn('Dashboard not found for publishing:', { dashboardId: dashboardData.id, userId });
-      return res.status(404).json({
+    const id = generateTopicId();
+    const topicId = generateTopicId();
+    const content = instantiateTemplate(template, { [TOPIC_PLACEHOLDER]: topicId, ...value.placeholders });
+    if (content.error) {
+      return res.status(400).json({
         success: false,
-        error: 'Dashboard not found'
+        error: content.error,
+        missingPlaceholders: content.missing
       });
     }
 
-    // Check ownership
-    if (existingDashboard.userId !== userId) {
-      logger.warn('Unauthorized dashboard publish attempt:', { dashboardId: dashboardData.id, userId, ownerId: existingDashboard.userId });
+    const dashboard = createDashboardFrom(req, res, {
+      name: value.name || template.name,
+      orgId: value.orgId,
+      content: { ...content, id, topicId },
+      message: `Created from template "${template.name}"`
+    });
+    if (!dashboard) return;
+
+    logger.info('Dashboard created from template:', { templateId: template.id, dashboardId: dashboard.id, userId: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Dashboard created from template',
+      dashboard: toCreatedSummary(dashboard)
+    });
+
+  } catch (error) {
+    logger.error('Instantiate template error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while creating the dashboard from the template'
+    });
+  }
+});
+
+// Delete a template (its creator, or an owner of its organization)
+router.delete('/templates/:templateId', requireAuth, (req, res) => {
+  try {
+    const template = loadTemplate(req, res);
+    if (!template) return;
+
+    if (!canDeleteTemplate(template, req.user.id)) {
       return res.status(403).json({
         success: false,
-        error: 'Unauthorized to publish this dashboard'
+        error: template.scope === 'builtin' ? 'Built-in templates cannot be deleted' : 'Unauthorized to delete this template'
       });
     }
 
-    // Generate shareable link and password
-    const shareableId = `shared-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    const shareableLink = `${process.env.FRONTEND_URL || 'http://localhost:5174'}/shared/${shareableId}`;
-    const sharePassword = Math.random().toString(36).substring(2, 8).toUpperCase();
+    deleteTemplate(template.id);
 
-    // Generate or use existing topicId for MQTT communication
-    const topicId = dashboardData.topicId || existingDashboard.topicId || generateTopicId();
-    
-    // Update dashboard with publish data
-    const publishedDashboard = {
-      ...existingDashboard,
-      ...dashboardData,
-      topicId: topicId, // CRITICAL: Ensure topicId is set for MQTT
-      isPublished: true,
-      publishedAt: new Date().toISOString(),
-      shareableLink: shareableLink,
-      sharePassword: sharePassword,
-      shareableId: shareableId,
-      updatedAt: new Date().toISOString()
-    };
+    logger.info('Dashboard template deleted:', { templateId: template.id, userId: req.user.id });
 
-    // Store published dashboard
-    storage.dashboards.set(dashboardData.id, publishedDashboard);
+    res.json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
 
-    // Store shared dashboard data for public access
-    const sharedDashboardData = {
-      panelId: shareableId,
-      topicId: topicId, // CRITICAL: Include topicId for MQTT communication
-      widgets: publishedDashboard.widgets || [],
-      layouts: publishedDashboard.layout || {}, // Keep as layout for backend consistency
-      title: publishedDashboard.name || 'Shared Dashboard',
-      stats: publishedDashboard.stats || { totalWidgets: (publishedDashboard.widgets || []).length, gridUtilization: 0 },
-      sharePassword: sharePassword,
-      publishedAt: publishedDashboard.publishedAt,
-      isShared: true,
-      originalDashboardId: dashboardData.id
-    };
+  } catch (error) {
+    logger.error('Delete template error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while deleting the template'
+    });
+  }
+});
 
-    storage.sharedDashboards.set(shareableId, sharedDashboardData);
+// Export one dashboard as a portable bundle
+router.get('/:id/export', requireAuth, (req, res) => {
+  try {
+    const dashboard = storage.dashboards.get(req.params.id);
+    if (!dashboard || !canAccessDashboard(dashboard, req.user.id, 'read')) {
+      return res.status(dashboard ? 403 : 404).json({
+        success: false,
+        error: dashboard ? 'Unauthorized to access this dashboard' : 'Dashboard not found'
+      });
+    }
 
-    logger.info('Dashboard published successfully:', { 
-      dashboardId: dashboardData.id,
-      topicId: topicId,
-      shareableId: shareableId,
-      userId: userId,
-      widgetCount: publishedDashboard.widgets.length
-    });
+    logger.info('Dashboard exported:', { dashboardId: dashboard.id, userId: req.user.id });
 
     res.json({
       success: true,
-      message: 'Dashboard published successfully',
-      dashboard: {
-        id: publishedDashboard.id,
-        topicId: topicId, // CRITICAL: Return topicId to frontend
-        name: publishedDashboard.name,
-        isPublished: true,
-        publishedAt: publishedDashboard.publishedAt,
-        shareableLink: shareableLink,
-        sharePassword: sharePassword,
-        shareableId: shareableId
-      }
+      bundle: buildBundle([dashboard])
     });
 
   } catch (error) {
-    logger.error('Dashboard publish error:', error);
+    logger.error('Dashboard export error:', error);
     res.status(500).json({
       success: false,
-      error: 'An unexpected error occurred while publishing the dashboard'
+      error: 'An unexpected error occurred while exporting the dashboard'
     });
   }
 });
 
-// Get shared dashboard
-router.get('/shared/:shareableId', async (req, res) => {
+// Export every dashboard the caller can read (?orgId= narrows to one organization, ?ids= to a list)
+router.get('/export', requireAuth, (req, res) => {
   try {
-    const shareableId = req.params.shareableId;
-    const { password } = req.query;
-
-    logger.info('Shared dashboard access request:', { shareableId });
-
-    // Get shared dashboard data
-    const sharedDashboard = storage.sharedDashboards.get(shareableId);
-    if (!sharedDashboard) {
-      logger.warn('Shared dashboard not found:', { shareableId });
-      return res.status(404).json({
+    const { error, value } = exportQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
         success: false,
-        error: 'Shared dashboard not found'
+        error: error.details[0].message
       });
     }
 
-    // Check password if provided
-    if (password && password !== sharedDashboard.sharePassword) {
-      logger.warn('Invalid password for shared dashboard:', { shareableId });
-      return res.status(401).json({
+    const userId = req.user.id;
+    const ids = value.ids ? new Set(value.ids.split(',').map(id => id.trim())) : null;
+    const dashboards = Array.from(storage.dashboards.values())
+      .filter(dashboard => !value.orgId || dashboard.orgId === value.orgId)
+      .filter(dashboard => !ids || ids.has(dashboard.id))
+      .filter(dashboard => canAccessDashboard(dashboard, userId, 'read'));
+
+    if (ids && dashboards.length !== ids.size) {
+      return res.status(404).json({
         success: false,
-        error: 'Invalid access password'
+        error: 'Some dashboards were not found or are not accessible',
+        missing: Array.from(ids).filter(id => !dashboards.some(dashboard => dashboard.id === id))
       });
     }
 
-    logger.info('Shared dashboard accessed successfully:', { shareableId });
+    logger.info('Dashboards exported:', { userId, count: dashboards.length });
 
     res.json({
       success: true,
-      dashboard: sharedDashboard
+      bundle: buildBundle(dashboards)
     });
 
   } catch (error) {
-    logger.error('Shared dashboard access error:', error);
+    logger.error('Bulk dashboard export error:', error);
     res.status(500).json({
       success: false,
-      error: 'An unexpected error occurred while accessing the shared dashboard'
+      error: 'An unexpected error occurred while exporting dashboards'
     });
   }
 });
 
-// Get user dashboards
-router.get('/user/:userId', async (req, res) => {
+// Import the dashboards of a bundle as new dashboards
+router.post('/import', requireAuth, (req, res) => {
   try {
-    const userId = req.params.userId;
-    const requestingUserId = req.user?.id || 'anonymous';
-
-    logger.info('User dashboards request:', { userId, requestingUserId });
+    const { error, value } = importBundleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message,
+        path: error.details[0].path
+      });
+    }
 
-    // Check authorization (in production, implement proper authorization)
-    if (userId !== requestingUserId) {
-      logger.warn('Unauthorized dashboard list request:', { userId, requestingUserId });
+    const userId = req.user.id;
+    // Checked once up front so a bundle is imported completely or not at all
+    if (value.orgId && !ORG_WRITE_ROLES.includes(getMemberRole(value.orgId, userId))) {
       return res.status(403).json({
         success: false,
-        error: 'Unauthorized to access these dashboards'
+        error: 'Unauthorized to create dashboards in this organization'
       });
     }
 
-    // Get user's dashboards
-    const userDashboards = Array.from(storage.dashboards.values())
-      .filter(dashboard => dashboard.userId === userId)
-      .map(dashboard => ({
-        id: dashboard.id,
-        name: dashboard.name,
-        widgetCount: dashboard.widgets.length,
-        isPublished: dashboard.isPublished,
-        createdAt: dashboard.createdAt,
-        updatedAt: dashboard.updatedAt,
-        publishedAt: dashboard.publishedAt
-      }));
+    const created = prepareImport(value.bundle, { keepIds: value.keepIds }).map(({ source, content, remapped }) => {
+      const dashboard = createDashboardFrom(req, res, {
+        name: source.name,
+        orgId: value.orgId,
+        content,
+        message: 'Imported from bundle'
+      });
+      return {
+        ...toCreatedSummary(dashboard),
+        sourceId: source.id,
+        sourceTopicId: source.topicId || null,
+        remapped,
+        topics: collectTopics(dashboard)
+      };
+    });
+    // Several dashboards were created, so no single ETag applies
+    res.removeHeader('ETag');
+
+    logger.info('Dashboards imported:', { userId, orgId: value.orgId || null, count: created.length });
 
-    logger.info('User dashboards retrieved successfully:', { userId, count: userDashboards.length });
+    res.status(201).json({
+      success: true,
+      message: `Imported ${created.length} dashboard(s)`,
+      dashboards: created
+    });
+
+  } catch (error) {
+    logger.error('Dashboard import error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while importing dashboards'
+    });
+  }
+});
+
+// Tags used on the dashboards the caller can read, most used first (?orgId= narrows to one organization)
+router.get('/tags', requireAuth, (req, res) => {
+  try {
+    const { orgId } = req.query;
 
     res.json({
       success: true,
-      dashboards: userDashboards
+      tags: dashboardIndex.listTags(req.user.id, { orgId: typeof orgId === 'string' ? orgId : undefined })
     });
 
   } catch (error) {
-    logger.error('User dashboards error:', error);
+    logger.error('List tags error:', error);
     res.status(500).json({
       success: false,
-      error: 'An unexpected error occurred while retrieving dashboards'
+      error: 'An unexpected error occurred while listing tags'
     });
   }
 });
@@ -448,10 +2731,10 @@ router.get('/generate-topic-id', (req, res) => {
 });
 
 // Get dashboard by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireAuth, async (req, res) => {
   try {
     const dashboardId = req.params.id;
-    const userId = req.user?.id || 'anonymous';
+    const userId = req.user.id;
 
     logger.info('Dashboard get request:', { dashboardId, userId });
 
@@ -465,9 +2748,9 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    // Check ownership (in production, implement proper authorization)
-    if (dashboard.userId !== userId) {
-      logger.warn('Unauthorized dashboard access attempt:', { dashboardId, userId, ownerId: dashboard.userId });
+    // Check permissions
+    if (!canAccessDashboard(dashboard, userId, 'read')) {
+      logger.warn('Unauthorized dashboard access attempt:', { dashboardId, userId, ownerId: dashboard.userId, orgId: dashboard.orgId });
       return res.status(403).json({
         success: false,
         error: 'Unauthorized to access this dashboard'
@@ -476,11 +2759,20 @@ router.get('/:id', async (req, res) => {
 
     logger.info('Dashboard retrieved successfully:', { dashboardId, userId });
 
-    res.json({
+    const sharedDashboard = dashboard.isPublished && dashboard.shareableId ? storage.sharedDashboards.get(dashboard.shareableId) : null;
+
+    // Send the version back (If-Match or "version") when changing the dashboard
+    res.set('ETag', getDashboardETag(dashboard)).json({
       success: true,
       dashboard: {
         id: dashboard.id,
         name: dashboard.name,
+        version: getDashboardVersion(dashboard),
+        orgId: dashboard.orgId || null,
+        role: getDashboardRole(dashboard, userId),
+        folderId: dashboard.folderId || null,
+        tags: dashboard.tags || [],
+        favorite: isFavorite(userId, dashboard.id),
         widgets: dashboard.widgets,
         layout: dashboard.layout,
         deviceCount: dashboard.deviceCount,
@@ -488,7 +2780,9 @@ router.get('/:id', async (req, res) => {
         isPublished: dashboard.isPublished,
         createdAt: dashboard.createdAt,
         updatedAt: dashboard.updatedAt,
-        publishedAt: dashboard.publishedAt
+        publishedAt: dashboard.publishedAt,
+        // Share link settings, for users who may manage them
+        share: sharedDashboard && canAccessDashboard(dashboard, userId, 'publish') ? toShareSummary(sharedDashboard, dashboard) : undefined
       }
     });
 
@@ -502,10 +2796,10 @@ router.get('/:id', async (req, res) => {
 });
 
 // Delete dashboard
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireAuth, async (req, res) => {
   try {
     const dashboardId = req.params.id;
-    const userId = req.user?.id || 'anonymous';
+    const userId = req.user.id;
 
     logger.info('Dashboard delete request:', { dashboardId, userId });
 
@@ -519,22 +2813,21 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    // Check ownership
-    if (existingDashboard.userId !== userId) {
-      logger.warn('Unauthorized dashboard deletion attempt:', { dashboardId, userId, ownerId: existingDashboard.userId });
+    // Check permissions
+    if (!canAccessDashboard(existingDashboard, userId, 'delete')) {
+      logger.warn('Unauthorized dashboard deletion attempt:', { dashboardId, userId, role: getDashboardRole(existingDashboard, userId) });
       return res.status(403).json({
         success: false,
         error: 'Unauthorized to delete this dashboard'
       });
     }
 
-    // Delete dashboard
-    storage.dashboards.delete(dashboardId);
+    // DELETE requests rarely carry a body, so the version may also come as ?version=
+    const version = req.body?.version ?? req.query.version;
+    if (!checkVersion(req, res, existingDashboard, { version })) return;
 
-    // If it was published, also delete shared data
-    if (existingDashboard.isPublished && existingDashboard.shareableId) {
-      storage.sharedDashboards.delete(existingDashboard.shareableId);
-    }
+    // Delete dashboard with its share, invites, analytics and revisions
+    deleteDashboard(existingDashboard);
 
     logger.info('Dashboard deleted successfully:', { dashboardId, userId });
 
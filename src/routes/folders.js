@@ -0,0 +1,351 @@
+const express = require('express');
+const Joi = require('joi');
+const { requireAuth } = require('../middleware/auth');
+const { findUserById, findUserByEmail, normalizeEmail } = require('../services/userService');
+const { getMemberRole } = require('../services/organizationService');
+const { canAccessFolder } = require('../services/authorizationService');
+const { INVITE_ACCESS_LEVELS } = require('../services/dashboardInviteService');
+const {
+  getFolder,
+  createFolder,
+  listDescendantIds,
+  checkFolderDepth,
+  updateFolder,
+  setFolderCollaborator,
+  removeFolderCollaborator,
+  buildFolderTree,
+  deleteFolder,
+  toPublicFolder
+} = require('../services/folderService');
+const dashboardIndex = require('../services/dashboardIndexService');
+const collabService = require('../services/collabService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Roles that may add top-level folders to an organization
+const ORG_WRITE_ROLES = ['owner', 'editor'];
+
+// Validation schemas
+const folderNameSchema = Joi.string().trim().min(1).max(100).messages({
+  'string.empty': 'Folder name is required',
+  'string.max': 'Folder name can be at most 100 characters long',
+  'any.required': 'Folder name is required'
+});
+
+const folderTreeQuerySchema = Joi.object({
+  orgId: Joi.string().optional()
+});
+
+const createFolderSchema = Joi.object({
+  name: folderNameSchema.required(),
+  // Subfolders take their organization from the parent
+  parentId: Joi.string().optional(),
+  orgId: Joi.string().optional()
+}).nand('parentId', 'orgId').messages({
+  'object.nand': 'Send either parentId or orgId, not both'
+});
+
+const updateFolderSchema = Joi.object({
+  name: folderNameSchema.optional(),
+  // null moves the folder to the top level
+  parentId: Joi.string().allow(null).optional()
+}).min(1).messages({
+  'object.min': 'Provide name and/or parentId'
+});
+
+const folderCollaboratorSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Please provide a valid email address',
+    'any.required': 'Email is required'
+  }),
+  access: Joi.string().valid(...INVITE_ACCESS_LEVELS).required().messages({
+    'any.only': `Access must be one of: ${INVITE_ACCESS_LEVELS.join(', ')}`,
+    'any.required': 'Access is required'
+  })
+});
+
+// Resolve a folder the caller may see and check the action, or send 404/403.
+// Folders the caller cannot see get 404 so their IDs cannot be probed.
+const loadFolder = (req, res, action, folderId = req.params.folderId) => {
+  const folder = getFolder(folderId);
+  if (!folder || !canAccessFolder(folder, req.user.id, 'read')) {
+    res.status(404).json({
+      success: false,
+      error: 'Folder not found'
+    });
+    return null;
+  }
+  if (!canAccessFolder(folder, req.user.id, action)) {
+    logger.warn('Unauthorized folder action:', { folderId: folder.id, userId: req.user.id, action });
+    res.status(403).json({
+      success: false,
+      error: 'Unauthorized to change this folder'
+    });
+    return null;
+  }
+  return folder;
+};
+
+// Folder tree with dashboard counts (?orgId= for one organization's folders)
+router.get('/', (req, res) => {
+  try {
+    const { error, value } = folderTreeQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const counts = dashboardIndex.countByFolder(req.user.id, value);
+
+    res.json({
+      success: true,
+      folders: buildFolderTree(req.user.id, { orgId: value.orgId, counts }),
+      unfiledCount: counts.get(null) || 0
+    });
+  } catch (error) {
+    logger.error('List folders error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while listing folders'
+    });
+  }
+});
+
+// Create a personal, organization or nested folder
+router.post('/', (req, res) => {
+  try {
+    const { error, value } = createFolderSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    let parent = null;
+    if (value.parentId) {
+      parent = loadFolder(req, res, 'update', value.parentId);
+      if (!parent) return;
+
+      const depthError = checkFolderDepth(parent);
+      if (depthError) {
+        return res.status(400).json({
+          success: false,
+          error: depthError
+        });
+      }
+    } else if (value.orgId && !ORG_WRITE_ROLES.includes(getMemberRole(value.orgId, req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized to create folders in this organization'
+      });
+    }
+
+    const folder = createFolder(req.user, { name: value.name, parent, orgId: value.orgId });
+
+    logger.info('Folder created:', { folderId: folder.id, parentId: folder.parentId, orgId: folder.orgId, userId: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Folder created successfully',
+      folder: toPublicFolder(folder, req.user.id)
+    });
+  } catch (error) {
+    logger.error('Create folder error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while creating the folder'
+    });
+  }
+});
+
+// Get a folder with its path and the users it is shared with
+router.get('/:folderId', (req, res) => {
+  try {
+    const folder = loadFolder(req, res, 'read');
+    if (!folder) return;
+
+    res.json({
+      success: true,
+      folder: {
+        ...toPublicFolder(folder, req.user.id, { loadUser: findUserById }),
+        dashboardCount: dashboardIndex.countByFolder(req.user.id, { orgId: folder.orgId || undefined }).get(folder.id) || 0
+      }
+    });
+  } catch (error) {
+    logger.error('Get folder error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while retrieving the folder'
+    });
+  }
+});
+
+// Rename a folder and/or move it under another folder (parentId: null for the top level)
+router.put('/:folderId', (req, res) => {
+  try {
+    const { error, value } = updateFolderSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const folder = loadFolder(req, res, 'update');
+    if (!folder) return;
+
+    let parent;
+    if (value.parentId) {
+      parent = loadFolder(req, res, 'update', value.parentId);
+      if (!parent) return;
+    } else if (value.parentId === null) {
+      // The top level belongs to the organization's writers, or to the owner of personal folders
+      const canMoveToTop = folder.orgId
+        ? ORG_WRITE_ROLES.includes(getMemberRole(folder.orgId, req.user.id))
+        : folder.userId === req.user.id;
+      if (!canMoveToTop) {
+        return res.status(403).json({
+          success: false,
+          error: 'Unauthorized to move this folder to the top level'
+        });
+      }
+      parent = null;
+    }
+
+    const result = updateFolder(folder, { name: value.name, parent });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    // A move changes the grants its dashboards inherit
+    collabService.evictUnauthorized();
+
+    logger.info('Folder updated:', { folderId: folder.id, name: value.name, parentId: folder.parentId, userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Folder updated successfully',
+      folder: toPublicFolder(folder, req.user.id)
+    });
+  } catch (error) {
+    logger.error('Update folder error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while updating the folder'
+    });
+  }
+});
+
+// Delete an empty folder
+router.delete('/:folderId', (req, res) => {
+  try {
+    const folder = loadFolder(req, res, 'delete');
+    if (!folder) return;
+
+    const subfolderCount = listDescendantIds(folder.id).length - 1;
+    const dashboardCount = dashboardIndex.countInFolder(folder.id);
+    if (subfolderCount || dashboardCount) {
+      return res.status(409).json({
+        success: false,
+        error: `Folder still contains ${dashboardCount} dashboard(s) and ${subfolderCount} subfolder(s). Move or delete them first.`
+      });
+    }
+
+    deleteFolder(folder.id);
+
+    logger.info('Folder deleted:', { folderId: folder.id, userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Folder deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete folder error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while deleting the folder'
+    });
+  }
+});
+
+// Give a user view or edit access to a folder, its subfolders and their dashboards
+router.put('/:folderId/collaborators', (req, res) => {
+  try {
+    const { error, value } = folderCollaboratorSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const folder = loadFolder(req, res, 'manage');
+    if (!folder) return;
+
+    const user = findUserByEmail(value.email);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'No account exists for this email'
+      });
+    }
+
+    const { collaborator } = setFolderCollaborator(folder, user.id, value.access, req.user.id);
+    collabService.evictUnauthorized();
+
+    logger.info('Folder shared:', { folderId: folder.id, email: normalizeEmail(value.email), access: collaborator.access, sharedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Folder access updated',
+      folder: toPublicFolder(folder, req.user.id, { loadUser: findUserById })
+    });
+  } catch (error) {
+    logger.error('Share folder error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while sharing the folder'
+    });
+  }
+});
+
+// Remove a user's folder access (users may remove themselves to leave)
+router.delete('/:folderId/collaborators/:userId', (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user.id;
+    const folder = loadFolder(req, res, leaving ? 'read' : 'manage');
+    if (!folder) return;
+
+    if (!removeFolderCollaborator(folder, req.params.userId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Collaborator not found'
+      });
+    }
+    collabService.evictUnauthorized();
+
+    logger.info('Folder access removed:', { folderId: folder.id, collaboratorId: req.params.userId, removedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: leaving ? 'You no longer have access to this folder' : 'Collaborator removed'
+    });
+  } catch (error) {
+    logger.error('Remove folder collaborator error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while removing the collaborator'
+    });
+  }
+});
+
+module.exports = router;
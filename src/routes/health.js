@@ -1,6 +1,7 @@
 const express = require('express');
 const { getConnectionStatus } = require('../config/database');
 const { verifyEmailConfig } = require('../config/email');
+const maintenanceService = require('../services/maintenanceService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -22,6 +23,7 @@ router.get('/detailed', async (req, res) => {
   try {
     const dbStatus = getConnectionStatus();
     const emailStatus = await verifyEmailConfig();
+    const maintenanceStats = maintenanceService.getStats();
     
     const health = {
       success: true,
@@ -37,6 +39,10 @@ router.get('/detailed', async (req, res) => {
           status: emailStatus ? 'healthy' : 'unhealthy',
           configured: emailStatus
         },
+        maintenance: {
+          status: maintenanceStats.tasks.some(task => task.lastError) ? 'degraded' : 'healthy',
+          ...maintenanceStats
+        },
         server: {
           status: 'healthy',
           uptime: process.uptime(),
@@ -1,9 +1,18 @@
 const express = require('express');
 const mqttService = require('../services/mqttService');
+const { requireScope } = require('../middleware/auth');
+const { isTopicAllowed } = require('../services/apiKeyService');
+const { canAccessTopic } = require('../services/authorizationService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// API keys are checked against their own limits, users against the
+// dashboards they can read (action 'read') or edit (action 'update')
+const canUseTopic = (req, topic, action) => (req.apiKey
+  ? isTopicAllowed(req.apiKey, topic, action)
+  : canAccessTopic(req.user.id, topic, action));
+
 // Ensure connection on first use
 router.use((req, res, next) => {
   mqttService.connect();
@@ -14,15 +23,20 @@ router.get('/health', (req, res) => {
   res.json({ success: true, mqtt: mqttService.getHealth() });
 });
 
-router.get('/topics', (req, res) => {
-  res.json({ success: true, topics: mqttService.getTopics() });
+router.get('/topics', requireScope('mqtt:read'), (req, res) => {
+  const topics = mqttService.getTopics().filter(topic => canUseTopic(req, topic, 'read'));
+  res.json({ success: true, topics });
 });
 
-router.get('/latest', (req, res) => {
+router.get('/latest', requireScope('mqtt:read'), (req, res) => {
   const { topic } = req.query;
   if (!topic) {
     return res.status(400).json({ success: false, error: 'Query param "topic" is required' });
   }
+  if (!canUseTopic(req, topic, 'read')) {
+    const error = req.apiKey ? 'API key is not allowed to read this topic' : 'You do not have access to this topic';
+    return res.status(403).json({ success: false, error });
+  }
   const data = mqttService.getLatest(topic);
   if (!data) {
     return res.status(404).json({ success: false, error: 'No data for topic' });
@@ -30,14 +44,17 @@ router.get('/latest', (req, res) => {
   res.json({ success: true, data });
 });
 
-router.post('/publish', (req, res) => {
+router.post('/publish', requireScope('mqtt:publish'), (req, res) => {
   const { topic, message, options } = req.body || {};
   if (!topic) return res.status(400).json({ success: false, error: 'topic is required' });
+  if (!canUseTopic(req, topic, 'update')) {
+    logger.warn(`🚫 ${req.apiKey ? `API key ${req.apiKey.id}` : `User ${req.user.id}`} denied publish to ${topic}`);
+    const error = req.apiKey ? 'API key is not allowed to publish to this topic' : 'You do not have access to this topic';
+    return res.status(403).json({ success: false, error });
+  }
   mqttService.publish(topic, message ?? '', options || {});
-  logger.info(`📤 MQTT publish via API to ${topic}`);
+  logger.info(`📤 MQTT publish via API to ${topic}${req.apiKey ? ` (key ${req.apiKey.id})` : ` (user ${req.user.id})`}`);
   res.json({ success: true });
 });
 
 module.exports = router;
-
-
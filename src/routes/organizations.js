@@ -0,0 +1,340 @@
+const express = require('express');
+const Joi = require('joi');
+const { getStorage } = require('../config/database');
+const { requireAuth } = require('../middleware/auth');
+const { findUserById, findUserByEmail, normalizeEmail } = require('../services/userService');
+const {
+  ORG_ROLES,
+  createOrganization,
+  getOrganization,
+  getMemberRole,
+  listUserOrganizations,
+  setMemberRole,
+  removeMember,
+  toPublicOrganization
+} = require('../services/organizationService');
+const { deleteOrganizationTemplates } = require('../services/templateService');
+const { deleteOrganizationFolders } = require('../services/folderService');
+const collabService = require('../services/collabService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Get in-memory storage
+const storage = getStorage();
+
+router.use(requireAuth);
+
+// Validation schemas
+const createOrganizationSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required().messages({
+    'any.required': 'Organization name is required'
+  })
+});
+
+const addMemberSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Please provide a valid email address',
+    'any.required': 'Email is required'
+  }),
+  role: Joi.string().valid(...ORG_ROLES).required().messages({
+    'any.only': `Role must be one of: ${ORG_ROLES.join(', ')}`,
+    'any.required': 'Role is required'
+  })
+});
+
+const updateMemberSchema = Joi.object({
+  role: Joi.string().valid(...ORG_ROLES).required().messages({
+    'any.only': `Role must be one of: ${ORG_ROLES.join(', ')}`,
+    'any.required': 'Role is required'
+  })
+});
+
+// Resolve the organization and the caller's role, or send 404.
+// Non-members get 404 so organization IDs cannot be probed.
+const loadOrganization = (req, res) => {
+  const organization = getOrganization(req.params.orgId);
+  const role = organization ? getMemberRole(organization, req.user.id) : null;
+  if (!role) {
+    logger.warn('Organization not found:', { orgId: req.params.orgId, userId: req.user.id });
+    res.status(404).json({
+      success: false,
+      error: 'Organization not found'
+    });
+    return {};
+  }
+  return { organization, role };
+};
+
+// List my organizations
+router.get('/', (req, res) => {
+  try {
+    const organizations = listUserOrganizations(req.user.id)
+      .map(organization => toPublicOrganization(organization, findUserById, req.user.id));
+
+    res.json({
+      success: true,
+      organizations
+    });
+  } catch (error) {
+    logger.error('List organizations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while listing organizations'
+    });
+  }
+});
+
+// Create an organization
+router.post('/', (req, res) => {
+  try {
+    // Validate request body
+    const { error, value } = createOrganizationSchema.validate(req.body);
+    if (error) {
+      logger.warn('Validation error:', error.details[0].message);
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const organization = createOrganization(req.user, value);
+
+    logger.info('Organization created:', { orgId: organization.id, userId: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization created successfully',
+      organization: toPublicOrganization(organization, findUserById, req.user.id)
+    });
+  } catch (error) {
+    logger.error('Create organization error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while creating the organization'
+    });
+  }
+});
+
+// Get an organization with its members
+router.get('/:orgId', (req, res) => {
+  try {
+    const { organization } = loadOrganization(req, res);
+    if (!organization) return;
+
+    res.json({
+      success: true,
+      organization: toPublicOrganization(organization, findUserById, req.user.id)
+    });
+  } catch (error) {
+    logger.error('Get organization error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while retrieving the organization'
+    });
+  }
+});
+
+// Delete an organization (owners only, and only once it owns no dashboards)
+router.delete('/:orgId', (req, res) => {
+  try {
+    const { organization, role } = loadOrganization(req, res);
+    if (!organization) return;
+
+    if (role !== 'owner') {
+      logger.warn('Unauthorized organization deletion attempt:', { orgId: organization.id, userId: req.user.id, role });
+      return res.status(403).json({
+        success: false,
+        error: 'Only owners can delete an organization'
+      });
+    }
+
+    const dashboardCount = Array.from(storage.dashboards.values()).filter(d => d.orgId === organization.id).length;
+    if (dashboardCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Organization still owns ${dashboardCount} dashboard(s). Move or delete them first.`
+      });
+    }
+
+    storage.organizations.delete(organization.id);
+    deleteOrganizationTemplates(organization.id);
+    deleteOrganizationFolders(organization.id);
+
+    logger.info('Organization deleted:', { orgId: organization.id, userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Organization deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete organization error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while deleting the organization'
+    });
+  }
+});
+
+// Add a member by email (owners only)
+router.post('/:orgId/members', (req, res) => {
+  try {
+    const { organization, role } = loadOrganization(req, res);
+    if (!organization) return;
+
+    if (role !== 'owner') {
+      logger.warn('Unauthorized member add attempt:', { orgId: organization.id, userId: req.user.id, role });
+      return res.status(403).json({
+        success: false,
+        error: 'Only owners can manage members'
+      });
+    }
+
+    // Validate request body
+    const { error, value } = addMemberSchema.validate(req.body);
+    if (error) {
+      logger.warn('Validation error:', error.details[0].message);
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const member = findUserByEmail(value.email);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'No account exists for this email'
+      });
+    }
+
+    if (getMemberRole(organization, member.id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'User is already a member of this organization'
+      });
+    }
+
+    setMemberRole(organization, member.id, value.role);
+
+    logger.info('Organization member added:', { orgId: organization.id, memberId: member.id, role: value.role, email: normalizeEmail(value.email) });
+
+    res.status(201).json({
+      success: true,
+      message: 'Member added successfully',
+      organization: toPublicOrganization(organization, findUserById, req.user.id)
+    });
+  } catch (error) {
+    logger.error('Add member error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while adding the member'
+    });
+  }
+});
+
+// Change a member's role (owners only)
+router.put('/:orgId/members/:userId', (req, res) => {
+  try {
+    const { organization, role } = loadOrganization(req, res);
+    if (!organization) return;
+
+    if (role !== 'owner') {
+      logger.warn('Unauthorized member update attempt:', { orgId: organization.id, userId: req.user.id, role });
+      return res.status(403).json({
+        success: false,
+        error: 'Only owners can manage members'
+      });
+    }
+
+    // Validate request body
+    const { error, value } = updateMemberSchema.validate(req.body);
+    if (error) {
+      logger.warn('Validation error:', error.details[0].message);
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    if (!getMemberRole(organization, req.params.userId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    const result = setMemberRole(organization, req.params.userId, value.role);
+    if (result.error) {
+      return res.status(409).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    // Viewers can no longer edit
+    collabService.evictUnauthorized();
+
+    logger.info('Organization member role changed:', { orgId: organization.id, memberId: req.params.userId, role: value.role });
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully',
+      organization: toPublicOrganization(organization, findUserById, req.user.id)
+    });
+  } catch (error) {
+    logger.error('Update member error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while updating the member'
+    });
+  }
+});
+
+// Remove a member (owners), or leave the organization (any member removing themselves)
+router.delete('/:orgId/members/:userId', (req, res) => {
+  try {
+    const { organization, role } = loadOrganization(req, res);
+    if (!organization) return;
+
+    const leaving = req.params.userId === req.user.id;
+    if (role !== 'owner' && !leaving) {
+      logger.warn('Unauthorized member removal attempt:', { orgId: organization.id, userId: req.user.id, role });
+      return res.status(403).json({
+        success: false,
+        error: 'Only owners can manage members'
+      });
+    }
+
+    const result = removeMember(organization, req.params.userId);
+    if (result.error) {
+      return res.status(409).json({
+        success: false,
+        error: result.error
+      });
+    }
+    if (!result.removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    collabService.evictUnauthorized();
+
+    logger.info('Organization member removed:', { orgId: organization.id, memberId: req.params.userId, removedBy: req.user.id });
+
+    res.json({
+      success: true,
+      message: leaving ? 'You have left the organization' : 'Member removed successfully'
+    });
+  } catch (error) {
+    logger.error('Remove member error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An unexpected error occurred while removing the member'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,151 @@
+/**
+ * API Key Service
+ * Named, scoped keys for devices and scripts. A key looks like
+ * "iotk_<keyId>_<secret>"; it is shown once and only the secret's hash is
+ * stored in storage.apiKeys.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('../config/database');
+const { generateToken, hashToken, safeCompare } = require('../utils/tokens');
+const { canAccessDashboard, isDashboardTopic, canAccessTopic } = require('./authorizationService');
+
+const storage = getStorage();
+
+const KEY_PREFIX = 'iotk';
+
+// Scopes a key can carry; users with a session implicitly hold all of them
+const API_KEY_SCOPES = ['mqtt:publish', 'mqtt:read'];
+
+/**
+ * Creates a new API key
+ * @param {Object} user - Owner (public user object)
+ * @param {Object} params
+ * @param {string} params.name - Human-readable label
+ * @param {string[]} params.scopes - Granted scopes
+ * @param {string} [params.dashboardId] - Restrict topics to this dashboard's topicId
+ * @returns {Object} { apiKey, key } where key is the raw secret to show once
+ */
+function createApiKey(user, { name, scopes, dashboardId }) {
+  const id = crypto.randomBytes(6).toString('hex');
+  const secret = generateToken();
+
+  const apiKey = {
+    id,
+    userId: user.id,
+    name,
+    scopes: Array.from(new Set(scopes)),
+    dashboardId: dashboardId || null,
+    secretHash: hashToken(secret),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    lastUsedIp: null,
+    revokedAt: null
+  };
+
+  storage.apiKeys.set(id, apiKey);
+
+  return { apiKey, key: `${KEY_PREFIX}_${id}_${secret}` };
+}
+
+/**
+ * Resolves a raw key to its record and records the use
+ * @param {string} rawKey - Key from the Authorization header
+ * @param {string} [ip] - Caller IP for last-used tracking
+ * @returns {Object|null} Stored API key record if valid and not revoked
+ */
+function authenticateApiKey(rawKey, ip) {
+  const [prefix, id, secret] = String(rawKey || '').split('_');
+  if (prefix !== KEY_PREFIX || !id || !secret) return null;
+
+  const apiKey = storage.apiKeys.get(id);
+  if (!apiKey || apiKey.revokedAt) return null;
+  if (!safeCompare(apiKey.secretHash, hashToken(secret))) return null;
+
+  apiKey.lastUsedAt = new Date().toISOString();
+  apiKey.lastUsedIp = ip || null;
+
+  return apiKey;
+}
+
+/**
+ * Lists a user's API keys, newest first
+ * @param {string} userId - Owner ID
+ * @returns {Object[]} Stored API key records
+ */
+function listApiKeys(userId) {
+  return Array.from(storage.apiKeys.values())
+    .filter(apiKey => apiKey.userId === userId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Revokes one of a user's API keys
+ * @param {string} userId - Owner ID
+ * @param {string} keyId - API key ID
+ * @returns {Object|null} The revoked record, or null if not found
+ */
+function revokeApiKey(userId, keyId) {
+  const apiKey = storage.apiKeys.get(keyId);
+  if (!apiKey || apiKey.userId !== userId) return null;
+  if (!apiKey.revokedAt) apiKey.revokedAt = new Date().toISOString();
+  return apiKey;
+}
+
+/**
+ * Revokes every active API key a user owns, e.g. after a password reset
+ * @param {string} userId - Owner ID
+ * @returns {Object[]} The keys that were revoked
+ */
+function revokeUserApiKeys(userId) {
+  const revokedAt = new Date().toISOString();
+  return listApiKeys(userId)
+    .filter(apiKey => !apiKey.revokedAt)
+    .map(apiKey => Object.assign(apiKey, { revokedAt }));
+}
+
+/**
+ * Checks whether a key may touch an MQTT topic. A key acts for its owner, so
+ * the owner must still have access on every use: dashboard-bound keys are
+ * limited to that dashboard's topicId and its sub-topics, other keys to the
+ * topics of any dashboard the owner can access.
+ * @param {Object} apiKey - Stored API key record
+ * @param {string} topic - MQTT topic
+ * @param {string} [action='read'] - 'read' to receive messages, 'update' to publish
+ * @returns {boolean} True if allowed
+ */
+function isTopicAllowed(apiKey, topic, action = 'read') {
+  if (!apiKey.dashboardId) return canAccessTopic(apiKey.userId, topic, action);
+  const dashboard = storage.dashboards.get(apiKey.dashboardId);
+  return isDashboardTopic(dashboard, topic) && canAccessDashboard(dashboard, apiKey.userId, action);
+}
+
+/**
+ * Strips the secret hash before a key leaves the API
+ * @param {Object} apiKey - Stored API key record
+ * @returns {Object} Public API key fields
+ */
+function toPublicApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: `${KEY_PREFIX}_${apiKey.id}`,
+    scopes: apiKey.scopes,
+    dashboardId: apiKey.dashboardId,
+    createdAt: apiKey.createdAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    lastUsedIp: apiKey.lastUsedIp,
+    revokedAt: apiKey.revokedAt
+  };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  createApiKey,
+  authenticateApiKey,
+  listApiKeys,
+  revokeApiKey,
+  revokeUserApiKeys,
+  isTopicAllowed,
+  toPublicApiKey
+};
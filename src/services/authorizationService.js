@@ -0,0 +1,168 @@
+/**
+ * Authorization Service
+ * Single place that decides what a user may do with a dashboard.
+ *
+ * A user's role on a dashboard is the highest of:
+ *   - the org role, when the dashboard belongs to an organization
+ *   - 'owner', for the creator of a personal dashboard
+ *   - 'editor' or 'viewer', for users invited with edit or view access
+ *   - 'editor' or 'viewer', for users granted access to the dashboard's folder
+ *     or any folder above it
+ *
+ * Folders follow the same rules: the org role for organization folders,
+ * 'owner' for the creator of a personal folder, and grants on the folder or
+ * its ancestors.
+ */
+
+const { getStorage } = require('../config/database');
+const { getMemberRole } = require('./organizationService');
+
+const storage = getStorage();
+
+// Roles allowed to perform each action
+const DASHBOARD_PERMISSIONS = {
+  read: ['owner', 'editor', 'viewer'],
+  update: ['owner', 'editor'],
+  publish: ['owner', 'editor'],
+  delete: ['owner'],
+  // Ownership-level changes such as moving a dashboard between organizations
+  manage: ['owner']
+};
+
+// Roles from lowest to highest
+const ROLE_RANK = ['viewer', 'editor', 'owner'];
+
+// Role granted by a collaborator's access level
+const COLLABORATOR_ROLES = {
+  view: 'viewer',
+  edit: 'editor'
+};
+
+function highestRole(...roles) {
+  return roles.reduce((best, role) => (ROLE_RANK.indexOf(role) > ROLE_RANK.indexOf(best) ? role : best), null);
+}
+
+/**
+ * Resolves the role a user was granted on a folder or any folder above it
+ * @param {string} folderId - Folder ID
+ * @param {string} userId - User ID
+ * @returns {string|null} 'editor' | 'viewer', or null if nothing was granted
+ */
+function getInheritedFolderRole(folderId, userId) {
+  let role = null;
+  const seen = new Set();
+  let folder = folderId ? storage.dashboardFolders.get(folderId) : null;
+  while (folder && !seen.has(folder.id)) {
+    seen.add(folder.id);
+    const collaborator = (folder.collaborators || []).find(c => c.userId === userId);
+    if (collaborator) role = highestRole(role, COLLABORATOR_ROLES[collaborator.access]);
+    folder = folder.parentId ? storage.dashboardFolders.get(folder.parentId) : null;
+  }
+  return role;
+}
+
+/**
+ * Resolves a user's role on a folder
+ * @param {Object} folder - Stored folder
+ * @param {string} userId - User ID
+ * @returns {string|null} 'owner' | 'editor' | 'viewer', or null for no access
+ */
+function getFolderRole(folder, userId) {
+  if (!folder || !userId) return null;
+
+  const baseRole = folder.orgId
+    ? getMemberRole(folder.orgId, userId)
+    : (folder.userId === userId ? 'owner' : null);
+
+  return highestRole(baseRole || null, getInheritedFolderRole(folder.id, userId));
+}
+
+/**
+ * Checks whether a user may perform an action on a folder
+ * (read: see it and its dashboards, update: rename it and file dashboards or
+ * subfolders in it, delete: remove it, manage: share or move it)
+ * @param {Object} folder - Stored folder
+ * @param {string} userId - User ID
+ * @param {string} action - One of read, update, publish, delete, manage
+ * @returns {boolean} True if allowed
+ */
+function canAccessFolder(folder, userId, action) {
+  const allowedRoles = DASHBOARD_PERMISSIONS[action];
+  if (!allowedRoles) throw new Error(`Unknown folder action: ${action}`);
+  const role = getFolderRole(folder, userId);
+  return Boolean(role && allowedRoles.includes(role));
+}
+
+/**
+ * Resolves a user's role on a dashboard
+ * @param {Object} dashboard - Stored dashboard
+ * @param {string} userId - User ID
+ * @returns {string|null} 'owner' | 'editor' | 'viewer', or null for no access
+ */
+function getDashboardRole(dashboard, userId) {
+  if (!dashboard || !userId) return null;
+
+  let baseRole;
+  if (dashboard.orgId) {
+    baseRole = getMemberRole(dashboard.orgId, userId);
+  } else {
+    baseRole = dashboard.userId === userId ? 'owner' : null;
+  }
+
+  const collaborator = (dashboard.collaborators || []).find(c => c.userId === userId);
+  const collaboratorRole = collaborator ? COLLABORATOR_ROLES[collaborator.access] : null;
+
+  return highestRole(baseRole || null, collaboratorRole, getInheritedFolderRole(dashboard.folderId, userId));
+}
+
+/**
+ * Checks whether a user may perform an action on a dashboard
+ * @param {Object} dashboard - Stored dashboard
+ * @param {string} userId - User ID
+ * @param {string} action - One of read, update, publish, delete, manage
+ * @returns {boolean} True if allowed
+ */
+function canAccessDashboard(dashboard, userId, action) {
+  const allowedRoles = DASHBOARD_PERMISSIONS[action];
+  if (!allowedRoles) throw new Error(`Unknown dashboard action: ${action}`);
+  const role = getDashboardRole(dashboard, userId);
+  return Boolean(role && allowedRoles.includes(role));
+}
+
+/**
+ * Checks whether an MQTT topic is a dashboard's topicId or one of its sub-topics
+ * @param {Object} dashboard - Stored dashboard
+ * @param {string} topic - MQTT topic
+ * @returns {boolean} True if the topic belongs to the dashboard
+ */
+function isDashboardTopic(dashboard, topic) {
+  const topicId = dashboard && (dashboard.topicId || dashboard.id);
+  if (!topicId) return false;
+  return topic === topicId || String(topic).startsWith(`${topicId}/`);
+}
+
+/**
+ * Checks whether a user may perform an action on an MQTT topic, which they
+ * may if they can do so on a dashboard the topic belongs to
+ * (read: receive its messages, update: publish to it)
+ * @param {string} userId - User ID
+ * @param {string} topic - MQTT topic
+ * @param {string} action - One of read, update
+ * @returns {boolean} True if allowed
+ */
+function canAccessTopic(userId, topic, action) {
+  for (const dashboard of storage.dashboards.values()) {
+    if (isDashboardTopic(dashboard, topic) && canAccessDashboard(dashboard, userId, action)) return true;
+  }
+  return false;
+}
+
+module.exports = {
+  DASHBOARD_PERMISSIONS,
+  getDashboardRole,
+  canAccessDashboard,
+  isDashboardTopic,
+  canAccessTopic,
+  getFolderRole,
+  canAccessFolder
+};
@@ -0,0 +1,138 @@
+/**
+ * Dashboard Bundle Service
+ * Portable JSON bundles for moving dashboards between instances.
+ *
+ * A bundle holds one or more dashboards with their widgets, layout and the
+ * MQTT topics their widgets reference, tagged with a format version so older
+ * bundles can still be read after the format changes. Imported dashboards get
+ * new IDs and topic IDs unless the originals are asked for and still free.
+ */
+
+const { getStorage } = require('../config/database');
+const { generateTopicId, validateTopicId } = require('../utils/topicIdGenerator');
+const { mapStrings, replaceTopicIds } = require('../utils/mapStrings');
+
+const storage = getStorage();
+
+const BUNDLE_FORMAT = 'iot-dashboard-bundle';
+const BUNDLE_FORMAT_VERSION = 1;
+// Versions this server can import
+const SUPPORTED_FORMAT_VERSIONS = [1];
+
+const MAX_BUNDLE_DASHBOARDS = parseInt(process.env.BUNDLE_MAX_DASHBOARDS) || 200;
+
+// Widget settings that hold MQTT topics
+const TOPIC_KEYS = ['topic', 'topics'];
+
+/**
+ * Lists the MQTT topics a dashboard's widgets reference ("topic"/"topics" settings)
+ * @param {Object} dashboard - Stored dashboard
+ * @returns {string[]} Sorted unique topics
+ */
+function collectTopics(dashboard) {
+  const topics = new Set();
+  const visit = (value) => {
+    if (Array.isArray(value)) return value.forEach(visit);
+    if (!value || typeof value !== 'object') return;
+    Object.entries(value).forEach(([key, item]) => {
+      if (TOPIC_KEYS.includes(key)) {
+        mapStrings(item, (topic) => {
+          if (topic) topics.add(topic);
+          return topic;
+        });
+      } else {
+        visit(item);
+      }
+    });
+  };
+  visit(dashboard.widgets || []);
+  return Array.from(topics).sort();
+}
+
+/**
+ * Builds a bundle from dashboards
+ * @param {Object[]} dashboards - Stored dashboards
+ * @returns {Object} Bundle
+ */
+function buildBundle(dashboards) {
+  return {
+    format: BUNDLE_FORMAT,
+    formatVersion: BUNDLE_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    dashboards: dashboards.map(dashboard => ({
+      id: dashboard.id,
+      topicId: dashboard.topicId || null,
+      name: dashboard.name,
+      widgets: dashboard.widgets || [],
+      layout: dashboard.layout || {},
+      deviceCount: dashboard.deviceCount,
+      stats: dashboard.stats,
+      tags: dashboard.tags || [],
+      topics: collectTopics(dashboard)
+    }))
+  };
+}
+
+// An ID may be kept if it is well-formed and no dashboard uses it yet
+function isFreeTopicId(topicId, taken) {
+  return Boolean(topicId) && validateTopicId(topicId) && !taken.has(topicId);
+}
+
+function generateFreeTopicId(taken) {
+  let topicId;
+  do {
+    topicId = generateTopicId();
+  } while (taken.has(topicId));
+  return topicId;
+}
+
+/**
+ * Prepares the dashboards of a validated bundle for import
+ * @param {Object} bundle - Bundle (already validated)
+ * @param {Object} [options]
+ * @param {boolean} [options.keepIds=false] - Keep original IDs and topic IDs where they are still free
+ * @returns {Object[]} { source, content, remapped } per dashboard; content has id, topicId, name, widgets, layout, ...
+ */
+function prepareImport(bundle, { keepIds = false } = {}) {
+  // IDs and topic IDs already in use, including ones handed out earlier in this bundle
+  const taken = new Set();
+  storage.dashboards.forEach((dashboard) => {
+    taken.add(dashboard.id);
+    if (dashboard.topicId) taken.add(dashboard.topicId);
+  });
+
+  return bundle.dashboards.map((source) => {
+    const id = keepIds && isFreeTopicId(source.id, taken) ? source.id : generateFreeTopicId(taken);
+    taken.add(id);
+    const topicId = keepIds && source.topicId && isFreeTopicId(source.topicId, taken) ? source.topicId : generateFreeTopicId(taken);
+    taken.add(topicId);
+
+    // Widgets that reference the old topic point at the new one
+    const oldTopicIds = [source.topicId, source.id].filter(oldId => oldId && oldId !== topicId);
+    const content = {
+      id,
+      topicId,
+      widgets: replaceTopicIds(source.widgets, oldTopicIds, topicId),
+      layout: replaceTopicIds(source.layout || {}, oldTopicIds, topicId)
+    };
+    if (source.deviceCount !== undefined) content.deviceCount = source.deviceCount;
+    if (source.stats !== undefined) content.stats = source.stats;
+    if (source.tags && source.tags.length) content.tags = source.tags;
+
+    return {
+      source,
+      content,
+      remapped: { id: id !== source.id, topicId: topicId !== source.topicId }
+    };
+  });
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_FORMAT_VERSION,
+  SUPPORTED_FORMAT_VERSIONS,
+  MAX_BUNDLE_DASHBOARDS,
+  collectTopics,
+  buildBundle,
+  prepareImport
+};
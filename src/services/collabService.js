@@ -0,0 +1,326 @@
+/**
+ * Collaborative Editing Service
+ * Edit rooms on the /ws channel: editors of the same dashboard see each
+ * other's presence and cursors, and receive widget changes as they happen.
+ *
+ * Widget operations are applied on the server one at a time, in arrival
+ * order, against the current dashboard and stored through commitDashboard, so
+ * every operation gets the next dashboard version. Clients apply broadcast
+ * operations in version order; a gap in versions means a missed message and
+ * the client should join again to reload the dashboard.
+ *
+ * Client messages ({ action, dashboardId, ... }):
+ *   edit:join    - join the room (needs a logged-in connection with update access)
+ *   edit:leave   - leave the room
+ *   edit:cursor  - { cursor, selectedWidgetId } shared with the others, not stored
+ *   edit:op      - { opId, op: { type: 'add'|'update'|'move'|'delete', ... } }
+ *
+ * Access is checked again before anything is sent to the room, so editors who
+ * lose update access (collaborator, organization or folder changes) are removed
+ * with edit:closed { reason: 'access-revoked' } instead of receiving it.
+ */
+
+const crypto = require('crypto');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { getStorage } = require('../config/database');
+const { canAccessDashboard } = require('./authorizationService');
+const { findUserById } = require('./userService');
+const {
+  dashboardEvents,
+  widgetSchema,
+  getDashboardVersion,
+  commitDashboard,
+  getEditableContent,
+  validateEditableContent,
+  applyWidgetOperation
+} = require('./dashboardService');
+
+const storage = getStorage();
+
+const MAX_ROOM_SIZE = parseInt(process.env.COLLAB_MAX_ROOM_SIZE) || 50;
+
+const operationSchema = Joi.object({
+  type: Joi.string().valid('add', 'update', 'move', 'delete').required(),
+  widget: Joi.when('type', { is: 'add', then: widgetSchema.required(), otherwise: Joi.forbidden() }),
+  widgetId: Joi.when('type', { is: 'add', then: Joi.forbidden(), otherwise: Joi.string().required() }),
+  changes: Joi.when('type', {
+    switch: [
+      {
+        is: 'update',
+        then: Joi.object({
+          type: Joi.string(),
+          title: Joi.string(),
+          data: Joi.object(),
+          config: Joi.object()
+        }).min(1).required()
+      },
+      {
+        is: 'move',
+        then: Joi.object({
+          x: Joi.number(),
+          y: Joi.number(),
+          w: Joi.number().min(1),
+          h: Joi.number().min(1)
+        }).min(1).required()
+      }
+    ],
+    otherwise: Joi.forbidden()
+  }),
+  breakpoint: Joi.when('type', { is: 'move', then: Joi.string().optional(), otherwise: Joi.forbidden() })
+});
+
+const cursorSchema = Joi.object({
+  x: Joi.number().required(),
+  y: Joi.number().required()
+}).allow(null);
+
+class CollabService {
+  constructor() {
+    // dashboardId -> Set of sockets in the edit room
+    this.rooms = new Map();
+
+    // Changes made outside the room (REST updates, restores) reload the editors
+    dashboardEvents.on('committed', (dashboard, { userId, action }) => {
+      if (action === 'live-edit') return;
+      this.broadcast(dashboard.id, {
+        type: 'edit:sync',
+        dashboardId: dashboard.id,
+        version: getDashboardVersion(dashboard),
+        userId,
+        action,
+        dashboard: getEditableContent(dashboard)
+      });
+    });
+
+    dashboardEvents.on('deleted', (dashboardId) => this.closeRoom(dashboardId, 'deleted'));
+  }
+
+  /**
+   * Handles an edit:* message from a WebSocket client
+   * @param {WebSocket} ws - Client socket (ws.userId is set for logged-in connections)
+   * @param {Object} message - Parsed message
+   */
+  handleMessage(ws, message) {
+    const { action, dashboardId } = message;
+    if (typeof dashboardId !== 'string') {
+      return this.send(ws, { type: 'edit:error', action, error: 'dashboardId is required' });
+    }
+
+    if (action === 'edit:join') return this.join(ws, dashboardId);
+    if (action === 'edit:leave') return this.leave(ws, dashboardId);
+
+    if (!ws.editRooms?.has(dashboardId)) {
+      return this.send(ws, { type: 'edit:error', action, dashboardId, error: 'Join the dashboard before editing it' });
+    }
+    if (action === 'edit:cursor') return this.updateCursor(ws, dashboardId, message);
+    if (action === 'edit:op') return this.applyOperation(ws, dashboardId, message);
+
+    return this.send(ws, { type: 'edit:error', action, dashboardId, error: 'Unknown edit action' });
+  }
+
+  join(ws, dashboardId) {
+    if (!ws.userId) {
+      return this.send(ws, { type: 'edit:error', action: 'edit:join', dashboardId, error: 'Log in to edit dashboards' });
+    }
+
+    const dashboard = storage.dashboards.get(dashboardId);
+    if (!dashboard || !canAccessDashboard(dashboard, ws.userId, 'update')) {
+      // Same answer for missing and forbidden dashboards, so IDs cannot be probed
+      return this.send(ws, { type: 'edit:error', action: 'edit:join', dashboardId, error: 'Dashboard not found or not editable' });
+    }
+
+    let room = this.rooms.get(dashboardId);
+    if (!room) {
+      room = new Set();
+      this.rooms.set(dashboardId, room);
+    }
+    if (!room.has(ws) && room.size >= MAX_ROOM_SIZE) {
+      return this.send(ws, { type: 'edit:error', action: 'edit:join', dashboardId, error: 'Too many editors on this dashboard' });
+    }
+
+    if (!ws.clientId) ws.clientId = crypto.randomUUID();
+    if (!ws.editRooms) ws.editRooms = new Map();
+    const alreadyJoined = room.has(ws);
+    if (!alreadyJoined) ws.editRooms.set(dashboardId, { cursor: null, selectedWidgetId: null });
+    room.add(ws);
+
+    // Joining again is how a client resyncs after missing an operation
+    this.send(ws, {
+      type: 'edit:joined',
+      dashboardId,
+      clientId: ws.clientId,
+      version: getDashboardVersion(dashboard),
+      dashboard: getEditableContent(dashboard),
+      participants: Array.from(room).map(client => this.toParticipant(client, dashboardId))
+    });
+
+    if (!alreadyJoined) {
+      this.broadcast(dashboardId, { type: 'edit:presence', event: 'join', dashboardId, participant: this.toParticipant(ws, dashboardId) }, ws);
+      logger.info(`✏️ User ${ws.userId} joined edit room ${dashboardId} (${room.size} editor(s))`);
+    }
+  }
+
+  leave(ws, dashboardId) {
+    const room = this.rooms.get(dashboardId);
+    if (!room || !room.has(ws)) return;
+
+    const participant = this.toParticipant(ws, dashboardId);
+    room.delete(ws);
+    ws.editRooms.delete(dashboardId);
+    if (!room.size) this.rooms.delete(dashboardId);
+
+    this.broadcast(dashboardId, { type: 'edit:presence', event: 'leave', dashboardId, participant });
+    logger.info(`✏️ User ${ws.userId} left edit room ${dashboardId}`);
+  }
+
+  /**
+   * Removes a closed socket from every room it joined
+   * @param {WebSocket} ws - Client socket
+   */
+  leaveAll(ws) {
+    if (!ws.editRooms) return;
+    Array.from(ws.editRooms.keys()).forEach(dashboardId => this.leave(ws, dashboardId));
+  }
+
+  updateCursor(ws, dashboardId, { cursor = null, selectedWidgetId = null }) {
+    const { error } = cursorSchema.validate(cursor);
+    if (error || (selectedWidgetId !== null && typeof selectedWidgetId !== 'string')) {
+      return this.send(ws, { type: 'edit:error', action: 'edit:cursor', dashboardId, error: 'cursor must be { x, y } and selectedWidgetId a widget ID' });
+    }
+
+    // Access may have been removed since joining
+    if (!this.canEdit(ws, storage.dashboards.get(dashboardId))) return this.evict(ws, dashboardId);
+
+    Object.assign(ws.editRooms.get(dashboardId), { cursor, selectedWidgetId });
+    this.broadcast(dashboardId, {
+      type: 'edit:cursor',
+      dashboardId,
+      clientId: ws.clientId,
+      userId: ws.userId,
+      cursor,
+      selectedWidgetId
+    }, ws);
+  }
+
+  applyOperation(ws, dashboardId, { opId = null, op }) {
+    const reject = (error) => {
+      const current = storage.dashboards.get(dashboardId);
+      this.send(ws, { type: 'edit:reject', dashboardId, opId, error, version: current ? getDashboardVersion(current) : null });
+    };
+
+    const { error, value: operation } = operationSchema.validate(op);
+    if (error) return reject(error.details[0].message);
+
+    // Access may have been removed since joining
+    const dashboard = storage.dashboards.get(dashboardId);
+    if (!this.canEdit(ws, dashboard)) {
+      reject('Dashboard not found or not editable');
+      return this.evict(ws, dashboardId);
+    }
+
+    const result = applyWidgetOperation(getEditableContent(dashboard), operation);
+    if (result.error) return reject(result.error);
+
+    const contentError = validateEditableContent(result.content);
+    if (contentError) return reject(contentError);
+
+    // Same write path as PUT /update/:id: next version plus a (folded) revision
+    const { dashboard: editedDashboard } = commitDashboard({
+      ...dashboard,
+      ...result.content,
+      updatedBy: ws.userId,
+      updatedAt: new Date().toISOString()
+    }, { userId: ws.userId, action: 'live-edit' });
+
+    const version = getDashboardVersion(editedDashboard);
+    this.send(ws, { type: 'edit:ack', dashboardId, opId, version, widget: result.widget });
+    this.broadcast(dashboardId, {
+      type: 'edit:op',
+      dashboardId,
+      version,
+      clientId: ws.clientId,
+      userId: ws.userId,
+      op: operation,
+      widget: result.widget
+    }, ws);
+  }
+
+  closeRoom(dashboardId, reason) {
+    const room = this.rooms.get(dashboardId);
+    if (!room) return;
+
+    // Sent directly: the dashboard is gone, so broadcast would evict everyone instead
+    const message = JSON.stringify({ type: 'edit:closed', dashboardId, reason });
+    room.forEach((client) => {
+      this.send(client, message);
+      client.editRooms?.delete(dashboardId);
+    });
+    this.rooms.delete(dashboardId);
+  }
+
+  canEdit(ws, dashboard) {
+    return Boolean(dashboard && canAccessDashboard(dashboard, ws.userId, 'update'));
+  }
+
+  // Removes a socket that lost update access from a room and tells it why
+  evict(ws, dashboardId) {
+    this.send(ws, { type: 'edit:closed', dashboardId, reason: 'access-revoked' });
+    this.leave(ws, dashboardId);
+  }
+
+  /**
+   * Removes sockets from the rooms of dashboards they can no longer edit. Call
+   * after collaborators, organization members or folder grants change.
+   * @param {string} [dashboardId] - Only check this dashboard's room
+   * @returns {number} Number of sockets removed
+   */
+  evictUnauthorized(dashboardId) {
+    const dashboardIds = dashboardId ? [dashboardId] : Array.from(this.rooms.keys());
+    let evicted = 0;
+    dashboardIds.forEach((id) => {
+      const dashboard = storage.dashboards.get(id);
+      Array.from(this.rooms.get(id) || []).forEach((client) => {
+        if (this.canEdit(client, dashboard)) return;
+        this.evict(client, id);
+        evicted++;
+      });
+    });
+    if (evicted) logger.info(`✏️ Removed ${evicted} editor(s) who lost access from edit rooms`);
+    return evicted;
+  }
+
+  toParticipant(ws, dashboardId) {
+    const user = findUserById(ws.userId);
+    const state = ws.editRooms?.get(dashboardId) || {};
+    return {
+      clientId: ws.clientId,
+      userId: ws.userId,
+      name: user ? user.name : null,
+      cursor: state.cursor || null,
+      selectedWidgetId: state.selectedWidgetId || null
+    };
+  }
+
+  broadcast(dashboardId, payload, except) {
+    const room = this.rooms.get(dashboardId);
+    if (!room) return;
+    const dashboard = storage.dashboards.get(dashboardId);
+    const message = JSON.stringify(payload);
+    Array.from(room).forEach((client) => {
+      if (client === except || !room.has(client)) return;
+      // Access may have been removed since joining
+      if (!this.canEdit(client, dashboard)) return this.evict(client, dashboardId);
+      this.send(client, message);
+    });
+  }
+
+  send(ws, payload) {
+    try {
+      if (ws.readyState === 1 /* OPEN */) ws.send(typeof payload === 'string' ? payload : JSON.stringify(payload));
+    } catch (_) {}
+  }
+}
+
+// Singleton
+module.exports = new CollabService();
@@ -0,0 +1,331 @@
+/**
+ * Dashboard Index Service
+ * In-memory indexes for listing and searching dashboards without scanning them all.
+ *
+ * Each dashboard is indexed by who can reach it (personal owner, organization,
+ * collaborators, folder), the words in its name and widget titles, its widget
+ * types, the MQTT topics its widgets use, its tags and whether it is
+ * published. The indexes follow dashboardEvents, so every change made through
+ * commitDashboard or deleteDashboard is picked up. Collaborator changes are
+ * made in place and must be followed by reindex(); folder grants are looked up
+ * when listing, so they need nothing.
+ *
+ * Listings are sorted by name, last update or publish time and paged with
+ * opaque cursors, so pages stay consistent while dashboards are added.
+ */
+
+const { getStorage } = require('../config/database');
+const { dashboardEvents } = require('./dashboardService');
+const { getDashboardRole } = require('./authorizationService');
+const { listUserOrganizations } = require('./organizationService');
+const { collectTopics } = require('./bundleService');
+const { listDescendantIds, listSharedFolderIds } = require('./folderService');
+const { getFavoriteIds } = require('./favoriteService');
+
+const storage = getStorage();
+
+const SORT_FIELDS = ['name', 'updated', 'published'];
+const SORT_ORDERS = ['asc', 'desc'];
+// Order used when none is given: names A-Z, newest first otherwise
+const DEFAULT_SORT_ORDER = { name: 'asc', updated: 'desc', published: 'desc' };
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Splits text into lowercase search terms
+ * @param {string} text - Text to split
+ * @returns {string[]} Terms (letters and digits only)
+ */
+function tokenize(text) {
+  return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+const normalizeTag = tag => String(tag).trim().toLowerCase();
+
+function addPosting(postings, key, dashboardId) {
+  let ids = postings.get(key);
+  if (!ids) {
+    ids = new Set();
+    postings.set(key, ids);
+  }
+  ids.add(dashboardId);
+}
+
+function removePosting(postings, key, dashboardId) {
+  const ids = postings.get(key);
+  if (!ids) return;
+  ids.delete(dashboardId);
+  if (!ids.size) postings.delete(key);
+}
+
+// Value a dashboard is sorted by; null (never published) always sorts last
+function sortValue(dashboard, sort) {
+  if (sort === 'name') return String(dashboard.name || '').toLowerCase();
+  if (sort === 'published') return dashboard.isPublished ? dashboard.publishedAt || null : null;
+  return dashboard.updatedAt || dashboard.createdAt || null;
+}
+
+function compareKeys([valueA, idA], [valueB, idB], order) {
+  if (valueA !== valueB) {
+    if (valueA === null) return 1;
+    if (valueB === null) return -1;
+    const result = valueA < valueB ? -1 : 1;
+    return order === 'asc' ? result : -result;
+  }
+  // Ties are broken by ID so every dashboard has a fixed place in the order
+  return idA < idB ? -1 : idA > idB ? 1 : 0;
+}
+
+function encodeCursor(key, sort, order) {
+  return Buffer.from(JSON.stringify([...key, sort, order])).toString('base64url');
+}
+
+function decodeCursor(cursor, sort, order) {
+  try {
+    const [value, id, cursorSort, cursorOrder] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (cursorSort !== sort || cursorOrder !== order || typeof id !== 'string') return null;
+    return [value, id];
+  } catch (_) {
+    return null;
+  }
+}
+
+class DashboardIndexService {
+  constructor() {
+    // dashboardId -> the keys it was indexed under, so it can be removed again
+    this.entries = new Map();
+    this.byOwner = new Map();
+    this.byOrg = new Map();
+    this.byCollaborator = new Map();
+    // Folder ID -> dashboards filed directly in it (null for unfiled dashboards)
+    this.byFolder = new Map();
+    this.byTerm = new Map();
+    this.byWidgetType = new Map();
+    this.byTopic = new Map();
+    this.byTag = new Map();
+    this.published = new Set();
+
+    storage.dashboards.forEach(dashboard => this.reindex(dashboard));
+    dashboardEvents.on('committed', dashboard => this.reindex(dashboard));
+    dashboardEvents.on('deleted', dashboardId => this.remove(dashboardId));
+  }
+
+  /**
+   * Indexes a dashboard, replacing what was indexed for it before
+   * @param {Object} dashboard - Stored dashboard
+   */
+  reindex(dashboard) {
+    this.remove(dashboard.id);
+
+    const widgets = dashboard.widgets || [];
+    const entry = {
+      ownerId: dashboard.orgId ? null : dashboard.userId,
+      orgId: dashboard.orgId || null,
+      collaboratorIds: (dashboard.collaborators || []).map(collaborator => collaborator.userId),
+      folderId: dashboard.folderId || null,
+      terms: new Set([dashboard.name, ...widgets.map(widget => widget.title)].flatMap(tokenize)),
+      widgetTypes: new Set(widgets.map(widget => widget.type)),
+      topics: new Set(collectTopics(dashboard)),
+      tags: new Set((dashboard.tags || []).map(normalizeTag)),
+      isPublished: Boolean(dashboard.isPublished)
+    };
+    this.entries.set(dashboard.id, entry);
+
+    if (entry.ownerId) addPosting(this.byOwner, entry.ownerId, dashboard.id);
+    if (entry.orgId) addPosting(this.byOrg, entry.orgId, dashboard.id);
+    entry.collaboratorIds.forEach(userId => addPosting(this.byCollaborator, userId, dashboard.id));
+    addPosting(this.byFolder, entry.folderId, dashboard.id);
+    entry.terms.forEach(term => addPosting(this.byTerm, term, dashboard.id));
+    entry.widgetTypes.forEach(type => addPosting(this.byWidgetType, type, dashboard.id));
+    entry.topics.forEach(topic => addPosting(this.byTopic, topic, dashboard.id));
+    entry.tags.forEach(tag => addPosting(this.byTag, tag, dashboard.id));
+    if (entry.isPublished) this.published.add(dashboard.id);
+  }
+
+  /**
+   * Drops a dashboard from every index
+   * @param {string} dashboardId - Dashboard ID
+   */
+  remove(dashboardId) {
+    const entry = this.entries.get(dashboardId);
+    if (!entry) return;
+
+    if (entry.ownerId) removePosting(this.byOwner, entry.ownerId, dashboardId);
+    if (entry.orgId) removePosting(this.byOrg, entry.orgId, dashboardId);
+    entry.collaboratorIds.forEach(userId => removePosting(this.byCollaborator, userId, dashboardId));
+    removePosting(this.byFolder, entry.folderId, dashboardId);
+    entry.terms.forEach(term => removePosting(this.byTerm, term, dashboardId));
+    entry.widgetTypes.forEach(type => removePosting(this.byWidgetType, type, dashboardId));
+    entry.topics.forEach(topic => removePosting(this.byTopic, topic, dashboardId));
+    entry.tags.forEach(tag => removePosting(this.byTag, tag, dashboardId));
+    this.published.delete(dashboardId);
+    this.entries.delete(dashboardId);
+  }
+
+  /**
+   * Counts the dashboards filed directly in a folder, whoever can see them
+   * @param {string} folderId - Folder ID
+   * @returns {number} Number of dashboards
+   */
+  countInFolder(folderId) {
+    return (this.byFolder.get(folderId) || new Set()).size;
+  }
+
+  // Dashboards in the given folders
+  inFolders(folderIds) {
+    const ids = new Set();
+    folderIds.forEach(folderId => (this.byFolder.get(folderId) || []).forEach(id => ids.add(id)));
+    return ids;
+  }
+
+  // Dashboards a user may be able to read: personal ones, their organizations',
+  // those shared with them and those in folders shared with them
+  candidatesForUser(userId, orgId) {
+    if (orgId) return new Set(this.byOrg.get(orgId) || []);
+
+    const ids = new Set([...(this.byOwner.get(userId) || []), ...(this.byCollaborator.get(userId) || [])]);
+    listUserOrganizations(userId).forEach((organization) => {
+      (this.byOrg.get(organization.id) || []).forEach(id => ids.add(id));
+    });
+    this.inFolders(listSharedFolderIds(userId)).forEach(id => ids.add(id));
+    return ids;
+  }
+
+  // Dashboards with a term starting with each word of the query
+  matchQuery(query) {
+    return tokenize(query).map((word) => {
+      const ids = new Set();
+      this.byTerm.forEach((termIds, term) => {
+        if (term.startsWith(word)) termIds.forEach(id => ids.add(id));
+      });
+      return ids;
+    });
+  }
+
+  /**
+   * Counts the dashboards a user can read in each folder
+   * @param {string} userId - User ID
+   * @param {Object} [options]
+   * @param {string} [options.orgId] - Only this organization's dashboards
+   * @returns {Map} Folder ID (null for unfiled) -> number of dashboards
+   */
+  countByFolder(userId, { orgId } = {}) {
+    const counts = new Map();
+    this.candidatesForUser(userId, orgId).forEach((dashboardId) => {
+      if (!getDashboardRole(storage.dashboards.get(dashboardId), userId)) return;
+      const { folderId } = this.entries.get(dashboardId);
+      counts.set(folderId, (counts.get(folderId) || 0) + 1);
+    });
+    return counts;
+  }
+
+  /**
+   * Counts the tags on the dashboards a user can read
+   * @param {string} userId - User ID
+   * @param {Object} [options]
+   * @param {string} [options.orgId] - Only this organization's dashboards
+   * @returns {Object[]} [{ tag, count }], most used first
+   */
+  listTags(userId, { orgId } = {}) {
+    const counts = new Map();
+    this.candidatesForUser(userId, orgId).forEach((dashboardId) => {
+      if (!getDashboardRole(storage.dashboards.get(dashboardId), userId)) return;
+      this.entries.get(dashboardId).tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    return Array.from(counts, ([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+
+  /**
+   * Lists the dashboards a user can read, filtered, sorted and paged
+   * @param {string} userId - User ID
+   * @param {Object} [options]
+   * @param {string} [options.orgId] - Only this organization's dashboards
+   * @param {string} [options.q] - Words to find in names and widget titles (prefix match, all must match)
+   * @param {boolean} [options.published] - Only published (true) or unpublished (false) dashboards
+   * @param {string} [options.tag] - Only dashboards with this tag
+   * @param {string} [options.widgetType] - Only dashboards with a widget of this type
+   * @param {string} [options.topic] - Only dashboards with a widget using this MQTT topic
+   * @param {string} [options.folderId] - Only dashboards filed in this folder ('none' for unfiled ones)
+   * @param {boolean} [options.recursive=false] - With folderId, include dashboards in its subfolders
+   * @param {boolean} [options.favorite] - Only dashboards the user starred
+   * @param {boolean} [options.includeFolderCounts=false] - Also count matches per folder (before the folderId filter)
+   * @param {string} [options.sort='updated'] - 'name', 'updated' or 'published'
+   * @param {string} [options.order] - 'asc' or 'desc' (defaults per sort field)
+   * @param {number} [options.limit=50] - Page size
+   * @param {string} [options.cursor] - nextCursor from the previous page
+   * @returns {Object} { items: [{ dashboard, role }], total, nextCursor, folderCounts } or { error };
+   *   folderCounts maps folder IDs (null for unfiled) to match counts
+   */
+  list(userId, {
+    orgId, q, published, tag, widgetType, topic, folderId, recursive = false, favorite,
+    sort = 'updated', order, limit = DEFAULT_PAGE_SIZE, cursor, includeFolderCounts = false
+  } = {}) {
+    order = order || DEFAULT_SORT_ORDER[sort];
+    const after = cursor ? decodeCursor(cursor, sort, order) : null;
+    if (cursor && !after) return { error: 'Invalid cursor. Request the first page again.' };
+
+    const filters = [];
+    if (q) filters.push(...this.matchQuery(q));
+    if (published === true) filters.push(this.published);
+    if (tag) filters.push(this.byTag.get(normalizeTag(tag)) || new Set());
+    if (widgetType) filters.push(this.byWidgetType.get(widgetType) || new Set());
+    if (topic) filters.push(this.byTopic.get(topic) || new Set());
+    if (favorite === true) filters.push(getFavoriteIds(userId));
+
+    let folderFilter = null;
+    if (folderId === 'none') {
+      folderFilter = this.byFolder.get(null) || new Set();
+    } else if (folderId) {
+      folderFilter = this.inFolders(recursive ? listDescendantIds(folderId) : [folderId]);
+    }
+    // Per-folder counts cover every folder, so the folder filter is applied after counting
+    if (folderFilter && !includeFolderCounts) filters.push(folderFilter);
+
+    // Walk the smallest set and check membership in the others
+    const sets = [this.candidatesForUser(userId, orgId), ...filters].sort((a, b) => a.size - b.size);
+    const [smallest, ...others] = sets;
+
+    let matches = [];
+    smallest.forEach((dashboardId) => {
+      if (!others.every(ids => ids.has(dashboardId))) return;
+      if (published === false && this.published.has(dashboardId)) return;
+      if (favorite === false && getFavoriteIds(userId).has(dashboardId)) return;
+
+      const dashboard = storage.dashboards.get(dashboardId);
+      const role = getDashboardRole(dashboard, userId);
+      if (role) matches.push({ dashboard, role, key: [sortValue(dashboard, sort), dashboard.id] });
+    });
+
+    let folderCounts = null;
+    if (includeFolderCounts) {
+      folderCounts = new Map();
+      matches.forEach(({ dashboard }) => {
+        const key = dashboard.folderId || null;
+        folderCounts.set(key, (folderCounts.get(key) || 0) + 1);
+      });
+      if (folderFilter) matches = matches.filter(({ dashboard }) => folderFilter.has(dashboard.id));
+    }
+
+    matches.sort((a, b) => compareKeys(a.key, b.key, order));
+
+    const start = after ? matches.findIndex(match => compareKeys(match.key, after, order) > 0) : 0;
+    const page = start === -1 ? [] : matches.slice(start, start + Math.min(limit, MAX_PAGE_SIZE));
+    const hasMore = start !== -1 && start + page.length < matches.length;
+
+    return {
+      items: page.map(({ dashboard, role }) => ({ dashboard, role })),
+      total: matches.length,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1].key, sort, order) : null,
+      folderCounts
+    };
+  }
+}
+
+// Singleton, with the listing limits for request validation
+module.exports = Object.assign(new DashboardIndexService(), {
+  SORT_FIELDS,
+  SORT_ORDERS,
+  MAX_PAGE_SIZE
+});
@@ -0,0 +1,265 @@
+/**
+ * Dashboard Invite Service
+ * Grants named users view or edit access to a dashboard.
+ *
+ * The dashboard owner invites an email address; the invite stays pending in
+ * storage.dashboardInvites until the user with that (verified) email accepts
+ * or declines it. Accepted users are kept on dashboard.collaborators.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('../config/database');
+const { normalizeEmail } = require('./userService');
+const { parseDuration, formatDuration } = require('../utils/duration');
+
+const storage = getStorage();
+
+const INVITE_ACCESS_LEVELS = ['view', 'edit'];
+const INVITE_TTL_MS = parseDuration(process.env.DASHBOARD_INVITE_EXPIRY, 7 * 24 * 60 * 60 * 1000); // 7 days
+
+/**
+ * Human-readable invite lifetime for emails, e.g. "7 days"
+ * @returns {string} Lifetime description
+ */
+function getInviteLifetime() {
+  return formatDuration(INVITE_TTL_MS);
+}
+
+/**
+ * Returns a user's collaborator entry on a dashboard
+ * @param {Object} dashboard - Stored dashboard
+ * @param {string} userId - User ID
+ * @returns {Object|null} { userId, access, addedAt, addedBy }
+ */
+function getCollaborator(dashboard, userId) {
+  return (dashboard.collaborators || []).find(c => c.userId === userId) || null;
+}
+
+/**
+ * Creates a pending invite, or refreshes the existing one for the same email
+ * @param {Object} dashboard - Stored dashboard
+ * @param {Object} inviter - Inviting user (public user object)
+ * @param {Object} params
+ * @param {string} params.email - Invitee email
+ * @param {string} params.access - 'view' or 'edit'
+ * @returns {Object} Stored invite
+ */
+function createInvite(dashboard, inviter, { email, access }) {
+  const normalizedEmail = normalizeEmail(email);
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + INVITE_TTL_MS).toISOString();
+
+  const existing = findPendingInvite(dashboard.id, normalizedEmail);
+  if (existing) {
+    existing.access = access;
+    existing.invitedBy = inviter.id;
+    existing.expiresAt = expiresAt;
+    existing.updatedAt = now.toISOString();
+    return existing;
+  }
+
+  const invite = {
+    id: crypto.randomUUID(),
+    dashboardId: dashboard.id,
+    email: normalizedEmail,
+    access,
+    invitedBy: inviter.id,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    expiresAt
+  };
+  storage.dashboardInvites.set(invite.id, invite);
+  return invite;
+}
+
+/**
+ * Finds the live pending invite for a dashboard and email
+ * @param {string} dashboardId - Dashboard ID
+ * @param {string} email - Normalized email
+ * @returns {Object|null} Stored invite
+ */
+function findPendingInvite(dashboardId, email) {
+  return Array.from(storage.dashboardInvites.values())
+    .find(invite => invite.dashboardId === dashboardId && invite.email === email && !isExpired(invite)) || null;
+}
+
+/**
+ * Finds a live invite by ID
+ * @param {string} inviteId - Invite ID
+ * @returns {Object|null} Stored invite, or null if missing or expired
+ */
+function getInvite(inviteId) {
+  const invite = storage.dashboardInvites.get(inviteId);
+  return invite && !isExpired(invite) ? invite : null;
+}
+
+/**
+ * Lists live invites addressed to an email
+ * @param {string} email - Invitee email
+ * @returns {Object[]} Stored invites
+ */
+function listInvitesForEmail(email) {
+  const normalizedEmail = normalizeEmail(email);
+  return Array.from(storage.dashboardInvites.values())
+    .filter(invite => invite.email === normalizedEmail && !isExpired(invite));
+}
+
+/**
+ * Lists live invites for a dashboard
+ * @param {string} dashboardId - Dashboard ID
+ * @returns {Object[]} Stored invites
+ */
+function listDashboardInvites(dashboardId) {
+  return Array.from(storage.dashboardInvites.values())
+    .filter(invite => invite.dashboardId === dashboardId && !isExpired(invite));
+}
+
+/**
+ * Accepts an invite: the user becomes a collaborator and the invite is consumed
+ * @param {Object} invite - Stored invite
+ * @param {Object} user - Accepting user (public user object)
+ * @returns {Object} { dashboard, collaborator } or { error }
+ */
+function acceptInvite(invite, user) {
+  const dashboard = storage.dashboards.get(invite.dashboardId);
+  storage.dashboardInvites.delete(invite.id);
+  if (!dashboard) {
+    return { error: 'Dashboard no longer exists' };
+  }
+
+  const { collaborator } = setCollaboratorAccess(dashboard, user.id, invite.access, invite.invitedBy);
+  return { dashboard, collaborator };
+}
+
+/**
+ * Removes a pending invite (declined by the invitee or revoked by the owner)
+ * @param {string} inviteId - Invite ID
+ * @returns {boolean} True if an invite was removed
+ */
+function deleteInvite(inviteId) {
+  return storage.dashboardInvites.delete(inviteId);
+}
+
+/**
+ * Adds a collaborator or changes an existing collaborator's access
+ * @param {Object} dashboard - Stored dashboard
+ * @param {string} userId - Collaborator user ID
+ * @param {string} access - 'view' or 'edit'
+ * @param {string} [addedBy] - User who granted the access
+ * @returns {Object} { collaborator }
+ */
+function setCollaboratorAccess(dashboard, userId, access, addedBy) {
+  if (!dashboard.collaborators) dashboard.collaborators = [];
+
+  let collaborator = getCollaborator(dashboard, userId);
+  if (collaborator) {
+    collaborator.access = access;
+  } else {
+    collaborator = { userId, access, addedAt: new Date().toISOString(), addedBy: addedBy || null };
+    dashboard.collaborators.push(collaborator);
+  }
+  return { collaborator };
+}
+
+/**
+ * Removes a collaborator from a dashboard
+ * @param {Object} dashboard - Stored dashboard
+ * @param {string} userId - Collaborator user ID
+ * @returns {boolean} True if the user was a collaborator
+ */
+function removeCollaborator(dashboard, userId) {
+  if (!getCollaborator(dashboard, userId)) return false;
+  dashboard.collaborators = dashboard.collaborators.filter(c => c.userId !== userId);
+  return true;
+}
+
+/**
+ * Removes every invite for a dashboard (used when it is deleted)
+ * @param {string} dashboardId - Dashboard ID
+ * @returns {number} Number of invites removed
+ */
+function deleteDashboardInvites(dashboardId) {
+  let removed = 0;
+  storage.dashboardInvites.forEach((invite, inviteId) => {
+    if (invite.dashboardId === dashboardId) {
+      storage.dashboardInvites.delete(inviteId);
+      removed++;
+    }
+  });
+  return removed;
+}
+
+/**
+ * Removes expired invites and invites whose dashboard is gone
+ * @returns {number} Number of invites removed
+ */
+function pruneInvites() {
+  let removed = 0;
+  storage.dashboardInvites.forEach((invite, inviteId) => {
+    if (isExpired(invite) || !storage.dashboards.has(invite.dashboardId)) {
+      storage.dashboardInvites.delete(inviteId);
+      removed++;
+    }
+  });
+  return removed;
+}
+
+function isExpired(invite) {
+  return Date.now() > new Date(invite.expiresAt).getTime();
+}
+
+/**
+ * Shapes an invite for the API
+ * @param {Object} invite - Stored invite
+ * @param {Function} loadUser - Resolves a user record by ID (for the inviter)
+ * @returns {Object} Public invite fields
+ */
+function toPublicInvite(invite, loadUser) {
+  const dashboard = storage.dashboards.get(invite.dashboardId);
+  const inviter = loadUser(invite.invitedBy);
+  return {
+    id: invite.id,
+    dashboardId: invite.dashboardId,
+    dashboardName: dashboard ? dashboard.name : null,
+    email: invite.email,
+    access: invite.access,
+    invitedBy: inviter ? { id: inviter.id, name: inviter.name, email: inviter.email } : null,
+    createdAt: invite.createdAt,
+    expiresAt: invite.expiresAt
+  };
+}
+
+/**
+ * Shapes a collaborator for the API
+ * @param {Object} collaborator - Collaborator entry
+ * @param {Function} loadUser - Resolves a user record by ID
+ * @returns {Object} Public collaborator fields
+ */
+function toPublicCollaborator(collaborator, loadUser) {
+  const user = loadUser(collaborator.userId);
+  return {
+    userId: collaborator.userId,
+    email: user ? user.email : null,
+    name: user ? user.name : null,
+    access: collaborator.access,
+    addedAt: collaborator.addedAt
+  };
+}
+
+module.exports = {
+  INVITE_ACCESS_LEVELS,
+  getInviteLifetime,
+  getCollaborator,
+  createInvite,
+  getInvite,
+  listInvitesForEmail,
+  listDashboardInvites,
+  acceptInvite,
+  deleteInvite,
+  setCollaboratorAccess,
+  removeCollaborator,
+  deleteDashboardInvites,
+  pruneInvites,
+  toPublicInvite,
+  toPublicCollaborator
+};
@@ -0,0 +1,240 @@
+/**
+ * Dashboard Revision Service
+ * Keeps a bounded history of each dashboard's content in storage.dashboardRevisions.
+ *
+ * A revision is a copy of the dashboard's name, widgets and layout, with who
+ * made the change, when, and an optional message. Revisions are numbered per
+ * dashboard; restoring an old one records a new revision instead of rewriting
+ * history. Only the newest DASHBOARD_REVISION_LIMIT revisions are kept.
+ *
+ * Live edits arrive one widget change at a time, so a user's consecutive live
+ * edits within DASHBOARD_REVISION_COALESCE are folded into one revision.
+ */
+
+const { getStorage } = require('../config/database');
+const { stableStringify } = require('../utils/stableStringify');
+const { parseDuration } = require('../utils/duration');
+
+const storage = getStorage();
+
+// What the dashboard was doing when the revision was recorded
+const REVISION_ACTIONS = ['save', 'update', 'publish', 'restore', 'live-edit'];
+
+const MAX_REVISIONS = parseInt(process.env.DASHBOARD_REVISION_LIMIT) || 50;
+const LIVE_EDIT_COALESCE_MS = parseDuration(process.env.DASHBOARD_REVISION_COALESCE, 2 * 60 * 1000); // 2 minutes
+
+// Widget fields that describe its place on the grid rather than its configuration
+const POSITION_FIELDS = ['x', 'y', 'w', 'h'];
+
+function getHistory(dashboardId) {
+  let history = storage.dashboardRevisions.get(dashboardId);
+  if (!history) {
+    history = { nextId: 1, revisions: [] };
+    storage.dashboardRevisions.set(dashboardId, history);
+  }
+  return history;
+}
+
+// Deep copy, so later edits to the dashboard never change a stored revision
+function snapshotContent(dashboard) {
+  return JSON.parse(JSON.stringify({
+    name: dashboard.name,
+    widgets: dashboard.widgets || [],
+    layout: dashboard.layout || {}
+  }));
+}
+
+function sameContent(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
+
+/**
+ * Records the dashboard's current content as a new revision
+ * @param {Object} dashboard - Stored dashboard (after the change)
+ * @param {Object} params
+ * @param {string} params.userId - User who made the change
+ * @param {string} params.action - 'save', 'update', 'publish', 'restore' or 'live-edit'
+ * @param {string} [params.message] - Optional note from the user
+ * @param {number} [params.restoredFrom] - Revision that was restored
+ * @returns {Object|null} Stored (or extended live-edit) revision, or null if the content did not change
+ */
+function recordRevision(dashboard, { userId, action, message, restoredFrom }) {
+  if (!REVISION_ACTIONS.includes(action)) throw new Error(`Unknown revision action: ${action}`);
+
+  const history = getHistory(dashboard.id);
+  const content = snapshotContent(dashboard);
+  const latest = history.revisions[history.revisions.length - 1];
+  if (latest && matchesRevision(dashboard, latest)) return null;
+
+  const now = new Date();
+  if (action === 'live-edit' && latest && latest.action === 'live-edit' && latest.createdBy === userId &&
+      now - new Date(latest.updatedAt || latest.createdAt) < LIVE_EDIT_COALESCE_MS) {
+    Object.assign(latest, content, { updatedAt: now.toISOString() });
+    return latest;
+  }
+
+  const revision = {
+    id: history.nextId++,
+    dashboardId: dashboard.id,
+    createdAt: now.toISOString(),
+    createdBy: userId,
+    action,
+    message: message || null,
+    restoredFrom: restoredFrom || null,
+    ...content
+  };
+
+  history.revisions.push(revision);
+  if (history.revisions.length > MAX_REVISIONS) {
+    history.revisions.splice(0, history.revisions.length - MAX_REVISIONS);
+  }
+  return revision;
+}
+
+/**
+ * Lists a dashboard's revisions, newest first
+ * @param {string} dashboardId - Dashboard ID
+ * @returns {Object[]} Stored revisions
+ */
+function listRevisions(dashboardId) {
+  const history = storage.dashboardRevisions.get(dashboardId);
+  return history ? history.revisions.slice().reverse() : [];
+}
+
+/**
+ * Finds a revision by its number
+ * @param {string} dashboardId - Dashboard ID
+ * @param {number|string} revisionId - Revision number
+ * @returns {Object|null} Stored revision, or null if unknown or already dropped
+ */
+function getRevision(dashboardId, revisionId) {
+  const history = storage.dashboardRevisions.get(dashboardId);
+  const id = Number(revisionId);
+  if (!history || !Number.isInteger(id)) return null;
+  return history.revisions.find(revision => revision.id === id) || null;
+}
+
+/**
+ * Checks whether a dashboard's content is the same as a revision's
+ * @param {Object} dashboard - Stored dashboard
+ * @param {Object} revision - Stored revision
+ * @returns {boolean} True if name, widgets and layout are equal
+ */
+function matchesRevision(dashboard, revision) {
+  return sameContent(snapshotContent(dashboard), { name: revision.name, widgets: revision.widgets, layout: revision.layout });
+}
+
+function widgetSummary(widget) {
+  return { id: widget.id, type: widget.type, title: widget.title || null };
+}
+
+function position(widget) {
+  return POSITION_FIELDS.reduce((pos, field) => ({ ...pos, [field]: widget[field] }), {});
+}
+
+/**
+ * Compares two revisions widget by widget (matched on widget ID)
+ * @param {Object} from - Older revision
+ * @param {Object} to - Newer revision
+ * @returns {Object} { from, to, name, layoutChanged, widgets: { added, removed, moved, reconfigured, unchanged } }
+ */
+function diffRevisions(from, to) {
+  const before = new Map(from.widgets.map(widget => [widget.id, widget]));
+  const after = new Map(to.widgets.map(widget => [widget.id, widget]));
+  const widgets = { added: [], removed: [], moved: [], reconfigured: [], unchanged: 0 };
+
+  after.forEach((widget, id) => {
+    const previous = before.get(id);
+    if (!previous) {
+      widgets.added.push(widgetSummary(widget));
+      return;
+    }
+
+    const moved = !sameContent(position(previous), position(widget));
+    const changedFields = Array.from(new Set([...Object.keys(previous), ...Object.keys(widget)]))
+      .filter(field => !POSITION_FIELDS.includes(field) && !sameContent(previous[field] ?? null, widget[field] ?? null))
+      .sort();
+
+    if (moved) {
+      widgets.moved.push({ ...widgetSummary(widget), from: position(previous), to: position(widget) });
+    }
+    if (changedFields.length) {
+      widgets.reconfigured.push({ ...widgetSummary(widget), fields: changedFields });
+    }
+    if (!moved && !changedFields.length) widgets.unchanged++;
+  });
+
+  before.forEach((widget, id) => {
+    if (!after.has(id)) widgets.removed.push(widgetSummary(widget));
+  });
+
+  return {
+    from: from.id,
+    to: to.id,
+    name: from.name !== to.name ? { from: from.name, to: to.name } : null,
+    layoutChanged: !sameContent(from.layout, to.layout),
+    widgets
+  };
+}
+
+/**
+ * Removes a dashboard's history (used when it is deleted)
+ * @param {string} dashboardId - Dashboard ID
+ */
+function deleteDashboardRevisions(dashboardId) {
+  storage.dashboardRevisions.delete(dashboardId);
+}
+
+/**
+ * Removes the history of dashboards that no longer exist
+ * @returns {number} Number of histories removed
+ */
+function pruneRevisions() {
+  let removed = 0;
+  storage.dashboardRevisions.forEach((history, dashboardId) => {
+    if (!storage.dashboards.has(dashboardId)) {
+      storage.dashboardRevisions.delete(dashboardId);
+      removed++;
+    }
+  });
+  return removed;
+}
+
+/**
+ * Shapes a revision for the API
+ * @param {Object} revision - Stored revision
+ * @param {Function} loadUser - Resolves a user record by ID (for the author)
+ * @param {Object} [options]
+ * @param {boolean} [options.includeContent=false] - Include widgets and layout
+ * @returns {Object} Public revision fields
+ */
+function toPublicRevision(revision, loadUser, { includeContent = false } = {}) {
+  const author = loadUser(revision.createdBy);
+  return {
+    id: revision.id,
+    createdAt: revision.createdAt,
+    // Set when later live edits were folded into this revision
+    updatedAt: revision.updatedAt,
+    createdBy: author ? { id: author.id, name: author.name, email: author.email } : { id: revision.createdBy },
+    action: revision.action,
+    message: revision.message,
+    restoredFrom: revision.restoredFrom,
+    name: revision.name,
+    widgetCount: revision.widgets.length,
+    widgets: includeContent ? revision.widgets : undefined,
+    layout: includeContent ? revision.layout : undefined
+  };
+}
+
+module.exports = {
+  REVISION_ACTIONS,
+  POSITION_FIELDS,
+  recordRevision,
+  listRevisions,
+  getRevision,
+  matchesRevision,
+  diffRevisions,
+  deleteDashboardRevisions,
+  pruneRevisions,
+  toPublicRevision
+};
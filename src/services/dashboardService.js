@@ -0,0 +1,264 @@
+/**
+ * Dashboard Service
+ * The single write path for dashboards, with version numbers for optimistic concurrency.
+ *
+ * Every stored change bumps dashboard.version. Clients send the version they
+ * last saw (If-Match: "<version>" or a "version" field) when they change a
+ * dashboard; a mismatch means someone else saved in between and the change is
+ * rejected with 409 instead of silently overwriting theirs.
+ *
+ * Partial edits (JSON Patch, single-widget changes, live edits over the
+ * WebSocket) work on the dashboard's editable content and go through
+ * commitDashboard like full updates.
+ */
+
+const EventEmitter = require('events');
+const Joi = require('joi');
+const { getStorage } = require('../config/database');
+const { REVISION_ACTIONS, POSITION_FIELDS, recordRevision, deleteDashboardRevisions } = require('./dashboardRevisionService');
+const { deleteDashboardInvites } = require('./dashboardInviteService');
+const { deleteShareAnalytics } = require('./shareAnalyticsService');
+const { deleteDashboardFavorites } = require('./favoriteService');
+
+const storage = getStorage();
+
+// Emits 'committed' (dashboard, { userId, action }) after every stored change and
+// 'deleted' (dashboardId) after a delete, so live editors can be kept in sync
+const dashboardEvents = new EventEmitter();
+
+const widgetSchema = Joi.object({
+  id: Joi.string().required(),
+  type: Joi.string().required(),
+  title: Joi.string().optional(),
+  x: Joi.number().required(),
+  y: Joi.number().required(),
+  w: Joi.number().required(),
+  h: Joi.number().required(),
+  data: Joi.object().optional(),
+  config: Joi.object().optional()
+});
+
+// Same rules as a full save, for the fields partial edits can change
+const editableContentSchema = Joi.object({
+  name: Joi.string().required().messages({
+    'any.required': 'Dashboard name is required'
+  }),
+  widgets: Joi.array().items(widgetSchema).required(),
+  layout: Joi.object().optional(),
+  deviceCount: Joi.number().optional(),
+  stats: Joi.object().optional()
+});
+
+// Fields a partial update may change; everything else (owner, org, share) has its own endpoints
+const EDITABLE_FIELDS = ['name', 'widgets', 'layout', 'deviceCount', 'stats'];
+
+/**
+ * Current version of a dashboard (dashboards stored before versioning count as 1)
+ * @param {Object} dashboard - Stored dashboard
+ * @returns {number} Version number
+ */
+function getDashboardVersion(dashboard) {
+  return dashboard.version || 1;
+}
+
+/**
+ * ETag for a dashboard version
+ * @param {Object} dashboard - Stored dashboard
+ * @returns {string} Quoted entity tag, e.g. "7"
+ */
+function getDashboardETag(dashboard) {
+  return `"${getDashboardVersion(dashboard)}"`;
+}
+
+/**
+ * Parses an If-Match header into version numbers
+ * @param {string} header - Raw header value, e.g. '"3"', 'W/"3", "4"' or '*'
+ * @returns {Object|null} { any, versions }, or null if the header is absent
+ */
+function parseIfMatch(header) {
+  if (!header || !String(header).trim()) return null;
+  const tags = String(header).split(',').map(tag => tag.trim()).filter(Boolean);
+  return {
+    any: tags.includes('*'),
+    versions: tags
+      .map(tag => tag.replace(/^W\//, '').replace(/^"(.*)"$/, '$1'))
+      .filter(tag => /^\d+$/.test(tag))
+      .map(Number)
+  };
+}
+
+/**
+ * Checks the version a client based its change on
+ * @param {Object} dashboard - Stored dashboard
+ * @param {Object} params
+ * @param {string} [params.ifMatch] - If-Match header
+ * @param {number} [params.version] - Version from the request body or query
+ * @param {boolean} [params.required=true] - Whether a missing precondition is an error
+ * @returns {Object|null} null if the change may proceed, else { status, error }
+ */
+function checkDashboardVersion(dashboard, { ifMatch, version, required = true }) {
+  const current = getDashboardVersion(dashboard);
+  const condition = parseIfMatch(ifMatch);
+
+  if (!condition && version === undefined) {
+    return required
+      ? { status: 428, error: 'Include the dashboard version (If-Match header or "version" field) to change it' }
+      : null;
+  }
+
+  const matches = condition
+    ? condition.any || condition.versions.includes(current)
+    : Number(version) === current;
+
+  return matches
+    ? null
+    : { status: 409, error: 'Dashboard was changed by someone else. Reload it and apply your changes again.' };
+}
+
+/**
+ * Stores a dashboard as its next version, and records a revision for content changes
+ * @param {Object} dashboard - Dashboard to store (a new object, not the stored one)
+ * @param {Object} params
+ * @param {string} params.userId - User who made the change
+ * @param {string} params.action - What changed it; the REVISION_ACTIONS ('save', 'update', 'publish', 'restore', 'live-edit') are recorded as revisions
+ * @param {string} [params.message] - Revision message
+ * @param {number} [params.restoredFrom] - Revision that was restored
+ * @returns {Object} { dashboard, revision }
+ */
+function commitDashboard(dashboard, { userId, action, message, restoredFrom }) {
+  const previous = storage.dashboards.get(dashboard.id);
+  dashboard.version = previous ? getDashboardVersion(previous) + 1 : 1;
+  storage.dashboards.set(dashboard.id, dashboard);
+
+  const revision = REVISION_ACTIONS.includes(action)
+    ? recordRevision(dashboard, { userId, action, message, restoredFrom })
+    : null;
+
+  dashboardEvents.emit('committed', dashboard, { userId, action });
+  return { dashboard, revision };
+}
+
+/**
+ * Deletes a dashboard with its share, pending invites, share analytics, revisions and stars
+ * @param {Object} dashboard - Stored dashboard
+ */
+function deleteDashboard(dashboard) {
+  storage.dashboards.delete(dashboard.id);
+
+  if (dashboard.isPublished && dashboard.shareableId) {
+    storage.sharedDashboards.delete(dashboard.shareableId);
+  }
+  deleteDashboardInvites(dashboard.id);
+  deleteShareAnalytics(dashboard.id);
+  deleteDashboardRevisions(dashboard.id);
+  deleteDashboardFavorites(dashboard.id);
+
+  dashboardEvents.emit('deleted', dashboard.id);
+}
+
+/**
+ * Copies the fields of a dashboard that partial updates may change
+ * @param {Object} dashboard - Stored dashboard
+ * @returns {Object} { name, widgets, layout, deviceCount, stats } (absent fields omitted)
+ */
+function getEditableContent(dashboard) {
+  const content = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (dashboard[field] !== undefined) content[field] = dashboard[field];
+  });
+  return JSON.parse(JSON.stringify(content));
+}
+
+/**
+ * Validates edited content with the same rules as a full save
+ * @param {Object} content - Editable content
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateEditableContent(content) {
+  const { error } = editableContentSchema.validate(content);
+  return error ? error.details[0].message : null;
+}
+
+function findWidgetIndex(content, widgetId) {
+  return (content.widgets || []).findIndex(widget => widget.id === widgetId);
+}
+
+/**
+ * Applies a single-widget change to editable content
+ * @param {Object} content - Content from getEditableContent (not modified)
+ * @param {Object} operation
+ * @param {string} operation.type - 'add', 'update', 'move' (position and size) or 'delete'
+ * @param {Object} [operation.widget] - Widget to add
+ * @param {string} [operation.widgetId] - Widget to change
+ * @param {Object} [operation.changes] - Fields to set (update, move)
+ * @param {string} [operation.breakpoint] - Also move the widget in layout[breakpoint] (move)
+ * @returns {Object} { content, widget } or { status, error }
+ */
+function applyWidgetOperation(content, { type, widget, widgetId, changes = {}, breakpoint }) {
+  const next = JSON.parse(JSON.stringify(content));
+  next.widgets = next.widgets || [];
+
+  if (type === 'add') {
+    if (findWidgetIndex(next, widget.id) !== -1) {
+      return { status: 409, error: 'A widget with this ID already exists' };
+    }
+    next.widgets.push(widget);
+    return { content: next, widget };
+  }
+
+  const index = findWidgetIndex(next, widgetId);
+  if (index === -1) return { status: 404, error: 'Widget not found' };
+
+  if (type === 'delete') {
+    const [removed] = next.widgets.splice(index, 1);
+    // Drop the widget from every breakpoint layout as well
+    Object.keys(next.layout || {}).forEach((key) => {
+      if (Array.isArray(next.layout[key])) next.layout[key] = next.layout[key].filter(item => item.i !== widgetId);
+    });
+    return { content: next, widget: removed };
+  }
+
+  if (type === 'update') {
+    next.widgets[index] = { ...next.widgets[index], ...changes, id: widgetId };
+    return { content: next, widget: next.widgets[index] };
+  }
+
+  if (type === 'move') {
+    const position = {};
+    POSITION_FIELDS.forEach((field) => {
+      if (changes[field] !== undefined) position[field] = changes[field];
+    });
+    next.widgets[index] = { ...next.widgets[index], ...position };
+
+    if (breakpoint) {
+      next.layout = next.layout || {};
+      const items = Array.isArray(next.layout[breakpoint]) ? next.layout[breakpoint] : [];
+      const item = items.find(entry => entry.i === widgetId);
+      if (item) {
+        Object.assign(item, position);
+      } else {
+        const { x, y, w, h } = next.widgets[index];
+        items.push({ i: widgetId, x, y, w, h });
+      }
+      next.layout[breakpoint] = items;
+    }
+    return { content: next, widget: next.widgets[index] };
+  }
+
+  throw new Error(`Unknown widget operation: ${type}`);
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  dashboardEvents,
+  widgetSchema,
+  getDashboardVersion,
+  getDashboardETag,
+  parseIfMatch,
+  checkDashboardVersion,
+  commitDashboard,
+  deleteDashboard,
+  getEditableContent,
+  validateEditableContent,
+  applyWidgetOperation
+};
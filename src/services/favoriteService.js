@@ -0,0 +1,72 @@
+/**
+ * Dashboard Favorite Service
+ * Per-user starred dashboards, stored in storage.dashboardFavorites as
+ * userId -> Set of dashboard IDs. Stars are private to each user.
+ */
+
+const { getStorage } = require('../config/database');
+
+const storage = getStorage();
+
+/**
+ * Lists a user's favorite dashboard IDs
+ * @param {string} userId - User ID
+ * @returns {Set<string>} Dashboard IDs (empty if none)
+ */
+function getFavoriteIds(userId) {
+  return storage.dashboardFavorites.get(userId) || new Set();
+}
+
+/**
+ * Checks whether a user starred a dashboard
+ * @param {string} userId - User ID
+ * @param {string} dashboardId - Dashboard ID
+ * @returns {boolean} True if starred
+ */
+function isFavorite(userId, dashboardId) {
+  return getFavoriteIds(userId).has(dashboardId);
+}
+
+/**
+ * Stars a dashboard for a user
+ * @param {string} userId - User ID
+ * @param {string} dashboardId - Dashboard ID
+ */
+function addFavorite(userId, dashboardId) {
+  if (!storage.dashboardFavorites.has(userId)) storage.dashboardFavorites.set(userId, new Set());
+  storage.dashboardFavorites.get(userId).add(dashboardId);
+}
+
+/**
+ * Removes a user's star from a dashboard
+ * @param {string} userId - User ID
+ * @param {string} dashboardId - Dashboard ID
+ * @returns {boolean} True if it was starred
+ */
+function removeFavorite(userId, dashboardId) {
+  const favorites = storage.dashboardFavorites.get(userId);
+  if (!favorites || !favorites.delete(dashboardId)) return false;
+  if (!favorites.size) storage.dashboardFavorites.delete(userId);
+  return true;
+}
+
+/**
+ * Removes a dashboard from every user's favorites (used when it is deleted)
+ * @param {string} dashboardId - Dashboard ID
+ * @returns {number} Number of users who had starred it
+ */
+function deleteDashboardFavorites(dashboardId) {
+  let removed = 0;
+  Array.from(storage.dashboardFavorites.keys()).forEach((userId) => {
+    if (removeFavorite(userId, dashboardId)) removed++;
+  });
+  return removed;
+}
+
+module.exports = {
+  getFavoriteIds,
+  isFavorite,
+  addFavorite,
+  removeFavorite,
+  deleteDashboardFavorites
+};
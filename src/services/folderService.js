@@ -0,0 +1,324 @@
+/**
+ * Dashboard Folder Service
+ * Nested folders for organizing dashboards. Stored in storage.dashboardFolders.
+ *
+ * A folder tree is either personal (folder.userId owns every folder in it) or
+ * belongs to an organization (folder.orgId); dashboards can only be filed in
+ * a folder of their own scope. Users granted view or edit access to a folder
+ * get that access to everything below it as well; see authorizationService.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('../config/database');
+const { getFolderRole } = require('./authorizationService');
+
+const storage = getStorage();
+
+const MAX_FOLDER_DEPTH = 8;
+
+/**
+ * Finds a folder by ID
+ * @param {string} folderId - Folder ID
+ * @returns {Object|null} Stored folder
+ */
+function getFolder(folderId) {
+  return storage.dashboardFolders.get(folderId) || null;
+}
+
+/**
+ * Creates a folder at the top level or inside another folder (which decides its scope)
+ * @param {Object} user - Creating user (public user object)
+ * @param {Object} params
+ * @param {string} params.name - Folder name
+ * @param {Object} [params.parent] - Parent folder
+ * @param {string} [params.orgId] - Organization for a top-level folder; personal when omitted
+ * @returns {Object} Stored folder
+ */
+function createFolder(user, { name, parent, orgId }) {
+  const now = new Date().toISOString();
+  const folder = {
+    id: crypto.randomUUID(),
+    name,
+    parentId: parent ? parent.id : null,
+    orgId: parent ? parent.orgId : orgId || null,
+    // Owner of a personal tree; subfolders created by collaborators stay in it
+    userId: parent ? parent.userId : orgId ? null : user.id,
+    collaborators: [],
+    createdBy: user.id,
+    createdAt: now,
+    updatedAt: now
+  };
+  storage.dashboardFolders.set(folder.id, folder);
+  return folder;
+}
+
+/**
+ * Lists a folder's ancestors, top level first
+ * @param {Object} folder - Stored folder
+ * @returns {Object[]} Ancestor folders (not including the folder itself)
+ */
+function getFolderPath(folder) {
+  const path = [];
+  let parent = folder.parentId ? getFolder(folder.parentId) : null;
+  while (parent && !path.includes(parent)) {
+    path.unshift(parent);
+    parent = parent.parentId ? getFolder(parent.parentId) : null;
+  }
+  return path;
+}
+
+// Folder ID -> IDs of its direct subfolders
+function buildChildMap() {
+  const children = new Map();
+  storage.dashboardFolders.forEach((folder) => {
+    if (!folder.parentId) return;
+    if (!children.has(folder.parentId)) children.set(folder.parentId, []);
+    children.get(folder.parentId).push(folder.id);
+  });
+  return children;
+}
+
+// Breadth-first walk from several folders over one child map; each folder is listed once
+function collectDescendantIds(rootIds, children) {
+  const ids = Array.from(new Set(rootIds));
+  const seen = new Set(ids);
+  for (let i = 0; i < ids.length; i++) {
+    (children.get(ids[i]) || []).forEach((childId) => {
+      if (seen.has(childId)) return;
+      seen.add(childId);
+      ids.push(childId);
+    });
+  }
+  return ids;
+}
+
+/**
+ * Lists a folder and every folder below it
+ * @param {string} folderId - Folder ID
+ * @returns {string[]} Folder IDs, starting with folderId
+ */
+function listDescendantIds(folderId) {
+  return collectDescendantIds([folderId], buildChildMap());
+}
+
+// Levels below the folder, 0 for a folder without subfolders
+function getSubtreeHeight(folderId, children = buildChildMap()) {
+  const childIds = children.get(folderId) || [];
+  return childIds.length ? 1 + Math.max(...childIds.map(childId => getSubtreeHeight(childId, children))) : 0;
+}
+
+/**
+ * Checks that a folder can hold subfolders (another level must fit under MAX_FOLDER_DEPTH)
+ * @param {Object} parent - Parent folder
+ * @param {number} [height=0] - Levels below the folder being added
+ * @returns {string|null} Error message, or null if it fits
+ */
+function checkFolderDepth(parent, height = 0) {
+  const depth = getFolderPath(parent).length + 2 + height;
+  return depth > MAX_FOLDER_DEPTH ? `Folders can be nested at most ${MAX_FOLDER_DEPTH} levels deep` : null;
+}
+
+/**
+ * Checks whether a folder and a dashboard or another folder share a scope
+ * (the same organization, or the same personal owner)
+ * @param {Object} folder - Stored folder
+ * @param {Object} item - Dashboard or folder
+ * @returns {boolean} True if the item may be filed in the folder
+ */
+function isSameScope(folder, item) {
+  if (folder.orgId || item.orgId) return folder.orgId === (item.orgId || null);
+  return folder.userId === item.userId;
+}
+
+/**
+ * Renames a folder or moves it under another folder (null for the top level)
+ * @param {Object} folder - Stored folder
+ * @param {Object} changes
+ * @param {string} [changes.name] - New name
+ * @param {Object|null} [changes.parent] - New parent folder, or null for the top level
+ * @returns {Object} { folder } or { status, error }
+ */
+function updateFolder(folder, { name, parent }) {
+  if (parent) {
+    if (!isSameScope(parent, folder)) {
+      return { status: 400, error: 'Folders can only be moved within the same organization or personal folders' };
+    }
+    if (listDescendantIds(folder.id).includes(parent.id)) {
+      return { status: 400, error: 'A folder cannot be moved into itself or one of its subfolders' };
+    }
+    const depthError = checkFolderDepth(parent, getSubtreeHeight(folder.id));
+    if (depthError) return { status: 400, error: depthError };
+  }
+
+  if (name !== undefined) folder.name = name;
+  if (parent !== undefined) folder.parentId = parent ? parent.id : null;
+  folder.updatedAt = new Date().toISOString();
+  return { folder };
+}
+
+/**
+ * Grants a user view or edit access to a folder and everything in it
+ * @param {Object} folder - Stored folder
+ * @param {string} userId - User ID
+ * @param {string} access - 'view' or 'edit'
+ * @param {string} addedBy - User who granted the access
+ * @returns {Object} { collaborator }
+ */
+function setFolderCollaborator(folder, userId, access, addedBy) {
+  let collaborator = folder.collaborators.find(c => c.userId === userId);
+  if (collaborator) {
+    collaborator.access = access;
+  } else {
+    collaborator = { userId, access, addedAt: new Date().toISOString(), addedBy };
+    folder.collaborators.push(collaborator);
+  }
+  return { collaborator };
+}
+
+/**
+ * Removes a user's access to a folder
+ * @param {Object} folder - Stored folder
+ * @param {string} userId - User ID
+ * @returns {boolean} True if the user had access
+ */
+function removeFolderCollaborator(folder, userId) {
+  const before = folder.collaborators.length;
+  folder.collaborators = folder.collaborators.filter(c => c.userId !== userId);
+  return folder.collaborators.length !== before;
+}
+
+/**
+ * Lists the folders that were shared with a user, with every folder below them
+ * @param {string} userId - User ID
+ * @returns {string[]} Folder IDs
+ */
+function listSharedFolderIds(userId) {
+  const sharedIds = [];
+  storage.dashboardFolders.forEach((folder) => {
+    if (folder.collaborators.some(c => c.userId === userId)) sharedIds.push(folder.id);
+  });
+  return sharedIds.length ? collectDescendantIds(sharedIds, buildChildMap()) : [];
+}
+
+/**
+ * Builds the tree of folders a user can see, with dashboard counts
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {string} [options.orgId] - Only this organization's folders
+ * @param {Map} [options.counts] - Folder ID -> number of dashboards filed directly in it
+ * @returns {Object[]} Top-level folders, each with children, dashboardCount and totalCount
+ */
+function buildFolderTree(userId, { orgId, counts = new Map() } = {}) {
+  const nodes = new Map();
+  storage.dashboardFolders.forEach((folder) => {
+    if (orgId && folder.orgId !== orgId) return;
+    const role = getFolderRole(folder, userId);
+    if (!role) return;
+    nodes.set(folder.id, {
+      id: folder.id,
+      name: folder.name,
+      parentId: folder.parentId,
+      orgId: folder.orgId,
+      role,
+      dashboardCount: counts.get(folder.id) || 0,
+      totalCount: 0,
+      children: []
+    });
+  });
+
+  // Folders whose parent the user cannot see are shown at the top level
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parentId ? nodes.get(node.parentId) : null;
+    (parent ? parent.children : roots).push(node);
+  });
+
+  const finish = (node) => {
+    node.children.sort((a, b) => a.name.localeCompare(b.name));
+    node.totalCount = node.dashboardCount + node.children.reduce((sum, child) => sum + finish(child), 0);
+    return node.totalCount;
+  };
+  roots.sort((a, b) => a.name.localeCompare(b.name)).forEach(finish);
+  return roots;
+}
+
+/**
+ * Removes a folder (callers check that it is empty)
+ * @param {string} folderId - Folder ID
+ * @returns {boolean} True if a folder was removed
+ */
+function deleteFolder(folderId) {
+  return storage.dashboardFolders.delete(folderId);
+}
+
+/**
+ * Removes every folder of an organization (used when it is deleted)
+ * @param {string} orgId - Organization ID
+ * @returns {number} Number of folders removed
+ */
+function deleteOrganizationFolders(orgId) {
+  let removed = 0;
+  storage.dashboardFolders.forEach((folder, folderId) => {
+    if (folder.orgId === orgId) {
+      storage.dashboardFolders.delete(folderId);
+      removed++;
+    }
+  });
+  return removed;
+}
+
+/**
+ * Shapes a folder for the API
+ * @param {Object} folder - Stored folder
+ * @param {string} userId - Requesting user, to report their role
+ * @param {Object} [options]
+ * @param {Function} [options.loadUser] - Resolves a user record by ID; includes the path and collaborators when given
+ * @returns {Object} Public folder fields
+ */
+function toPublicFolder(folder, userId, { loadUser } = {}) {
+  const details = loadUser
+    ? {
+      path: getFolderPath(folder).map(ancestor => ({ id: ancestor.id, name: ancestor.name })),
+      collaborators: folder.collaborators.map((collaborator) => {
+        const user = loadUser(collaborator.userId);
+        return {
+          userId: collaborator.userId,
+          email: user ? user.email : null,
+          name: user ? user.name : null,
+          access: collaborator.access,
+          addedAt: collaborator.addedAt
+        };
+      })
+    }
+    : {};
+
+  return {
+    id: folder.id,
+    name: folder.name,
+    parentId: folder.parentId,
+    orgId: folder.orgId,
+    role: getFolderRole(folder, userId),
+    ...details,
+    createdBy: folder.createdBy,
+    createdAt: folder.createdAt,
+    updatedAt: folder.updatedAt
+  };
+}
+
+module.exports = {
+  MAX_FOLDER_DEPTH,
+  getFolder,
+  createFolder,
+  getFolderPath,
+  listDescendantIds,
+  checkFolderDepth,
+  isSameScope,
+  updateFolder,
+  setFolderCollaborator,
+  removeFolderCollaborator,
+  listSharedFolderIds,
+  buildFolderTree,
+  deleteFolder,
+  deleteOrganizationFolders,
+  toPublicFolder
+};
@@ -0,0 +1,118 @@
+/**
+ * Lockout Service
+ * Per-identity failure counters with exponential back-off, used to slow down
+ * password guessing against accounts and share passwords regardless of how
+ * many IPs the attacker uses. Keys are namespaced, e.g. "login:<email>" or
+ * "share:<shareableId>".
+ */
+
+const { getStorage } = require('../config/database');
+const { parseDuration } = require('../utils/duration');
+const logger = require('../utils/logger');
+
+const storage = getStorage();
+
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD) || 5; // failures before the first lock
+const LOCKOUT_BASE_MS = parseDuration(process.env.LOCKOUT_BASE_DURATION, 60 * 1000); // 1 minute
+const LOCKOUT_MAX_MS = parseDuration(process.env.LOCKOUT_MAX_DURATION, 60 * 60 * 1000); // 1 hour
+const FAILURE_WINDOW_MS = parseDuration(process.env.LOCKOUT_FAILURE_WINDOW, 15 * 60 * 1000); // 15 minutes
+
+/**
+ * Returns the lock state for an identity
+ * @param {string} key - Namespaced identity key
+ * @returns {Object} { locked, retryAfterSeconds }
+ */
+function checkLockout(key) {
+  const entry = storage.loginAttempts.get(key);
+  if (!entry || !entry.lockedUntil) return { locked: false, retryAfterSeconds: 0 };
+
+  const remaining = entry.lockedUntil - Date.now();
+  if (remaining <= 0) return { locked: false, retryAfterSeconds: 0 };
+
+  return { locked: true, retryAfterSeconds: Math.ceil(remaining / 1000) };
+}
+
+/**
+ * Records a failed attempt and locks the identity once the threshold is hit.
+ * Each failure past the threshold doubles the lock duration.
+ * @param {string} key - Namespaced identity key
+ * @param {Object} [meta] - Extra fields for the lockout log entry (e.g. ip)
+ * @returns {Object} { failures, locked, retryAfterSeconds }
+ */
+function recordFailure(key, meta = {}) {
+  const now = Date.now();
+  let entry = storage.loginAttempts.get(key);
+
+  // Forget old failures once the identity has been quiet for a full window
+  if (!entry || now - entry.lastFailureAt > FAILURE_WINDOW_MS) {
+    entry = { failures: 0, lockedUntil: null, firstFailureAt: now };
+  }
+
+  entry.failures += 1;
+  entry.lastFailureAt = now;
+
+  if (entry.failures >= LOCKOUT_THRESHOLD) {
+    const exponent = entry.failures - LOCKOUT_THRESHOLD;
+    const duration = Math.min(LOCKOUT_BASE_MS * 2 ** exponent, LOCKOUT_MAX_MS);
+    entry.lockedUntil = now + duration;
+    logger.warn('🔒 Identity locked after repeated failures:', {
+      key,
+      failures: entry.failures,
+      lockedForSeconds: Math.ceil(duration / 1000),
+      ...meta
+    });
+  }
+
+  storage.loginAttempts.set(key, entry);
+
+  const { locked, retryAfterSeconds } = checkLockout(key);
+  return { failures: entry.failures, locked, retryAfterSeconds };
+}
+
+/**
+ * Clears the failure counter after a successful attempt
+ * @param {string} key - Namespaced identity key
+ */
+function recordSuccess(key) {
+  storage.loginAttempts.delete(key);
+}
+
+/**
+ * Removes entries that are neither locked nor within the failure window
+ * @returns {number} Number of entries removed
+ */
+function pruneLockouts() {
+  const now = Date.now();
+  let removed = 0;
+  storage.loginAttempts.forEach((entry, key) => {
+    const lockExpired = !entry.lockedUntil || entry.lockedUntil <= now;
+    if (lockExpired && now - entry.lastFailureAt > FAILURE_WINDOW_MS) {
+      storage.loginAttempts.delete(key);
+      removed++;
+    }
+  });
+  return removed;
+}
+
+/**
+ * Sends the standard 429 response for a locked identity
+ * @param {Object} res - Express response
+ * @param {number} retryAfterSeconds - Seconds until the lock lifts
+ * @param {string} error - Message for the client
+ */
+function sendLockedResponse(res, retryAfterSeconds, error) {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    error,
+    retryAfter: retryAfterSeconds
+  });
+}
+
+module.exports = {
+  checkLockout,
+  recordFailure,
+  recordSuccess,
+  pruneLockouts,
+  sendLockedResponse
+};
@@ -0,0 +1,176 @@
+/**
+ * Maintenance Service
+ * Background sweeper for expired and orphaned records.
+ *
+ * Each task runs on its own interval and removes expired reset and
+ * verification tokens, lockout counters and invites, stale sessions, and
+ * shares, analytics and revisions whose dashboard is gone. Timers are unref'd
+ * so they never keep the process alive; MAINTENANCE_ENABLED=false turns the
+ * sweeper off.
+ */
+
+const { getStorage } = require('../config/database');
+const { revokeSession } = require('./sessionService');
+const { pruneLockouts } = require('./lockoutService');
+const { pruneInvites } = require('./dashboardInviteService');
+const { pruneShareAnalytics } = require('./shareAnalyticsService');
+const { pruneRevisions } = require('./dashboardRevisionService');
+const { parseDuration } = require('../utils/duration');
+const logger = require('../utils/logger');
+
+const storage = getStorage();
+
+class MaintenanceService {
+  constructor() {
+    this.timers = [];
+    this.stats = {};
+    this.tasks = [
+      {
+        name: 'expiredTokens',
+        intervalMs: parseDuration(process.env.MAINTENANCE_TOKEN_INTERVAL, 5 * 60 * 1000), // 5 minutes
+        run: () => this.pruneExpiredTokens()
+      },
+      {
+        name: 'staleSessions',
+        intervalMs: parseDuration(process.env.MAINTENANCE_SESSION_INTERVAL, 15 * 60 * 1000), // 15 minutes
+        run: () => this.pruneStaleSessions()
+      },
+      {
+        name: 'orphanedShares',
+        intervalMs: parseDuration(process.env.MAINTENANCE_ORPHAN_INTERVAL, 60 * 60 * 1000), // 1 hour
+        run: () => this.pruneOrphanedShares()
+      }
+    ];
+  }
+
+  getConfig() {
+    return {
+      enabled: process.env.MAINTENANCE_ENABLED !== 'false',
+      // Sessions unused for this long are removed even before they expire
+      sessionIdleTimeoutMs: parseDuration(process.env.SESSION_IDLE_TIMEOUT, 7 * 24 * 60 * 60 * 1000) // 7 days
+    };
+  }
+
+  start() {
+    if (this.timers.length) return;
+    if (!this.getConfig().enabled) {
+      logger.warn('⚠️ Maintenance sweeper disabled (MAINTENANCE_ENABLED=false)');
+      return;
+    }
+
+    this.tasks.forEach((task) => {
+      const timer = setInterval(() => this.runTask(task), task.intervalMs);
+      // Never keep the process alive just for housekeeping
+      if (timer.unref) timer.unref();
+      this.timers.push(timer);
+    });
+
+    logger.info(`🧹 Maintenance sweeper started (${this.tasks.map(t => `${t.name} every ${Math.round(t.intervalMs / 1000)}s`).join(', ')})`);
+  }
+
+  stop() {
+    this.timers.forEach(clearInterval);
+    this.timers = [];
+  }
+
+  runTask(task) {
+    const startedAt = Date.now();
+    const previous = this.stats[task.name] || { runs: 0, totalRemoved: 0 };
+    try {
+      const removed = task.run();
+      const count = Object.values(removed).reduce((sum, n) => sum + n, 0);
+      this.stats[task.name] = {
+        runs: previous.runs + 1,
+        lastRunAt: new Date(startedAt).toISOString(),
+        durationMs: Date.now() - startedAt,
+        lastRemoved: removed,
+        totalRemoved: previous.totalRemoved + count,
+        intervalMs: task.intervalMs,
+        lastError: null
+      };
+      if (count) logger.info(`🧹 Maintenance ${task.name}: removed ${JSON.stringify(removed)}`);
+      return removed;
+    } catch (error) {
+      logger.error(`❌ Maintenance task ${task.name} failed:`, error);
+      this.stats[task.name] = {
+        ...previous,
+        runs: previous.runs + 1,
+        lastRunAt: new Date(startedAt).toISOString(),
+        intervalMs: task.intervalMs,
+        lastError: error.message
+      };
+      return null;
+    }
+  }
+
+  // Run every task immediately; returns what each one removed
+  runAll() {
+    const report = {};
+    this.tasks.forEach((task) => {
+      report[task.name] = this.runTask(task);
+    });
+    return report;
+  }
+
+  pruneExpiredTokens() {
+    const now = new Date();
+    const removed = { resetTokens: 0, verificationTokens: 0, loginAttempts: pruneLockouts(), dashboardInvites: pruneInvites() };
+
+    ['resetTokens', 'verificationTokens'].forEach((mapName) => {
+      storage[mapName].forEach((entry, key) => {
+        if (now > new Date(entry.expiry)) {
+          storage[mapName].delete(key);
+          removed[mapName]++;
+        }
+      });
+    });
+
+    return removed;
+  }
+
+  pruneStaleSessions() {
+    const now = Date.now();
+    const { sessionIdleTimeoutMs } = this.getConfig();
+    const stale = [];
+
+    storage.sessions.forEach((session, sessionId) => {
+      const expired = now > new Date(session.expiresAt).getTime();
+      const idle = now - new Date(session.lastSeenAt).getTime() > sessionIdleTimeoutMs;
+      if (expired || idle) stale.push(sessionId);
+    });
+
+    // Go through revokeSession so open WebSockets are closed too
+    stale.forEach(revokeSession);
+
+    return { sessions: stale.length };
+  }
+
+  pruneOrphanedShares() {
+    let removed = 0;
+
+    // Also drops stale entries left behind by a dashboard that now has a different share
+    storage.sharedDashboards.forEach((shared, shareableId) => {
+      const dashboard = storage.dashboards.get(shared.originalDashboardId);
+      if (!dashboard || dashboard.shareableId !== shareableId) {
+        storage.sharedDashboards.delete(shareableId);
+        removed++;
+      }
+    });
+
+    return { sharedDashboards: removed, shareAnalytics: pruneShareAnalytics(), dashboardRevisions: pruneRevisions() };
+  }
+
+  getStats() {
+    return {
+      running: this.timers.length > 0,
+      tasks: this.tasks.map(task => ({
+        name: task.name,
+        intervalMs: task.intervalMs,
+        ...(this.stats[task.name] || { runs: 0, lastRunAt: null })
+      }))
+    };
+  }
+}
+
+// Singleton
+module.exports = new MaintenanceService();
@@ -0,0 +1,150 @@
+/**
+ * Organization Service
+ * Organizations group users under roles (owner, editor, viewer) and can own
+ * dashboards. Stored in storage.organizations.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('../config/database');
+
+const storage = getStorage();
+
+const ORG_ROLES = ['owner', 'editor', 'viewer'];
+
+/**
+ * Creates an organization with the creator as its first owner
+ * @param {Object} user - Creator (public user object)
+ * @param {Object} params
+ * @param {string} params.name - Organization name
+ * @returns {Object} Stored organization
+ */
+function createOrganization(user, { name }) {
+  const now = new Date().toISOString();
+  const organization = {
+    id: crypto.randomUUID(),
+    name,
+    members: [{ userId: user.id, role: 'owner', addedAt: now }],
+    createdBy: user.id,
+    createdAt: now,
+    updatedAt: now
+  };
+  storage.organizations.set(organization.id, organization);
+  return organization;
+}
+
+/**
+ * Finds an organization by ID
+ * @param {string} orgId - Organization ID
+ * @returns {Object|null} Stored organization
+ */
+function getOrganization(orgId) {
+  return storage.organizations.get(orgId) || null;
+}
+
+/**
+ * Returns a user's role in an organization
+ * @param {Object|string} orgOrId - Organization or its ID
+ * @param {string} userId - User ID
+ * @returns {string|null} 'owner' | 'editor' | 'viewer', or null if not a member
+ */
+function getMemberRole(orgOrId, userId) {
+  const organization = typeof orgOrId === 'string' ? getOrganization(orgOrId) : orgOrId;
+  if (!organization) return null;
+  const member = organization.members.find(m => m.userId === userId);
+  return member ? member.role : null;
+}
+
+/**
+ * Lists the organizations a user belongs to
+ * @param {string} userId - User ID
+ * @returns {Object[]} Stored organizations
+ */
+function listUserOrganizations(userId) {
+  return Array.from(storage.organizations.values())
+    .filter(organization => organization.members.some(m => m.userId === userId));
+}
+
+/**
+ * Adds a member or changes an existing member's role.
+ * Refuses to demote the last owner.
+ * @param {Object} organization - Stored organization
+ * @param {string} userId - Member user ID
+ * @param {string} role - New role
+ * @returns {Object} { member } or { error }
+ */
+function setMemberRole(organization, userId, role) {
+  const existing = organization.members.find(m => m.userId === userId);
+  if (existing && existing.role === 'owner' && role !== 'owner' && countOwners(organization) === 1) {
+    return { error: 'An organization must keep at least one owner' };
+  }
+
+  const now = new Date().toISOString();
+  let member = existing;
+  if (member) {
+    member.role = role;
+  } else {
+    member = { userId, role, addedAt: now };
+    organization.members.push(member);
+  }
+  organization.updatedAt = now;
+  return { member };
+}
+
+/**
+ * Removes a member. Refuses to remove the last owner.
+ * @param {Object} organization - Stored organization
+ * @param {string} userId - Member user ID
+ * @returns {Object} { removed: boolean } or { error }
+ */
+function removeMember(organization, userId) {
+  const member = organization.members.find(m => m.userId === userId);
+  if (!member) return { removed: false };
+  if (member.role === 'owner' && countOwners(organization) === 1) {
+    return { error: 'An organization must keep at least one owner' };
+  }
+  organization.members = organization.members.filter(m => m.userId !== userId);
+  organization.updatedAt = new Date().toISOString();
+  return { removed: true };
+}
+
+function countOwners(organization) {
+  return organization.members.filter(m => m.role === 'owner').length;
+}
+
+/**
+ * Shapes an organization for the API
+ * @param {Object} organization - Stored organization
+ * @param {Function} loadUser - Resolves a user record by ID (for member emails)
+ * @param {string} [viewerId] - Requesting user, to report their role
+ * @returns {Object} Public organization fields
+ */
+function toPublicOrganization(organization, loadUser, viewerId) {
+  return {
+    id: organization.id,
+    name: organization.name,
+    role: viewerId ? getMemberRole(organization, viewerId) : undefined,
+    members: organization.members.map((member) => {
+      const user = loadUser(member.userId);
+      return {
+        userId: member.userId,
+        email: user ? user.email : null,
+        name: user ? user.name : null,
+        role: member.role,
+        addedAt: member.addedAt
+      };
+    }),
+    createdAt: organization.createdAt,
+    updatedAt: organization.updatedAt
+  };
+}
+
+module.exports = {
+  ORG_ROLES,
+  createOrganization,
+  getOrganization,
+  getMemberRole,
+  listUserOrganizations,
+  setMemberRole,
+  removeMember,
+  toPublicOrganization
+};
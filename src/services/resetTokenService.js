@@ -0,0 +1,74 @@
+/**
+ * Password Reset Token Service
+ * Reset tokens are emailed once and stored only as SHA-256 hashes in
+ * storage.resetTokens, so a leaked storage dump or log cannot be replayed.
+ */
+
+const { getStorage } = require('../config/database');
+const { generateToken, hashToken, safeCompare } = require('../utils/tokens');
+const { parseDuration, formatDuration } = require('../utils/duration');
+
+const storage = getStorage();
+
+// RESET_TOKEN_EXPIRY accepts "30m", "1h", ... or plain milliseconds
+const RESET_TOKEN_TTL_MS = parseDuration(process.env.RESET_TOKEN_EXPIRY, 60 * 60 * 1000); // 1 hour
+
+/**
+ * Human-readable token lifetime for the reset email
+ * @returns {string} e.g. "1 hour"
+ */
+function getResetTokenLifetime() {
+  return formatDuration(RESET_TOKEN_TTL_MS);
+}
+
+/**
+ * Issues a reset token for an email, invalidating any older outstanding ones
+ * @param {string} email - Normalized email
+ * @param {string} ip - Requesting IP
+ * @returns {Object} { token, tokenHash, expiry }
+ */
+function createResetToken(email, ip) {
+  storage.resetTokens.forEach((entry, tokenHash) => {
+    if (entry.email === email && !entry.used) storage.resetTokens.delete(tokenHash);
+  });
+
+  const token = generateToken();
+  const tokenHash = hashToken(token);
+  const expiry = new Date(Date.now() + RESET_TOKEN_TTL_MS);
+
+  storage.resetTokens.set(tokenHash, {
+    email,
+    expiry,
+    used: false,
+    createdAt: new Date().toISOString(),
+    ip
+  });
+
+  return { token, tokenHash, expiry };
+}
+
+/**
+ * Looks up a reset token by comparing its hash against every stored hash
+ * in constant time, so response timing does not leak partial matches
+ * @param {string} token - Raw token from the reset link
+ * @returns {Object|null} { tokenHash, tokenData }
+ */
+function findResetToken(token) {
+  const candidate = hashToken(token);
+  let match = null;
+
+  storage.resetTokens.forEach((tokenData, tokenHash) => {
+    if (safeCompare(tokenHash, candidate) && !match) {
+      match = { tokenHash, tokenData };
+    }
+  });
+
+  return match;
+}
+
+module.exports = {
+  RESET_TOKEN_TTL_MS,
+  getResetTokenLifetime,
+  createResetToken,
+  findResetToken
+};
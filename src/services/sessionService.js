@@ -0,0 +1,256 @@
+/**
+ * Session Service
+ * Issues short-lived JWT access tokens and rotating opaque refresh tokens.
+ * Each login creates a session in storage.sessions; the refresh token is
+ * "<sessionId>.<secret>" and only the hash of the secret is kept.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const jwt = require('jsonwebtoken');
+const { getStorage } = require('../config/database');
+const { generateToken, hashToken, safeCompare } = require('../utils/tokens');
+const { parseDuration } = require('../utils/duration');
+const logger = require('../utils/logger');
+
+const storage = getStorage();
+
+// Emits 'revoked' (sessionId) whenever a session ends early, so long-lived
+// connections opened under it (e.g. WebSockets) can be torn down
+const sessionEvents = new EventEmitter();
+
+const JWT_ISSUER = 'iot-dashboard-backend';
+const ACCESS_TOKEN_EXPIRY = process.env.JWT_ACCESS_TOKEN_EXPIRY || '15m';
+const REFRESH_TOKEN_TTL_MS = parseDuration(process.env.JWT_REFRESH_TOKEN_EXPIRY, 7 * 24 * 60 * 60 * 1000); // 7 days
+
+// Fall back to a per-process secret so development works out of the box;
+// tokens will not survive a restart in that mode
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+  jwtSecret = crypto.randomBytes(48).toString('hex');
+  logger.warn('⚠️ JWT_SECRET not set. Using a random secret; sessions will be lost on restart.');
+}
+
+/**
+ * Signs an access token for a session
+ * @param {Object} user - Stored user record
+ * @param {Object} session - Stored session record
+ * @returns {string} Signed JWT
+ */
+function issueAccessToken(user, session) {
+  return jwt.sign({ sid: session.id, type: 'access' }, jwtSecret, {
+    subject: user.id,
+    issuer: JWT_ISSUER,
+    expiresIn: ACCESS_TOKEN_EXPIRY,
+    algorithm: 'HS256'
+  });
+}
+
+/**
+ * Verifies an access token signature and expiry
+ * Throws JsonWebTokenError / TokenExpiredError on failure
+ * @param {string} token - Signed JWT
+ * @returns {Object} Decoded payload
+ */
+function verifyAccessToken(token) {
+  const payload = jwt.verify(token, jwtSecret, { issuer: JWT_ISSUER, algorithms: ['HS256'] });
+  if (payload.type !== 'access') {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+  return payload;
+}
+
+/**
+ * Splits a refresh token into its session ID and secret
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Object|null} { sessionId, secret }
+ */
+function parseRefreshToken(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret) return null;
+  return { sessionId, secret };
+}
+
+/**
+ * Builds the token pair returned to clients
+ * @param {Object} user - Stored user record
+ * @param {Object} session - Stored session record
+ * @param {string} secret - Raw refresh secret
+ * @returns {Object} Token response fields
+ */
+function buildTokens(user, session, secret) {
+  return {
+    accessToken: issueAccessToken(user, session),
+    refreshToken: `${session.id}.${secret}`,
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_EXPIRY,
+    refreshExpiresAt: session.expiresAt
+  };
+}
+
+/**
+ * Creates a session for a user that just authenticated
+ * @param {Object} user - Stored user record
+ * @param {Object} meta - Request metadata
+ * @param {string} meta.ip - Client IP
+ * @param {string} meta.userAgent - Client user agent
+ * @returns {Object} { session, tokens }
+ */
+function createSession(user, { ip, userAgent } = {}) {
+  const secret = generateToken();
+  const now = new Date();
+
+  const session = {
+    id: crypto.randomUUID(),
+    userId: user.id,
+    refreshTokenHash: hashToken(secret),
+    ip,
+    userAgent,
+    createdAt: now.toISOString(),
+    lastSeenAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS).toISOString()
+  };
+
+  storage.sessions.set(session.id, session);
+
+  return { session, tokens: buildTokens(user, session, secret) };
+}
+
+/**
+ * Returns a session if it exists and has not expired
+ * @param {string} sessionId - Session ID
+ * @returns {Object|null} Stored session record
+ */
+function getActiveSession(sessionId) {
+  const session = storage.sessions.get(sessionId);
+  if (!session) return null;
+  if (new Date() > new Date(session.expiresAt)) {
+    revokeSession(sessionId);
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Resolves the session a refresh token belongs to without rotating it
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Object|null} Stored session record
+ */
+function findSessionByRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+  const session = getActiveSession(parsed.sessionId);
+  if (!session || !safeCompare(session.refreshTokenHash, hashToken(parsed.secret))) return null;
+  return session;
+}
+
+/**
+ * Exchanges a refresh token for a new token pair, rotating the refresh secret.
+ * Presenting an already-rotated secret revokes the whole session, since it
+ * means the token was copied.
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Function} loadUser - Resolves a user record by ID
+ * @param {Object} meta - Request metadata ({ ip, userAgent })
+ * @returns {Object} { session, user, tokens } or { error }
+ */
+function rotateSession(refreshToken, loadUser, { ip, userAgent } = {}) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: 'Invalid refresh token' };
+
+  const session = getActiveSession(parsed.sessionId);
+  if (!session) return { error: 'Session expired or revoked' };
+
+  if (!safeCompare(session.refreshTokenHash, hashToken(parsed.secret))) {
+    revokeSession(session.id);
+    logger.warn('Refresh token reuse detected, session revoked:', { sessionId: session.id, userId: session.userId });
+    return { error: 'Session expired or revoked' };
+  }
+
+  const user = loadUser(session.userId);
+  if (!user) {
+    revokeSession(session.id);
+    return { error: 'Session expired or revoked' };
+  }
+
+  const secret = generateToken();
+  session.refreshTokenHash = hashToken(secret);
+  session.lastSeenAt = new Date().toISOString();
+  if (ip) session.ip = ip;
+  if (userAgent) session.userAgent = userAgent;
+  storage.sessions.set(session.id, session);
+
+  return { session, user, tokens: buildTokens(user, session, secret) };
+}
+
+/**
+ * Revokes a single session
+ * @param {string} sessionId - Session ID
+ * @returns {boolean} True if a session was removed
+ */
+function revokeSession(sessionId) {
+  const removed = storage.sessions.delete(sessionId);
+  if (removed) sessionEvents.emit('revoked', sessionId);
+  return removed;
+}
+
+/**
+ * Revokes every session belonging to a user
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {string} [options.exceptSessionId] - Session to keep
+ * @returns {string[]} IDs of the revoked sessions
+ */
+function revokeUserSessions(userId, { exceptSessionId } = {}) {
+  const revoked = [];
+  storage.sessions.forEach((session, sessionId) => {
+    if (session.userId === userId && sessionId !== exceptSessionId) {
+      revoked.push(sessionId);
+    }
+  });
+  revoked.forEach(revokeSession);
+  return revoked;
+}
+
+/**
+ * Lists the active sessions of a user, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Object[]} Stored session records
+ */
+function listUserSessions(userId) {
+  return Array.from(storage.sessions.values())
+    .filter(session => session.userId === userId && getActiveSession(session.id))
+    .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+}
+
+/**
+ * Strips secrets from a session record before it leaves the API
+ * @param {Object} session - Stored session record
+ * @param {string} [currentSessionId] - Session making the request
+ * @returns {Object} Public session fields
+ */
+function toPublicSession(session, currentSessionId) {
+  return {
+    id: session.id,
+    ip: session.ip,
+    userAgent: session.userAgent,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    expiresAt: session.expiresAt,
+    current: session.id === currentSessionId
+  };
+}
+
+module.exports = {
+  sessionEvents,
+  issueAccessToken,
+  verifyAccessToken,
+  parseRefreshToken,
+  createSession,
+  getActiveSession,
+  findSessionByRefreshToken,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  listUserSessions,
+  toPublicSession
+};
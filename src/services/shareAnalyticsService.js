@@ -0,0 +1,211 @@
+/**
+ * Share Analytics Service
+ * Records who opens shared dashboards, kept per dashboard in storage.shareAnalytics
+ * so the numbers survive link rotation.
+ *
+ * IP addresses are anonymized before they are stored (IPv4 /24, IPv6 /48).
+ * Unique viewers are counted with a salted hash of the anonymized IP and
+ * user agent, so no raw identifier is kept.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const { getStorage } = require('../config/database');
+const { parseDuration } = require('../utils/duration');
+
+const storage = getStorage();
+
+// Outcomes of an access attempt
+const ACCESS_OUTCOMES = ['view', 'unlock', 'denied', 'ws'];
+
+const MAX_EVENTS = parseInt(process.env.SHARE_ANALYTICS_MAX_EVENTS) || 500;
+const RETENTION_MS = parseDuration(process.env.SHARE_ANALYTICS_RETENTION, 90 * 24 * 60 * 60 * 1000); // 90 days
+
+// Per-process salt; viewer keys are only compared with each other
+const VIEWER_KEY_SALT = crypto.randomBytes(16);
+
+/**
+ * Anonymizes an IP address by zeroing its host part
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {string|null} e.g. "203.0.113.0" or "2001:db8:85a3::"
+ */
+function anonymizeIp(ip) {
+  if (!ip) return null;
+  const address = String(ip).replace(/^::ffff:/, '');
+
+  if (net.isIPv4(address)) {
+    return address.split('.').slice(0, 3).concat('0').join('.');
+  }
+  if (net.isIPv6(address)) {
+    // Expand "::" so the first three groups can be kept
+    const [head, tail = ''] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = address.includes('::')
+      ? [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+      : headGroups;
+    return `${groups.slice(0, 3).join(':')}::`;
+  }
+  return null;
+}
+
+function viewerKey(anonymizedIp, userAgent) {
+  return crypto.createHmac('sha256', VIEWER_KEY_SALT)
+    .update(`${anonymizedIp || ''}|${userAgent || ''}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function getEntry(dashboardId) {
+  let entry = storage.shareAnalytics.get(dashboardId);
+  if (!entry) {
+    entry = { daily: new Map(), events: [] };
+    storage.shareAnalytics.set(dashboardId, entry);
+  }
+  return entry;
+}
+
+function getDay(entry, date) {
+  const key = date.toISOString().slice(0, 10);
+  let day = entry.daily.get(key);
+  if (!day) {
+    day = { views: 0, unlocks: 0, failedPasswordAttempts: 0, denied: 0, wsSessions: 0, wsDurationMs: 0, viewers: new Set() };
+    entry.daily.set(key, day);
+  }
+  return day;
+}
+
+/**
+ * Records an access to a shared dashboard
+ * @param {Object} shared - Stored shared dashboard
+ * @param {Object} params
+ * @param {string} params.outcome - 'view', 'unlock' (password accepted), 'denied' or 'ws'
+ * @param {string} [params.reason] - Why access was denied (e.g. 'invalid_password'), or 'embed' for embedded views
+ * @param {string} [params.ip] - Client IP (anonymized before storing)
+ * @param {string} [params.userAgent] - Client user agent
+ * @param {number} [params.durationMs] - WebSocket session length, for 'ws'
+ * @param {Date} [params.at] - When it happened (defaults to now)
+ * @returns {Object} Stored event
+ */
+function recordShareAccess(shared, { outcome, reason, ip, userAgent, durationMs, at = new Date() }) {
+  if (!ACCESS_OUTCOMES.includes(outcome)) throw new Error(`Unknown share access outcome: ${outcome}`);
+
+  const entry = getEntry(shared.originalDashboardId);
+  const anonymizedIp = anonymizeIp(ip);
+  const event = {
+    at: at.toISOString(),
+    shareableId: shared.panelId,
+    outcome,
+    reason: reason || null,
+    ip: anonymizedIp,
+    userAgent: userAgent ? String(userAgent).slice(0, 256) : null,
+    durationMs: outcome === 'ws' ? durationMs : undefined
+  };
+
+  entry.events.push(event);
+  if (entry.events.length > MAX_EVENTS) entry.events.splice(0, entry.events.length - MAX_EVENTS);
+
+  const day = getDay(entry, at);
+  if (outcome === 'view') {
+    day.views++;
+    day.viewers.add(viewerKey(anonymizedIp, userAgent));
+  } else if (outcome === 'unlock') {
+    day.unlocks++;
+  } else if (outcome === 'ws') {
+    day.wsSessions++;
+    day.wsDurationMs += durationMs || 0;
+  } else {
+    day.denied++;
+    if (reason === 'invalid_password') day.failedPasswordAttempts++;
+  }
+
+  return event;
+}
+
+/**
+ * Aggregates access analytics for a dashboard's share
+ * @param {string} dashboardId - Dashboard ID
+ * @param {Object} [options]
+ * @param {number} [options.days=30] - How many days back to include
+ * @param {number} [options.recent=50] - How many recent events to include
+ * @returns {Object} { totals, daily, recent }
+ */
+function getShareAnalytics(dashboardId, { days = 30, recent = 50 } = {}) {
+  const entry = storage.shareAnalytics.get(dashboardId) || { daily: new Map(), events: [] };
+  const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  const totals = { views: 0, uniqueViewers: 0, unlocks: 0, failedPasswordAttempts: 0, denied: 0, wsSessions: 0, avgWsDurationMs: 0 };
+  const allViewers = new Set();
+  let wsDurationMs = 0;
+
+  const daily = Array.from(entry.daily.entries())
+    .filter(([date]) => date >= since)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, day]) => {
+      totals.views += day.views;
+      totals.unlocks += day.unlocks;
+      totals.failedPasswordAttempts += day.failedPasswordAttempts;
+      totals.denied += day.denied;
+      totals.wsSessions += day.wsSessions;
+      wsDurationMs += day.wsDurationMs;
+      day.viewers.forEach(key => allViewers.add(key));
+      return {
+        date,
+        views: day.views,
+        uniqueViewers: day.viewers.size,
+        failedPasswordAttempts: day.failedPasswordAttempts,
+        denied: day.denied,
+        wsSessions: day.wsSessions
+      };
+    });
+
+  totals.uniqueViewers = allViewers.size;
+  totals.avgWsDurationMs = totals.wsSessions ? Math.round(wsDurationMs / totals.wsSessions) : 0;
+
+  return {
+    days,
+    totals,
+    daily,
+    recent: entry.events.slice(-recent).reverse()
+  };
+}
+
+/**
+ * Removes analytics for a dashboard
+ * @param {string} dashboardId - Dashboard ID
+ */
+function deleteShareAnalytics(dashboardId) {
+  storage.shareAnalytics.delete(dashboardId);
+}
+
+/**
+ * Drops daily buckets and events past the retention period, and analytics of deleted dashboards
+ * @returns {number} Number of dashboards whose analytics were removed entirely
+ */
+function pruneShareAnalytics() {
+  const cutoff = new Date(Date.now() - RETENTION_MS);
+  const cutoffDay = cutoff.toISOString().slice(0, 10);
+  let removed = 0;
+
+  storage.shareAnalytics.forEach((entry, dashboardId) => {
+    if (!storage.dashboards.has(dashboardId)) {
+      storage.shareAnalytics.delete(dashboardId);
+      removed++;
+      return;
+    }
+    entry.daily.forEach((day, date) => {
+      if (date < cutoffDay) entry.daily.delete(date);
+    });
+    entry.events = entry.events.filter(event => new Date(event.at) >= cutoff);
+  });
+
+  return removed;
+}
+
+module.exports = {
+  anonymizeIp,
+  recordShareAccess,
+  getShareAnalytics,
+  deleteShareAnalytics,
+  pruneShareAnalytics
+};
@@ -0,0 +1,372 @@
+/**
+ * Share Service
+ * Public share links for published dashboards (storage.sharedDashboards).
+ *
+ * Share IDs and passwords come from crypto. Only a scrypt hash of the
+ * password is stored. After a successful password check the viewer gets a
+ * short-lived JWT ("viewer token") so the password is not re-sent on every
+ * request.
+ *
+ * A share may also have an expiry date and a maximum number of views; once
+ * either is reached the link stops working until the owner changes the limits.
+ *
+ * Each share is either a "snapshot" (content frozen at publish time) or
+ * "live" (always serves the current dashboard). Snapshots remember a hash of
+ * their content so the owner can see when the dashboard has moved on.
+ *
+ * Embed tokens let another site iframe a share without the password. They are
+ * "<payload>.<signature>" with an HMAC-SHA256 signature, expire, and may limit
+ * the share to some of its widgets. Only origins the owner allowed may frame it.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getStorage } = require('../config/database');
+const { safeCompare } = require('../utils/tokens');
+const { hashPassword, verifyPassword } = require('../utils/password');
+const { parseDuration } = require('../utils/duration');
+const { stableStringify } = require('../utils/stableStringify');
+const logger = require('../utils/logger');
+
+const SHARE_TOKEN_ISSUER = 'iot-dashboard-share';
+const VIEWER_TOKEN_TTL_MS = parseDuration(process.env.SHARE_VIEWER_TOKEN_EXPIRY, 60 * 60 * 1000); // 1 hour
+
+// Unambiguous characters (no 0/O, 1/I/L) so passwords can be read aloud
+const PASSWORD_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const PASSWORD_LENGTH = 10;
+
+const SHARE_MODES = ['snapshot', 'live'];
+
+const EMBED_TOKEN_TTL_MS = parseDuration(process.env.EMBED_TOKEN_EXPIRY, 24 * 60 * 60 * 1000); // 24 hours
+const EMBED_TOKEN_MAX_TTL_MS = parseDuration(process.env.EMBED_TOKEN_MAX_EXPIRY, 30 * 24 * 60 * 60 * 1000); // 30 days
+
+const storage = getStorage();
+
+// Viewer tokens carry their own "type", so access tokens are never accepted here
+// even when both fall back to JWT_SECRET
+let shareTokenSecret = process.env.SHARE_TOKEN_SECRET || process.env.JWT_SECRET;
+if (!shareTokenSecret) {
+  shareTokenSecret = crypto.randomBytes(48).toString('hex');
+  logger.warn('⚠️ SHARE_TOKEN_SECRET and JWT_SECRET not set. Using a random secret; viewer and embed tokens will stop working on restart.');
+}
+const embedTokenSecret = process.env.EMBED_TOKEN_SECRET || shareTokenSecret;
+
+/**
+ * Generates an unguessable shareable ID
+ * @returns {string} Shareable ID, e.g. "shared-Yk3vQ9..." (URL-safe)
+ */
+function generateShareableId() {
+  return `shared-${crypto.randomBytes(16).toString('base64url')}`;
+}
+
+/**
+ * Builds the public frontend link for a share
+ * @param {string} shareableId - Shareable ID
+ * @returns {string} Shareable link
+ */
+function buildShareableLink(shareableId) {
+  return `${process.env.FRONTEND_URL || 'http://localhost:5174'}/shared/${shareableId}`;
+}
+
+/**
+ * Generates a random share password
+ * @returns {string} Password of PASSWORD_LENGTH characters
+ */
+function generateSharePassword() {
+  let password = '';
+  for (let i = 0; i < PASSWORD_LENGTH; i++) {
+    password += PASSWORD_ALPHABET[crypto.randomInt(PASSWORD_ALPHABET.length)];
+  }
+  return password;
+}
+
+/**
+ * Hashes a share password for storage
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Encoded hash
+ */
+function hashSharePassword(password) {
+  return hashPassword(password);
+}
+
+/**
+ * Checks whether a share needs a password or viewer token
+ * @param {Object} shared - Stored shared dashboard
+ * @returns {boolean} True if protected
+ */
+function isPasswordProtected(shared) {
+  return Boolean(shared.sharePasswordHash);
+}
+
+/**
+ * Verifies a password against a share (case-insensitive, as passwords are upper case)
+ * @param {Object} shared - Stored shared dashboard
+ * @param {string} password - Password supplied by the viewer
+ * @returns {Promise<boolean>} True if the password matches
+ */
+function verifySharePassword(shared, password) {
+  if (!isPasswordProtected(shared) || typeof password !== 'string') return Promise.resolve(false);
+  return verifyPassword(password.trim().toUpperCase(), shared.sharePasswordHash);
+}
+
+/**
+ * Issues a viewer token for a share
+ * @param {Object} shared - Stored shared dashboard
+ * @returns {Object} { viewerToken, expiresAt }
+ */
+function issueViewerToken(shared) {
+  const viewerToken = jwt.sign({ type: 'share', ver: shared.passwordVersion || 1 }, shareTokenSecret, {
+    subject: shared.panelId,
+    issuer: SHARE_TOKEN_ISSUER,
+    expiresIn: Math.floor(VIEWER_TOKEN_TTL_MS / 1000),
+    algorithm: 'HS256'
+  });
+  return { viewerToken, expiresAt: new Date(Date.now() + VIEWER_TOKEN_TTL_MS).toISOString() };
+}
+
+/**
+ * Checks a viewer token against a share. Tokens stop working once the
+ * share's password changes (passwordVersion is bumped).
+ * @param {Object} shared - Stored shared dashboard
+ * @param {string} token - Viewer token
+ * @returns {boolean} True if the token grants access
+ */
+function verifyViewerToken(shared, token) {
+  if (!token) return false;
+  try {
+    const payload = jwt.verify(token, shareTokenSecret, {
+      issuer: SHARE_TOKEN_ISSUER,
+      subject: shared.panelId,
+      algorithms: ['HS256']
+    });
+    return payload.type === 'share' && payload.ver === (shared.passwordVersion || 1);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Builds the viewer-facing content of a dashboard
+ * @param {Object} dashboard - Stored dashboard
+ * @returns {Object} { topicId, widgets, layouts, title, stats }
+ */
+function buildShareContent(dashboard) {
+  return {
+    topicId: dashboard.topicId,
+    widgets: dashboard.widgets || [],
+    layouts: dashboard.layout || {}, // Keep as layout for backend consistency
+    title: dashboard.name || 'Shared Dashboard',
+    stats: dashboard.stats || { totalWidgets: (dashboard.widgets || []).length, gridUtilization: 0 }
+  };
+}
+
+/**
+ * Hashes share content to detect changes
+ * @param {Object} content - Content from buildShareContent
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function hashShareContent(content) {
+  return crypto.createHash('sha256').update(stableStringify(content)).digest('hex');
+}
+
+/**
+ * Checks whether viewers of a snapshot see an older version of the dashboard
+ * @param {Object} shared - Stored shared dashboard
+ * @param {Object} dashboard - Current stored dashboard
+ * @returns {boolean} True if the snapshot differs from the dashboard (always false for live shares)
+ */
+function isShareOutdated(shared, dashboard) {
+  if (!dashboard || shared.mode === 'live') return false;
+  return shared.contentHash !== hashShareContent(buildShareContent(dashboard));
+}
+
+/**
+ * Explains why a share can no longer be opened
+ * @param {Object} shared - Stored shared dashboard
+ * @returns {Object|null} { reason, error }, or null if the share is available
+ */
+function getShareUnavailableReason(shared) {
+  if (shared.expiresAt && Date.now() >= new Date(shared.expiresAt).getTime()) {
+    return { reason: 'expired', error: 'This shared link has expired' };
+  }
+  if (shared.maxViews && (shared.viewCount || 0) >= shared.maxViews) {
+    return { reason: 'view_limit', error: 'This shared link has reached its view limit' };
+  }
+  return null;
+}
+
+function signEmbedPayload(encodedPayload) {
+  return crypto.createHmac('sha256', embedTokenSecret).update(`embed.${encodedPayload}`).digest('base64url');
+}
+
+/**
+ * Issues a signed embed token for a share
+ * @param {Object} shared - Stored shared dashboard
+ * @param {Object} [options]
+ * @param {string[]} [options.widgetIds] - Limit the embed to these widgets
+ * @param {number} [options.expiresInMs] - Lifetime, capped at EMBED_TOKEN_MAX_EXPIRY
+ * @returns {Object} { embedToken, expiresAt }
+ */
+function issueEmbedToken(shared, { widgetIds, expiresInMs } = {}) {
+  const ttlMs = Math.min(expiresInMs || EMBED_TOKEN_TTL_MS, EMBED_TOKEN_MAX_TTL_MS);
+  const expiresAt = new Date(Date.now() + ttlMs);
+  const payload = {
+    sid: shared.panelId,
+    ev: shared.embedVersion || 1,
+    exp: Math.floor(expiresAt.getTime() / 1000)
+  };
+  if (widgetIds && widgetIds.length) payload.wid = widgetIds;
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return {
+    embedToken: `${encodedPayload}.${signEmbedPayload(encodedPayload)}`,
+    expiresAt: expiresAt.toISOString()
+  };
+}
+
+/**
+ * Verifies an embed token against a share. Tokens stop working when they
+ * expire, when the link is rotated, or when the owner revokes all embeds.
+ * @param {Object} shared - Stored shared dashboard
+ * @param {string} token - Embed token
+ * @returns {Object|null} { widgetIds } for a valid token (widgetIds null means all widgets)
+ */
+function verifyEmbedToken(shared, token) {
+  const [encodedPayload, signature] = String(token || '').split('.');
+  if (!encodedPayload || !signature || !safeCompare(signature, signEmbedPayload(encodedPayload))) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.sid !== shared.panelId) return null;
+  if (payload.ev !== (shared.embedVersion || 1)) return null;
+  if (!payload.exp || Date.now() >= payload.exp * 1000) return null;
+  return { widgetIds: Array.isArray(payload.wid) ? payload.wid : null };
+}
+
+/**
+ * Reads an embed token from the X-Embed-Token header or ?embed= query
+ * @param {Object} req - Express request
+ * @returns {string|null} Token
+ */
+function getEmbedTokenFromRequest(req) {
+  return req.get('X-Embed-Token') || (typeof req.query.embed === 'string' ? req.query.embed : null);
+}
+
+/**
+ * Builds the frontend URL that renders a share inside an iframe
+ * @param {string} shareableId - Shareable ID
+ * @param {string} embedToken - Embed token
+ * @returns {string} Embed URL
+ */
+function buildEmbedUrl(shareableId, embedToken) {
+  return `${process.env.FRONTEND_URL || 'http://localhost:5174'}/embed/${shareableId}?embed=${encodeURIComponent(embedToken)}`;
+}
+
+/**
+ * Returns the origins allowed to frame a share, for the frame-ancestors policy
+ * @param {string} shareableId - Shareable ID
+ * @returns {string[]} Allowed origins (empty when none are configured)
+ */
+function getShareFrameAncestors(shareableId) {
+  const shared = storage.sharedDashboards.get(shareableId);
+  return shared && Array.isArray(shared.allowedOrigins) ? shared.allowedOrigins : [];
+}
+
+/**
+ * Limits a public share to some of its widgets (and their layout entries)
+ * @param {Object} publicShare - Output of toPublicShare
+ * @param {string[]} widgetIds - Widget IDs to keep
+ * @returns {Object} Filtered copy
+ */
+function applyWidgetSubset(publicShare, widgetIds) {
+  const keep = new Set(widgetIds);
+  const layouts = {};
+  Object.entries(publicShare.layouts || {}).forEach(([breakpoint, items]) => {
+    layouts[breakpoint] = Array.isArray(items) ? items.filter(item => keep.has(item && item.i)) : items;
+  });
+  return {
+    ...publicShare,
+    widgets: (publicShare.widgets || []).filter(widget => keep.has(widget.id)),
+    layouts
+  };
+}
+
+/**
+ * Reads a viewer token from the X-Share-Token header or ?token= query
+ * @param {Object} req - Express request
+ * @returns {string|null} Token
+ */
+function getViewerTokenFromRequest(req) {
+  return req.get('X-Share-Token') || (typeof req.query.token === 'string' ? req.query.token : null);
+}
+
+/**
+ * Shapes a shared dashboard for public viewers (never includes password data)
+ * @param {Object} shared - Stored shared dashboard
+ * @param {Object} [dashboard] - Current stored dashboard; live shares serve its content
+ * @returns {Object} Public fields
+ */
+function toPublicShare(shared, dashboard) {
+  const content = shared.mode === 'live' && dashboard ? buildShareContent(dashboard) : {};
+  const publicShare = { ...shared, ...content, passwordProtected: isPasswordProtected(shared) };
+  delete publicShare.sharePasswordHash;
+  delete publicShare.contentHash;
+  delete publicShare.passwordVersion;
+  delete publicShare.maxViews;
+  delete publicShare.viewCount;
+  delete publicShare.embedVersion;
+  delete publicShare.allowedOrigins;
+  return publicShare;
+}
+
+/**
+ * Shapes a share's settings for the dashboard owner
+ * @param {Object} shared - Stored shared dashboard
+ * @param {Object} dashboard - Current stored dashboard
+ * @returns {Object} Link, mode, protection, limits and view count
+ */
+function toShareSummary(shared, dashboard) {
+  return {
+    shareableId: shared.panelId,
+    shareableLink: buildShareableLink(shared.panelId),
+    mode: shared.mode || 'snapshot',
+    outdated: isShareOutdated(shared, dashboard),
+    passwordProtected: isPasswordProtected(shared),
+    allowedOrigins: shared.allowedOrigins || [],
+    expiresAt: shared.expiresAt || null,
+    maxViews: shared.maxViews || null,
+    viewCount: shared.viewCount || 0,
+    available: !getShareUnavailableReason(shared),
+    publishedAt: shared.publishedAt
+  };
+}
+
+module.exports = {
+  SHARE_MODES,
+  generateShareableId,
+  buildShareableLink,
+  generateSharePassword,
+  hashSharePassword,
+  isPasswordProtected,
+  verifySharePassword,
+  issueViewerToken,
+  verifyViewerToken,
+  buildShareContent,
+  hashShareContent,
+  isShareOutdated,
+  getShareUnavailableReason,
+  issueEmbedToken,
+  verifyEmbedToken,
+  getEmbedTokenFromRequest,
+  buildEmbedUrl,
+  getShareFrameAncestors,
+  applyWidgetSubset,
+  getViewerTokenFromRequest,
+  toShareSummary,
+  toPublicShare
+};
@@ -0,0 +1,242 @@
+/**
+ * Dashboard Template Service
+ * Reusable widget layouts that new dashboards can start from.
+ *
+ * Templates are built in (read-only, for everyone), personal (visible to their
+ * creator) or belong to an organization (visible to its members). String
+ * values in widgets may contain placeholders such as "{{topicId}}/temperature";
+ * they are filled in when a dashboard is created from the template. Saving a
+ * dashboard as a template turns its topic ID into {{topicId}}.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('../config/database');
+const { getMemberRole, listUserOrganizations } = require('./organizationService');
+const { mapStrings, replaceTopicIds } = require('../utils/mapStrings');
+
+const storage = getStorage();
+
+const TEMPLATE_SCOPES = ['personal', 'org'];
+
+// Filled with the new dashboard's topic ID unless the caller provides a value
+const TOPIC_PLACEHOLDER = 'topicId';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z][\w-]*)\s*\}\}/g;
+
+// Org members who may add or remove organization templates
+const ORG_TEMPLATE_ROLES = ['owner', 'editor'];
+
+const BUILTIN_TEMPLATES = [
+  {
+    id: 'builtin-environment-monitor',
+    name: 'Environment Monitor',
+    description: 'Temperature and humidity gauges with a history chart',
+    widgets: [
+      { id: 'temperature', type: 'gauge', title: 'Temperature', x: 0, y: 0, w: 4, h: 4, config: { topic: '{{topicId}}/temperature', unit: '°C', min: -20, max: 60 } },
+      { id: 'humidity', type: 'gauge', title: 'Humidity', x: 4, y: 0, w: 4, h: 4, config: { topic: '{{topicId}}/humidity', unit: '%', min: 0, max: 100 } },
+      { id: 'history', type: 'chart', title: 'History', x: 0, y: 4, w: 8, h: 5, config: { topics: ['{{topicId}}/temperature', '{{topicId}}/humidity'] } }
+    ],
+    layout: {}
+  },
+  {
+    id: 'builtin-device-control',
+    name: 'Device Control',
+    description: 'On/off switch, status indicator and a value slider',
+    widgets: [
+      { id: 'power', type: 'switch', title: 'Power', x: 0, y: 0, w: 3, h: 2, config: { topic: '{{topicId}}/power' } },
+      { id: 'status', type: 'led', title: 'Status', x: 3, y: 0, w: 3, h: 2, config: { topic: '{{topicId}}/status' } },
+      { id: 'level', type: 'slider', title: 'Level', x: 0, y: 2, w: 6, h: 2, config: { topic: '{{topicId}}/level', min: 0, max: 100 } }
+    ],
+    layout: {}
+  },
+  {
+    id: 'builtin-energy-meter',
+    name: 'Energy Meter',
+    description: 'Power draw, daily consumption and a usage chart',
+    widgets: [
+      { id: 'power', type: 'gauge', title: 'Power', x: 0, y: 0, w: 4, h: 4, config: { topic: '{{topicId}}/power', unit: 'W', min: 0, max: 5000 } },
+      { id: 'energy', type: 'value', title: 'Today', x: 4, y: 0, w: 4, h: 2, config: { topic: '{{topicId}}/energy', unit: 'kWh' } },
+      { id: 'usage', type: 'chart', title: 'Usage', x: 0, y: 4, w: 8, h: 5, config: { topics: ['{{topicId}}/power'] } }
+    ],
+    layout: {}
+  }
+].map(template => ({ ...template, scope: 'builtin', orgId: null, userId: null, createdAt: null }));
+
+/**
+ * Lists the placeholder names used by a template
+ * @param {Object} template - Stored or built-in template
+ * @returns {string[]} Sorted names, e.g. ['site', 'topicId']
+ */
+function findPlaceholders(template) {
+  const names = new Set();
+  mapStrings({ widgets: template.widgets, layout: template.layout }, (text) => {
+    for (const match of text.matchAll(PLACEHOLDER_PATTERN)) names.add(match[1]);
+    return text;
+  });
+  return Array.from(names).sort();
+}
+
+/**
+ * Saves a dashboard's widgets and layout as a template
+ * @param {Object} dashboard - Stored dashboard
+ * @param {Object} user - Creating user (public user object)
+ * @param {Object} params
+ * @param {string} params.name - Template name
+ * @param {string} [params.description] - Short description
+ * @param {string} params.scope - 'personal' or 'org' (the dashboard's organization)
+ * @returns {Object} Stored template
+ */
+function createTemplate(dashboard, user, { name, description, scope }) {
+  // The dashboard's own topic becomes a placeholder so each new dashboard gets its own
+  const topicIds = [dashboard.topicId, dashboard.id];
+
+  const template = {
+    id: crypto.randomUUID(),
+    name,
+    description: description || null,
+    scope,
+    orgId: scope === 'org' ? dashboard.orgId : null,
+    userId: user.id,
+    widgets: replaceTopicIds(dashboard.widgets || [], topicIds, `{{${TOPIC_PLACEHOLDER}}}`),
+    layout: replaceTopicIds(dashboard.layout || {}, topicIds, `{{${TOPIC_PLACEHOLDER}}}`),
+    sourceDashboardId: dashboard.id,
+    createdAt: new Date().toISOString()
+  };
+  storage.dashboardTemplates.set(template.id, template);
+  return template;
+}
+
+/**
+ * Finds a template by ID (built-in or stored)
+ * @param {string} templateId - Template ID
+ * @returns {Object|null} Template
+ */
+function getTemplate(templateId) {
+  return BUILTIN_TEMPLATES.find(template => template.id === templateId) ||
+    storage.dashboardTemplates.get(templateId) || null;
+}
+
+/**
+ * Checks whether a user may see and use a template
+ * @param {Object} template - Template
+ * @param {string} userId - User ID
+ * @returns {boolean} True if visible to the user
+ */
+function canUseTemplate(template, userId) {
+  if (template.scope === 'builtin') return true;
+  if (template.scope === 'org') return Boolean(getMemberRole(template.orgId, userId));
+  return template.userId === userId;
+}
+
+/**
+ * Checks whether a user may delete a template (built-in templates cannot be deleted)
+ * @param {Object} template - Template
+ * @param {string} userId - User ID
+ * @returns {boolean} True if the user may delete it
+ */
+function canDeleteTemplate(template, userId) {
+  if (template.scope === 'builtin') return false;
+  if (template.scope === 'org') {
+    return template.userId === userId || getMemberRole(template.orgId, userId) === 'owner';
+  }
+  return template.userId === userId;
+}
+
+/**
+ * Lists the templates a user can use
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {string} [options.scope] - Only 'builtin', 'personal' or 'org' templates
+ * @returns {Object[]} Templates, built-in first
+ */
+function listTemplatesForUser(userId, { scope } = {}) {
+  const orgIds = new Set(listUserOrganizations(userId).map(organization => organization.id));
+  const stored = Array.from(storage.dashboardTemplates.values())
+    .filter(template => (template.scope === 'org' ? orgIds.has(template.orgId) : template.userId === userId))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return [...BUILTIN_TEMPLATES, ...stored].filter(template => !scope || template.scope === scope);
+}
+
+/**
+ * Builds dashboard content from a template with its placeholders filled in
+ * @param {Object} template - Template
+ * @param {Object} values - Placeholder values, e.g. { topicId: '123456789012345', site: 'plant-2' }
+ * @returns {Object} { widgets, layout } or { error, missing }
+ */
+function instantiateTemplate(template, values) {
+  const missing = findPlaceholders(template).filter(name => values[name] === undefined || values[name] === '');
+  if (missing.length) {
+    return { error: `Missing placeholder values: ${missing.join(', ')}`, missing };
+  }
+
+  const fill = text => text.replace(PLACEHOLDER_PATTERN, (match, name) => String(values[name]));
+  return {
+    widgets: mapStrings(template.widgets, fill),
+    layout: mapStrings(template.layout || {}, fill)
+  };
+}
+
+/**
+ * Removes a stored template
+ * @param {string} templateId - Template ID
+ * @returns {boolean} True if a template was removed
+ */
+function deleteTemplate(templateId) {
+  return storage.dashboardTemplates.delete(templateId);
+}
+
+/**
+ * Removes every template of an organization (used when it is deleted)
+ * @param {string} orgId - Organization ID
+ * @returns {number} Number of templates removed
+ */
+function deleteOrganizationTemplates(orgId) {
+  let removed = 0;
+  storage.dashboardTemplates.forEach((template, templateId) => {
+    if (template.scope === 'org' && template.orgId === orgId) {
+      storage.dashboardTemplates.delete(templateId);
+      removed++;
+    }
+  });
+  return removed;
+}
+
+/**
+ * Shapes a template for the API
+ * @param {Object} template - Template
+ * @param {Object} [options]
+ * @param {boolean} [options.includeContent=false] - Include widgets and layout
+ * @returns {Object} Public template fields
+ */
+function toPublicTemplate(template, { includeContent = false } = {}) {
+  return {
+    id: template.id,
+    name: template.name,
+    description: template.description,
+    scope: template.scope,
+    orgId: template.orgId,
+    createdBy: template.userId,
+    widgetCount: template.widgets.length,
+    placeholders: findPlaceholders(template),
+    createdAt: template.createdAt,
+    widgets: includeContent ? template.widgets : undefined,
+    layout: includeContent ? template.layout : undefined
+  };
+}
+
+module.exports = {
+  TEMPLATE_SCOPES,
+  TOPIC_PLACEHOLDER,
+  ORG_TEMPLATE_ROLES,
+  findPlaceholders,
+  createTemplate,
+  getTemplate,
+  canUseTemplate,
+  canDeleteTemplate,
+  listTemplatesForUser,
+  instantiateTemplate,
+  deleteTemplate,
+  deleteOrganizationTemplates,
+  toPublicTemplate
+};
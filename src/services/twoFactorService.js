@@ -0,0 +1,171 @@
+/**
+ * Two-Factor Service
+ * TOTP enrollment, verification and one-time recovery codes for user accounts.
+ * State lives on the user record under user.twoFactor.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('../config/database');
+const { generateSecret, verifyTOTP, buildOtpauthUri } = require('../utils/totp');
+const { hashToken, safeCompare } = require('../utils/tokens');
+
+const storage = getStorage();
+
+const ISSUER = process.env.TOTP_ISSUER || 'IoT Dashboard';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Reports whether a user has completed 2FA enrollment
+ * @param {Object} user - Stored user record
+ * @returns {boolean} True if 2FA is enabled
+ */
+function isTwoFactorEnabled(user) {
+  return Boolean(user.twoFactor && user.twoFactor.enabled);
+}
+
+/**
+ * Generates a set of recovery codes formatted as xxxxx-xxxxx
+ * @returns {string[]} Plain text recovery codes
+ */
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+/**
+ * Normalizes a recovery code before hashing so dashes and case do not matter
+ * @param {string} code - Recovery code as typed
+ * @returns {string} Normalized code
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+}
+
+/**
+ * Starts enrollment by generating a pending secret
+ * @param {Object} user - Stored user record
+ * @returns {Object} { secret, otpauthUri }
+ */
+function beginEnrollment(user) {
+  const secret = generateSecret();
+  user.twoFactor = {
+    ...(user.twoFactor || {}),
+    enabled: false,
+    pendingSecret: secret
+  };
+  storage.users.set(user.id, user);
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri(secret, user.email, ISSUER)
+  };
+}
+
+/**
+ * Completes enrollment once the user proves their app produces valid codes
+ * @param {Object} user - Stored user record
+ * @param {string} code - Current TOTP code
+ * @returns {string[]|null} Plain text recovery codes, or null if the code is invalid
+ */
+function completeEnrollment(user, code) {
+  const pendingSecret = user.twoFactor && user.twoFactor.pendingSecret;
+  if (!pendingSecret) return null;
+
+  const step = verifyTOTP(pendingSecret, code);
+  if (step === null) return null;
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor = {
+    enabled: true,
+    secret: pendingSecret,
+    lastUsedStep: step,
+    recoveryCodeHashes: recoveryCodes.map(c => hashToken(normalizeRecoveryCode(c))),
+    enabledAt: new Date().toISOString()
+  };
+  user.updatedAt = new Date().toISOString();
+  storage.users.set(user.id, user);
+
+  return recoveryCodes;
+}
+
+/**
+ * Verifies a second factor: either a TOTP code or an unused recovery code.
+ * TOTP codes cannot be replayed within their validity window and recovery
+ * codes are consumed on use.
+ * @param {Object} user - Stored user record
+ * @param {Object} factor
+ * @param {string} [factor.totpCode] - TOTP code
+ * @param {string} [factor.recoveryCode] - Recovery code
+ * @returns {string|null} 'totp' or 'recovery' on success, null otherwise
+ */
+function verifySecondFactor(user, { totpCode, recoveryCode } = {}) {
+  if (!isTwoFactorEnabled(user)) return null;
+  const twoFactor = user.twoFactor;
+
+  if (totpCode) {
+    const step = verifyTOTP(twoFactor.secret, totpCode);
+    if (step === null || step <= (twoFactor.lastUsedStep || 0)) return null;
+    twoFactor.lastUsedStep = step;
+    storage.users.set(user.id, user);
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const candidate = hashToken(normalizeRecoveryCode(recoveryCode));
+    const index = twoFactor.recoveryCodeHashes.findIndex(hash => safeCompare(hash, candidate));
+    if (index === -1) return null;
+    twoFactor.recoveryCodeHashes.splice(index, 1);
+    storage.users.set(user.id, user);
+    return 'recovery';
+  }
+
+  return null;
+}
+
+/**
+ * Replaces the user's recovery codes
+ * @param {Object} user - Stored user record
+ * @returns {string[]} Plain text recovery codes
+ */
+function regenerateRecoveryCodes(user) {
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodeHashes = recoveryCodes.map(c => hashToken(normalizeRecoveryCode(c)));
+  storage.users.set(user.id, user);
+  return recoveryCodes;
+}
+
+/**
+ * Turns 2FA off and forgets the secret
+ * @param {Object} user - Stored user record
+ */
+function disableTwoFactor(user) {
+  delete user.twoFactor;
+  user.updatedAt = new Date().toISOString();
+  storage.users.set(user.id, user);
+}
+
+/**
+ * Summarizes 2FA state for the API
+ * @param {Object} user - Stored user record
+ * @returns {Object} Status fields
+ */
+function getTwoFactorStatus(user) {
+  return {
+    enabled: isTwoFactorEnabled(user),
+    enrollmentPending: Boolean(user.twoFactor && user.twoFactor.pendingSecret && !user.twoFactor.enabled),
+    enabledAt: isTwoFactorEnabled(user) ? user.twoFactor.enabledAt : null,
+    recoveryCodesRemaining: isTwoFactorEnabled(user) ? user.twoFactor.recoveryCodeHashes.length : 0
+  };
+}
+
+module.exports = {
+  isTwoFactorEnabled,
+  beginEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  getTwoFactorStatus
+};
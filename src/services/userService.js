@@ -0,0 +1,133 @@
+/**
+ * User Service
+ * Account storage and credential checks on top of the in-memory database
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('../config/database');
+const { hashPassword, verifyPassword } = require('../utils/password');
+
+const storage = getStorage();
+
+// Hash compared against when the account does not exist, so that login
+// timing does not reveal which emails are registered
+let dummyHashPromise = null;
+const getDummyHash = () => {
+  if (!dummyHashPromise) dummyHashPromise = hashPassword(crypto.randomBytes(16).toString('hex'));
+  return dummyHashPromise;
+};
+
+/**
+ * Normalizes an email address for storage and lookup
+ * @param {string} email - Email address
+ * @returns {string} Trimmed, lower-cased email
+ */
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Finds a user by ID
+ * @param {string} userId - User ID
+ * @returns {Object|null} Stored user record
+ */
+function findUserById(userId) {
+  return storage.users.get(userId) || null;
+}
+
+/**
+ * Finds a user by email address
+ * @param {string} email - Email address (any case)
+ * @returns {Object|null} Stored user record
+ */
+function findUserByEmail(email) {
+  const userId = storage.usersByEmail.get(normalizeEmail(email));
+  return userId ? findUserById(userId) : null;
+}
+
+/**
+ * Creates a new user account
+ * @param {Object} params - Account details
+ * @param {string} params.email - Email address
+ * @param {string} params.password - Plain text password
+ * @param {string} [params.name] - Display name
+ * @returns {Promise<Object>} Stored user record
+ */
+async function createUser({ email, password, name }) {
+  const normalizedEmail = normalizeEmail(email);
+  const now = new Date().toISOString();
+
+  const user = {
+    id: crypto.randomUUID(),
+    email: normalizedEmail,
+    name: name || normalizedEmail.split('@')[0],
+    emailVerified: false,
+    passwordHash: await hashPassword(password),
+    passwordChangedAt: now,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  storage.users.set(user.id, user);
+  storage.usersByEmail.set(normalizedEmail, user.id);
+
+  return user;
+}
+
+/**
+ * Checks credentials for an email/password pair
+ * @param {string} email - Email address
+ * @param {string} password - Plain text password
+ * @returns {Promise<Object|null>} The user if the credentials are valid
+ */
+async function authenticateUser(email, password) {
+  const user = findUserByEmail(email);
+  if (!user) {
+    await verifyPassword(password, await getDummyHash());
+    return null;
+  }
+  const valid = await verifyPassword(password, user.passwordHash);
+  return valid ? user : null;
+}
+
+/**
+ * Replaces a user's password hash
+ * @param {Object} user - Stored user record
+ * @param {string} newPassword - Plain text password
+ * @returns {Promise<Object>} Updated user record
+ */
+async function updateUserPassword(user, newPassword) {
+  const now = new Date().toISOString();
+  user.passwordHash = await hashPassword(newPassword);
+  user.passwordChangedAt = now;
+  user.updatedAt = now;
+  storage.users.set(user.id, user);
+  return user;
+}
+
+/**
+ * Strips secrets from a user record before it leaves the API
+ * @param {Object} user - Stored user record
+ * @returns {Object} Public user fields
+ */
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    emailVerified: Boolean(user.emailVerified),
+    twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt
+  };
+}
+
+module.exports = {
+  normalizeEmail,
+  findUserById,
+  findUserByEmail,
+  createUser,
+  authenticateUser,
+  updateUserPassword,
+  toPublicUser
+};
@@ -0,0 +1,89 @@
+/**
+ * Email Verification Service
+ * Issues and redeems single-use email verification tokens.
+ * Tokens are stored hashed in storage.verificationTokens.
+ */
+
+const { getStorage } = require('../config/database');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+const storage = getStorage();
+
+const VERIFICATION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours, matches the email copy
+
+/**
+ * Removes every outstanding verification token for a user
+ * @param {string} userId - User ID
+ */
+function invalidateVerificationTokens(userId) {
+  storage.verificationTokens.forEach((entry, tokenHash) => {
+    if (entry.userId === userId) storage.verificationTokens.delete(tokenHash);
+  });
+}
+
+/**
+ * Issues a new verification token, replacing any previous one
+ * @param {Object} user - Stored user record
+ * @returns {string} Raw token to embed in the verification link
+ */
+function createVerificationToken(user) {
+  invalidateVerificationTokens(user.id);
+
+  const token = generateToken();
+  storage.verificationTokens.set(hashToken(token), {
+    userId: user.id,
+    email: user.email,
+    expiry: new Date(Date.now() + VERIFICATION_TOKEN_TTL_MS),
+    createdAt: new Date().toISOString()
+  });
+
+  return token;
+}
+
+/**
+ * Builds the frontend link that carries the verification token
+ * @param {string} token - Raw token
+ * @returns {string} Verification URL
+ */
+function buildVerificationLink(token) {
+  return `${process.env.FRONTEND_URL || 'http://localhost:5174'}/verify-email?token=${token}`;
+}
+
+/**
+ * Redeems a verification token and marks the user's email as verified
+ * @param {string} token - Raw token
+ * @param {Function} loadUser - Resolves a user record by ID
+ * @returns {Object} { user } or { error }
+ */
+function consumeVerificationToken(token, loadUser) {
+  const tokenHash = hashToken(token);
+  const entry = storage.verificationTokens.get(tokenHash);
+  if (!entry) return { error: 'Invalid or expired verification token' };
+
+  storage.verificationTokens.delete(tokenHash);
+
+  if (new Date() > entry.expiry) {
+    return { error: 'Verification token has expired. Please request a new one.' };
+  }
+
+  const user = loadUser(entry.userId);
+  // The address may have changed since the token was sent
+  if (!user || user.email !== entry.email) {
+    return { error: 'Invalid or expired verification token' };
+  }
+
+  const now = new Date().toISOString();
+  user.emailVerified = true;
+  user.emailVerifiedAt = now;
+  user.updatedAt = now;
+  storage.users.set(user.id, user);
+
+  return { user };
+}
+
+module.exports = {
+  createVerificationToken,
+  buildVerificationLink,
+  consumeVerificationToken,
+  invalidateVerificationTokens
+};
@@ -2,6 +2,27 @@ const { WebSocketServer } = require('ws');
 const url = require('url');
 const logger = require('../utils/logger');
 const mqttService = require('./mqttService');
+const { sessionEvents, verifyAccessToken, getActiveSession } = require('./sessionService');
+const {
+  isPasswordProtected,
+  verifyViewerToken,
+  verifyEmbedToken,
+  getShareUnavailableReason,
+  toPublicShare,
+  applyWidgetSubset
+} = require('./shareService');
+const { collectTopics } = require('./bundleService');
+const { recordShareAccess } = require('./shareAnalyticsService');
+const collabService = require('./collabService');
+const { canAccessTopic } = require('./authorizationService');
+const { getStorage } = require('../config/database');
+
+const storage = getStorage();
+
+// Close code sent when a connection's session is revoked or its token is rejected
+const WS_CLOSE_UNAUTHORIZED = 4401;
+// Close code sent when a shared dashboard is missing, expired or over its view limit
+const WS_CLOSE_SHARE_UNAVAILABLE = 4410;
 
 class WSService {
   constructor() {
@@ -18,18 +39,84 @@ class WSService {
       const topicsParam = query.topics || '';
       const topics = String(topicsParam).split(',').map(t => t.trim()).filter(Boolean);
 
-      ws.subscriptions = new Set(topics);
-      logger.info(`🧩 WS client connected. Subs: ${topics.join(', ') || '(none)'}`);
+      // Browsers cannot set headers on the handshake, so the access token
+      // travels as ?token=. Connections without one must present a share.
+      if (query.token) {
+        const session = this.resolveSession(String(query.token));
+        if (!session) {
+          logger.warn('🚫 WS connection rejected: invalid or revoked token');
+          ws.close(WS_CLOSE_UNAUTHORIZED, 'Unauthorized');
+          return;
+        }
+        ws.userId = session.userId;
+        ws.sessionId = session.id;
+      }
+
+      // Shared dashboard viewers identify the share (?share=<shareableId>) and,
+      // for protected shares, pass their viewer token as ?shareToken= or an
+      // embed token as ?embed=
+      if (query.share) {
+        const shared = storage.sharedDashboards.get(String(query.share));
+        if (!shared || getShareUnavailableReason(shared)) {
+          logger.warn('🚫 WS connection rejected: shared dashboard unavailable');
+          ws.close(WS_CLOSE_SHARE_UNAVAILABLE, 'Shared dashboard unavailable');
+          return;
+        }
+        const credentials = {
+          shareToken: query.shareToken ? String(query.shareToken) : null,
+          embedToken: query.embed ? String(query.embed) : null
+        };
+        const access = this.authorizeShare(shared, credentials);
+        if (!access) {
+          logger.warn('🚫 WS connection rejected: invalid viewer or embed token');
+          ws.close(WS_CLOSE_UNAUTHORIZED, 'Unauthorized');
+          return;
+        }
+        // Kept so the socket can be checked again when the share changes
+        ws.shareId = shared.panelId;
+        ws.shareCredentials = credentials;
+        ws.share = shared;
+        // Viewers only receive the topics of the widgets they can see
+        ws.shareTopics = this.getShareTopics(shared, access.embed);
+        ws.shareContentHash = shared.contentHash;
+        ws.connectedAt = Date.now();
+        // Read now; the socket address is gone once it closes
+        ws.remoteAddress = req.socket.remoteAddress;
+      }
+
+      if (!ws.userId && !ws.share) {
+        logger.warn('🚫 WS connection rejected: no access token or share');
+        ws.close(WS_CLOSE_UNAUTHORIZED, 'Unauthorized');
+        return;
+      }
+
+      ws.subscriptions = new Set(topics.filter(topic => this.canReceive(ws, topic)));
+      logger.info(`🧩 WS client connected${ws.userId ? ` (user ${ws.userId})` : ''}. Subs: ${Array.from(ws.subscriptions).join(', ') || '(none)'}`);
 
       ws.on('message', (msg) => {
         try {
-          const { action, topic } = JSON.parse(msg.toString());
-          if (action === 'subscribe' && topic) ws.subscriptions.add(topic);
+          const message = JSON.parse(msg.toString());
+          const { action, topic } = message;
+          if (action === 'subscribe' && topic && this.canReceive(ws, topic)) ws.subscriptions.add(topic);
           if (action === 'unsubscribe' && topic) ws.subscriptions.delete(topic);
-        } catch (_) {}
+          // Collaborative editing (edit:join, edit:cursor, edit:op, ...)
+          if (typeof action === 'string' && action.startsWith('edit:')) collabService.handleMessage(ws, message);
+        } catch (error) {
+          if (!(error instanceof SyntaxError)) logger.error('❌ WS message handling failed:', error);
+        }
       });
 
       ws.on('close', () => {
+        collabService.leaveAll(ws);
+        if (ws.share) {
+          // Viewer session length feeds the owner's share analytics
+          recordShareAccess(ws.share, {
+            outcome: 'ws',
+            ip: ws.remoteAddress,
+            userAgent: req.headers['user-agent'],
+            durationMs: Date.now() - ws.connectedAt
+          });
+        }
         logger.info('🔌 WS client disconnected');
       });
     });
@@ -40,23 +127,107 @@ class WSService {
       const payload = JSON.stringify({ type: 'mqtt', ...record });
       this.wss.clients.forEach((client) => {
         try {
-          if (client.readyState === 1 /* OPEN */) {
-            if (client.subscriptions?.size) {
-              if (client.subscriptions.has(record.topic)) client.send(payload);
-            } else {
-              // If no subs declared, deliver all
-              client.send(payload);
-            }
-          }
+          // Access is checked on every message, so it ends as soon as it is taken away
+          if (client.readyState !== 1 /* OPEN */ || !this.canReceive(client, record.topic)) return;
+          // If no subs declared, deliver every topic the client may receive
+          if (!client.subscriptions?.size || client.subscriptions.has(record.topic)) client.send(payload);
         } catch (_) {}
       });
     });
 
+    // Drop connections whose session was revoked or expired
+    sessionEvents.on('revoked', (sessionId) => this.closeSession(sessionId));
+
     logger.info('🛰️ WebSocket server initialized at /ws');
     return this.wss;
   }
-}
 
-module.exports = new WSService();
+  // Checks a viewer's tokens against a share; returns { embed } (the embed
+  // token's payload, or null) when they may open it, otherwise null
+  authorizeShare(shared, { shareToken, embedToken }) {
+    if (embedToken) {
+      const embed = verifyEmbedToken(shared, embedToken);
+      return embed ? { embed } : null;
+    }
+    return !isPasswordProtected(shared) || verifyViewerToken(shared, shareToken) ? { embed: null } : null;
+  }
 
+  // Topics used by the widgets a share (or an embed token's widget subset) shows
+  getShareTopics(shared, embed) {
+    let publicShare = toPublicShare(shared, storage.dashboards.get(shared.originalDashboardId));
+    if (embed && embed.widgetIds) publicShare = applyWidgetSubset(publicShare, embed.widgetIds);
+    return new Set(collectTopics(publicShare));
+  }
+
+  // Share viewers may receive their share's topics; signed-in users the
+  // topics of the dashboards they can read
+  canReceive(ws, topic) {
+    if (ws.share) return this.refreshShare(ws) && ws.shareTopics.has(topic);
+    return canAccessTopic(ws.userId, topic, 'read');
+  }
 
+  // Checks a viewer socket against the share as stored now. Closes it and
+  // returns false once the share is gone, expired or no longer accepts the
+  // socket's token; picks up new topics after a republish.
+  refreshShare(ws) {
+    const shared = storage.sharedDashboards.get(ws.shareId);
+    // Viewers who are already in count toward the view limit, so only expiry applies
+    const unavailable = shared && getShareUnavailableReason(shared);
+    const access = shared && (!unavailable || unavailable.reason === 'view_limit')
+      ? this.authorizeShare(shared, ws.shareCredentials)
+      : null;
+    if (!access) {
+      try { ws.close(WS_CLOSE_SHARE_UNAVAILABLE, 'Shared dashboard unavailable'); } catch (_) {}
+      return false;
+    }
+    if (shared !== ws.share || shared.contentHash !== ws.shareContentHash) {
+      ws.share = shared;
+      ws.shareContentHash = shared.contentHash;
+      ws.shareTopics = this.getShareTopics(shared, access.embed);
+    }
+    return true;
+  }
+
+  resolveSession(token) {
+    try {
+      const payload = verifyAccessToken(token);
+      const session = getActiveSession(payload.sid);
+      return session && session.userId === payload.sub ? session : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  closeSession(sessionId) {
+    if (!this.wss) return 0;
+    let closed = 0;
+    this.wss.clients.forEach((client) => {
+      if (client.sessionId === sessionId) {
+        try { client.close(WS_CLOSE_UNAUTHORIZED, 'Session revoked'); } catch (_) {}
+        closed++;
+      }
+    });
+    if (closed) logger.info(`🔒 Closed ${closed} WS connection(s) for revoked session ${sessionId}`);
+    return closed;
+  }
+
+  // Closes the viewer sockets of a share that it no longer lets in: all of
+  // them once it is unpublished or its link is rotated, those holding a
+  // viewer token for the old password once the password is rotated, and
+  // embeds once embed tokens are revoked
+  disconnectShare(shareableId) {
+    if (!this.wss) return 0;
+    let closed = 0;
+    this.wss.clients.forEach((client) => {
+      if (client.shareId !== shareableId) return;
+      const shared = storage.sharedDashboards.get(shareableId);
+      if (shared && this.authorizeShare(shared, client.shareCredentials)) return;
+      try { client.close(WS_CLOSE_SHARE_UNAVAILABLE, 'Shared dashboard unavailable'); } catch (_) {}
+      closed++;
+    });
+    if (closed) logger.info(`🔒 Closed ${closed} WS connection(s) for share ${shareableId}`);
+    return closed;
+  }
+}
+
+module.exports = new WSService();
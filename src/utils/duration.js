@@ -0,0 +1,56 @@
+/**
+ * Duration parsing for environment configuration
+ * Accepts plain milliseconds ("900000") or a number with a unit ("15m", "24h", "7d")
+ */
+
+const UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parses a duration string into milliseconds
+ * @param {string|number} value - Duration to parse
+ * @param {number} fallback - Milliseconds to use when value is missing or invalid
+ * @returns {number} Duration in milliseconds
+ */
+function parseDuration(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? value : fallback;
+
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?\s*$/i.exec(String(value));
+  if (!match) return fallback;
+
+  const ms = parseFloat(match[1]) * UNITS[(match[2] || 'ms').toLowerCase()];
+  return ms > 0 ? Math.round(ms) : fallback;
+}
+
+/**
+ * Formats milliseconds as a human-readable duration for user-facing copy
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. "1 hour", "30 minutes", "2 days"
+ */
+function formatDuration(ms) {
+  const units = [
+    ['day', UNITS.d],
+    ['hour', UNITS.h],
+    ['minute', UNITS.m],
+    ['second', UNITS.s]
+  ];
+  for (const [name, size] of units) {
+    if (ms >= size && ms % size === 0) {
+      const count = ms / size;
+      return `${count} ${name}${count === 1 ? '' : 's'}`;
+    }
+  }
+  const minutes = Math.max(1, Math.round(ms / UNITS.m));
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+module.exports = {
+  parseDuration,
+  formatDuration
+};
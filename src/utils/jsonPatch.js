@@ -0,0 +1,169 @@
+/**
+ * JSON Patch (RFC 6902)
+ * Applies add, remove, replace, move, copy and test operations to a JSON document.
+ * Paths are JSON Pointers (RFC 6901), e.g. "/widgets/0/title" or "/widgets/-".
+ *
+ * The document passed in is never modified; a patched copy is returned. A patch
+ * is applied completely or not at all.
+ */
+
+const { stableStringify } = require('./stableStringify');
+
+const OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Splits a JSON Pointer into unescaped reference tokens
+ * @param {string} pointer - e.g. "/widgets/0/config~1x"
+ * @returns {string[]|null} Tokens, or null if the pointer is malformed
+ */
+function parsePointer(pointer) {
+  if (pointer === '') return [];
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) return null;
+  return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+// Array index for a token; "-" (past the end) only when allowed
+function arrayIndex(array, token, { allowEnd = false } = {}) {
+  if (allowEnd && token === '-') return array.length;
+  if (!/^(0|[1-9]\d*)$/.test(token)) return -1;
+  const index = Number(token);
+  return index < array.length + (allowEnd ? 1 : 0) ? index : -1;
+}
+
+function isContainer(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function has(container, token) {
+  return Array.isArray(container)
+    ? arrayIndex(container, token) !== -1
+    : Object.prototype.hasOwnProperty.call(container, token);
+}
+
+// Walks to the parent of the last token
+function resolveParent(document, tokens) {
+  let node = document;
+  for (const token of tokens.slice(0, -1)) {
+    if (!isContainer(node) || !has(node, token)) return null;
+    node = Array.isArray(node) ? node[Number(token)] : node[token];
+  }
+  return isContainer(node) ? node : null;
+}
+
+function getValue(document, tokens) {
+  if (!tokens.length) return { found: true, value: document };
+  const parent = resolveParent(document, tokens);
+  const token = tokens[tokens.length - 1];
+  if (!parent || !has(parent, token)) return { found: false };
+  return { found: true, value: Array.isArray(parent) ? parent[Number(token)] : parent[token] };
+}
+
+function addValue(document, tokens, value) {
+  if (!tokens.length) return { document: value };
+  const parent = resolveParent(document, tokens);
+  const token = tokens[tokens.length - 1];
+  if (!parent) return { error: 'path does not exist' };
+
+  if (Array.isArray(parent)) {
+    const index = arrayIndex(parent, token, { allowEnd: true });
+    if (index === -1) return { error: 'array index is out of bounds' };
+    parent.splice(index, 0, value);
+  } else {
+    parent[token] = value;
+  }
+  return { document };
+}
+
+function removeValue(document, tokens) {
+  if (!tokens.length) return { error: 'the whole document cannot be removed' };
+  const parent = resolveParent(document, tokens);
+  const token = tokens[tokens.length - 1];
+  if (!parent || !has(parent, token)) return { error: 'path does not exist' };
+
+  if (Array.isArray(parent)) {
+    parent.splice(Number(token), 1);
+  } else {
+    delete parent[token];
+  }
+  return { document };
+}
+
+/**
+ * Checks that a patch is a list of well-formed operations
+ * @param {*} patch - Request body
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePatch(patch) {
+  if (!Array.isArray(patch)) return 'A JSON Patch must be an array of operations';
+
+  for (let i = 0; i < patch.length; i++) {
+    const operation = patch[i];
+    if (!isContainer(operation) || Array.isArray(operation)) return `Operation ${i} must be an object`;
+    if (!OPERATIONS.includes(operation.op)) return `Operation ${i}: op must be one of: ${OPERATIONS.join(', ')}`;
+    if (parsePointer(operation.path) === null) return `Operation ${i}: path must be a JSON Pointer such as "/widgets/0"`;
+    if (['add', 'replace', 'test'].includes(operation.op) && !('value' in operation)) return `Operation ${i}: value is required for ${operation.op}`;
+    if (['move', 'copy'].includes(operation.op) && parsePointer(operation.from) === null) return `Operation ${i}: from must be a JSON Pointer`;
+  }
+  return null;
+}
+
+/**
+ * Applies a JSON Patch to a copy of a document
+ * @param {*} document - JSON document (not modified)
+ * @param {Object[]} patch - Operations, already checked with validatePatch
+ * @returns {Object} { document } on success, or { error, index } for the first failing operation
+ */
+function applyPatch(document, patch) {
+  let result = clone(document);
+
+  for (let index = 0; index < patch.length; index++) {
+    const { op, path, from, value } = patch[index];
+    const tokens = parsePointer(path);
+    let outcome;
+
+    if (op === 'add') {
+      outcome = addValue(result, tokens, clone(value));
+    } else if (op === 'remove') {
+      outcome = removeValue(result, tokens);
+    } else if (op === 'replace') {
+      outcome = getValue(result, tokens).found
+        ? (tokens.length ? removeValue(result, tokens) : { document: result })
+        : { error: 'path does not exist' };
+      if (!outcome.error) outcome = addValue(outcome.document, tokens, clone(value));
+    } else if (op === 'test') {
+      const current = getValue(result, tokens);
+      outcome = current.found && stableStringify(current.value) === stableStringify(value)
+        ? { document: result }
+        : { error: 'test failed' };
+    } else {
+      const fromTokens = parsePointer(from);
+      const source = getValue(result, fromTokens);
+      if (!source.found) {
+        outcome = { error: 'from path does not exist' };
+      } else if (op === 'move' && path !== from && path.startsWith(`${from}/`)) {
+        outcome = { error: 'a value cannot be moved into itself' };
+      } else if (op === 'move') {
+        outcome = removeValue(result, fromTokens);
+        if (!outcome.error) outcome = addValue(outcome.document, tokens, source.value);
+      } else {
+        outcome = addValue(result, tokens, clone(source.value));
+      }
+    }
+
+    if (outcome.error) {
+      return { error: `Operation ${index} (${op} ${path}): ${outcome.error}`, index };
+    }
+    result = outcome.document;
+  }
+
+  return { document: result };
+}
+
+module.exports = {
+  OPERATIONS,
+  parsePointer,
+  validatePatch,
+  applyPatch
+};
@@ -29,8 +29,106 @@ const level = () => {
   return isDevelopment ? 'debug' : 'warn';
 };
 
+// Redaction settings, configurable per environment:
+//   LOG_REDACTION=false      disable redaction entirely (default: enabled)
+//   LOG_REDACT_KEYS=a,b      extra key names to mask
+//   LOG_MASK_EMAILS=false    keep email addresses intact (default: mask local part)
+// A key is masked when its name, case-insensitively, equals or ends with a
+// configured key, so "token" also covers resetToken and refreshToken.
+const DEFAULT_REDACT_KEYS = [
+  'token',
+  'password',
+  'secret',
+  'authorization',
+  'cookie',
+  'totpCode',
+  'recoveryCode',
+  'apiKey',
+  // Embed tokens travel as ?embed= and stay valid for days
+  'embed'
+];
+const REDACTED = '[REDACTED]';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const redactionConfig = () => {
+  const keys = DEFAULT_REDACT_KEYS
+    .concat((process.env.LOG_REDACT_KEYS || '').split(','))
+    .map(k => k.trim().toLowerCase())
+    .filter(Boolean);
+  const paramNames = keys.map(k => `[A-Za-z_]*${escapeRegExp(k)}`).join('|');
+
+  return {
+    enabled: process.env.LOG_REDACTION !== 'false',
+    maskEmails: process.env.LOG_MASK_EMAILS !== 'false',
+    keys,
+    // key=value pairs in query strings and free text
+    paramPattern: new RegExp(`([?&;\\s"']|^)(${paramNames})=([^&\\s"';]+)`, 'gi')
+  };
+};
+
+// Matches both raw and URL-encoded (%40) addresses
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*(@|%40)([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const CREDENTIAL_SCHEME_PATTERN = /\b(Bearer|Basic|ApiKey)\s+[A-Za-z0-9._~+/=-]+/gi;
+
+const isSensitiveKey = (key, keys) => {
+  const name = String(key).toLowerCase();
+  return keys.some(k => name === k || name.endsWith(k));
+};
+
+const maskEmail = (value) => value.replace(EMAIL_PATTERN, '$1***$2$3');
+
+// Mask credentials inside free text: query parameters such as ?token=...,
+// Authorization schemes, and optionally email addresses
+const redactString = (value, config) => {
+  let result = value
+    .replace(config.paramPattern, `$1$2=${REDACTED}`)
+    .replace(CREDENTIAL_SCHEME_PATTERN, `$1 ${REDACTED}`);
+  if (config.maskEmails) result = maskEmail(result);
+  return result;
+};
+
+const redactValue = (value, config, seen = new WeakSet(), depth = 0) => {
+  if (typeof value === 'string') return redactString(value, config);
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+  if (seen.has(value) || depth > 6) return '[Circular]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, config, seen, depth + 1));
+  }
+
+  // Build a copy so callers' objects are never mutated
+  const copy = {};
+  Object.keys(value).forEach((key) => {
+    copy[key] = isSensitiveKey(key, config.keys)
+      ? REDACTED
+      : redactValue(value[key], config, seen, depth + 1);
+  });
+  return copy;
+};
+
+// Winston format that masks secrets and PII in the message and metadata
+const activeRedactionConfig = redactionConfig();
+
+const redactFormat = winston.format((info) => {
+  const config = activeRedactionConfig;
+  if (!config.enabled) return info;
+
+  Object.keys(info).forEach((key) => {
+    if (key === 'level' || key === 'timestamp') return;
+    info[key] = key !== 'message' && key !== 'stack' && isSensitiveKey(key, config.keys)
+      ? REDACTED
+      : redactValue(info[key], config);
+  });
+
+  return info;
+});
+
 // Define different formats for different transports
 const format = winston.format.combine(
+  // Mask tokens, passwords and email addresses before anything is written
+  redactFormat(),
   // Add timestamp to logs
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss:ms' }),
   // Tell Winston that the logs must be colored
@@ -41,19 +139,24 @@ const format = winston.format.combine(
   ),
 );
 
+// Tests log to the console only, so a test run never writes the log files
+const writeLogFiles = process.env.NODE_ENV !== 'test';
+
 // Define which transports the logger must use to print out messages
 const transports = [
   // Allow the use the console to print the messages
   new winston.transports.Console(),
-  // Allow to print all the error level messages inside the error.log file
-  new winston.transports.File({
-    filename: path.join(process.cwd(), 'logs', 'error.log'),
-    level: 'error',
-  }),
-  // Allow to print all the error message inside the all.log file
-  new winston.transports.File({
-    filename: path.join(process.cwd(), 'logs', 'all.log'),
-  }),
+  ...(writeLogFiles ? [
+    // Allow to print all the error level messages inside the error.log file
+    new winston.transports.File({
+      filename: path.join(process.cwd(), 'logs', 'error.log'),
+      level: 'error',
+    }),
+    // Allow to print all the error message inside the all.log file
+    new winston.transports.File({
+      filename: path.join(process.cwd(), 'logs', 'all.log'),
+    }),
+  ] : []),
 ];
 
 // Create the logger instance that has to be exported
@@ -67,7 +170,7 @@ const logger = winston.createLogger({
 // Create logs directory if it doesn't exist
 const fs = require('fs');
 const logsDir = path.join(process.cwd(), 'logs');
-if (!fs.existsSync(logsDir)) {
+if (writeLogFiles && !fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir, { recursive: true });
 }
 
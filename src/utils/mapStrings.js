@@ -0,0 +1,41 @@
+/**
+ * String mapping for JSON values
+ * Used to rewrite topic references inside widget configuration
+ */
+
+/**
+ * Returns a copy of a JSON value with fn applied to every string in it
+ * @param {*} value - JSON-compatible value
+ * @param {Function} fn - Maps a string to its replacement
+ * @returns {*} New value (object keys are left unchanged)
+ */
+function mapStrings(value, fn) {
+  if (typeof value === 'string') return fn(value);
+  if (Array.isArray(value)) return value.map(item => mapStrings(item, fn));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, fn)]));
+  }
+  return value;
+}
+
+/**
+ * Returns a copy of a JSON value with topic IDs replaced in strings that are
+ * the topic itself or one of its sub-topics ("<topicId>" or "<topicId>/...").
+ * Other text, such as a title that happens to contain the ID, is left alone.
+ * @param {*} value - JSON-compatible value
+ * @param {string[]} topicIds - Topic IDs to replace (empty values are ignored)
+ * @param {string} replacement - Replacement for the topic ID segment
+ * @returns {*} New value
+ */
+function replaceTopicIds(value, topicIds, replacement) {
+  const targets = topicIds.filter(Boolean);
+  return mapStrings(value, (text) => {
+    const match = targets.find(topicId => text === topicId || text.startsWith(`${topicId}/`));
+    return match ? replacement + text.slice(match.length) : text;
+  });
+}
+
+module.exports = {
+  mapStrings,
+  replaceTopicIds
+};
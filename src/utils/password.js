@@ -0,0 +1,55 @@
+/**
+ * Password hashing utilities
+ * Uses Node's built-in scrypt (salted, memory-hard) so no native addon is required
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters (N must be a power of two)
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+/**
+ * Hashes a password with a random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Encoded hash in the form scrypt$N$r$p$salt$hash
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const derived = await scrypt(password, salt, KEY_LENGTH, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+  return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), derived.toString('base64')].join('$');
+}
+
+/**
+ * Verifies a password against an encoded hash in constant time
+ * @param {string} password - Plain text password
+ * @param {string} encoded - Hash produced by hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, encoded) {
+  if (typeof password !== 'string' || typeof encoded !== 'string') return false;
+
+  const parts = encoded.split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+
+  const [, N, r, p, saltB64, hashB64] = parts;
+  const expected = Buffer.from(hashB64, 'base64');
+  const derived = await scrypt(password, Buffer.from(saltB64, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+
+  return crypto.timingSafeEqual(derived, expected);
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword
+};
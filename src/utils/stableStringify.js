@@ -0,0 +1,23 @@
+/**
+ * Stable JSON serialization
+ * Like JSON.stringify, but object keys are sorted so equal values always
+ * serialize the same way (used for content hashes and change detection)
+ */
+
+/**
+ * Serializes a value with sorted object keys
+ * @param {*} value - JSON-compatible value
+ * @returns {string} JSON string
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+module.exports = {
+  stableStringify
+};
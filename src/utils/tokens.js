@@ -0,0 +1,43 @@
+/**
+ * Opaque token helpers
+ * Random tokens are handed to clients once; only their SHA-256 hash is stored
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Generates a URL-safe random token
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} Hex-encoded token
+ */
+function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Hashes a token for storage
+ * @param {string} token - Raw token
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if both values are equal
+ */
+function safeCompare(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+module.exports = {
+  generateToken,
+  hashToken,
+  safeCompare
+};
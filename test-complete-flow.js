@@ -9,7 +9,10 @@
  * 5. Real-time data flow
  * 
  * Usage:
- *   node test-complete-flow.js
+ *   ACCESS_TOKEN=<accessToken> node test-complete-flow.js
+ *
+ * The WebSocket only accepts signed-in users (or share viewers), so pass an
+ * access token from POST /api/auth/login.
  */
 
 const mqtt = require('mqtt');
@@ -29,7 +32,7 @@ const config = {
   },
   backend: {
     http: 'http://localhost:5000',
-    ws: 'ws://localhost:5000/ws'
+    ws: `ws://localhost:5000/ws?token=${encodeURIComponent(process.env.ACCESS_TOKEN || '')}`
   }
 };
 
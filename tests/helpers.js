@@ -0,0 +1,119 @@
+/**
+ * Test helpers
+ * Loads the app without starting the server and signs users in.
+ *
+ * Each test file gets its own module registry, so the in-memory storage
+ * starts empty for every file.
+ */
+
+const http = require('http');
+const request = require('supertest');
+const email = require('../src/config/email');
+
+// Never send mail from tests; keep what would have been sent so tests can follow links
+const sentEmails = [];
+email.sendVerificationEmail = async (to, link) => {
+  sentEmails.push({ type: 'verification', to, link });
+  return { success: true };
+};
+email.sendPasswordResetEmail = async (to, link) => {
+  sentEmails.push({ type: 'reset', to, link });
+  return { success: true };
+};
+email.sendDashboardInviteEmail = async (to, link) => {
+  sentEmails.push({ type: 'invite', to, link });
+  return { success: true };
+};
+
+const app = require('../app');
+const { getStorage } = require('../src/config/database');
+const mqttService = require('../src/services/mqttService');
+const wsService = require('../src/services/wsService');
+
+const storage = getStorage();
+
+const PASSWORD = 'password123';
+
+// Loading the MQTT routes starts a broker connection; stop its retries
+afterAll(() => mqttService.shutdown());
+
+/**
+ * Finds the last email of a type sent to an address
+ * @param {string} type - 'verification', 'reset' or 'invite'
+ * @param {string} to - Recipient address
+ * @returns {Object|undefined} { type, to, link }
+ */
+function lastEmail(type, to) {
+  return sentEmails.filter(sent => sent.type === type && sent.to === to).pop();
+}
+
+/**
+ * Signs up and logs in a user with a verified email address
+ * @param {string} address - Email address
+ * @param {Object} [options]
+ * @param {string} [options.password] - Account password
+ * @returns {Promise<Object>} { id, email, accessToken, refreshToken, auth } where auth is the Authorization header
+ */
+async function createUser(address, { password = PASSWORD } = {}) {
+  const signup = await request(app).post('/api/auth/signup').send({ email: address, password });
+  storage.users.get(signup.body.user.id).emailVerified = true;
+
+  const res = await request(app).post('/api/auth/login').send({ email: address, password });
+  return {
+    id: res.body.user.id,
+    email: res.body.user.email,
+    accessToken: res.body.accessToken,
+    refreshToken: res.body.refreshToken,
+    auth: { Authorization: `Bearer ${res.body.accessToken}` }
+  };
+}
+
+/**
+ * Saves a new dashboard as the given user
+ * @param {Object} user - User from createUser
+ * @param {Object} [fields] - Dashboard fields (name, widgets, orgId, ...)
+ * @returns {Promise<Object>} Saved dashboard from the response
+ */
+async function createDashboard(user, fields = {}) {
+  const res = await request(app)
+    .post('/api/dashboard/save')
+    .set(user.auth)
+    .send({ name: 'Dashboard', widgets: [], ...fields });
+  return res.body.dashboard;
+}
+
+/**
+ * Publishes a dashboard as the given user
+ * @param {Object} user - User from createUser
+ * @param {Object} dashboard - Dashboard from createDashboard
+ * @param {Object} [fields] - Publish options (passwordProtected, mode, ...)
+ * @returns {Promise<Object>} Response; body.dashboard has shareableId and sharePassword
+ */
+function publishDashboard(user, dashboard, fields = {}) {
+  return request(app)
+    .post('/api/dashboard/publish')
+    .set(user.auth)
+    .send({ id: dashboard.id, name: dashboard.name, widgets: [], version: dashboard.version, ...fields });
+}
+
+/**
+ * Starts the app and its WebSocket server on a free port
+ * @returns {Promise<Object>} { server, url } where url is the ws:// address of /ws
+ */
+async function listen() {
+  const server = http.createServer(app);
+  wsService.init(server);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `ws://127.0.0.1:${server.address().port}/ws` };
+}
+
+module.exports = {
+  app,
+  storage,
+  PASSWORD,
+  lastEmail,
+  createUser,
+  createDashboard,
+  publishDashboard,
+  listen
+};
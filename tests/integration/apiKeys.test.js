@@ -0,0 +1,145 @@
+const request = require('supertest');
+const { app, storage, PASSWORD, createUser, createDashboard } = require('../helpers');
+const mqttService = require('../../src/services/mqttService');
+
+const createKey = (user, fields) => request(app).post('/api/keys').set(user.auth).send({ name: 'Sensor', ...fields });
+const keyAuth = key => ({ Authorization: `ApiKey ${key}` });
+
+describe('device API keys', () => {
+  let user;
+
+  beforeAll(async () => {
+    user = await createUser('devices@example.com');
+    jest.spyOn(mqttService, 'publish').mockImplementation(() => {});
+  });
+
+  afterAll(() => jest.restoreAllMocks());
+
+  it('returns the raw key once and stores only a hash', async () => {
+    const res = await createKey(user, { scopes: ['mqtt:read'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.key).toEqual(expect.any(String));
+    expect(JSON.stringify(Array.from(storage.apiKeys.values()))).not.toContain(res.body.key);
+
+    const list = await request(app).get('/api/keys').set(user.auth);
+    expect(JSON.stringify(list.body.apiKeys)).not.toContain(res.body.key);
+  });
+
+  it('enforces scopes', async () => {
+    const { key } = (await createKey(user, { scopes: ['mqtt:read'] })).body;
+
+    const publish = await request(app).post('/api/mqtt/publish').set(keyAuth(key)).send({ topic: 'plant/temp', message: 21 });
+    expect(publish.status).toBe(403);
+    expect(publish.body.error).toBe('API key does not have the mqtt:publish scope');
+  });
+
+  it('limits dashboard keys to the dashboard\'s topics', async () => {
+    const dashboard = await createDashboard(user, { name: 'Boiler' });
+    const { key } = (await createKey(user, { scopes: ['mqtt:publish'], dashboardId: dashboard.id })).body;
+
+    const own = await request(app).post('/api/mqtt/publish').set(keyAuth(key)).send({ topic: `${dashboard.id}/temp`, message: 21 });
+    expect(own.status).toBe(200);
+
+    const other = await request(app).post('/api/mqtt/publish').set(keyAuth(key)).send({ topic: 'other/temp', message: 21 });
+    expect(other.status).toBe(403);
+  });
+
+  it('rejects revoked keys', async () => {
+    const created = (await createKey(user, { scopes: ['mqtt:publish'] })).body;
+    await request(app).delete(`/api/keys/${created.apiKey.id}`).set(user.auth);
+
+    const res = await request(app).post('/api/mqtt/publish').set(keyAuth(created.key)).send({ topic: 'plant/temp', message: 21 });
+    expect(res.status).toBe(401);
+  });
+
+  it('cannot manage keys with a key', async () => {
+    const { key } = (await createKey(user, { scopes: ['mqtt:read'] })).body;
+
+    const res = await request(app).get('/api/keys').set(keyAuth(key));
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('MQTT topic access', () => {
+  let owner;
+  let other;
+  let boiler;
+  let chiller;
+
+  const record = topic => ({ topic, message: '21', receivedAt: new Date().toISOString() });
+
+  beforeAll(async () => {
+    owner = await createUser('topic-owner@example.com');
+    other = await createUser('topic-other@example.com');
+    boiler = await createDashboard(owner, { name: 'Boiler' });
+    chiller = await createDashboard(other, { name: 'Chiller' });
+    for (const topic of [`${boiler.id}/temp`, `${chiller.id}/temp`, 'plant/unowned']) {
+      mqttService.latestByTopic.set(topic, record(topic));
+    }
+    jest.spyOn(mqttService, 'publish').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    mqttService.latestByTopic.clear();
+    jest.restoreAllMocks();
+  });
+
+  it('needs a user or an API key to read topics', async () => {
+    expect((await request(app).get('/api/mqtt/topics')).status).toBe(401);
+    expect((await request(app).get('/api/mqtt/latest').query({ topic: `${boiler.id}/temp` })).status).toBe(401);
+  });
+
+  it('limits users to the topics of dashboards they can read or edit', async () => {
+    const topics = await request(app).get('/api/mqtt/topics').set(owner.auth);
+    expect(topics.body.topics).toEqual([`${boiler.id}/temp`]);
+
+    expect((await request(app).get('/api/mqtt/latest').set(owner.auth).query({ topic: `${boiler.id}/temp` })).status).toBe(200);
+    expect((await request(app).get('/api/mqtt/latest').set(owner.auth).query({ topic: `${chiller.id}/temp` })).status).toBe(403);
+
+    const invite = await request(app).post(`/api/dashboard/${chiller.id}/invites`).set(other.auth).send({ email: owner.email, access: 'view' });
+    await request(app).post(`/api/dashboard/invites/${invite.body.invite.id}/accept`).set(owner.auth);
+
+    expect((await request(app).get('/api/mqtt/latest').set(owner.auth).query({ topic: `${chiller.id}/temp` })).status).toBe(200);
+    const publish = await request(app).post('/api/mqtt/publish').set(owner.auth).send({ topic: `${chiller.id}/set`, message: 1 });
+    expect(publish.status).toBe(403);
+  });
+
+  it('limits unbound keys to the topics their owner can access, checked on every use', async () => {
+    const { key } = (await createKey(owner, { scopes: ['mqtt:read', 'mqtt:publish'] })).body;
+
+    const topics = await request(app).get('/api/mqtt/topics').set(keyAuth(key));
+    expect(topics.body.topics).not.toContain('plant/unowned');
+    expect((await request(app).post('/api/mqtt/publish').set(keyAuth(key)).send({ topic: 'plant/unowned', message: 1 })).status).toBe(403);
+    expect((await request(app).post('/api/mqtt/publish').set(keyAuth(key)).send({ topic: `${boiler.id}/set`, message: 1 })).status).toBe(200);
+
+    // Losing access to a dashboard takes its topics away from the key too
+    storage.dashboards.get(chiller.id).collaborators = [];
+    expect((await request(app).get('/api/mqtt/latest').set(keyAuth(key)).query({ topic: `${chiller.id}/temp` })).status).toBe(403);
+  });
+
+  it('stops dashboard keys once the owner loses access to the dashboard', async () => {
+    const shared = await createDashboard(other, { name: 'Shared' });
+    const invite = await request(app).post(`/api/dashboard/${shared.id}/invites`).set(other.auth).send({ email: owner.email, access: 'edit' });
+    await request(app).post(`/api/dashboard/invites/${invite.body.invite.id}/accept`).set(owner.auth);
+    const { key } = (await createKey(owner, { scopes: ['mqtt:publish'], dashboardId: shared.id })).body;
+
+    expect((await request(app).post('/api/mqtt/publish').set(keyAuth(key)).send({ topic: `${shared.id}/set`, message: 1 })).status).toBe(200);
+
+    storage.dashboards.get(shared.id).collaborators = [];
+    expect((await request(app).post('/api/mqtt/publish').set(keyAuth(key)).send({ topic: `${shared.id}/set`, message: 1 })).status).toBe(403);
+  });
+
+  it('revokes a user\'s keys when the password changes', async () => {
+    const { key } = (await createKey(owner, { scopes: ['mqtt:read'] })).body;
+
+    const changed = await request(app)
+      .post('/api/auth/change-password')
+      .set(owner.auth)
+      .send({ currentPassword: PASSWORD, newPassword: 'another-password-1' });
+    expect(changed.status).toBe(200);
+
+    expect((await request(app).get('/api/mqtt/topics').set(keyAuth(key))).status).toBe(401);
+    expect((await request(app).get('/api/keys').set(owner.auth)).body.apiKeys.every(apiKey => apiKey.revokedAt)).toBe(true);
+  });
+});
@@ -0,0 +1,125 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { app, storage, PASSWORD, createUser, createDashboard } = require('../helpers');
+const { issueAccessToken } = require('../../src/services/sessionService');
+
+describe('POST /api/auth/signup', () => {
+  it('creates an account with a hashed password', async () => {
+    const res = await request(app)
+      .post('/api/auth/signup')
+      .send({ email: 'New.User@Example.com', password: PASSWORD, name: 'New User' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user).toMatchObject({ email: 'new.user@example.com', name: 'New User', emailVerified: false });
+    expect(res.body.user.passwordHash).toBeUndefined();
+
+    const stored = storage.users.get(res.body.user.id);
+    expect(stored.passwordHash).toBeDefined();
+    expect(stored.passwordHash).not.toContain(PASSWORD);
+  });
+
+  it('rejects a duplicate email regardless of case', async () => {
+    await request(app).post('/api/auth/signup').send({ email: 'dup@example.com', password: PASSWORD });
+    const res = await request(app).post('/api/auth/signup').send({ email: 'DUP@example.com', password: PASSWORD });
+
+    expect(res.status).toBe(409);
+  });
+
+  it('rejects a short password', async () => {
+    const res = await request(app).post('/api/auth/signup').send({ email: 'short@example.com', password: 'abc' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Password must be at least 8 characters long');
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  it('returns tokens for valid credentials', async () => {
+    const user = await createUser('login@example.com');
+
+    expect(user.accessToken).toEqual(expect.any(String));
+    expect(user.refreshToken).toEqual(expect.any(String));
+
+    const me = await request(app).get('/api/auth/me').set(user.auth);
+    expect(me.status).toBe(200);
+    expect(me.body.user.email).toBe('login@example.com');
+  });
+
+  it('rejects a wrong password without saying which field was wrong', async () => {
+    await createUser('wrong@example.com');
+    const res = await request(app).post('/api/auth/login').send({ email: 'wrong@example.com', password: 'not-the-password' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid email or password');
+  });
+
+  it('rejects an unknown email the same way', async () => {
+    const res = await request(app).post('/api/auth/login').send({ email: 'nobody@example.com', password: PASSWORD });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid email or password');
+  });
+});
+
+describe('GET /api/auth/me', () => {
+  it('requires an access token', async () => {
+    const res = await request(app).get('/api/auth/me');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('returns the user the access token belongs to', async () => {
+    const user = await createUser('me@example.com');
+
+    const res = await request(app).get('/api/auth/me').set(user.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({ id: user.id, email: user.email });
+  });
+
+  it('rejects expired and tampered tokens', async () => {
+    const user = await createUser('expired@example.com');
+    const session = storage.sessions.get(jwt.decode(user.accessToken).sid);
+
+    // Issued an hour ago, so past the 15 minute lifetime
+    jest.useFakeTimers({ now: Date.now() - 60 * 60 * 1000 });
+    const expiredToken = issueAccessToken(user, session);
+    jest.useRealTimers();
+
+    const expired = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${expiredToken}`);
+    expect(expired.status).toBe(401);
+    expect(expired.body.error).toBe('Token expired');
+
+    const tampered = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${user.accessToken}x`);
+    expect(tampered.status).toBe(401);
+    expect(tampered.body.error).toBe('Invalid token');
+  });
+});
+
+describe('dashboard ownership', () => {
+  let owner;
+  let other;
+
+  beforeAll(async () => {
+    owner = await createUser('owner@example.com');
+    other = await createUser('not-owner@example.com');
+  });
+
+  it('requires a logged-in user to save', async () => {
+    const res = await request(app).post('/api/dashboard/save').send({ name: 'Anonymous', widgets: [] });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('stores dashboards under the caller and keeps them from other users', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Mine' });
+    expect(storage.dashboards.get(dashboard.id).userId).toBe(owner.id);
+
+    expect((await request(app).get(`/api/dashboard/${dashboard.id}`).set(owner.auth)).status).toBe(200);
+    expect((await request(app).get(`/api/dashboard/${dashboard.id}`).set(other.auth)).status).toBe(403);
+
+    const overwrite = await request(app).post('/api/dashboard/save').set(other.auth).send({ id: dashboard.id, name: 'Taken', widgets: [] });
+    expect(overwrite.status).toBe(403);
+    expect(storage.dashboards.get(dashboard.id).name).toBe('Mine');
+  });
+});
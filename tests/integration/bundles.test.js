@@ -0,0 +1,139 @@
+const request = require('supertest');
+const { app, storage, createUser, createDashboard } = require('../helpers');
+
+const BOILER_ID = '615048293716502';
+
+const gauge = (id, topic) => ({ id, type: 'gauge', x: 0, y: 0, w: 2, h: 2, config: { topic } });
+
+const exportOne = (user, dashboardId) => request(app).get(`/api/dashboard/${dashboardId}/export`).set(user.auth);
+
+const importBundle = (user, body) => request(app).post('/api/dashboard/import').set(user.auth).send(body);
+
+describe('dashboard export and import', () => {
+  let owner;
+  let other;
+  let boiler;
+  let chiller;
+
+  beforeAll(async () => {
+    owner = await createUser('bundle-owner@example.com');
+    other = await createUser('bundle-other@example.com');
+    boiler = await createDashboard(owner, {
+      id: BOILER_ID,
+      name: 'Boiler',
+      widgets: [gauge('w1', `${BOILER_ID}/temperature`), { ...gauge('w2', 'plant/shared'), config: { topics: ['plant/a', 'plant/b'] } }]
+    });
+    await request(app).put(`/api/dashboard/${boiler.id}/tags`).set(owner.auth).send({ tags: ['boiler'] });
+    chiller = await createDashboard(owner, { name: 'Chiller' });
+  });
+
+  it('exports a dashboard with its widgets, tags and topics', async () => {
+    const res = await exportOne(owner, boiler.id);
+
+    expect(res.status).toBe(200);
+    expect(res.body.bundle).toMatchObject({ format: 'iot-dashboard-bundle', formatVersion: 1 });
+    expect(res.body.bundle.dashboards).toHaveLength(1);
+    expect(res.body.bundle.dashboards[0]).toMatchObject({
+      id: BOILER_ID,
+      name: 'Boiler',
+      tags: ['boiler'],
+      topics: [`${BOILER_ID}/temperature`, 'plant/a', 'plant/b']
+    });
+  });
+
+  it('only exports dashboards the caller can read', async () => {
+    expect((await exportOne(other, boiler.id)).status).toBe(403);
+
+    const all = await request(app).get('/api/dashboard/export').set(other.auth);
+    expect(all.body.bundle.dashboards).toEqual([]);
+
+    const listed = await request(app).get('/api/dashboard/export').set(owner.auth).query({ ids: `${boiler.id},${chiller.id}` });
+    expect(listed.body.bundle.dashboards.map(d => d.name).sort()).toEqual(['Boiler', 'Chiller']);
+
+    const missing = await request(app).get('/api/dashboard/export').set(other.auth).query({ ids: boiler.id });
+    expect(missing.status).toBe(404);
+    expect(missing.body.missing).toEqual([boiler.id]);
+  });
+
+  it('imports a bundle as new dashboards with remapped topics', async () => {
+    const { bundle } = (await exportOne(owner, boiler.id)).body;
+
+    const res = await importBundle(other, { bundle });
+    expect(res.status).toBe(201);
+
+    const [imported] = res.body.dashboards;
+    expect(imported).toMatchObject({ name: 'Boiler', sourceId: BOILER_ID, remapped: { id: true, topicId: true } });
+    expect(imported.id).not.toBe(BOILER_ID);
+    expect(imported.topics).toEqual([`${imported.topicId}/temperature`, 'plant/a', 'plant/b']);
+
+    const stored = storage.dashboards.get(imported.id);
+    expect(stored).toMatchObject({ userId: other.id, tags: ['boiler'], isPublished: false });
+    expect(storage.dashboards.get(BOILER_ID).userId).toBe(owner.id);
+  });
+
+  it('keeps free IDs when asked and remaps taken ones', async () => {
+    const { bundle } = (await exportOne(owner, boiler.id)).body;
+    const freeId = '903817264501827';
+    bundle.dashboards.push({ ...bundle.dashboards[0], id: freeId, name: 'Boiler 2' });
+
+    const res = await importBundle(other, { bundle, keepIds: true });
+
+    const [taken, kept] = res.body.dashboards;
+    expect(taken.remapped.id).toBe(true);
+    expect(kept).toMatchObject({ id: freeId, remapped: { id: false } });
+  });
+
+  it('rejects malformed and unsupported bundles', async () => {
+    const { bundle } = (await exportOne(owner, boiler.id)).body;
+
+    const wrongFormat = await importBundle(other, { bundle: { ...bundle, format: 'zip' } });
+    expect(wrongFormat.status).toBe(400);
+    expect(wrongFormat.body.path).toEqual(['bundle', 'format']);
+
+    const future = await importBundle(other, { bundle: { ...bundle, formatVersion: 2 } });
+    expect(future.status).toBe(400);
+
+    const nameless = await importBundle(other, { bundle: { ...bundle, dashboards: [{ ...bundle.dashboards[0], name: undefined }] } });
+    expect(nameless.body.error).toBe('Every dashboard in the bundle needs a name');
+  });
+
+  it('rejects dashboard IDs and topic IDs that are not generated topic IDs', async () => {
+    const { bundle } = (await exportOne(owner, boiler.id)).body;
+    const loose = { ...bundle.dashboards[0], id: 'e', topicId: 't', widgets: [gauge('w1', 'e/temperature')] };
+
+    const res = await importBundle(other, { bundle: { ...bundle, dashboards: [loose] } });
+    expect(res.status).toBe(400);
+    expect(res.body.path).toEqual(['bundle', 'dashboards', 0, 'id']);
+
+    const badTopic = await importBundle(other, { bundle: { ...bundle, dashboards: [{ ...bundle.dashboards[0], topicId: 't' }] } });
+    expect(badTopic.status).toBe(400);
+    expect(badTopic.body.path).toEqual(['bundle', 'dashboards', 0, 'topicId']);
+  });
+
+  it('only rewrites topics, not other text that contains the old ID', async () => {
+    const { bundle } = (await exportOne(owner, boiler.id)).body;
+    const widgets = [{ ...gauge('w1', `${BOILER_ID}/temperature`), title: `Boiler ${BOILER_ID}`, config: { topic: `${BOILER_ID}/temperature`, label: `site/${BOILER_ID}` } }];
+
+    const res = await importBundle(other, { bundle: { ...bundle, dashboards: [{ ...bundle.dashboards[0], widgets }] } });
+
+    const [imported] = res.body.dashboards;
+    expect(storage.dashboards.get(imported.id).widgets[0]).toMatchObject({
+      type: 'gauge',
+      title: `Boiler ${BOILER_ID}`,
+      config: { topic: `${imported.topicId}/temperature`, label: `site/${BOILER_ID}` }
+    });
+  });
+
+  it('imports nothing into an organization the caller cannot write to', async () => {
+    const org = await request(app).post('/api/orgs').set(owner.auth).send({ name: 'Bundle Org' });
+    const orgId = org.body.organization.id;
+    await request(app).post(`/api/orgs/${orgId}/members`).set(owner.auth).send({ email: other.email, role: 'viewer' });
+    const { bundle } = (await exportOne(owner, boiler.id)).body;
+    const before = storage.dashboards.size;
+
+    const res = await importBundle(other, { bundle, orgId });
+
+    expect(res.status).toBe(403);
+    expect(storage.dashboards.size).toBe(before);
+  });
+});
@@ -0,0 +1,254 @@
+const request = require('supertest');
+const WebSocket = require('ws');
+const { app, storage, createUser, createDashboard, listen } = require('../helpers');
+const wsService = require('../../src/services/wsService');
+
+const gauge = { id: 'w1', type: 'gauge', x: 0, y: 0, w: 2, h: 2 };
+
+let server;
+let wsUrl;
+
+beforeAll(async () => {
+  ({ server, url: wsUrl } = await listen());
+});
+
+afterAll(async () => {
+  wsService.wss.clients.forEach(client => client.terminate());
+  await new Promise(resolve => server.close(resolve));
+});
+
+// Opens a signed-in socket and collects what it receives
+const connect = user => new Promise((resolve, reject) => {
+  const socket = new WebSocket(`${wsUrl}?token=${user.accessToken}`);
+  const client = { socket, messages: [] };
+  socket.on('message', data => client.messages.push(JSON.parse(data.toString())));
+  socket.on('open', () => resolve(client));
+  socket.on('error', reject);
+});
+
+const send = (client, message) => client.socket.send(JSON.stringify(message));
+
+// Resolves with (and consumes) the first message of the given type
+const next = (client, type) => new Promise((resolve, reject) => {
+  const startedAt = Date.now();
+  const poll = () => {
+    const index = client.messages.findIndex(message => message.type === type);
+    if (index !== -1) return resolve(client.messages.splice(index, 1)[0]);
+    if (Date.now() - startedAt > 2000) return reject(new Error(`No ${type} message`));
+    setTimeout(poll, 10);
+  };
+  poll();
+});
+
+const join = async (client, dashboardId) => {
+  send(client, { action: 'edit:join', dashboardId });
+  return next(client, 'edit:joined');
+};
+
+const addCollaborator = async (owner, dashboardId, user, access) => {
+  const invite = await request(app).post(`/api/dashboard/${dashboardId}/invites`).set(owner.auth).send({ email: user.email, access });
+  await request(app).post(`/api/dashboard/invites/${invite.body.invite.id}/accept`).set(user.auth);
+};
+
+describe('collaborative editing rooms', () => {
+  let owner;
+  let editor;
+  let viewer;
+  let dashboard;
+  let ownerClient;
+  let editorClient;
+
+  beforeAll(async () => {
+    owner = await createUser('collab-room-owner@example.com');
+    editor = await createUser('collab-room-editor@example.com');
+    viewer = await createUser('collab-room-viewer@example.com');
+    dashboard = await createDashboard(owner, { name: 'Live edit', widgets: [gauge] });
+    await addCollaborator(owner, dashboard.id, editor, 'edit');
+    await addCollaborator(owner, dashboard.id, viewer, 'view');
+    ownerClient = await connect(owner);
+    editorClient = await connect(editor);
+  });
+
+  afterAll(() => {
+    ownerClient.socket.close();
+    editorClient.socket.close();
+  });
+
+  it('sends the dashboard on join and announces new editors', async () => {
+    const joined = await join(ownerClient, dashboard.id);
+    expect(joined.version).toBe(storage.dashboards.get(dashboard.id).version);
+    expect(joined.dashboard.widgets).toEqual([gauge]);
+
+    const editorJoined = await join(editorClient, dashboard.id);
+    expect(editorJoined.participants.map(p => p.userId).sort()).toEqual([owner.id, editor.id].sort());
+
+    const presence = await next(ownerClient, 'edit:presence');
+    expect(presence).toMatchObject({ event: 'join', participant: { userId: editor.id } });
+  });
+
+  it('applies operations, acks the sender and broadcasts to the others', async () => {
+    const before = storage.dashboards.get(dashboard.id).version;
+    send(editorClient, {
+      action: 'edit:op',
+      dashboardId: dashboard.id,
+      opId: 'op-1',
+      op: { type: 'move', widgetId: 'w1', changes: { x: 4 } }
+    });
+
+    const ack = await next(editorClient, 'edit:ack');
+    expect(ack).toMatchObject({ opId: 'op-1', version: before + 1, widget: { id: 'w1', x: 4 } });
+
+    const op = await next(ownerClient, 'edit:op');
+    expect(op).toMatchObject({ version: before + 1, userId: editor.id, op: { type: 'move', widgetId: 'w1' } });
+    expect(storage.dashboards.get(dashboard.id).widgets[0].x).toBe(4);
+  });
+
+  it('rejects invalid operations without changing the dashboard', async () => {
+    const before = storage.dashboards.get(dashboard.id).version;
+
+    send(editorClient, { action: 'edit:op', dashboardId: dashboard.id, opId: 'op-2', op: { type: 'add', widget: gauge } });
+    expect(await next(editorClient, 'edit:reject')).toMatchObject({ opId: 'op-2', error: 'A widget with this ID already exists', version: before });
+
+    send(editorClient, { action: 'edit:op', dashboardId: dashboard.id, opId: 'op-3', op: { type: 'resize', widgetId: 'w1' } });
+    expect((await next(editorClient, 'edit:reject')).opId).toBe('op-3');
+
+    expect(storage.dashboards.get(dashboard.id).version).toBe(before);
+  });
+
+  it('shares cursors with the other editors', async () => {
+    send(ownerClient, { action: 'edit:cursor', dashboardId: dashboard.id, cursor: { x: 10, y: 20 }, selectedWidgetId: 'w1' });
+
+    expect(await next(editorClient, 'edit:cursor')).toMatchObject({ userId: owner.id, cursor: { x: 10, y: 20 }, selectedWidgetId: 'w1' });
+  });
+
+  it('syncs the room when the dashboard is changed over REST', async () => {
+    const { version } = storage.dashboards.get(dashboard.id);
+    await request(app)
+      .put(`/api/dashboard/update/${dashboard.id}`)
+      .set(owner.auth)
+      .send({ name: 'Renamed over REST', widgets: [gauge], version });
+
+    const sync = await next(editorClient, 'edit:sync');
+    expect(sync).toMatchObject({ version: version + 1, action: 'update', dashboard: { name: 'Renamed over REST' } });
+  });
+
+  it('announces editors who leave', async () => {
+    send(editorClient, { action: 'edit:leave', dashboardId: dashboard.id });
+
+    expect(await next(ownerClient, 'edit:presence')).toMatchObject({ event: 'leave', participant: { userId: editor.id } });
+  });
+
+  it('does not let view-only collaborators join or edit', async () => {
+    const client = await connect(viewer);
+
+    send(client, { action: 'edit:join', dashboardId: dashboard.id });
+    expect((await next(client, 'edit:error')).error).toBe('Dashboard not found or not editable');
+
+    send(client, { action: 'edit:op', dashboardId: dashboard.id, op: { type: 'delete', widgetId: 'w1' } });
+    expect((await next(client, 'edit:error')).error).toBe('Join the dashboard before editing it');
+    client.socket.close();
+  });
+
+  it('closes the room when the dashboard is deleted', async () => {
+    const doomed = await createDashboard(owner, { name: 'Doomed' });
+    await join(ownerClient, doomed.id);
+
+    await request(app).delete(`/api/dashboard/${doomed.id}`).set(owner.auth).set('If-Match', '*');
+
+    expect(await next(ownerClient, 'edit:closed')).toMatchObject({ dashboardId: doomed.id, reason: 'deleted' });
+  });
+});
+
+describe('editors who lose access', () => {
+  let owner;
+  let editor;
+  let ownerClient;
+  let editorClient;
+
+  beforeAll(async () => {
+    owner = await createUser('collab-revoke-owner@example.com');
+    editor = await createUser('collab-revoke-editor@example.com');
+  });
+
+  beforeEach(async () => {
+    ownerClient = await connect(owner);
+    editorClient = await connect(editor);
+  });
+
+  afterEach(() => {
+    ownerClient.socket.close();
+    editorClient.socket.close();
+  });
+
+  // Asserts the editor was removed from the room and no longer hears from it
+  const expectEvicted = async (dashboardId) => {
+    expect(await next(editorClient, 'edit:closed')).toMatchObject({ dashboardId, reason: 'access-revoked' });
+    expect(await next(ownerClient, 'edit:presence')).toMatchObject({ event: 'leave', participant: { userId: editor.id } });
+
+    send(ownerClient, { action: 'edit:cursor', dashboardId, cursor: { x: 1, y: 1 } });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(editorClient.messages.filter(message => message.type === 'edit:cursor')).toEqual([]);
+  };
+
+  const joinBoth = async (dashboardId) => {
+    await join(ownerClient, dashboardId);
+    await join(editorClient, dashboardId);
+    await next(ownerClient, 'edit:presence');
+  };
+
+  it('removes a collaborator whose access is removed', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Revoked collaborator', widgets: [gauge] });
+    await addCollaborator(owner, dashboard.id, editor, 'edit');
+    await joinBoth(dashboard.id);
+
+    await request(app).delete(`/api/dashboard/${dashboard.id}/collaborators/${editor.id}`).set(owner.auth);
+
+    await expectEvicted(dashboard.id);
+  });
+
+  it('removes a collaborator downgraded to view access', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Downgraded collaborator', widgets: [gauge] });
+    await addCollaborator(owner, dashboard.id, editor, 'edit');
+    await joinBoth(dashboard.id);
+
+    await request(app).put(`/api/dashboard/${dashboard.id}/collaborators/${editor.id}`).set(owner.auth).send({ access: 'view' });
+
+    await expectEvicted(dashboard.id);
+  });
+
+  it('removes an organization member demoted to viewer', async () => {
+    const org = await request(app).post('/api/orgs').set(owner.auth).send({ name: 'Collab Org' });
+    const orgId = org.body.organization.id;
+    await request(app).post(`/api/orgs/${orgId}/members`).set(owner.auth).send({ email: editor.email, role: 'editor' });
+    const dashboard = await createDashboard(owner, { name: 'Org board', orgId, widgets: [gauge] });
+    await joinBoth(dashboard.id);
+
+    await request(app).put(`/api/orgs/${orgId}/members/${editor.id}`).set(owner.auth).send({ role: 'viewer' });
+
+    await expectEvicted(dashboard.id);
+  });
+
+  it('removes an editor whose folder grant is removed', async () => {
+    const folder = (await request(app).post('/api/folders').set(owner.auth).send({ name: 'Shared folder' })).body.folder;
+    await request(app).put(`/api/folders/${folder.id}/collaborators`).set(owner.auth).send({ email: editor.email, access: 'edit' });
+    const dashboard = await createDashboard(owner, { name: 'Filed board', widgets: [gauge] });
+    await request(app).put(`/api/dashboard/${dashboard.id}/folder`).set(owner.auth).send({ folderId: folder.id });
+    await joinBoth(dashboard.id);
+
+    await request(app).delete(`/api/folders/${folder.id}/collaborators/${editor.id}`).set(owner.auth);
+
+    await expectEvicted(dashboard.id);
+  });
+
+  it('checks access again before sending to the room', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Checked fan-out', widgets: [gauge] });
+    await addCollaborator(owner, dashboard.id, editor, 'edit');
+    await joinBoth(dashboard.id);
+
+    // Access changed without going through a route that evicts
+    storage.dashboards.get(dashboard.id).collaborators = [];
+    send(ownerClient, { action: 'edit:cursor', dashboardId: dashboard.id, cursor: { x: 2, y: 2 } });
+
+    await expectEvicted(dashboard.id);
+  });
+});
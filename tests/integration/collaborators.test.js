@@ -0,0 +1,147 @@
+const request = require('supertest');
+const { app, createUser, createDashboard, lastEmail } = require('../helpers');
+
+const invite = (owner, dashboardId, user, access) =>
+  request(app).post(`/api/dashboard/${dashboardId}/invites`).set(owner.auth).send({ email: user.email, access });
+
+const accept = (user, inviteId) =>
+  request(app).post(`/api/dashboard/invites/${inviteId}/accept`).set(user.auth);
+
+const update = async (user, dashboardId, name) => {
+  const current = await request(app).get(`/api/dashboard/${dashboardId}`).set(user.auth);
+  return request(app)
+    .put(`/api/dashboard/update/${dashboardId}`)
+    .set(user.auth)
+    .send({ name, widgets: [], version: current.body.dashboard.version });
+};
+
+describe('dashboard collaborators', () => {
+  let owner;
+  let viewer;
+  let editor;
+  let stranger;
+
+  beforeAll(async () => {
+    owner = await createUser('collab-owner@example.com');
+    viewer = await createUser('collab-viewer@example.com');
+    editor = await createUser('collab-editor@example.com');
+    stranger = await createUser('collab-stranger@example.com');
+  });
+
+  it('emails an invite that only the invitee can see and accept', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Boiler room' });
+
+    const res = await invite(owner, dashboard.id, viewer, 'view');
+    expect(res.status).toBe(201);
+    expect(res.body.invite.access).toBe('view');
+    expect(lastEmail('invite', viewer.email).link).toContain(res.body.invite.id);
+
+    const pending = await request(app).get('/api/dashboard/invites').set(viewer.auth);
+    expect(pending.body.invites.map(i => i.id)).toContain(res.body.invite.id);
+
+    const hijack = await accept(stranger, res.body.invite.id);
+    expect(hijack.status).toBe(404);
+
+    const accepted = await accept(viewer, res.body.invite.id);
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.dashboard.role).toBe('viewer');
+
+    const again = await accept(viewer, res.body.invite.id);
+    expect(again.status).toBe(404);
+  });
+
+  it('lets view collaborators read but not edit', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Line A' });
+    const { body } = await invite(owner, dashboard.id, viewer, 'view');
+    await accept(viewer, body.invite.id);
+
+    const read = await request(app).get(`/api/dashboard/${dashboard.id}`).set(viewer.auth);
+    expect(read.status).toBe(200);
+
+    const res = await update(viewer, dashboard.id, 'Renamed');
+    expect(res.status).toBe(403);
+  });
+
+  it('lets edit collaborators edit but not manage sharing', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Line B' });
+    const { body } = await invite(owner, dashboard.id, editor, 'edit');
+    await accept(editor, body.invite.id);
+
+    const res = await update(editor, dashboard.id, 'Line B (edited)');
+    expect(res.status).toBe(200);
+
+    const collaborators = await request(app).get(`/api/dashboard/${dashboard.id}/collaborators`).set(editor.auth);
+    expect(collaborators.status).toBe(403);
+
+    const reshare = await invite(editor, dashboard.id, stranger, 'view');
+    expect(reshare.status).toBe(403);
+  });
+
+  it('lists shared dashboards for the collaborator after accepting', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Shared listing' });
+    const { body } = await invite(owner, dashboard.id, viewer, 'view');
+
+    const before = await request(app).get(`/api/dashboard/user/${viewer.id}`).set(viewer.auth);
+    expect(before.body.dashboards.map(d => d.id)).not.toContain(dashboard.id);
+
+    await accept(viewer, body.invite.id);
+
+    const after = await request(app).get(`/api/dashboard/user/${viewer.id}`).set(viewer.auth);
+    const listed = after.body.dashboards.find(d => d.id === dashboard.id);
+    expect(listed.role).toBe('viewer');
+  });
+
+  it('rejects a second invite for an existing collaborator', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Line C' });
+    const { body } = await invite(owner, dashboard.id, viewer, 'view');
+    await accept(viewer, body.invite.id);
+
+    const res = await invite(owner, dashboard.id, viewer, 'edit');
+    expect(res.status).toBe(409);
+  });
+
+  it('lets the owner change access and remove collaborators', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Line D' });
+    const { body } = await invite(owner, dashboard.id, viewer, 'view');
+    await accept(viewer, body.invite.id);
+
+    const upgrade = await request(app)
+      .put(`/api/dashboard/${dashboard.id}/collaborators/${viewer.id}`)
+      .set(owner.auth)
+      .send({ access: 'edit' });
+    expect(upgrade.status).toBe(200);
+    expect((await update(viewer, dashboard.id, 'Line D (edited)')).status).toBe(200);
+
+    const removed = await request(app).delete(`/api/dashboard/${dashboard.id}/collaborators/${viewer.id}`).set(owner.auth);
+    expect(removed.status).toBe(200);
+
+    const read = await request(app).get(`/api/dashboard/${dashboard.id}`).set(viewer.auth);
+    expect(read.status).toBe(403);
+  });
+
+  it('lets collaborators leave but not remove others', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Line E' });
+    const first = await invite(owner, dashboard.id, viewer, 'view');
+    const second = await invite(owner, dashboard.id, editor, 'edit');
+    await accept(viewer, first.body.invite.id);
+    await accept(editor, second.body.invite.id);
+
+    const kick = await request(app).delete(`/api/dashboard/${dashboard.id}/collaborators/${viewer.id}`).set(editor.auth);
+    expect(kick.status).toBe(403);
+
+    const leave = await request(app).delete(`/api/dashboard/${dashboard.id}/collaborators/${viewer.id}`).set(viewer.auth);
+    expect(leave.status).toBe(200);
+    expect((await request(app).get(`/api/dashboard/${dashboard.id}`).set(viewer.auth)).status).toBe(403);
+  });
+
+  it('lets the owner revoke a pending invite', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Line F' });
+    const { body } = await invite(owner, dashboard.id, stranger, 'view');
+
+    const revoked = await request(app).delete(`/api/dashboard/${dashboard.id}/invites/${body.invite.id}`).set(owner.auth);
+    expect(revoked.status).toBe(200);
+
+    const res = await accept(stranger, body.invite.id);
+    expect(res.status).toBe(404);
+  });
+});
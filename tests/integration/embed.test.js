@@ -0,0 +1,45 @@
+const request = require('supertest');
+const { app, createUser, createDashboard, publishDashboard } = require('../helpers');
+
+describe('embedding shared dashboards', () => {
+  let owner;
+  let dashboard;
+  let shared;
+
+  beforeAll(async () => {
+    owner = await createUser('embedder@example.com');
+    dashboard = await createDashboard(owner, { name: 'Embedded' });
+    shared = (await publishDashboard(owner, dashboard, { allowedOrigins: ['https://portal.example.com'] })).body.dashboard;
+  });
+
+  it('lets the allowed origins frame the share', async () => {
+    const res = await request(app).get(`/api/dashboard/shared/${shared.shareableId}`);
+
+    expect(res.headers['content-security-policy']).toContain("frame-ancestors 'self' https://portal.example.com");
+    expect(res.headers['x-frame-options']).toBeUndefined();
+  });
+
+  it('keeps other routes unframeable', async () => {
+    const res = await request(app).get('/api/health');
+
+    expect(res.headers['content-security-policy']).toContain("frame-ancestors 'self'");
+    expect(res.headers['x-frame-options']).toBeDefined();
+  });
+
+  it('answers 400, not 500, for a malformed share path', async () => {
+    const res = await request(app).get('/api/dashboard/shared/%E0%A4%A');
+
+    expect(res.status).toBe(400);
+  });
+
+  it('opens a protected share with a valid embed token and rejects a bad one', async () => {
+    const embed = await request(app).post(`/api/dashboard/${dashboard.id}/share/embed`).set(owner.auth).send({});
+    expect(embed.status).toBe(201);
+
+    const ok = await request(app).get(`/api/dashboard/shared/${shared.shareableId}`).query({ embed: embed.body.embedToken });
+    expect(ok.status).toBe(200);
+
+    const bad = await request(app).get(`/api/dashboard/shared/${shared.shareableId}`).query({ embed: 'not-a-token' });
+    expect(bad.status).toBe(401);
+  });
+});
@@ -0,0 +1,166 @@
+const request = require('supertest');
+const { app, storage, createUser, createDashboard, publishDashboard } = require('../helpers');
+const { MAX_FOLDER_DEPTH } = require('../../src/services/folderService');
+
+const createFolder = (user, fields) => request(app).post('/api/folders').set(user.auth).send(fields);
+const moveDashboard = (user, dashboardId, folderId) => request(app).put(`/api/dashboard/${dashboardId}/folder`).set(user.auth).send({ folderId });
+const shareFolder = (owner, folderId, user, access) => request(app)
+  .put(`/api/folders/${folderId}/collaborators`)
+  .set(owner.auth)
+  .send({ email: user.email, access });
+
+describe('folders', () => {
+  let owner;
+  let grantee;
+  let stranger;
+
+  beforeAll(async () => {
+    owner = await createUser('folder-owner@example.com');
+    grantee = await createUser('grantee@example.com');
+    stranger = await createUser('folder-stranger@example.com');
+  });
+
+  it('nests folders up to the depth limit', async () => {
+    let parent = (await createFolder(owner, { name: 'Level 1' })).body.folder;
+    for (let level = 2; level <= MAX_FOLDER_DEPTH; level++) {
+      const res = await createFolder(owner, { name: `Level ${level}`, parentId: parent.id });
+      expect(res.status).toBe(201);
+      parent = res.body.folder;
+    }
+
+    const res = await createFolder(owner, { name: 'Too deep', parentId: parent.id });
+    expect(res.status).toBe(400);
+  });
+
+  it('does not let a folder be moved into its own subfolder', async () => {
+    const top = (await createFolder(owner, { name: 'Top' })).body.folder;
+    const child = (await createFolder(owner, { name: 'Child', parentId: top.id })).body.folder;
+
+    const res = await request(app).put(`/api/folders/${top.id}`).set(owner.auth).send({ parentId: child.id });
+    expect(res.status).toBe(400);
+  });
+
+  it('hides folders from users they were not shared with', async () => {
+    const folder = (await createFolder(owner, { name: 'Private' })).body.folder;
+
+    const res = await request(app).get(`/api/folders/${folder.id}`).set(stranger.auth);
+    expect(res.status).toBe(404);
+  });
+
+  it('gives folder grantees access to dashboards in subfolders', async () => {
+    const plants = (await createFolder(owner, { name: 'Plants' })).body.folder;
+    const plant2 = (await createFolder(owner, { name: 'Plant 2', parentId: plants.id })).body.folder;
+    const dashboard = await createDashboard(owner, { name: 'Boiler' });
+    await moveDashboard(owner, dashboard.id, plant2.id);
+
+    expect((await request(app).get(`/api/dashboard/${dashboard.id}`).set(grantee.auth)).status).toBe(403);
+
+    await shareFolder(owner, plants.id, grantee, 'view');
+    const read = await request(app).get(`/api/dashboard/${dashboard.id}`).set(grantee.auth);
+    expect(read.status).toBe(200);
+    expect(read.body.dashboard.role).toBe('viewer');
+
+    const tag = await request(app).put(`/api/dashboard/${dashboard.id}/tags`).set(grantee.auth).send({ tags: ['boiler'] });
+    expect(tag.status).toBe(403);
+  });
+
+  it('lists dashboards from shared folders and their subfolders once', async () => {
+    const reader = await createUser('folder-reader@example.com');
+    const site = (await createFolder(owner, { name: 'Site' })).body.folder;
+    const hall = (await createFolder(owner, { name: 'Hall', parentId: site.id })).body.folder;
+    const inSite = await createDashboard(owner, { name: 'Site overview' });
+    const inHall = await createDashboard(owner, { name: 'Hall sensors' });
+    await moveDashboard(owner, inSite.id, site.id);
+    await moveDashboard(owner, inHall.id, hall.id);
+
+    // Overlapping grants on a folder and its subfolder
+    await shareFolder(owner, site.id, reader, 'view');
+    await shareFolder(owner, hall.id, reader, 'edit');
+
+    const res = await request(app).get(`/api/dashboard/user/${reader.id}`).set(reader.auth);
+    expect(res.body.dashboards.map(d => [d.name, d.role]).sort()).toEqual([
+      ['Hall sensors', 'editor'],
+      ['Site overview', 'viewer']
+    ]);
+  });
+
+  it('only files dashboards in folders of the same scope', async () => {
+    const orgRes = await request(app).post('/api/orgs').set(owner.auth).send({ name: 'Org' });
+    const orgDashboard = await createDashboard(owner, { name: 'Org dashboard', orgId: orgRes.body.organization.id });
+    const personal = (await createFolder(owner, { name: 'Personal' })).body.folder;
+
+    const res = await moveDashboard(owner, orgDashboard.id, personal.id);
+    expect(res.status).toBe(400);
+  });
+
+  it('refuses to delete a folder that still holds dashboards', async () => {
+    const folder = (await createFolder(owner, { name: 'Busy' })).body.folder;
+    const dashboard = await createDashboard(owner, { name: 'Busy dashboard' });
+    await moveDashboard(owner, dashboard.id, folder.id);
+
+    const res = await request(app).delete(`/api/folders/${folder.id}`).set(owner.auth);
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('tags and favorites', () => {
+  it('filters the listing by tag, ignoring case', async () => {
+    const user = await createUser('tagger@example.com');
+    const dashboard = await createDashboard(user, { name: 'Tagged' });
+    await createDashboard(user, { name: 'Untagged' });
+
+    const tag = await request(app).put(`/api/dashboard/${dashboard.id}/tags`).set(user.auth).send({ tags: ['Boiler', 'plant-2'] });
+    expect(tag.status).toBe(200);
+
+    const list = await request(app).get(`/api/dashboard/user/${user.id}`).query({ tag: 'boiler' }).set(user.auth);
+    expect(list.body.dashboards.map(d => d.name)).toEqual(['Tagged']);
+  });
+
+  it('keeps stars private to each user', async () => {
+    const user = await createUser('starrer@example.com');
+    const dashboard = await createDashboard(user, { name: 'Starred' });
+
+    expect((await request(app).put(`/api/dashboard/${dashboard.id}/favorite`).set(user.auth)).status).toBe(200);
+
+    const mine = await request(app).get(`/api/dashboard/user/${user.id}`).query({ favorite: true }).set(user.auth);
+    expect(mine.body.dashboards.map(d => d.name)).toEqual(['Starred']);
+  });
+});
+
+describe('overwriting a filed dashboard with POST /save', () => {
+  it('keeps its folder, tags, creation date and share', async () => {
+    const owner = await createUser('resave-owner@example.com');
+    const grantee = await createUser('resave-grantee@example.com');
+    const folder = (await createFolder(owner, { name: 'Shared' })).body.folder;
+    const dashboard = await createDashboard(owner, { name: 'Chiller' });
+    await moveDashboard(owner, dashboard.id, folder.id);
+    await request(app).put(`/api/dashboard/${dashboard.id}/tags`).set(owner.auth).send({ tags: ['chiller'] });
+    await shareFolder(owner, folder.id, grantee, 'edit');
+    const published = (await publishDashboard(owner, storage.dashboards.get(dashboard.id))).body.dashboard;
+    const before = { ...storage.dashboards.get(dashboard.id) };
+
+    const res = await request(app)
+      .post('/api/dashboard/save')
+      .set(grantee.auth)
+      .send({ id: dashboard.id, name: 'Chiller (edited)', widgets: [] });
+    expect(res.status).toBe(200);
+
+    const stored = storage.dashboards.get(dashboard.id);
+    expect(stored).toMatchObject({
+      name: 'Chiller (edited)',
+      folderId: folder.id,
+      tags: ['chiller'],
+      createdAt: before.createdAt,
+      shareableId: published.shareableId,
+      isPublished: true,
+      publishedAt: before.publishedAt
+    });
+
+    // The grantee still reaches it through the folder, and the share still opens
+    expect((await request(app).get(`/api/dashboard/${dashboard.id}`).set(grantee.auth)).status).toBe(200);
+    const shared = await request(app)
+      .get(`/api/dashboard/shared/${published.shareableId}`)
+      .query({ password: published.sharePassword });
+    expect(shared.status).toBe(200);
+  });
+});
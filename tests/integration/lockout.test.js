@@ -0,0 +1,80 @@
+const request = require('supertest');
+const { app, PASSWORD, createUser, createDashboard, publishDashboard } = require('../helpers');
+
+// LOCKOUT_THRESHOLD default
+const THRESHOLD = 5;
+
+describe('login lockout', () => {
+  it('locks the account after repeated failures, even for the right password', async () => {
+    await createUser('locked@example.com');
+    for (let i = 0; i < THRESHOLD; i++) {
+      await request(app).post('/api/auth/login').send({ email: 'locked@example.com', password: 'wrong-password' });
+    }
+
+    const res = await request(app).post('/api/auth/login').send({ email: 'locked@example.com', password: PASSWORD });
+    expect(res.status).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  it('does not lock other accounts', async () => {
+    await createUser('victim@example.com');
+    await createUser('bystander@example.com');
+    for (let i = 0; i < THRESHOLD; i++) {
+      await request(app).post('/api/auth/login').send({ email: 'victim@example.com', password: 'wrong-password' });
+    }
+
+    const res = await request(app).post('/api/auth/login').send({ email: 'bystander@example.com', password: PASSWORD });
+    expect(res.status).toBe(200);
+  });
+});
+
+describe('share password lockout', () => {
+  let owner;
+  let shared;
+  let viewerToken;
+  let embedToken;
+
+  beforeAll(async () => {
+    owner = await createUser('share-owner@example.com');
+    const dashboard = await createDashboard(owner, { name: 'Plant' });
+    shared = (await publishDashboard(owner, dashboard)).body.dashboard;
+
+    const access = await request(app)
+      .post(`/api/dashboard/shared/${shared.shareableId}/access`)
+      .send({ password: shared.sharePassword });
+    viewerToken = access.body.viewerToken;
+
+    const embed = await request(app).post(`/api/dashboard/${dashboard.id}/share/embed`).set(owner.auth).send({});
+    embedToken = embed.body.embedToken;
+
+    for (let i = 0; i < THRESHOLD; i++) {
+      await request(app).post(`/api/dashboard/shared/${shared.shareableId}/access`).send({ password: 'WRONG' });
+    }
+  });
+
+  it('blocks password attempts once locked', async () => {
+    const res = await request(app)
+      .post(`/api/dashboard/shared/${shared.shareableId}/access`)
+      .send({ password: shared.sharePassword });
+    expect(res.status).toBe(429);
+
+    const viaQuery = await request(app).get(`/api/dashboard/shared/${shared.shareableId}`).query({ password: shared.sharePassword });
+    expect(viaQuery.status).toBe(429);
+  });
+
+  it('keeps accepting viewer tokens', async () => {
+    const res = await request(app).get(`/api/dashboard/shared/${shared.shareableId}`).set('X-Share-Token', viewerToken);
+    expect(res.status).toBe(200);
+  });
+
+  it('keeps accepting embed tokens', async () => {
+    const res = await request(app).get(`/api/dashboard/shared/${shared.shareableId}`).query({ embed: embedToken });
+    expect(res.status).toBe(200);
+  });
+
+  it('still asks anonymous viewers for the password', async () => {
+    const res = await request(app).get(`/api/dashboard/shared/${shared.shareableId}`);
+    expect(res.status).toBe(401);
+    expect(res.body.passwordRequired).toBe(true);
+  });
+});
@@ -0,0 +1,49 @@
+const request = require('supertest');
+const { app, storage, createUser, createDashboard, publishDashboard } = require('../helpers');
+const maintenanceService = require('../../src/services/maintenanceService');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('maintenance sweeper', () => {
+  it('removes expired reset and verification tokens and keeps live ones', () => {
+    storage.resetTokens.set('expired-reset', { email: 'a@example.com', expiry: new Date(Date.now() - HOUR) });
+    storage.resetTokens.set('live-reset', { email: 'b@example.com', expiry: new Date(Date.now() + HOUR) });
+    storage.verificationTokens.set('expired-verification', { userId: 'u1', expiry: new Date(Date.now() - HOUR) });
+
+    const removed = maintenanceService.pruneExpiredTokens();
+
+    expect(removed).toMatchObject({ resetTokens: 1, verificationTokens: 1 });
+    expect(storage.resetTokens.has('live-reset')).toBe(true);
+  });
+
+  it('revokes expired sessions', async () => {
+    const user = await createUser('stale@example.com');
+    storage.sessions.forEach((session) => {
+      if (session.userId === user.id) session.expiresAt = new Date(Date.now() - 1000).toISOString();
+    });
+
+    expect(maintenanceService.pruneStaleSessions().sessions).toBe(1);
+    expect((await request(app).get('/api/auth/me').set(user.auth)).status).toBe(401);
+  });
+
+  it('removes shares whose dashboard is gone', async () => {
+    const owner = await createUser('orphan@example.com');
+    const kept = await createDashboard(owner, { name: 'Kept' });
+    const keptShare = (await publishDashboard(owner, kept)).body.dashboard;
+    const deleted = await createDashboard(owner, { name: 'Deleted' });
+    const deletedShare = (await publishDashboard(owner, deleted)).body.dashboard;
+    storage.dashboards.delete(deleted.id);
+
+    expect(maintenanceService.pruneOrphanedShares().sharedDashboards).toBe(1);
+    expect(storage.sharedDashboards.has(deletedShare.shareableId)).toBe(false);
+    expect(storage.sharedDashboards.has(keptShare.shareableId)).toBe(true);
+  });
+
+  it('records the results of each run', () => {
+    maintenanceService.runAll();
+
+    const stats = maintenanceService.getStats();
+    expect(stats.running).toBe(false);
+    expect(stats.tasks.map(task => task.runs)).toEqual([1, 1, 1]);
+  });
+});
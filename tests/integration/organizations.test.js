@@ -0,0 +1,123 @@
+const request = require('supertest');
+const { app, storage, createUser, createDashboard } = require('../helpers');
+
+const createOrganization = async (owner, members = {}) => {
+  const res = await request(app).post('/api/orgs').set(owner.auth).send({ name: 'Plant Ops' });
+  const orgId = res.body.organization.id;
+  for (const [role, member] of Object.entries(members)) {
+    await request(app).post(`/api/orgs/${orgId}/members`).set(owner.auth).send({ email: member.email, role });
+  }
+  return orgId;
+};
+
+// Invites a user to a dashboard and accepts the invite as them
+const addCollaborator = async (owner, dashboardId, user, access) => {
+  const invite = await request(app).post(`/api/dashboard/${dashboardId}/invites`).set(owner.auth).send({ email: user.email, access });
+  await request(app).post(`/api/dashboard/invites/${invite.body.invite.id}/accept`).set(user.auth);
+};
+
+describe('organization dashboards', () => {
+  let owner;
+  let editor;
+  let viewer;
+  let outsider;
+  let orgId;
+
+  beforeAll(async () => {
+    owner = await createUser('org-owner@example.com');
+    editor = await createUser('org-editor@example.com');
+    viewer = await createUser('org-viewer@example.com');
+    outsider = await createUser('outsider@example.com');
+    orgId = await createOrganization(owner, { editor, viewer });
+  });
+
+  it('lets editors create dashboards in the organization', async () => {
+    const res = await request(app).post('/api/dashboard/save').set(editor.auth).send({ name: 'Line 1', widgets: [], orgId });
+
+    expect(res.status).toBe(200);
+    expect(storage.dashboards.get(res.body.dashboard.id).orgId).toBe(orgId);
+  });
+
+  it('does not let viewers create dashboards in the organization', async () => {
+    const res = await request(app).post('/api/dashboard/save').set(viewer.auth).send({ name: 'Line 2', widgets: [], orgId });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('lets viewers read but not update organization dashboards', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Line 3', orgId });
+
+    const read = await request(app).get(`/api/dashboard/${dashboard.id}`).set(viewer.auth);
+    expect(read.status).toBe(200);
+    expect(read.body.dashboard.role).toBe('viewer');
+
+    const update = await request(app)
+      .put(`/api/dashboard/update/${dashboard.id}`)
+      .set(viewer.auth)
+      .send({ name: 'Renamed', widgets: [], version: dashboard.version });
+    expect(update.status).toBe(403);
+  });
+
+  it('hides organization dashboards from non-members', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Line 4', orgId });
+
+    const res = await request(app).get(`/api/dashboard/${dashboard.id}`).set(outsider.auth);
+    expect(res.status).toBe(403);
+  });
+
+  describe('overwriting with POST /save', () => {
+    it('does not let an invited editor move a personal dashboard into their organization', async () => {
+      const victim = await createUser('victim@example.com');
+      const dashboard = await createDashboard(victim, { name: 'Home' });
+      await addCollaborator(victim, dashboard.id, editor, 'edit');
+
+      const res = await request(app)
+        .post('/api/dashboard/save')
+        .set(editor.auth)
+        .send({ id: dashboard.id, name: 'Home', widgets: [], orgId });
+
+      expect(res.status).toBe(403);
+      const stored = storage.dashboards.get(dashboard.id);
+      expect(stored.orgId).toBeNull();
+      expect(stored.userId).toBe(victim.id);
+    });
+
+    it('keeps an organization dashboard in its organization when orgId is left out', async () => {
+      const dashboard = await createDashboard(owner, { name: 'Line 5', orgId });
+
+      const res = await request(app)
+        .post('/api/dashboard/save')
+        .set(editor.auth)
+        .send({ id: dashboard.id, name: 'Line 5 (edited)', widgets: [] });
+
+      expect(res.status).toBe(200);
+      const stored = storage.dashboards.get(dashboard.id);
+      expect(stored.orgId).toBe(orgId);
+      expect(stored.name).toBe('Line 5 (edited)');
+    });
+
+    it('does not let an organization editor move a dashboard out of the organization', async () => {
+      const dashboard = await createDashboard(owner, { name: 'Line 6', orgId });
+
+      const res = await request(app)
+        .post('/api/dashboard/save')
+        .set(editor.auth)
+        .send({ id: dashboard.id, name: 'Line 6', widgets: [], orgId: null });
+
+      expect(res.status).toBe(403);
+      expect(storage.dashboards.get(dashboard.id).orgId).toBe(orgId);
+    });
+
+    it('lets the owner move their dashboard into an organization', async () => {
+      const dashboard = await createDashboard(owner, { name: 'Line 7' });
+
+      const res = await request(app)
+        .post('/api/dashboard/save')
+        .set(owner.auth)
+        .send({ id: dashboard.id, name: 'Line 7', widgets: [], orgId });
+
+      expect(res.status).toBe(200);
+      expect(storage.dashboards.get(dashboard.id).orgId).toBe(orgId);
+    });
+  });
+});
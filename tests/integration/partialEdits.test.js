@@ -0,0 +1,126 @@
+const request = require('supertest');
+const { app, createUser, createDashboard } = require('../helpers');
+
+const gauge = { id: 'w1', type: 'gauge', title: 'Pressure', x: 0, y: 0, w: 2, h: 2 };
+
+const get = async (user, dashboardId) => (await request(app).get(`/api/dashboard/${dashboardId}`).set(user.auth)).body.dashboard;
+
+const patch = (user, dashboard, operations) =>
+  request(app)
+    .patch(`/api/dashboard/${dashboard.id}`)
+    .set(user.auth)
+    .set('If-Match', `"${dashboard.version}"`)
+    .send(operations);
+
+describe('JSON Patch updates', () => {
+  let owner;
+  let stranger;
+
+  beforeAll(async () => {
+    owner = await createUser('patcher@example.com');
+    stranger = await createUser('patch-stranger@example.com');
+  });
+
+  it('applies a patch and bumps the version', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Patched', widgets: [gauge] });
+
+    const res = await patch(owner, dashboard, [
+      { op: 'replace', path: '/name', value: 'Patched 2' },
+      { op: 'replace', path: '/widgets/0/title', value: 'Boiler pressure' }
+    ]);
+
+    expect(res.status).toBe(200);
+    expect(res.body.dashboard).toMatchObject({ name: 'Patched 2', version: dashboard.version + 1 });
+    expect(res.headers.etag).toBe(`"${dashboard.version + 1}"`);
+    expect((await get(owner, dashboard.id)).widgets[0].title).toBe('Boiler pressure');
+  });
+
+  it('answers 409 for a failed test operation and leaves the dashboard alone', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Guarded', widgets: [gauge] });
+
+    const res = await patch(owner, dashboard, [
+      { op: 'replace', path: '/name', value: 'Changed' },
+      { op: 'test', path: '/widgets/0/title', value: 'Something else' }
+    ]);
+
+    expect(res.status).toBe(409);
+    expect(await get(owner, dashboard.id)).toMatchObject({ name: 'Guarded', version: dashboard.version });
+  });
+
+  it('answers 400 for malformed patches, invalid results and read-only fields', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Strict', widgets: [gauge] });
+
+    expect((await patch(owner, dashboard, { op: 'replace' })).status).toBe(400);
+    expect((await patch(owner, dashboard, [{ op: 'remove', path: '/widgets/0/type' }])).status).toBe(400);
+    expect((await patch(owner, dashboard, [{ op: 'add', path: '/userId', value: stranger.id }])).status).toBe(400);
+  });
+
+  it('needs the current version and edit access', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Checked' });
+    const operations = [{ op: 'replace', path: '/name', value: 'Nope' }];
+
+    const missing = await request(app).patch(`/api/dashboard/${dashboard.id}`).set(owner.auth).send(operations);
+    expect(missing.status).toBe(428);
+
+    const viaQuery = await request(app).patch(`/api/dashboard/${dashboard.id}?version=${dashboard.version}`).set(owner.auth).send(operations);
+    expect(viaQuery.status).toBe(200);
+
+    expect((await patch(owner, dashboard, operations)).status).toBe(409);
+    expect((await patch(stranger, await get(owner, dashboard.id), operations)).status).toBe(403);
+  });
+});
+
+describe('single-widget edits', () => {
+  let owner;
+  let dashboard;
+
+  beforeAll(async () => {
+    owner = await createUser('widget-editor@example.com');
+    dashboard = await createDashboard(owner, { name: 'Widgets', widgets: [gauge], layout: { lg: [{ i: 'w1', x: 0, y: 0, w: 2, h: 2 }] } });
+  });
+
+  const edit = async (method, path, body = {}) => {
+    const { version } = await get(owner, dashboard.id);
+    return request(app)[method](`/api/dashboard/${dashboard.id}/widgets${path}`).set(owner.auth).send({ ...body, version });
+  };
+
+  it('adds a widget and rejects a duplicate ID', async () => {
+    const chart = { id: 'w2', type: 'chart', x: 2, y: 0, w: 4, h: 2 };
+
+    const res = await edit('post', '', chart);
+    expect(res.status).toBe(200);
+    expect(res.body.widget).toEqual(chart);
+    expect(res.body.dashboard.widgetCount).toBe(2);
+
+    expect((await edit('post', '', chart)).status).toBe(409);
+  });
+
+  it('updates a widget without touching its position', async () => {
+    const res = await edit('patch', '/w1', { title: 'Steam pressure', config: { topic: 'plant/steam' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.widget).toMatchObject({ id: 'w1', title: 'Steam pressure', x: 0, w: 2, config: { topic: 'plant/steam' } });
+  });
+
+  it('moves a widget and its layout entry', async () => {
+    const res = await edit('put', '/w1/position', { x: 6, w: 3, breakpoint: 'lg' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.widget).toMatchObject({ x: 6, y: 0, w: 3, h: 2 });
+    expect((await get(owner, dashboard.id)).layout.lg).toEqual([{ i: 'w1', x: 6, y: 0, w: 3, h: 2 }]);
+  });
+
+  it('deletes a widget and its layout entries', async () => {
+    const res = await edit('delete', '/w1');
+
+    expect(res.status).toBe(200);
+    const current = await get(owner, dashboard.id);
+    expect(current.widgets.map(w => w.id)).toEqual(['w2']);
+    expect(current.layout.lg).toEqual([]);
+  });
+
+  it('answers 404 for an unknown widget and 400 for an empty change', async () => {
+    expect((await edit('patch', '/missing', { title: 'x' })).status).toBe(404);
+    expect((await edit('patch', '/w2', {})).status).toBe(400);
+  });
+});
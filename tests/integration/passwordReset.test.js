@@ -0,0 +1,50 @@
+const request = require('supertest');
+const { app, storage, PASSWORD, lastEmail, createUser } = require('../helpers');
+
+const NEW_PASSWORD = 'new-password456';
+
+const requestReset = email => request(app).post('/api/auth/request-reset').send({ email });
+const tokenFrom = link => new URL(link).searchParams.get('token');
+const resetPassword = (email, token) => request(app).post('/api/auth/reset-password').send({ email, token, newPassword: NEW_PASSWORD });
+
+describe('password reset', () => {
+  it('stores only a hash of the reset token', async () => {
+    await createUser('hash@example.com');
+    await requestReset('hash@example.com');
+    const token = tokenFrom(lastEmail('reset', 'hash@example.com').link);
+
+    expect(storage.resetTokens.has(token)).toBe(false);
+    expect(JSON.stringify(Array.from(storage.resetTokens.entries()))).not.toContain(token);
+  });
+
+  it('resets the password once and logs out every session', async () => {
+    const user = await createUser('reset@example.com');
+    const { key } = (await request(app).post('/api/keys').set(user.auth).send({ name: 'Sensor', scopes: ['mqtt:read'] })).body;
+    await requestReset('reset@example.com');
+    const token = tokenFrom(lastEmail('reset', 'reset@example.com').link);
+
+    expect((await resetPassword('reset@example.com', token)).status).toBe(200);
+    expect((await request(app).get('/api/auth/me').set(user.auth)).status).toBe(401);
+    expect((await request(app).get('/api/mqtt/topics').set({ Authorization: `ApiKey ${key}` })).status).toBe(401);
+    expect((await request(app).post('/api/auth/login').send({ email: 'reset@example.com', password: NEW_PASSWORD })).status).toBe(200);
+    expect((await request(app).post('/api/auth/login').send({ email: 'reset@example.com', password: PASSWORD })).status).toBe(401);
+
+    expect((await resetPassword('reset@example.com', token)).status).toBe(400);
+  });
+
+  it('invalidates older tokens when a new one is requested', async () => {
+    await createUser('twice@example.com');
+    await requestReset('twice@example.com');
+    const first = tokenFrom(lastEmail('reset', 'twice@example.com').link);
+    await requestReset('twice@example.com');
+
+    expect((await resetPassword('twice@example.com', first)).status).toBe(400);
+  });
+
+  it('does not reveal whether an account exists', async () => {
+    const res = await requestReset('nobody@example.com');
+
+    expect(res.status).toBe(200);
+    expect(lastEmail('reset', 'nobody@example.com')).toBeUndefined();
+  });
+});
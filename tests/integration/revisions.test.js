@@ -0,0 +1,104 @@
+const request = require('supertest');
+const { app, createUser, createDashboard } = require('../helpers');
+
+const gauge = { id: 'w1', type: 'gauge', title: 'Pressure', x: 0, y: 0, w: 2, h: 2, config: { topic: 'plant/pressure' } };
+const chart = { id: 'w2', type: 'chart', title: 'Flow', x: 2, y: 0, w: 4, h: 2 };
+
+const update = async (user, dashboardId, fields) => {
+  const current = await request(app).get(`/api/dashboard/${dashboardId}`).set(user.auth);
+  return request(app)
+    .put(`/api/dashboard/update/${dashboardId}`)
+    .set(user.auth)
+    .send({ name: current.body.dashboard.name, widgets: current.body.dashboard.widgets, version: current.body.dashboard.version, ...fields });
+};
+
+const listRevisions = (user, dashboardId) => request(app).get(`/api/dashboard/${dashboardId}/revisions`).set(user.auth);
+
+describe('dashboard revisions', () => {
+  let owner;
+  let stranger;
+  let dashboard;
+
+  beforeAll(async () => {
+    owner = await createUser('revisions-owner@example.com');
+    stranger = await createUser('revisions-stranger@example.com');
+    dashboard = await createDashboard(owner, { name: 'Pump house', widgets: [gauge] });
+    await update(owner, dashboard.id, {
+      name: 'Pump house 2',
+      widgets: [{ ...gauge, x: 4 }, chart],
+      revisionMessage: 'Add flow chart'
+    });
+  });
+
+  it('lists revisions newest first', async () => {
+    const res = await listRevisions(owner, dashboard.id);
+
+    expect(res.status).toBe(200);
+    expect(res.body.revisions.map(r => [r.id, r.name, r.widgetCount])).toEqual([
+      [2, 'Pump house 2', 2],
+      [1, 'Pump house', 1]
+    ]);
+    expect(res.body.revisions[0].message).toBe('Add flow chart');
+    expect(res.body.revisions[0].createdBy.email).toBe(owner.email);
+  });
+
+  it('returns the content of one revision', async () => {
+    const res = await request(app).get(`/api/dashboard/${dashboard.id}/revisions/1`).set(owner.auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.revision.widgets).toEqual([gauge]);
+  });
+
+  it('compares two revisions widget by widget', async () => {
+    const res = await request(app).get(`/api/dashboard/${dashboard.id}/revisions/diff`).set(owner.auth).query({ from: 1 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.diff).toMatchObject({
+      from: 1,
+      to: 2,
+      name: { from: 'Pump house', to: 'Pump house 2' },
+      widgets: {
+        added: [{ id: 'w2', type: 'chart', title: 'Flow' }],
+        removed: [],
+        moved: [{ id: 'w1', from: { x: 0 }, to: { x: 4 } }],
+        reconfigured: [],
+        unchanged: 0
+      }
+    });
+  });
+
+  it('requires a from revision to compare', async () => {
+    const res = await request(app).get(`/api/dashboard/${dashboard.id}/revisions/diff`).set(owner.auth);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('answers 404 for a missing revision', async () => {
+    const res = await request(app).get(`/api/dashboard/${dashboard.id}/revisions/99`).set(owner.auth);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('restores a revision as a new revision and keeps the history', async () => {
+    const res = await request(app).post(`/api/dashboard/${dashboard.id}/revisions/1/restore`).set(owner.auth).send({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.revision).toMatchObject({ id: 3, action: 'restore', restoredFrom: 1 });
+
+    const current = await request(app).get(`/api/dashboard/${dashboard.id}`).set(owner.auth);
+    expect(current.body.dashboard.name).toBe('Pump house');
+    expect(current.body.dashboard.widgets).toEqual([gauge]);
+    expect((await listRevisions(owner, dashboard.id)).body.revisions).toHaveLength(3);
+  });
+
+  it('rejects a restore based on an old version', async () => {
+    const res = await request(app).post(`/api/dashboard/${dashboard.id}/revisions/2/restore`).set(owner.auth).send({ version: 1 });
+
+    expect(res.status).toBe(409);
+  });
+
+  it('hides revisions from users without access', async () => {
+    expect((await listRevisions(stranger, dashboard.id)).status).toBe(403);
+    expect((await request(app).post(`/api/dashboard/${dashboard.id}/revisions/1/restore`).set(stranger.auth).send({})).status).toBe(403);
+  });
+});
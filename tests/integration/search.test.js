@@ -0,0 +1,89 @@
+const request = require('supertest');
+const { app, createUser, createDashboard, publishDashboard } = require('../helpers');
+
+const widget = (id, type, title, topic) => ({ id, type, title, x: 0, y: 0, w: 2, h: 2, config: { topic } });
+
+describe('searching and paging dashboards', () => {
+  let owner;
+  let other;
+
+  const list = (query = {}, user = owner) => request(app).get(`/api/dashboard/user/${user.id}`).set(user.auth).query(query);
+  const names = async query => (await list(query)).body.dashboards.map(d => d.name);
+
+  beforeAll(async () => {
+    owner = await createUser('searcher@example.com');
+    other = await createUser('search-other@example.com');
+
+    const boiler = await createDashboard(owner, { name: 'Boiler room', widgets: [widget('w1', 'gauge', 'Steam pressure', 'plant/steam')] });
+    await request(app).put(`/api/dashboard/${boiler.id}/tags`).set(owner.auth).send({ tags: ['Heating'] });
+    const chillerWidgets = [widget('w1', 'chart', 'Coolant flow', 'plant/coolant')];
+    const chiller = await createDashboard(owner, { name: 'Chiller', widgets: chillerWidgets });
+    await publishDashboard(owner, chiller, { widgets: chillerWidgets, passwordProtected: false });
+    await createDashboard(owner, { name: 'Air handling' });
+    await createDashboard(owner, { name: 'Boiler annex' });
+    await createDashboard(other, { name: 'Boiler elsewhere' });
+  });
+
+  it('finds dashboards by name and widget title prefixes, requiring every word', async () => {
+    expect(await names({ q: 'boil', sort: 'name' })).toEqual(['Boiler annex', 'Boiler room']);
+    expect(await names({ q: 'steam pres' })).toEqual(['Boiler room']);
+    expect(await names({ q: 'boiler steam' })).toEqual(['Boiler room']);
+    expect(await names({ q: 'boiler coolant' })).toEqual([]);
+  });
+
+  it('filters by widget type, topic, tag and published state', async () => {
+    expect(await names({ widgetType: 'chart' })).toEqual(['Chiller']);
+    expect(await names({ topic: 'plant/steam' })).toEqual(['Boiler room']);
+    expect(await names({ tag: 'HEATING' })).toEqual(['Boiler room']);
+    expect(await names({ published: true })).toEqual(['Chiller']);
+    expect(await names({ published: false, sort: 'name' })).toEqual(['Air handling', 'Boiler annex', 'Boiler room']);
+  });
+
+  it('only lists dashboards the caller can read', async () => {
+    expect(await names({ q: 'elsewhere' })).toEqual([]);
+    expect((await list({}, other)).body.total).toBe(1);
+    expect((await request(app).get(`/api/dashboard/user/${other.id}`).set(owner.auth)).status).toBe(403);
+  });
+
+  it('sorts by name in either order', async () => {
+    expect(await names({ sort: 'name' })).toEqual(['Air handling', 'Boiler annex', 'Boiler room', 'Chiller']);
+    expect(await names({ sort: 'name', order: 'desc' })).toEqual(['Chiller', 'Boiler room', 'Boiler annex', 'Air handling']);
+  });
+
+  it('pages through the results with a cursor', async () => {
+    const first = await list({ sort: 'name', limit: 3 });
+    expect(first.body.total).toBe(4);
+    expect(first.body.dashboards).toHaveLength(3);
+    expect(first.body.nextCursor).toEqual(expect.any(String));
+
+    // A dashboard added between pages does not shift the next page
+    await createDashboard(owner, { name: 'Aardvark' });
+
+    const second = await list({ sort: 'name', limit: 3, cursor: first.body.nextCursor });
+    expect(second.body.dashboards.map(d => d.name)).toEqual(['Chiller']);
+    expect(second.body.nextCursor).toBeNull();
+  });
+
+  it('picks up renames in the search index', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Compressor' });
+    await request(app)
+      .put(`/api/dashboard/update/${dashboard.id}`)
+      .set(owner.auth)
+      .send({ name: 'Turbine', widgets: [], version: dashboard.version });
+
+    expect(await names({ q: 'compressor' })).toEqual([]);
+    expect(await names({ q: 'turb' })).toEqual(['Turbine']);
+  });
+
+  it('rejects invalid cursors, sorts and page sizes', async () => {
+    const page = await list({ sort: 'name', limit: 1 });
+
+    const otherSort = await list({ sort: 'updated', cursor: page.body.nextCursor });
+    expect(otherSort.status).toBe(400);
+    expect(otherSort.body.error).toBe('Invalid cursor. Request the first page again.');
+
+    expect((await list({ cursor: 'not-a-cursor' })).status).toBe(400);
+    expect((await list({ sort: 'size' })).status).toBe(400);
+    expect((await list({ limit: 1000 })).status).toBe(400);
+  });
+});
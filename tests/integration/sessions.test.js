@@ -0,0 +1,98 @@
+const request = require('supertest');
+const { app, PASSWORD, createUser } = require('../helpers');
+
+const refresh = refreshToken => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+describe('POST /api/auth/refresh', () => {
+  it('rotates the refresh token', async () => {
+    const user = await createUser('rotate@example.com');
+
+    const res = await refresh(user.refreshToken);
+    expect(res.status).toBe(200);
+    expect(res.body.refreshToken).not.toBe(user.refreshToken);
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${res.body.accessToken}`);
+    expect(me.status).toBe(200);
+  });
+
+  it('revokes the session when an old refresh token is reused', async () => {
+    const user = await createUser('reuse@example.com');
+    const rotated = await refresh(user.refreshToken);
+
+    const reused = await refresh(user.refreshToken);
+    expect(reused.status).toBe(401);
+
+    // The legitimate holder of the rotated token is logged out too
+    const next = await refresh(rotated.body.refreshToken);
+    expect(next.status).toBe(401);
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${rotated.body.accessToken}`);
+    expect(me.status).toBe(401);
+  });
+
+  it('rejects a malformed refresh token', async () => {
+    const res = await refresh('not-a-token');
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid refresh token');
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  it('revokes the current session', async () => {
+    const user = await createUser('logout@example.com');
+
+    const res = await request(app).post('/api/auth/logout').set(user.auth);
+    expect(res.status).toBe(200);
+
+    const me = await request(app).get('/api/auth/me').set(user.auth);
+    expect(me.status).toBe(401);
+    expect((await refresh(user.refreshToken)).status).toBe(401);
+  });
+});
+
+describe('/api/auth/sessions', () => {
+  it('lists sessions and marks the current one', async () => {
+    const user = await createUser('list@example.com');
+    await request(app).post('/api/auth/login').send({ email: 'list@example.com', password: PASSWORD });
+
+    const res = await request(app).get('/api/auth/sessions').set(user.auth);
+    expect(res.status).toBe(200);
+    expect(res.body.sessions).toHaveLength(2);
+    expect(res.body.sessions.filter(session => session.current)).toHaveLength(1);
+  });
+
+  it('revokes another session by ID', async () => {
+    const user = await createUser('revoke@example.com');
+    const other = await request(app).post('/api/auth/login').send({ email: 'revoke@example.com', password: PASSWORD });
+
+    const { body } = await request(app).get('/api/auth/sessions').set(user.auth);
+    const otherSession = body.sessions.find(session => !session.current);
+
+    const res = await request(app).delete(`/api/auth/sessions/${otherSession.id}`).set(user.auth);
+    expect(res.status).toBe(200);
+
+    const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${other.body.accessToken}`);
+    expect(me.status).toBe(401);
+  });
+
+  it('hides other users\' sessions', async () => {
+    const owner = await createUser('owner@example.com');
+    const stranger = await createUser('stranger@example.com');
+
+    const { body } = await request(app).get('/api/auth/sessions').set(owner.auth);
+    const res = await request(app).delete(`/api/auth/sessions/${body.sessions[0].id}`).set(stranger.auth);
+    expect(res.status).toBe(404);
+  });
+
+  it('revokes every other session with keepCurrent=true', async () => {
+    const user = await createUser('all@example.com');
+    const other = await request(app).post('/api/auth/login').send({ email: 'all@example.com', password: PASSWORD });
+
+    const res = await request(app).delete('/api/auth/sessions?keepCurrent=true').set(user.auth);
+    expect(res.status).toBe(200);
+    expect(res.body.revoked).toBe(1);
+
+    expect((await request(app).get('/api/auth/me').set(user.auth)).status).toBe(200);
+    expect((await refresh(other.body.refreshToken)).status).toBe(401);
+  });
+});
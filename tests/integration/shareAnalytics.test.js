@@ -0,0 +1,67 @@
+const request = require('supertest');
+const { app, createUser, createDashboard, publishDashboard } = require('../helpers');
+
+const getShared = (shareableId, userAgent, query = {}) =>
+  request(app).get(`/api/dashboard/shared/${shareableId}`).set('User-Agent', userAgent).query(query);
+
+const getAnalytics = (user, dashboardId, query = {}) =>
+  request(app).get(`/api/dashboard/${dashboardId}/share/analytics`).set(user.auth).query(query);
+
+describe('share analytics', () => {
+  let owner;
+  let stranger;
+  let published;
+
+  beforeAll(async () => {
+    owner = await createUser('analytics-owner@example.com');
+    stranger = await createUser('analytics-stranger@example.com');
+    const dashboard = await createDashboard(owner, { name: 'Tracked' });
+    published = (await publishDashboard(owner, dashboard)).body.dashboard;
+
+    await getShared(published.shareableId, 'viewer-a');
+    await getShared(published.shareableId, 'viewer-a', { password: 'wrong-password' });
+    await getShared(published.shareableId, 'viewer-a', { password: published.sharePassword });
+    await getShared(published.shareableId, 'viewer-a', { password: published.sharePassword });
+    await getShared(published.shareableId, 'viewer-b', { password: published.sharePassword });
+    await request(app)
+      .post(`/api/dashboard/shared/${published.shareableId}/access`)
+      .send({ password: published.sharePassword });
+  });
+
+  it('counts views, unique viewers, unlocks and denied attempts', async () => {
+    const res = await getAnalytics(owner, published.id);
+
+    expect(res.status).toBe(200);
+    expect(res.body.analytics.totals).toMatchObject({
+      views: 3,
+      uniqueViewers: 2,
+      unlocks: 1,
+      failedPasswordAttempts: 1,
+      denied: 2
+    });
+    expect(res.body.analytics.daily).toHaveLength(1);
+    expect(res.body.analytics.daily[0].views).toBe(3);
+  });
+
+  it('lists recent events newest first with anonymized addresses', async () => {
+    const res = await getAnalytics(owner, published.id, { recent: 2 });
+    const [latest, previous] = res.body.analytics.recent;
+
+    expect(res.body.analytics.recent).toHaveLength(2);
+    expect(latest.outcome).toBe('unlock');
+    expect(previous).toMatchObject({ outcome: 'view', userAgent: 'viewer-b' });
+    expect(latest.ip).toBe('127.0.0.0');
+  });
+
+  it('only shows analytics to users who can publish the dashboard', async () => {
+    const res = await getAnalytics(stranger, published.id);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('rejects an out-of-range window', async () => {
+    const res = await getAnalytics(owner, published.id, { days: 0 });
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,71 @@
+const request = require('supertest');
+const { app, createUser, createDashboard, publishDashboard } = require('../helpers');
+
+const getShared = shareableId => request(app).get(`/api/dashboard/shared/${shareableId}`);
+
+const getShare = (user, dashboardId) => request(app).get(`/api/dashboard/${dashboardId}/share`).set(user.auth);
+
+const rename = async (user, dashboardId, name) => {
+  const current = await request(app).get(`/api/dashboard/${dashboardId}`).set(user.auth);
+  return request(app)
+    .put(`/api/dashboard/update/${dashboardId}`)
+    .set(user.auth)
+    .send({ name, widgets: [], version: current.body.dashboard.version });
+};
+
+describe('snapshot and live shares', () => {
+  let owner;
+
+  beforeAll(async () => {
+    owner = await createUser('share-modes@example.com');
+  });
+
+  const publish = async (name, mode) => {
+    const dashboard = await createDashboard(owner, { name });
+    return (await publishDashboard(owner, dashboard, { passwordProtected: false, mode })).body.dashboard;
+  };
+
+  it('keeps showing the published version of a snapshot until it is republished', async () => {
+    const published = await publish('Snapshot v1', 'snapshot');
+    await rename(owner, published.id, 'Snapshot v2');
+
+    expect((await getShared(published.shareableId)).body.dashboard.title).toBe('Snapshot v1');
+    expect((await getShare(owner, published.id)).body.share.outdated).toBe(true);
+
+    const listing = await request(app).get(`/api/dashboard/user/${owner.id}`).set(owner.auth);
+    const listed = listing.body.dashboards.find(d => d.id === published.id);
+    expect(listed.shareMode).toBe('snapshot');
+    expect(listed.shareOutdated).toBe(true);
+
+    const res = await request(app).post(`/api/dashboard/${published.id}/share/republish`).set(owner.auth);
+    expect(res.status).toBe(200);
+    expect(res.body.share.outdated).toBe(false);
+    expect((await getShared(published.shareableId)).body.dashboard.title).toBe('Snapshot v2');
+  });
+
+  it('shows the current dashboard on a live share', async () => {
+    const published = await publish('Live v1', 'live');
+    await rename(owner, published.id, 'Live v2');
+
+    expect((await getShared(published.shareableId)).body.dashboard.title).toBe('Live v2');
+    expect((await getShare(owner, published.id)).body.share.outdated).toBe(false);
+  });
+
+  it('freezes the current content when a live share switches to snapshot', async () => {
+    const published = await publish('Switch v1', 'live');
+    await rename(owner, published.id, 'Switch v2');
+
+    const res = await request(app).put(`/api/dashboard/${published.id}/share`).set(owner.auth).send({ mode: 'snapshot' });
+    expect(res.body.share.mode).toBe('snapshot');
+
+    await rename(owner, published.id, 'Switch v3');
+    expect((await getShared(published.shareableId)).body.dashboard.title).toBe('Switch v2');
+  });
+
+  it('rejects an unknown mode', async () => {
+    const published = await publish('Bad mode', 'snapshot');
+
+    const res = await request(app).put(`/api/dashboard/${published.id}/share`).set(owner.auth).send({ mode: 'stream' });
+    expect(res.status).toBe(400);
+  });
+});
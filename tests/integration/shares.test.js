@@ -0,0 +1,181 @@
+const request = require('supertest');
+const { app, storage, createUser, createDashboard, publishDashboard } = require('../helpers');
+
+const getShared = (shareableId, query = {}) => request(app).get(`/api/dashboard/shared/${shareableId}`).query(query);
+
+describe('publishing share links', () => {
+  let owner;
+
+  beforeAll(async () => {
+    owner = await createUser('publisher@example.com');
+  });
+
+  it('protects new shares with a generated password by default', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Protected' });
+    const { body } = await publishDashboard(owner, dashboard);
+
+    expect(body.dashboard.passwordProtected).toBe(true);
+    expect(body.dashboard.sharePassword).toEqual(expect.any(String));
+    expect((await getShared(body.dashboard.shareableId)).status).toBe(401);
+    expect((await getShared(body.dashboard.shareableId, { password: body.dashboard.sharePassword })).status).toBe(200);
+  });
+
+  it('publishes a public share when asked', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Public' });
+    const { body } = await publishDashboard(owner, dashboard, { passwordProtected: false });
+
+    expect(body.dashboard.passwordProtected).toBe(false);
+    expect(body.dashboard.sharePassword).toBeNull();
+    expect((await getShared(body.dashboard.shareableId)).status).toBe(200);
+  });
+
+  it('keeps a public share public when republished without the flag', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Still public' });
+    const first = (await publishDashboard(owner, dashboard, { passwordProtected: false })).body.dashboard;
+
+    const { body } = await publishDashboard(owner, first);
+    expect(body.dashboard.shareableId).toBe(first.shareableId);
+    expect(body.dashboard.passwordProtected).toBe(false);
+    expect(body.dashboard.sharePassword).toBeNull();
+    expect((await getShared(first.shareableId)).status).toBe(200);
+  });
+
+  it('keeps the password of a protected share when republished without the flag', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Same password' });
+    const first = (await publishDashboard(owner, dashboard)).body.dashboard;
+
+    const { body } = await publishDashboard(owner, first);
+    expect(body.dashboard.passwordProtected).toBe(true);
+    expect(body.dashboard.sharePassword).toBeNull();
+    expect((await getShared(first.shareableId, { password: first.sharePassword })).status).toBe(200);
+  });
+
+  it('switches protection on when the flag is sent', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Now protected' });
+    const first = (await publishDashboard(owner, dashboard, { passwordProtected: false })).body.dashboard;
+
+    const { body } = await publishDashboard(owner, first, { passwordProtected: true });
+    expect(body.dashboard.sharePassword).toEqual(expect.any(String));
+    expect((await getShared(first.shareableId)).status).toBe(401);
+  });
+
+  it('validates published widgets like a save', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Checked widgets' });
+
+    const res = await publishDashboard(owner, dashboard, { widgets: [{ id: 'w1', type: 'gauge' }] });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('"widgets[0].x" is required');
+    expect(storage.dashboards.get(dashboard.id).isPublished).toBeFalsy();
+
+    const badLayout = await publishDashboard(owner, dashboard, { layout: 'grid' });
+    expect(badLayout.status).toBe(400);
+  });
+
+  it('ignores a topic ID sent by the client', async () => {
+    const other = await createDashboard(owner, { name: 'Someone else\'s topic' });
+    const dashboard = await createDashboard(owner, { name: 'Own topic' });
+
+    const first = (await publishDashboard(owner, dashboard, { topicId: other.id })).body.dashboard;
+    expect(first.topicId).not.toBe(other.id);
+
+    const again = (await publishDashboard(owner, first, { topicId: 'plant/boiler' })).body.dashboard;
+    expect(again.topicId).toBe(first.topicId);
+    expect(storage.dashboards.get(dashboard.id).topicId).toBe(first.topicId);
+  });
+});
+
+describe('managing share links', () => {
+  let owner;
+  let stranger;
+
+  beforeAll(async () => {
+    owner = await createUser('share-manager@example.com');
+    stranger = await createUser('share-stranger@example.com');
+  });
+
+  const publishPublic = async (name, fields = {}) => {
+    const dashboard = await createDashboard(owner, { name });
+    return (await publishDashboard(owner, dashboard, { passwordProtected: false, ...fields })).body.dashboard;
+  };
+
+  it('stops serving a share once it is unpublished', async () => {
+    const published = await publishPublic('Unpublished');
+
+    const res = await request(app).post(`/api/dashboard/${published.id}/unpublish`).set(owner.auth);
+    expect(res.status).toBe(200);
+    expect((await getShared(published.shareableId)).status).toBe(404);
+    expect((await request(app).get(`/api/dashboard/${published.id}/share`).set(owner.auth)).status).toBe(409);
+  });
+
+  it('answers 410 once the view limit is reached and serves again after a reset', async () => {
+    const published = await publishPublic('Limited', { maxViews: 2 });
+
+    expect((await getShared(published.shareableId)).status).toBe(200);
+    expect((await getShared(published.shareableId)).status).toBe(200);
+    expect((await getShared(published.shareableId)).status).toBe(410);
+
+    const settings = await request(app)
+      .put(`/api/dashboard/${published.id}/share`)
+      .set(owner.auth)
+      .send({ resetViewCount: true });
+    expect(settings.body.share.viewCount).toBe(0);
+    expect(settings.body.share.available).toBe(true);
+    expect((await getShared(published.shareableId)).status).toBe(200);
+  });
+
+  it('answers 410 for an expired share', async () => {
+    const published = await publishPublic('Expiring', { expiresAt: new Date(Date.now() + 60000).toISOString() });
+    storage.sharedDashboards.get(published.shareableId).expiresAt = new Date(Date.now() - 1000).toISOString();
+
+    const res = await getShared(published.shareableId);
+    expect(res.status).toBe(410);
+    expect(res.body.error).toBe('This shared link has expired');
+  });
+
+  it('rejects an expiry in the past', async () => {
+    const published = await publishPublic('Past expiry');
+
+    const res = await request(app)
+      .put(`/api/dashboard/${published.id}/share`)
+      .set(owner.auth)
+      .send({ expiresAt: new Date(Date.now() - 60000).toISOString() });
+    expect(res.status).toBe(400);
+  });
+
+  it('moves the share to a new link when the link is rotated', async () => {
+    const published = await publishPublic('Rotated link');
+
+    const res = await request(app).post(`/api/dashboard/${published.id}/share/rotate-link`).set(owner.auth);
+    expect(res.status).toBe(200);
+    expect(res.body.share.shareableId).not.toBe(published.shareableId);
+    expect((await getShared(published.shareableId)).status).toBe(404);
+    expect((await getShared(res.body.share.shareableId)).status).toBe(200);
+  });
+
+  it('invalidates the old password and viewer tokens when the password is rotated', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Rotated password' });
+    const published = (await publishDashboard(owner, dashboard)).body.dashboard;
+    const access = await request(app)
+      .post(`/api/dashboard/shared/${published.shareableId}/access`)
+      .send({ password: published.sharePassword });
+    const { viewerToken } = access.body;
+
+    const res = await request(app).post(`/api/dashboard/${published.id}/share/rotate-password`).set(owner.auth);
+    expect(res.status).toBe(200);
+
+    expect((await getShared(published.shareableId).set('X-Share-Token', viewerToken)).status).toBe(401);
+    expect((await getShared(published.shareableId, { password: published.sharePassword })).status).toBe(401);
+    expect((await getShared(published.shareableId, { password: res.body.sharePassword })).status).toBe(200);
+  });
+
+  it('only lets the owner change share settings', async () => {
+    const published = await publishPublic('Not yours');
+
+    const res = await request(app)
+      .put(`/api/dashboard/${published.id}/share`)
+      .set(stranger.auth)
+      .send({ maxViews: 1 });
+    expect(res.status).toBe(403);
+    expect((await request(app).post(`/api/dashboard/${published.id}/unpublish`).set(stranger.auth)).status).toBe(403);
+  });
+});
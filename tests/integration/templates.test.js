@@ -0,0 +1,174 @@
+const request = require('supertest');
+const { app, storage, createUser, createDashboard } = require('../helpers');
+
+const SOURCE_ID = '482913570246813';
+
+const sensor = topicId => ({ id: 'temp', type: 'gauge', title: 'Temperature', x: 0, y: 0, w: 2, h: 2, config: { topic: `${topicId}/temperature` } });
+
+const createOrganization = async (owner, members = {}) => {
+  const res = await request(app).post('/api/orgs').set(owner.auth).send({ name: 'Template Works' });
+  const orgId = res.body.organization.id;
+  for (const [role, member] of Object.entries(members)) {
+    await request(app).post(`/api/orgs/${orgId}/members`).set(owner.auth).send({ email: member.email, role });
+  }
+  return orgId;
+};
+
+describe('cloning dashboards', () => {
+  let owner;
+  let viewer;
+  let stranger;
+  let source;
+
+  beforeAll(async () => {
+    owner = await createUser('clone-owner@example.com');
+    viewer = await createUser('clone-viewer@example.com');
+    stranger = await createUser('clone-stranger@example.com');
+    source = await createDashboard(owner, { id: SOURCE_ID, name: 'Cold store', widgets: [sensor(SOURCE_ID)] });
+    const invite = await request(app).post(`/api/dashboard/${source.id}/invites`).set(owner.auth).send({ email: viewer.email, access: 'view' });
+    await request(app).post(`/api/dashboard/invites/${invite.body.invite.id}/accept`).set(viewer.auth);
+  });
+
+  it('copies the content under a new topic ID for the caller', async () => {
+    const res = await request(app).post(`/api/dashboard/${source.id}/clone`).set(viewer.auth).send({});
+
+    expect(res.status).toBe(201);
+    const { id, topicId } = res.body.dashboard;
+    expect(id).not.toBe(source.id);
+    expect(res.body.dashboard.name).toBe('Copy of Cold store');
+
+    const copy = storage.dashboards.get(id);
+    expect(copy).toMatchObject({ userId: viewer.id, orgId: null, isPublished: false, collaborators: [] });
+    expect(copy.widgets[0].config.topic).toBe(`${topicId}/temperature`);
+    expect(storage.dashboards.get(source.id).widgets[0].config.topic).toBe(`${SOURCE_ID}/temperature`);
+  });
+
+  it('only rewrites topics, not other text that contains the topic ID', async () => {
+    const labelledId = '482913570246814';
+    const labelled = { ...sensor(labelledId), title: `Sensor ${labelledId}` };
+    const dashboard = await createDashboard(owner, { id: labelledId, name: 'Labelled', widgets: [labelled] });
+
+    const res = await request(app).post(`/api/dashboard/${dashboard.id}/clone`).set(owner.auth).send({});
+
+    const [widget] = storage.dashboards.get(res.body.dashboard.id).widgets;
+    expect(widget.title).toBe(`Sensor ${labelledId}`);
+    expect(widget.config.topic).toBe(`${res.body.dashboard.topicId}/temperature`);
+  });
+
+  it('needs read access to the source', async () => {
+    expect((await request(app).post(`/api/dashboard/${source.id}/clone`).set(stranger.auth).send({})).status).toBe(403);
+    expect((await request(app).post('/api/dashboard/999999999999999/clone').set(owner.auth).send({})).status).toBe(404);
+  });
+
+  it('needs a write role to clone into an organization', async () => {
+    const orgId = await createOrganization(owner, { viewer });
+
+    const denied = await request(app).post(`/api/dashboard/${source.id}/clone`).set(viewer.auth).send({ orgId });
+    expect(denied.status).toBe(403);
+
+    const res = await request(app).post(`/api/dashboard/${source.id}/clone`).set(owner.auth).send({ name: 'Org copy', orgId });
+    expect(res.status).toBe(201);
+    expect(res.body.dashboard).toMatchObject({ name: 'Org copy', orgId });
+  });
+});
+
+describe('dashboard templates', () => {
+  let owner;
+  let member;
+  let stranger;
+  let orgId;
+
+  beforeAll(async () => {
+    owner = await createUser('template-owner@example.com');
+    member = await createUser('template-member@example.com');
+    stranger = await createUser('template-stranger@example.com');
+    orgId = await createOrganization(owner, { viewer: member });
+  });
+
+  const saveTemplate = (user, dashboardId, body) =>
+    request(app).post(`/api/dashboard/${dashboardId}/template`).set(user.auth).send(body);
+
+  const instantiate = (user, templateId, body = {}) =>
+    request(app).post(`/api/dashboard/templates/${templateId}/instantiate`).set(user.auth).send(body);
+
+  it('lists built-in templates for everyone', async () => {
+    const res = await request(app).get('/api/dashboard/templates').set(stranger.auth).query({ scope: 'builtin' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.templates.map(t => t.id)).toContain('builtin-environment-monitor');
+    expect(res.body.templates.every(t => t.placeholders.includes('topicId'))).toBe(true);
+  });
+
+  it('fills the topic placeholder with the new dashboard topic ID', async () => {
+    const res = await instantiate(stranger, 'builtin-environment-monitor', { name: 'Greenhouse' });
+
+    expect(res.status).toBe(201);
+    const dashboard = storage.dashboards.get(res.body.dashboard.id);
+    expect(dashboard.name).toBe('Greenhouse');
+    expect(dashboard.widgets[0].config.topic).toBe(`${res.body.dashboard.topicId}/temperature`);
+  });
+
+  it('saves a dashboard as a personal template with its topic ID as a placeholder', async () => {
+    const dashboard = await createDashboard(owner, { id: '731904628150394', name: 'Freezer', widgets: [sensor('731904628150394')] });
+
+    const res = await saveTemplate(owner, dashboard.id, { name: 'Freezer template' });
+    expect(res.status).toBe(201);
+    expect(res.body.template).toMatchObject({ scope: 'personal', placeholders: ['topicId'] });
+
+    const template = await request(app).get(`/api/dashboard/templates/${res.body.template.id}`).set(owner.auth);
+    expect(template.body.template.widgets[0].config.topic).toBe('{{topicId}}/temperature');
+
+    expect((await request(app).get(`/api/dashboard/templates/${res.body.template.id}`).set(stranger.auth)).status).toBe(404);
+  });
+
+  it('keeps widget titles that contain the topic ID when saving a template', async () => {
+    const dashboard = await createDashboard(owner, {
+      id: '731904628150395',
+      name: 'Labelled freezer',
+      widgets: [{ ...sensor('731904628150395'), title: 'Freezer 731904628150395' }]
+    });
+
+    const res = await saveTemplate(owner, dashboard.id, { name: 'Labelled template' });
+
+    const template = await request(app).get(`/api/dashboard/templates/${res.body.template.id}`).set(owner.auth);
+    expect(template.body.template.widgets[0]).toMatchObject({ title: 'Freezer 731904628150395', config: { topic: '{{topicId}}/temperature' } });
+  });
+
+  it('requires values for custom placeholders', async () => {
+    const dashboard = await createDashboard(owner, {
+      name: 'Site meter',
+      widgets: [{ ...sensor('x'), config: { topic: '{{site}}/meter' } }]
+    });
+    const { body } = await saveTemplate(owner, dashboard.id, { name: 'Site template' });
+
+    const missing = await instantiate(owner, body.template.id);
+    expect(missing.status).toBe(400);
+    expect(missing.body.missingPlaceholders).toEqual(['site']);
+
+    const res = await instantiate(owner, body.template.id, { placeholders: { site: 'plant-2' } });
+    expect(res.status).toBe(201);
+    expect(storage.dashboards.get(res.body.dashboard.id).widgets[0].config.topic).toBe('plant-2/meter');
+  });
+
+  it('shares organization templates with members and lets only owners or creators delete them', async () => {
+    const personal = await createDashboard(owner, { name: 'Personal' });
+    expect((await saveTemplate(owner, personal.id, { name: 'Nope', scope: 'org' })).status).toBe(403);
+
+    const orgDashboard = await createDashboard(owner, { name: 'Org board', orgId });
+    expect((await saveTemplate(member, orgDashboard.id, { name: 'Viewer template', scope: 'org' })).status).toBe(403);
+
+    const { body } = await saveTemplate(owner, orgDashboard.id, { name: 'Org template', scope: 'org' });
+    const listed = await request(app).get('/api/dashboard/templates').set(member.auth).query({ scope: 'org' });
+    expect(listed.body.templates.map(t => t.id)).toEqual([body.template.id]);
+    expect((await request(app).get(`/api/dashboard/templates/${body.template.id}`).set(stranger.auth)).status).toBe(404);
+
+    expect((await request(app).delete(`/api/dashboard/templates/${body.template.id}`).set(member.auth)).status).toBe(403);
+    expect((await request(app).delete(`/api/dashboard/templates/${body.template.id}`).set(owner.auth)).status).toBe(200);
+  });
+
+  it('does not delete built-in templates', async () => {
+    const res = await request(app).delete('/api/dashboard/templates/builtin-device-control').set(owner.auth);
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,78 @@
+const request = require('supertest');
+const { app, PASSWORD, createUser } = require('../helpers');
+const { generateHOTP, currentStep } = require('../../src/utils/totp');
+
+const login = (email, codes = {}) => request(app).post('/api/auth/login').send({ email, password: PASSWORD, ...codes });
+
+// Enrolls the user; returns the secret and recovery codes
+const enableTwoFactor = async (user) => {
+  const setup = await request(app).post('/api/auth/2fa/setup').set(user.auth).send({ password: PASSWORD });
+  const { secret } = setup.body;
+  const enable = await request(app)
+    .post('/api/auth/2fa/enable')
+    .set(user.auth)
+    .send({ totpCode: generateHOTP(secret, currentStep()) });
+  return { secret, recoveryCodes: enable.body.recoveryCodes };
+};
+
+describe('two-factor authentication', () => {
+  it('requires the account password to start enrollment', async () => {
+    const user = await createUser('setup@example.com');
+
+    const res = await request(app).post('/api/auth/2fa/setup').set(user.auth).send({ password: 'wrong-password' });
+    expect(res.status).toBe(401);
+  });
+
+  it('does not enable 2FA for a wrong code', async () => {
+    const user = await createUser('badcode@example.com');
+    await request(app).post('/api/auth/2fa/setup').set(user.auth).send({ password: PASSWORD });
+
+    const res = await request(app).post('/api/auth/2fa/enable').set(user.auth).send({ totpCode: '000000' });
+    expect(res.status).toBe(400);
+    expect((await login('badcode@example.com')).status).toBe(200);
+  });
+
+  it('asks for a code at login once enabled', async () => {
+    const user = await createUser('enabled@example.com');
+    const { secret, recoveryCodes } = await enableTwoFactor(user);
+    expect(recoveryCodes.length).toBeGreaterThan(0);
+
+    const withoutCode = await login('enabled@example.com');
+    expect(withoutCode.status).toBe(401);
+    expect(withoutCode.body.twoFactorRequired).toBe(true);
+
+    const withCode = await login('enabled@example.com', { totpCode: generateHOTP(secret, currentStep() + 1) });
+    expect(withCode.status).toBe(200);
+    expect(withCode.body.user.twoFactorEnabled).toBe(true);
+  });
+
+  it('rejects a code that was already used', async () => {
+    const user = await createUser('replay@example.com');
+    const { secret } = await enableTwoFactor(user);
+
+    // The enrollment code is spent
+    const res = await login('replay@example.com', { totpCode: generateHOTP(secret, currentStep()) });
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid two-factor authentication code');
+  });
+
+  it('accepts each recovery code once', async () => {
+    const user = await createUser('recovery@example.com');
+    const { recoveryCodes } = await enableTwoFactor(user);
+
+    expect((await login('recovery@example.com', { recoveryCode: recoveryCodes[0] })).status).toBe(200);
+    expect((await login('recovery@example.com', { recoveryCode: recoveryCodes[0] })).status).toBe(401);
+  });
+
+  it('disables 2FA with the password and a recovery code', async () => {
+    const user = await createUser('disable@example.com');
+    const { recoveryCodes } = await enableTwoFactor(user);
+
+    const res = await request(app)
+      .post('/api/auth/2fa/disable')
+      .set(user.auth)
+      .send({ password: PASSWORD, recoveryCode: recoveryCodes[1] });
+    expect(res.status).toBe(200);
+    expect((await login('disable@example.com')).status).toBe(200);
+  });
+});
@@ -0,0 +1,59 @@
+const request = require('supertest');
+const { app, PASSWORD, lastEmail } = require('../helpers');
+
+const tokenFrom = link => new URL(link).searchParams.get('token');
+
+// Signs up without verifying and logs in
+const signUp = async (email) => {
+  await request(app).post('/api/auth/signup').send({ email, password: PASSWORD });
+  const login = await request(app).post('/api/auth/login').send({ email, password: PASSWORD });
+  return { auth: { Authorization: `Bearer ${login.body.accessToken}` }, user: login.body.user };
+};
+
+describe('email verification', () => {
+  it('sends a verification link at signup', async () => {
+    await signUp('verify@example.com');
+
+    expect(tokenFrom(lastEmail('verification', 'verify@example.com').link)).toEqual(expect.any(String));
+  });
+
+  it('verifies the address with the emailed token, once', async () => {
+    const { auth } = await signUp('once@example.com');
+    const token = tokenFrom(lastEmail('verification', 'once@example.com').link);
+
+    const res = await request(app).post('/api/auth/verify-email').send({ token });
+    expect(res.status).toBe(200);
+    expect((await request(app).get('/api/auth/me').set(auth)).body.user.emailVerified).toBe(true);
+
+    expect((await request(app).post('/api/auth/verify-email').send({ token })).status).toBe(400);
+  });
+
+  it('rejects an unknown token', async () => {
+    const res = await request(app).post('/api/auth/verify-email').send({ token: 'made-up' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('keeps unverified users from publishing', async () => {
+    const { auth } = await signUp('unverified@example.com');
+    const saved = await request(app).post('/api/dashboard/save').set(auth).send({ name: 'Draft', widgets: [] });
+
+    const res = await request(app)
+      .post('/api/dashboard/publish')
+      .set(auth)
+      .send({ id: saved.body.dashboard.id, name: 'Draft', widgets: [], version: saved.body.dashboard.version });
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Please verify your email address first');
+  });
+
+  it('invalidates the previous link when a new one is requested', async () => {
+    const { auth } = await signUp('resend@example.com');
+    const first = tokenFrom(lastEmail('verification', 'resend@example.com').link);
+
+    expect((await request(app).post('/api/auth/resend-verification').set(auth)).status).toBe(200);
+    const second = tokenFrom(lastEmail('verification', 'resend@example.com').link);
+
+    expect((await request(app).post('/api/auth/verify-email').send({ token: first })).status).toBe(400);
+    expect((await request(app).post('/api/auth/verify-email').send({ token: second })).status).toBe(200);
+  });
+});
@@ -0,0 +1,89 @@
+const request = require('supertest');
+const { app, createUser, createDashboard } = require('../helpers');
+
+const get = (user, dashboardId) => request(app).get(`/api/dashboard/${dashboardId}`).set(user.auth);
+
+const put = (user, dashboardId, body, ifMatch) => {
+  const req = request(app).put(`/api/dashboard/update/${dashboardId}`).set(user.auth);
+  if (ifMatch) req.set('If-Match', ifMatch);
+  return req.send({ widgets: [], ...body });
+};
+
+describe('dashboard versions and ETags', () => {
+  let owner;
+
+  beforeAll(async () => {
+    owner = await createUser('versions@example.com');
+  });
+
+  it('sends the version as an ETag', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Tagged' });
+
+    const res = await get(owner, dashboard.id);
+    expect(res.headers.etag).toBe(`"${dashboard.version}"`);
+    expect(res.body.dashboard.version).toBe(dashboard.version);
+  });
+
+  it('answers 428 when an update does not say which version it is based on', async () => {
+    const dashboard = await createDashboard(owner, { name: 'No precondition' });
+
+    const res = await put(owner, dashboard.id, { name: 'Changed' });
+    expect(res.status).toBe(428);
+    expect(res.body.currentVersion).toBe(dashboard.version);
+  });
+
+  it('applies an update based on the current version and bumps it', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Current' });
+
+    const res = await put(owner, dashboard.id, { name: 'Current 2' }, `"${dashboard.version}"`);
+    expect(res.status).toBe(200);
+    expect(res.body.dashboard.version).toBe(dashboard.version + 1);
+    expect(res.headers.etag).toBe(`"${dashboard.version + 1}"`);
+  });
+
+  it('accepts weak ETags, lists and the wildcard', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Loose' });
+
+    expect((await put(owner, dashboard.id, { name: 'Weak' }, `W/"${dashboard.version}"`)).status).toBe(200);
+    expect((await put(owner, dashboard.id, { name: 'List' }, `"99", "${dashboard.version + 1}"`)).status).toBe(200);
+    expect((await put(owner, dashboard.id, { name: 'Any' }, '*')).status).toBe(200);
+  });
+
+  it('rejects a concurrent update with 409 and the current version', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Contended' });
+    const staleTag = `"${dashboard.version}"`;
+
+    expect((await put(owner, dashboard.id, { name: 'First writer' }, staleTag)).status).toBe(200);
+
+    const res = await put(owner, dashboard.id, { name: 'Second writer' }, staleTag);
+    expect(res.status).toBe(409);
+    expect(res.body.currentVersion).toBe(dashboard.version + 1);
+    expect(res.headers.etag).toBe(`"${dashboard.version + 1}"`);
+    expect((await get(owner, dashboard.id)).body.dashboard.name).toBe('First writer');
+  });
+
+  it('checks the version field like If-Match', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Body version' });
+
+    expect((await put(owner, dashboard.id, { name: 'Stale', version: dashboard.version + 5 })).status).toBe(409);
+    expect((await put(owner, dashboard.id, { name: 'Fresh', version: dashboard.version })).status).toBe(200);
+  });
+
+  it('lets /save overwrite without a version but not with a stale one', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Saved' });
+    const save = body => request(app).post('/api/dashboard/save').set(owner.auth).send({ id: dashboard.id, widgets: [], ...body });
+
+    expect((await save({ name: 'Saved 2' })).status).toBe(200);
+    expect((await save({ name: 'Saved 3', version: dashboard.version })).status).toBe(409);
+  });
+
+  it('requires a version to delete', async () => {
+    const dashboard = await createDashboard(owner, { name: 'Doomed' });
+    const del = () => request(app).delete(`/api/dashboard/${dashboard.id}`).set(owner.auth);
+
+    expect((await del()).status).toBe(428);
+    expect((await del().set('If-Match', '"99"')).status).toBe(409);
+    expect((await del().set('If-Match', `"${dashboard.version}"`)).status).toBe(200);
+    expect((await get(owner, dashboard.id)).status).toBe(404);
+  });
+});
@@ -0,0 +1,194 @@
+const request = require('supertest');
+const WebSocket = require('ws');
+const { app, storage, createUser, createDashboard, publishDashboard, listen } = require('../helpers');
+const mqttService = require('../../src/services/mqttService');
+const wsService = require('../../src/services/wsService');
+
+const widget = (id, topic) => ({ id, type: 'gauge', x: 0, y: 0, w: 2, h: 2, config: { topic } });
+const WIDGETS = [widget('w1', 'plant/boiler/temp'), widget('w2', 'plant/chiller/temp')];
+
+let server;
+let wsUrl;
+
+beforeAll(async () => {
+  ({ server, url: wsUrl } = await listen());
+});
+
+afterAll(async () => {
+  // Sockets a failing test left open would keep the server from closing
+  wsService.wss.clients.forEach(client => client.terminate());
+  await new Promise(resolve => server.close(resolve));
+});
+
+// Opens a socket; resolves once it is open, or with the close code if the server rejects it
+const connect = query => new Promise((resolve) => {
+  const socket = new WebSocket(`${wsUrl}?${new URLSearchParams(query)}`);
+  const messages = [];
+  socket.on('message', data => messages.push(JSON.parse(data.toString())));
+  socket.on('open', () => setTimeout(() => {
+    if (socket.readyState === WebSocket.OPEN) resolve({ socket, messages });
+  }, 50));
+  socket.on('close', code => resolve({ closedWith: code }));
+});
+
+// Resolves with the close code once the server closes an open socket
+const closed = socket => new Promise(resolve => socket.on('close', code => resolve(code)));
+
+// Publishes MQTT messages through the bridge, ending with a marker topic every socket may receive,
+// and returns the topics the socket got before the marker
+const deliver = async ({ socket, messages }, topics, marker) => {
+  topics.concat(marker).forEach(topic => mqttService.emit('message', { topic, data: 1 }));
+  await new Promise(resolve => setTimeout(resolve, 100));
+  socket.close();
+  expect(messages.map(message => message.topic)).toContain(marker);
+  return messages.map(message => message.topic).filter(topic => topic !== marker);
+};
+
+describe('WebSocket handshake', () => {
+  let owner;
+  let publicShare;
+  let protectedShare;
+  let protectedDashboard;
+
+  beforeAll(async () => {
+    owner = await createUser('ws-owner@example.com');
+    const publicDashboard = await createDashboard(owner, { name: 'Public', widgets: WIDGETS });
+    publicShare = (await publishDashboard(owner, publicDashboard, { widgets: WIDGETS, passwordProtected: false })).body.dashboard;
+    protectedDashboard = await createDashboard(owner, { name: 'Protected', widgets: WIDGETS });
+    protectedShare = (await publishDashboard(owner, protectedDashboard, { widgets: WIDGETS })).body.dashboard;
+  });
+
+  it('rejects sockets without an access token or share', async () => {
+    const result = await connect({ topics: 'plant/boiler/temp' });
+
+    expect(result.closedWith).toBe(4401);
+  });
+
+  it('rejects protected shares without a viewer or embed token', async () => {
+    expect((await connect({ share: protectedShare.shareableId })).closedWith).toBe(4401);
+    expect((await connect({ share: protectedShare.shareableId, embed: 'forged' })).closedWith).toBe(4401);
+  });
+
+  it('gives signed-in users the topics of the dashboards they can read', async () => {
+    const stranger = await createUser('ws-stranger@example.com');
+    const strangers = await createDashboard(stranger, { name: 'Not yours' });
+    const client = await connect({ token: owner.accessToken });
+    const own = `${protectedShare.topicId}/temp`;
+
+    expect(await deliver(client, ['factory/other', `${strangers.id}/temp`, own], `${publicShare.topicId}/temp`)).toEqual([own]);
+  });
+
+  it('stops delivering a topic once the user loses access to its dashboard', async () => {
+    const member = await createUser('ws-member@example.com');
+    const invite = await request(app).post(`/api/dashboard/${protectedDashboard.id}/invites`).set(owner.auth).send({ email: member.email, access: 'view' });
+    await request(app).post(`/api/dashboard/invites/${invite.body.invite.id}/accept`).set(member.auth);
+    const client = await connect({ token: member.accessToken, topics: `${protectedShare.topicId}/temp` });
+
+    mqttService.emit('message', { topic: `${protectedShare.topicId}/temp`, data: 1 });
+    storage.dashboards.get(protectedDashboard.id).collaborators = [];
+    mqttService.emit('message', { topic: `${protectedShare.topicId}/temp`, data: 2 });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    client.socket.close();
+
+    expect(client.messages.map(message => message.data)).toEqual([1]);
+  });
+
+  it('limits share viewers to the topics of the shared widgets', async () => {
+    const client = await connect({ share: publicShare.shareableId });
+
+    expect(await deliver(client, ['factory/other', 'plant/chiller/temp'], 'plant/boiler/temp')).toEqual(['plant/chiller/temp']);
+  });
+
+  it('ignores subscriptions to topics outside the share', async () => {
+    const client = await connect({ share: publicShare.shareableId, topics: 'factory/other,plant/boiler/temp' });
+    client.socket.send(JSON.stringify({ action: 'subscribe', topic: 'factory/secret' }));
+
+    expect(await deliver(client, ['factory/other', 'factory/secret'], 'plant/boiler/temp')).toEqual([]);
+  });
+
+  it('limits embed sockets to the widgets of the embed token', async () => {
+    const embed = await request(app)
+      .post(`/api/dashboard/${protectedDashboard.id}/share/embed`)
+      .set(owner.auth)
+      .send({ widgetIds: ['w1'] });
+    const client = await connect({ share: protectedShare.shareableId, embed: embed.body.embedToken });
+
+    expect(await deliver(client, ['plant/chiller/temp'], 'plant/boiler/temp')).toEqual([]);
+  });
+});
+
+describe('share sockets after the share changes', () => {
+  let owner;
+
+  beforeAll(async () => {
+    owner = await createUser('ws-share-owner@example.com');
+  });
+
+  const publish = async (fields) => {
+    const dashboard = await createDashboard(owner, { name: 'Changing', widgets: WIDGETS });
+    const share = (await publishDashboard(owner, dashboard, { widgets: WIDGETS, ...fields })).body.dashboard;
+    return { dashboard, share };
+  };
+
+  const viewerToken = async (share) => {
+    const res = await request(app).post(`/api/dashboard/shared/${share.shareableId}/access`).send({ password: share.sharePassword });
+    return res.body.viewerToken;
+  };
+
+  it('closes viewer sockets when the dashboard is unpublished', async () => {
+    const { dashboard, share } = await publish({ passwordProtected: false });
+    const client = await connect({ share: share.shareableId });
+
+    await request(app).post(`/api/dashboard/${dashboard.id}/unpublish`).set(owner.auth);
+
+    expect(await closed(client.socket)).toBe(4410);
+  });
+
+  it('closes viewer sockets on the old link when the link is rotated', async () => {
+    const { dashboard, share } = await publish({ passwordProtected: false });
+    const client = await connect({ share: share.shareableId });
+
+    await request(app).post(`/api/dashboard/${dashboard.id}/share/rotate-link`).set(owner.auth);
+
+    expect(await closed(client.socket)).toBe(4410);
+  });
+
+  it('closes sockets opened with the old password when the password is rotated', async () => {
+    const { dashboard, share } = await publish({});
+    const viewer = await connect({ share: share.shareableId, shareToken: await viewerToken(share) });
+    const embed = await request(app).post(`/api/dashboard/${dashboard.id}/share/embed`).set(owner.auth).send({});
+    const embedded = await connect({ share: share.shareableId, embed: embed.body.embedToken });
+
+    await request(app).post(`/api/dashboard/${dashboard.id}/share/rotate-password`).set(owner.auth);
+
+    expect(await closed(viewer.socket)).toBe(4410);
+    // Embed tokens do not depend on the password
+    expect(embedded.socket.readyState).toBe(WebSocket.OPEN);
+    embedded.socket.close();
+  });
+
+  it('closes embed sockets when embed tokens are revoked', async () => {
+    const { dashboard, share } = await publish({ passwordProtected: false });
+    const embed = await request(app).post(`/api/dashboard/${dashboard.id}/share/embed`).set(owner.auth).send({});
+    const embedded = await connect({ share: share.shareableId, embed: embed.body.embedToken });
+    const viewer = await connect({ share: share.shareableId });
+
+    await request(app).post(`/api/dashboard/${dashboard.id}/share/embed/revoke`).set(owner.auth);
+
+    expect(await closed(embedded.socket)).toBe(4410);
+    expect(viewer.socket.readyState).toBe(WebSocket.OPEN);
+    viewer.socket.close();
+  });
+
+  it('re-checks the share before every message', async () => {
+    const { share } = await publish({ passwordProtected: false });
+    const client = await connect({ share: share.shareableId });
+    const closing = closed(client.socket);
+
+    storage.sharedDashboards.get(share.shareableId).expiresAt = new Date(Date.now() - 1000).toISOString();
+    mqttService.emit('message', { topic: 'plant/boiler/temp', data: 1 });
+
+    expect(await closing).toBe(4410);
+    expect(client.messages).toEqual([]);
+  });
+});
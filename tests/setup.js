@@ -0,0 +1,10 @@
+// Test environment: no background sweeper, no reachable MQTT broker, and
+// rate limits high enough that a test file never trips them
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.MAINTENANCE_ENABLED = 'false';
+process.env.MQTT_HOST = '127.0.0.1';
+process.env.MQTT_PORT = '1';
+process.env.RATE_LIMIT_MAX_REQUESTS = '1000';
+process.env.AUTH_RATE_LIMIT_MAX_REQUESTS = '1000';
+process.env.GENERAL_RATE_LIMIT_MAX_REQUESTS = '10000';
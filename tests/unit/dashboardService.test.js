@@ -0,0 +1,36 @@
+const { parseIfMatch, checkDashboardVersion } = require('../../src/services/dashboardService');
+
+describe('parseIfMatch', () => {
+  it('returns null when the header is missing or blank', () => {
+    expect(parseIfMatch(undefined)).toBeNull();
+    expect(parseIfMatch('  ')).toBeNull();
+  });
+
+  it('reads strong, weak and unquoted versions', () => {
+    expect(parseIfMatch('"3", W/"4", 5')).toEqual({ any: false, versions: [3, 4, 5] });
+  });
+
+  it('recognizes the wildcard and ignores tags that are not versions', () => {
+    expect(parseIfMatch('*, "abc"')).toEqual({ any: true, versions: [] });
+  });
+});
+
+describe('checkDashboardVersion', () => {
+  const dashboard = { id: 'd1', version: 4 };
+
+  it('requires a precondition unless told otherwise', () => {
+    expect(checkDashboardVersion(dashboard, {}).status).toBe(428);
+    expect(checkDashboardVersion(dashboard, { required: false })).toBeNull();
+  });
+
+  it('passes the current version and rejects others with 409', () => {
+    expect(checkDashboardVersion(dashboard, { ifMatch: '"4"' })).toBeNull();
+    expect(checkDashboardVersion(dashboard, { version: 4 })).toBeNull();
+    expect(checkDashboardVersion(dashboard, { ifMatch: '"3"' }).status).toBe(409);
+    expect(checkDashboardVersion(dashboard, { version: 3, required: false }).status).toBe(409);
+  });
+
+  it('treats dashboards stored before versioning as version 1', () => {
+    expect(checkDashboardVersion({ id: 'd2' }, { ifMatch: '"1"' })).toBeNull();
+  });
+});
@@ -0,0 +1,56 @@
+const { parsePointer, validatePatch, applyPatch } = require('../../src/utils/jsonPatch');
+
+describe('parsePointer', () => {
+  it('splits and unescapes reference tokens', () => {
+    expect(parsePointer('/widgets/0/config~1x~0y')).toEqual(['widgets', '0', 'config/x~y']);
+    expect(parsePointer('')).toEqual([]);
+  });
+
+  it('rejects pointers that do not start with a slash', () => {
+    expect(parsePointer('widgets/0')).toBeNull();
+  });
+});
+
+describe('validatePatch', () => {
+  it('requires an array of well-formed operations', () => {
+    expect(validatePatch({ op: 'add' })).toBe('A JSON Patch must be an array of operations');
+    expect(validatePatch([{ op: 'merge', path: '/name' }])).toMatch(/op must be one of/);
+    expect(validatePatch([{ op: 'replace', path: '/name' }])).toBe('Operation 0: value is required for replace');
+    expect(validatePatch([{ op: 'move', path: '/a' }])).toBe('Operation 0: from must be a JSON Pointer');
+    expect(validatePatch([{ op: 'remove', path: '/name' }])).toBeNull();
+  });
+});
+
+describe('applyPatch', () => {
+  const document = { name: 'Boiler', widgets: [{ id: 'a' }, { id: 'b' }], layout: {} };
+
+  it('applies every operation to a copy of the document', () => {
+    const { document: patched } = applyPatch(document, [
+      { op: 'test', path: '/name', value: 'Boiler' },
+      { op: 'replace', path: '/name', value: 'Boiler 2' },
+      { op: 'add', path: '/widgets/-', value: { id: 'c' } },
+      { op: 'move', from: '/widgets/0', path: '/widgets/1' },
+      { op: 'copy', from: '/widgets/2', path: '/layout/last' },
+      { op: 'remove', path: '/widgets/2' }
+    ]);
+
+    expect(patched).toEqual({ name: 'Boiler 2', widgets: [{ id: 'b' }, { id: 'a' }], layout: { last: { id: 'c' } } });
+    expect(document.name).toBe('Boiler');
+    expect(document.widgets).toHaveLength(2);
+  });
+
+  it('applies nothing when an operation fails', () => {
+    const result = applyPatch(document, [
+      { op: 'replace', path: '/name', value: 'Changed' },
+      { op: 'test', path: '/widgets/0/id', value: 'z' }
+    ]);
+
+    expect(result).toEqual({ error: 'Operation 1 (test /widgets/0/id): test failed', index: 1 });
+  });
+
+  it('rejects out-of-bounds indexes, missing paths and moves into a child', () => {
+    expect(applyPatch(document, [{ op: 'add', path: '/widgets/5', value: {} }]).error).toMatch(/out of bounds/);
+    expect(applyPatch(document, [{ op: 'replace', path: '/missing', value: 1 }]).error).toMatch(/path does not exist/);
+    expect(applyPatch(document, [{ op: 'move', from: '/widgets', path: '/widgets/0/children' }]).error).toMatch(/moved into itself/);
+  });
+});
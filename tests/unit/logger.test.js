@@ -0,0 +1,103 @@
+const { Writable } = require('stream');
+const winston = require('winston');
+const logger = require('../../src/utils/logger');
+
+// Collects the lines the logger writes
+const lines = [];
+const capture = new winston.transports.Stream({
+  stream: new Writable({
+    write(chunk, encoding, callback) {
+      lines.push(chunk.toString());
+      callback();
+    }
+  })
+});
+
+// Collects the info objects, with their metadata, after the logger's format has run
+const entries = [];
+const captureEntries = new winston.transports.Stream({
+  stream: new Writable({
+    objectMode: true,
+    write(info, encoding, callback) {
+      entries.push(info);
+      callback();
+    }
+  })
+});
+
+beforeAll(() => {
+  logger.add(capture);
+  logger.add(captureEntries);
+});
+afterAll(() => {
+  logger.remove(capture);
+  logger.remove(captureEntries);
+});
+
+// Logs at warn (the test log level) and returns the written line
+const logLine = (message, meta) => {
+  lines.length = 0;
+  logger.warn(message, meta);
+  return lines.join('');
+};
+
+// Logs at warn and returns the logged entry
+const logEntry = (message, meta) => {
+  entries.length = 0;
+  logger.warn(message, meta);
+  return entries[0];
+};
+
+describe('log redaction', () => {
+  it('masks tokens in query strings', () => {
+    const line = logLine('GET /api/dashboard/shared/abc?token=secret-viewer-token HTTP/1.1');
+
+    expect(line).not.toContain('secret-viewer-token');
+    expect(line).toContain('token=[REDACTED]');
+  });
+
+  it('masks embed tokens in query strings', () => {
+    const line = logLine('"GET /api/dashboard/shared/abc?embed=eyJhbGciOi.payload.signature&theme=dark HTTP/1.1" 200');
+
+    expect(line).not.toContain('eyJhbGciOi.payload.signature');
+    expect(line).toContain('embed=[REDACTED]');
+    expect(line).toContain('theme=dark');
+  });
+
+  it('masks bearer credentials and email local parts', () => {
+    const line = logLine('Authorization: Bearer abc.def.ghi from jane.doe@example.com');
+
+    expect(line).not.toContain('abc.def.ghi');
+    expect(line).not.toContain('jane.doe');
+    expect(line).toContain('j***@example.com');
+  });
+
+  it('masks sensitive metadata keys, including nested and suffixed ones', () => {
+    const entry = logEntry('Password reset requested:', {
+      resetToken: 'reset-secret',
+      user: { sharePassword: 'share-secret', name: 'Jane' },
+      headers: { Authorization: 'Bearer abc', accept: 'application/json' }
+    });
+
+    expect(entry.resetToken).toBe('[REDACTED]');
+    expect(entry.user).toEqual({ sharePassword: '[REDACTED]', name: 'Jane' });
+    expect(entry.headers).toEqual({ Authorization: '[REDACTED]', accept: 'application/json' });
+  });
+
+  it('masks email addresses in metadata values without changing the caller\'s object', () => {
+    const meta = { email: 'jane.doe@example.com', recipients: ['bob@example.org'] };
+
+    const entry = logEntry('Invite sent:', meta);
+
+    expect(entry.email).toBe('j***@example.com');
+    expect(entry.recipients).toEqual(['b***@example.org']);
+    expect(meta.email).toBe('jane.doe@example.com');
+  });
+
+  it('survives circular metadata', () => {
+    const meta = { name: 'loop' };
+    meta.self = meta;
+
+    expect(logEntry('Circular:', meta).self).toEqual({ name: 'loop', self: '[Circular]' });
+  });
+});
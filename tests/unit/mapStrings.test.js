@@ -0,0 +1,30 @@
+const { mapStrings, replaceTopicIds } = require('../../src/utils/mapStrings');
+
+describe('mapStrings', () => {
+  it('maps nested strings and leaves keys and other values alone', () => {
+    const value = { title: 'a', config: { topics: ['b', 'c'], min: 0 }, a: null };
+
+    expect(mapStrings(value, text => text.toUpperCase())).toEqual({ title: 'A', config: { topics: ['B', 'C'], min: 0 }, a: null });
+  });
+});
+
+describe('replaceTopicIds', () => {
+  const OLD_ID = '482913570246813';
+
+  it('replaces the topic and its sub-topics', () => {
+    const widget = { config: { topic: `${OLD_ID}/temperature`, topics: [OLD_ID, `${OLD_ID}/a/b`] } };
+
+    expect(replaceTopicIds(widget, [OLD_ID], 'NEW')).toEqual({ config: { topic: 'NEW/temperature', topics: ['NEW', 'NEW/a/b'] } });
+  });
+
+  it('leaves text that only contains the topic ID alone', () => {
+    const widget = { title: `Sensor ${OLD_ID}`, config: { topic: `plant/${OLD_ID}`, label: `${OLD_ID}-backup` } };
+
+    expect(replaceTopicIds(widget, [OLD_ID], 'NEW')).toEqual(widget);
+    expect(replaceTopicIds({ type: 'gauge' }, ['e', 't'], 'NEW')).toEqual({ type: 'gauge' });
+  });
+
+  it('ignores empty topic IDs', () => {
+    expect(replaceTopicIds({ topic: 'plant/temp' }, [null, ''], 'NEW')).toEqual({ topic: 'plant/temp' });
+  });
+});
@@ -0,0 +1,18 @@
+const { anonymizeIp } = require('../../src/services/shareAnalyticsService');
+
+describe('anonymizeIp', () => {
+  it('zeroes the last octet of IPv4 addresses', () => {
+    expect(anonymizeIp('203.0.113.57')).toBe('203.0.113.0');
+    expect(anonymizeIp('::ffff:203.0.113.57')).toBe('203.0.113.0');
+  });
+
+  it('keeps the first three groups of IPv6 addresses', () => {
+    expect(anonymizeIp('2001:db8:85a3:8d3:1319:8a2e:370:7348')).toBe('2001:db8:85a3::');
+    expect(anonymizeIp('2001:db8::1')).toBe('2001:db8:0::');
+  });
+
+  it('returns null for missing or invalid addresses', () => {
+    expect(anonymizeIp(undefined)).toBeNull();
+    expect(anonymizeIp('not-an-ip')).toBeNull();
+  });
+});